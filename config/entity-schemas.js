@@ -615,6 +615,88 @@ export function validateEntity(entity, entityType) {
     };
 }
 
+/**
+ * Keys of the "entities" object in extraction results, and the entity
+ * type of the items each one lists
+ */
+export const EXTRACTION_COLLECTIONS = {
+    people: ENTITY_TYPES.PERSON,
+    projects: ENTITY_TYPES.PROJECT,
+    decisions: ENTITY_TYPES.DECISION,
+    timeline: ENTITY_TYPES.TIMELINE,
+    locations: ENTITY_TYPES.LOCATION,
+    materials: ENTITY_TYPES.MATERIAL,
+    costs: ENTITY_TYPES.COST,
+    issues: ENTITY_TYPES.ISSUE,
+    tasks: ENTITY_TYPES.TASK,
+    documents: ENTITY_TYPES.DOCUMENT
+};
+
+export const EXTRACTED_RELATIONSHIP_SCHEMA = {
+    type: 'object',
+    required: ['type', 'source', 'target'],
+    properties: {
+        type: { type: 'string', description: 'Relationship type, e.g. manages or assigned_to' },
+        source: { type: 'string', description: 'Name of the source entity' },
+        target: { type: 'string', description: 'Name of the target entity' },
+        source_type: { type: 'string' },
+        target_type: { type: 'string' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        metadata: { type: 'object' }
+    }
+};
+
+/**
+ * Copy of a schema without its enum constraints
+ */
+function withoutEnums(schema) {
+    if (Array.isArray(schema)) return schema.map(withoutEnums);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const copy = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key !== 'enum') copy[key] = withoutEnums(value);
+    }
+    return copy;
+}
+
+/**
+ * JSON Schema of a whole extraction response:
+ * { entities: { people: [...], ... }, relationships?: [...], summary }
+ *
+ * The enums (roles, phases, severities, ...) describe construction; other
+ * domains pass enums: false to keep the structure with free-form values.
+ */
+export function getExtractionSchema({ includeRelationships = false, enums = true } = {}) {
+    const entities = {};
+    for (const [collection, entityType] of Object.entries(EXTRACTION_COLLECTIONS)) {
+        const itemSchema = ENTITY_SCHEMAS[entityType];
+        entities[collection] = { type: 'array', items: enums ? itemSchema : withoutEnums(itemSchema) };
+    }
+
+    const schema = {
+        type: 'object',
+        required: ['entities', 'summary'],
+        properties: {
+            entities: {
+                type: 'object',
+                properties: entities
+            },
+            summary: {
+                type: 'string',
+                description: 'Brief summary of the communication'
+            }
+        }
+    };
+
+    if (includeRelationships) {
+        schema.required.push('relationships');
+        schema.properties.relationships = { type: 'array', items: EXTRACTED_RELATIONSHIP_SCHEMA };
+    }
+
+    return schema;
+}
+
 /**
  * Get all possible entity types
  */
@@ -672,7 +754,10 @@ export default {
     TIMELINE_STATUSES,
     ISSUE_SEVERITIES,
     ENTITY_SCHEMAS,
+    EXTRACTION_COLLECTIONS,
+    EXTRACTED_RELATIONSHIP_SCHEMA,
     validateEntity,
+    getExtractionSchema,
     getEntityTypes,
     getEntitySchema,
     createEntityTemplate
@@ -5,6 +5,10 @@ import path from 'path';
 import chalk from 'chalk';
 import yargs from 'yargs';
 import { DataSourceRouter } from './src/routing/data-source-router.js';
+import { ensureJournalRecovered, getJournalDir } from './src/storage/file-transaction.js';
+import { VersionLog, parseAsOf } from './src/storage/version-log.js';
+import { buildDomainGraph } from './src/graph/graph-loader.js';
+import { runGraphQuery } from './src/graph/graph-query.js';
 
 class ContextCLI {
   constructor() {
@@ -49,6 +53,12 @@ class ContextCLI {
 
   async initialize() {
     try {
+      // Roll back any multi-file write that a previous run left half done
+      const recovery = await ensureJournalRecovered(getJournalDir(this.dataPath));
+      if (recovery.rolledBack > 0) {
+        this.log(`⚠️  Rolled back ${recovery.rolledBack} incomplete transaction(s)`, 'warning');
+      }
+
       // Initialize the Smart Router
       const { DataSourceRouter } = await import('./src/routing/data-source-router.js');
       this.router = new DataSourceRouter();
@@ -126,14 +136,27 @@ class ContextCLI {
     }
   }
 
-  async handleShowCommand(entityName) {
+  async handleShowCommand(entityName, options = {}) {
     if (!entityName) {
       // List all entities
       await this.listAllEntities();
       return;
     }
 
-    console.log(chalk.blue.bold(`\nℹ️  Showing details for: "${entityName}"`));
+    let asOf = null;
+    try {
+      asOf = parseAsOf(options.asOf);
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message} (use e.g. 2025-03-01 or 2025-03-01T12:00:00Z)`));
+      return;
+    }
+
+    if (options.history) {
+      await this.showEntityHistory(entityName);
+      return;
+    }
+
+    console.log(chalk.blue.bold(`\nℹ️  Showing details for: "${entityName}"${asOf ? ` as of ${asOf.toISOString()}` : ''}`));
     console.log(chalk.blue('='.repeat(60)));
 
     try {
@@ -146,7 +169,7 @@ class ContextCLI {
 
         const entityTypes = await fs.readdir(domainPath);
         for (const type of entityTypes) {
-          const foundEntity = await this.findEntityByName(entityName, type, domain);
+          const foundEntity = await this.findEntityByName(entityName, type, domain, { asOf });
           if (foundEntity) {
             entityData = foundEntity;
             break;
@@ -171,7 +194,7 @@ class ContextCLI {
           console.log(chalk.cyan('\n  Relationships:'));
           for (const rel of entityData.relationships) {
             const relatedDomain = rel.target_type === 'command_execution' ? 'system' : 'construction';
-            const relatedEntity = await this.findEntityByName(rel.target, rel.target_type, relatedDomain);
+            const relatedEntity = await this.findEntityByName(rel.target, rel.target_type, relatedDomain, { asOf });
             if (relatedEntity) {
               let detail = relatedEntity.name;
               if (relatedEntity.type === 'command_execution') {
@@ -185,6 +208,8 @@ class ContextCLI {
         } else {
           console.log(chalk.cyan('\n  No relationships found.'));
         }
+      } else if (asOf) {
+        console.log(chalk.red(`❌ Entity "${entityName}" did not exist as of ${asOf.toISOString()}.`));
       } else {
         console.log(chalk.red(`❌ Entity "${entityName}" not found in the context database.`));
       }
@@ -193,6 +218,55 @@ class ContextCLI {
     }
   }
 
+  /**
+   * Print every recorded version of an entity with what changed in each
+   */
+  async showEntityHistory(entityName) {
+    console.log(chalk.blue.bold(`\n🕒 History for: "${entityName}"`));
+    console.log(chalk.blue('='.repeat(60)));
+
+    try {
+      let found = null;
+      for (const domain of ['construction', 'system']) {
+        const domainPath = path.join(this.dataPath, domain, 'entities');
+        if (!await fs.pathExists(domainPath)) continue;
+
+        for (const type of await fs.readdir(domainPath)) {
+          const versions = await this.getEntityHistory(entityName, type, domain);
+          if (versions.length > 0) {
+            found = { domain, type, versions };
+            break;
+          }
+        }
+        if (found) break;
+      }
+
+      if (!found) {
+        console.log(chalk.red(`❌ Entity "${entityName}" not found in the context database.`));
+        return;
+      }
+
+      console.log(chalk.gray(`${found.type} in ${found.domain}, ${found.versions.length} version(s)\n`));
+
+      let previous = null;
+      for (const version of found.versions) {
+        const source = version.source ? chalk.gray(` ← ${version.source}`) : '';
+        console.log(`  ${chalk.bold(`v${version.version}`)}  ${version.timestamp}  ${chalk.cyan(version.operation)}${source}`);
+
+        if (version.data && previous) {
+          const keys = new Set([...Object.keys(previous), ...Object.keys(version.data)]);
+          const changed = [...keys].filter(key => JSON.stringify(previous[key]) !== JSON.stringify(version.data[key]));
+          if (changed.length > 0) {
+            console.log(chalk.gray(`        changed: ${changed.join(', ')}`));
+          }
+        }
+        previous = version.data || previous;
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Error showing entity history: ${error.message}`));
+    }
+  }
+
   async listAllEntities() {
     console.log(chalk.blue.bold('\n📋 Context Database Entities'));
     console.log(chalk.blue('='.repeat(60)));
@@ -691,8 +765,92 @@ class ContextCLI {
     }
   }
 
-  async findEntityByName(name, type, domain) {
+  /**
+   * Run a graph query (match pattern, path or neighbors) against a domain
+   */
+  async handleGraphCommand(query, options = {}) {
+    const domain = options.domain || 'construction';
+    let result;
+
     try {
+      const graph = await buildDomainGraph(path.join(this.dataPath, domain));
+      result = runGraphQuery(graph, query, { limit: options.limit });
+    } catch (error) {
+      console.error(chalk.red(`❌ Graph query failed: ${error.message}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+
+    const label = node => `${node.name} ${chalk.grey(`(${node.type})`)}`;
+    const arrow = (edge, fromId) => edge.source === fromId
+      ? chalk.cyan(` -${edge.type}-> `)
+      : chalk.cyan(` <-${edge.type}- `);
+
+    console.log(chalk.blue.bold(`\n🕸️  Graph ${result.kind} in ${domain}: ${query}`));
+    console.log(chalk.blue('='.repeat(60)));
+
+    if (result.kind === 'path') {
+      if (!result.found) {
+        console.log(chalk.yellow('No path found.'));
+        return;
+      }
+      let line = label(result.nodes[0]);
+      result.edges.forEach((edge, i) => {
+        line += arrow(edge, result.nodes[i].id) + label(result.nodes[i + 1]);
+      });
+      console.log(line);
+      console.log(chalk.grey(`\n${result.length} hop(s)`));
+      return;
+    }
+
+    if (result.kind === 'neighbors') {
+      for (const { node, distance, via } of result.results) {
+        console.log(`  ${chalk.grey(`[${distance}]`)} ${label(node)} ${chalk.grey(`via ${via.type}`)}`);
+      }
+    } else {
+      for (const row of result.rows) {
+        const nodes = result.columns.map(column => row.nodes[column]);
+        let line = label(nodes[0]);
+        row.edges.forEach((edge, i) => {
+          line += arrow(edge, nodes[i].id) + label(nodes[i + 1]);
+        });
+        console.log(`  ${line}`);
+      }
+    }
+
+    console.log(chalk.grey(`\n${result.count} result(s)${result.truncated ? ' (limit reached, use --limit to see more)' : ''}`));
+  }
+
+  getEntityVersionKey(name, type) {
+    return `entities/${type}/${name.replace(/[^a-z0-9\s-]/gi, '').replace(/\s+/g, '-').toLowerCase()}`;
+  }
+
+  async getEntityHistory(name, type, domain) {
+    const versionLog = new VersionLog({ domainPath: path.join(this.dataPath, domain) });
+    const key = this.getEntityVersionKey(name, type);
+    const versions = await versionLog.read(key);
+    if (versions.length > 0) return versions;
+
+    // Entities written before versioning have their current file as the only version
+    const baseline = await versionLog.readBaseline(key);
+    return baseline ? [baseline] : [];
+  }
+
+  /**
+   * Read an entity file, or with options.asOf the version in effect at that date
+   */
+  async findEntityByName(name, type, domain, options = {}) {
+    try {
+      if (options.asOf) {
+        const versionLog = new VersionLog({ domainPath: path.join(this.dataPath, domain) });
+        return await versionLog.readAsOf(this.getEntityVersionKey(name, type), options.asOf);
+      }
+
       const entityDir = path.join(this.dataPath, domain, 'entities', type);
       const filename = `${name.replace(/[^a-z0-9\s-]/gi, '').replace(/\s+/g, '-').toLowerCase()}.json`;
       const filePath = path.join(entityDir, filename);
@@ -721,7 +879,9 @@ async function main() {
             .option('person', { type: 'string' });
     })
     .command('show [name]', 'Show details for a specific entity or list all entities', (yargs) => {
-        return yargs.positional('name', { describe: 'Entity name (optional - if not provided, lists all entities)' });
+        return yargs.positional('name', { describe: 'Entity name (optional - if not provided, lists all entities)' })
+            .option('as-of', { describe: 'Show the entity as it was at this date (e.g. 2025-03-01)', type: 'string' })
+            .option('history', { describe: 'List every recorded version of the entity', type: 'boolean' });
     })
     .command('database <subcommand>', 'Database management commands', (yargs) => {
         return yargs.command('domains [domain] [action] [entity]', 'List all domains or show details for specific domain', (yargs) => {
@@ -743,6 +903,12 @@ async function main() {
             default: false
         });
     })
+    .command('graph <query>', 'Query the relationship graph (e.g. "person -manages-> project where status = active")', (yargs) => {
+        return yargs.positional('query', { describe: 'Match pattern, "path from ... to ..." or "neighbors of ..."', type: 'string' })
+            .option('domain', { describe: 'Domain to query', type: 'string', default: 'construction' })
+            .option('limit', { describe: 'Maximum number of results', type: 'number' })
+            .option('format', { describe: 'Output format (json)', type: 'string' });
+    })
     .command('clear', 'Clear the context database', (yargs) => {
         return yargs.option('domain', {
             describe: 'The domain to clear (e.g., construction, system)',
@@ -789,7 +955,7 @@ async function main() {
       await cli.router.processSmartQuery(query);
       break;
     case 'show':
-      await cli.handleShowCommand(argv.name);
+      await cli.handleShowCommand(argv.name, { asOf: argv.asOf, history: argv.history });
       break;
     case 'database':
       if (argv._[1] === 'domains') {
@@ -806,6 +972,9 @@ async function main() {
     case 'sync':
       await cli.handleSyncCommand(argv.source, { debug: argv.debug });
       break;
+    case 'graph':
+      await cli.handleGraphCommand(argv.query, { domain: argv.domain, limit: argv.limit, format: argv.format });
+      break;
     case 'clear':
       await cli.handleClearCommand(argv.domain, argv.confirm);
       break;
@@ -11,7 +11,9 @@ import ora from 'ora';
  * Accuracy evaluation framework for entity extraction
  * 
  * Tests both local and cloud extractors against ground truth data
- * and generates accuracy metrics.
+ * and generates accuracy metrics. Results are also broken down by the
+ * registry prompt version each extraction used; pin versions with
+ * PROMPT_VERSIONS (e.g. "entity-extraction=1") to compare them.
  */
 class AccuracyEvaluator {
     constructor() {
@@ -19,8 +21,8 @@ class AccuracyEvaluator {
         this.localExtractor = new LocalLLMExtractor();
         this.testData = [];
         this.results = {
-            cloud: { successes: 0, failures: 0, totalEntities: 0, correctEntities: 0 },
-            local: { successes: 0, failures: 0, totalEntities: 0, correctEntities: 0 }
+            cloud: { successes: 0, failures: 0, totalEntities: 0, correctEntities: 0, byPrompt: {} },
+            local: { successes: 0, failures: 0, totalEntities: 0, correctEntities: 0, byPrompt: {} }
         };
     }
 
@@ -201,6 +203,7 @@ class AccuracyEvaluator {
                 results.successes++;
                 results.totalEntities += this.countEntities(testCase.expectedEntities);
                 results.correctEntities += accuracy.correctEntities;
+                this.recordPromptResult(results, extracted.metadata, testCase.expectedEntities, accuracy);
                 
                 spinner.succeed(`${testCase.id}: ${(accuracy.precision * 100).toFixed(1)}% precision`);
                 
@@ -211,6 +214,18 @@ class AccuracyEvaluator {
         }
     }
 
+    recordPromptResult(results, metadata = {}, expectedEntities, accuracy) {
+        const prompt = metadata.promptId ? `${metadata.promptId}@${metadata.promptVersion}` : 'unknown';
+        if (!results.byPrompt[prompt]) {
+            results.byPrompt[prompt] = { tests: 0, totalEntities: 0, correctEntities: 0 };
+        }
+
+        const stats = results.byPrompt[prompt];
+        stats.tests++;
+        stats.totalEntities += this.countEntities(expectedEntities);
+        stats.correctEntities += accuracy.correctEntities;
+    }
+
     calculateAccuracy(expected, extracted) {
         let correctEntities = 0;
         let totalExpected = 0;
@@ -310,6 +325,11 @@ class AccuracyEvaluator {
             console.log(chalk.blue(`\n${type.toUpperCase()} LLM EXTRACTOR:`));
             console.log(`  Tests Completed: ${results.successes}/${totalTests} (${successRate.toFixed(1)}%)`);
             console.log(`  Entity Accuracy: ${results.correctEntities}/${results.totalEntities} (${entityAccuracy.toFixed(1)}%)`);
+
+            for (const [prompt, stats] of Object.entries(results.byPrompt)) {
+                const promptAccuracy = stats.totalEntities > 0 ? (stats.correctEntities / stats.totalEntities) * 100 : 0;
+                console.log(chalk.gray(`    ${prompt}: ${stats.correctEntities}/${stats.totalEntities} (${promptAccuracy.toFixed(1)}%) over ${stats.tests} tests`));
+            }
             
             // Color-code the results
             if (entityAccuracy >= 85) {
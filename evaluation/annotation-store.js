@@ -0,0 +1,441 @@
+import fs from 'fs-extra';
+import path from 'path';
+import {
+    DEFAULT_THRESHOLD,
+    entityLabelField,
+    entityLabel,
+    matchEntities,
+    matchRelationships,
+    summarizeCounts
+} from './entity-matching.js';
+
+/**
+ * Ground-truth annotation store
+ *
+ * Reviewers label documents in the web app's annotation mode: they accept,
+ * correct or delete the extracted entities and relationships and add the
+ * ones the extractor missed. Each review is kept as
+ * data/ground-truth/<domain>/reviews/<document>/<reviewer>.json:
+ *
+ *   {
+ *     "reviewer": "alice",
+ *     "text": "...",
+ *     "entities": [{ "id": "e1", "type": "people", "label": "Mike",
+ *                    "start": 0, "end": 4, "status": "accepted",
+ *                    "suggestionId": "...", "attributes": { "role": "PM" } }],
+ *     "relationships": [{ "id": "r1", "type": "assigned_to", "source": "e1",
+ *                         "target": "e2", "status": "added" }]
+ *   }
+ *
+ * Statuses are accepted, corrected, added or deleted; suggestionId links an
+ * item to the extraction it was pre-filled from. The labeled document also
+ * becomes a case of the domain's "annotations" dataset
+ * (data/ground-truth/<domain>/annotations.json) in the format the benchmark
+ * reads, holding the latest review. Once two or more reviewers label the
+ * same document the case carries their agreement: entity and relationship
+ * F1 between each pair of reviews and Cohen's kappa over their decisions on
+ * the suggestions both saw.
+ */
+
+export const REVIEW_STATUSES = ['accepted', 'corrected', 'added', 'deleted'];
+const SUGGESTION_DECISIONS = ['accepted', 'corrected', 'deleted'];
+
+// Record fields holding a document's text, in order of preference
+const TEXT_FIELDS = ['originalMessage', 'text', 'content'];
+const TEXT_FILE_EXTENSIONS = ['.txt', '.md', '.eml', '.csv', '.json', '.log', '.html', '.xml', '.yaml', '.yml'];
+const MAX_TEXT_BYTES = 1024 * 1024;
+
+function fileSafe(value) {
+    return String(value).trim().replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^\.+/, '_');
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function mean(values) {
+    const present = values.filter(value => typeof value === 'number');
+    return present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+}
+
+/**
+ * The text a document's records were extracted from: the stored message,
+ * or the source file when it is a readable text file.
+ * Returns { text, textSource } (text is null when neither is available).
+ */
+export async function loadDocumentText(records, { baseDir = process.cwd() } = {}) {
+    for (const record of records) {
+        for (const field of TEXT_FIELDS) {
+            const value = record.metadata?.[field];
+            if (typeof value === 'string' && value.trim()) {
+                return { text: value, textSource: `metadata.${field}` };
+            }
+        }
+    }
+
+    for (const record of records) {
+        const source = record.metadata?.source;
+        if (typeof source !== 'string' || !TEXT_FILE_EXTENSIONS.includes(path.extname(source).toLowerCase())) continue;
+
+        const filePath = path.resolve(baseDir, source);
+        try {
+            const stats = await fs.stat(filePath);
+            if (stats.isFile() && stats.size <= MAX_TEXT_BYTES) {
+                return { text: await fs.readFile(filePath, 'utf8'), textSource: source };
+            }
+        } catch {
+            // Source moved or removed since extraction
+        }
+    }
+
+    return { text: null, textSource: null };
+}
+
+/**
+ * The extraction stored for a document, for pre-filling a review:
+ * { entities: { <type>: [{ id, label, ...fields }] }, relationships: [{ type, source, target }] }
+ * with relationship endpoints given by entity label
+ */
+export function documentExtraction(records) {
+    const entities = {};
+    const relationships = [];
+    const seenRelationships = new Set();
+
+    const addRelationship = (type, source, target, confidence) => {
+        if (!type || !source || !target) return;
+        const key = `${String(type).toLowerCase()}|${source}|${target}`;
+        if (seenRelationships.has(key)) return;
+        seenRelationships.add(key);
+        relationships.push({ id: `rel_${relationships.length + 1}`, type, source, target, confidence });
+    };
+
+    for (const record of records) {
+        for (const [type, items] of Object.entries(record.entities || {})) {
+            if (!Array.isArray(items)) continue;
+
+            if (type === 'relationships') {
+                items.forEach(rel => addRelationship(rel.type || rel.relationship_type, rel.source, rel.target, rel.confidence));
+                continue;
+            }
+
+            const collection = entities[type] || (entities[type] = []);
+            items.forEach((entity, index) => {
+                if (!entity || typeof entity !== 'object') return;
+                const label = entityLabel(entity, type).trim();
+                if (!label) return;
+
+                const { relationships: entityRelationships, ...fields } = entity;
+                collection.push({ ...fields, id: entity.id || `${record.id}_${type}_${index}`, label });
+
+                (entityRelationships || []).forEach(rel => addRelationship(rel.type, label, rel.target, rel.confidence));
+            });
+        }
+    }
+
+    for (const type of Object.keys(entities)) {
+        if (entities[type].length === 0) delete entities[type];
+    }
+
+    return { entities, relationships };
+}
+
+/**
+ * Check a review before it is stored, returning a message for each problem
+ */
+export function validateReview(review) {
+    const errors = [];
+    if (!review || typeof review !== 'object') return ['review must be an object'];
+
+    if (typeof review.reviewer !== 'string' || !fileSafe(review.reviewer).replace(/_/g, '')) {
+        errors.push('reviewer: a name is required');
+    }
+    if (typeof review.text !== 'string' || !review.text.trim()) {
+        errors.push('text: the document text is required');
+    }
+    if (!Array.isArray(review.entities)) errors.push('entities: must be a list');
+    if (!Array.isArray(review.relationships || [])) errors.push('relationships: must be a list');
+    if (errors.length > 0) return errors;
+
+    const textLength = review.text.length;
+    const entityIds = new Set();
+    const keptIds = new Set();
+
+    review.entities.forEach((entity, index) => {
+        const label = `entities[${index}]`;
+        if (!entity?.id) errors.push(`${label}: missing id`);
+        else if (entityIds.has(entity.id)) errors.push(`${label}: duplicate id "${entity.id}"`);
+        entityIds.add(entity?.id);
+
+        if (!REVIEW_STATUSES.includes(entity?.status)) {
+            errors.push(`${label}: status must be one of ${REVIEW_STATUSES.join(', ')} (got "${entity?.status}")`);
+        }
+        if (entity?.status === 'deleted') return;
+        keptIds.add(entity?.id);
+
+        if (!entity?.type) errors.push(`${label}: missing type`);
+        if (typeof entity?.label !== 'string' || !entity.label.trim()) errors.push(`${label}: missing label`);
+
+        const hasSpan = entity?.start !== undefined && entity?.start !== null;
+        if (hasSpan && !(Number.isInteger(entity.start) && Number.isInteger(entity.end) &&
+            entity.start >= 0 && entity.start < entity.end && entity.end <= textLength)) {
+            errors.push(`${label}: span ${entity.start}-${entity.end} is outside the text`);
+        }
+    });
+
+    (review.relationships || []).forEach((relationship, index) => {
+        const label = `relationships[${index}]`;
+        if (!REVIEW_STATUSES.includes(relationship?.status)) {
+            errors.push(`${label}: status must be one of ${REVIEW_STATUSES.join(', ')} (got "${relationship?.status}")`);
+        }
+        if (relationship?.status === 'deleted') return;
+
+        if (!relationship?.type) errors.push(`${label}: missing type`);
+        for (const end of ['source', 'target']) {
+            if (!keptIds.has(relationship?.[end])) {
+                errors.push(`${label}: ${end} "${relationship?.[end]}" is not a kept entity`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * A review as a benchmark case: deleted items dropped, entities grouped by
+ * type and named by their label field, relationships by entity label
+ */
+export function reviewToCase(review, documentId) {
+    const entities = {};
+    const labels = new Map();
+
+    for (const entity of review.entities) {
+        if (entity.status === 'deleted') continue;
+
+        const label = entity.label.trim();
+        labels.set(entity.id, label);
+
+        const labeled = { ...(entity.attributes || {}), [entityLabelField(entity.type)]: label };
+        if (Number.isInteger(entity.start)) labeled.span = [entity.start, entity.end];
+        (entities[entity.type] || (entities[entity.type] = [])).push(labeled);
+    }
+
+    const relationships = (review.relationships || [])
+        .filter(relationship => relationship.status !== 'deleted')
+        .map(relationship => ({
+            type: relationship.type,
+            source: labels.get(relationship.source),
+            target: labels.get(relationship.target)
+        }));
+
+    return {
+        id: documentId,
+        communicationType: review.communicationType || 'document',
+        text: review.text,
+        entities,
+        relationships
+    };
+}
+
+function suggestionDecisions(review) {
+    const decisions = new Map();
+    for (const item of [...review.entities, ...(review.relationships || [])]) {
+        if (item.suggestionId && SUGGESTION_DECISIONS.includes(item.status)) {
+            decisions.set(item.suggestionId, item.status);
+        }
+    }
+    return decisions;
+}
+
+/**
+ * Cohen's kappa over two reviewers' decisions (accepted, corrected,
+ * deleted) on the suggestions both reviewed; null when there are none
+ */
+export function suggestionKappa(left, right) {
+    const leftDecisions = suggestionDecisions(left);
+    const rightDecisions = suggestionDecisions(right);
+    const shared = [...leftDecisions.keys()].filter(id => rightDecisions.has(id));
+    if (shared.length === 0) return { compared: 0, observed: null, kappa: null };
+
+    const agreed = shared.filter(id => leftDecisions.get(id) === rightDecisions.get(id)).length;
+    const observed = agreed / shared.length;
+    const expected = SUGGESTION_DECISIONS.reduce((sum, decision) => {
+        const leftShare = shared.filter(id => leftDecisions.get(id) === decision).length / shared.length;
+        const rightShare = shared.filter(id => rightDecisions.get(id) === decision).length / shared.length;
+        return sum + leftShare * rightShare;
+    }, 0);
+
+    // Both reviewers made the same single decision throughout: full agreement
+    const kappa = expected === 1 ? 1 : (observed - expected) / (1 - expected);
+    return { compared: shared.length, observed: round(observed), kappa: round(kappa) };
+}
+
+/**
+ * Agreement between two reviews of one document. Entity and relationship
+ * F1 treat one review as the labels for the other (F1 is symmetric), so
+ * onlyLeft/onlyRight list what just one reviewer labeled.
+ */
+export function compareReviews(left, right, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const leftCase = reviewToCase(left);
+    const rightCase = reviewToCase(right);
+
+    const entityMatch = matchEntities(leftCase.entities, rightCase.entities, { threshold });
+    const relationshipMatch = matchRelationships(leftCase.relationships, rightCase.relationships, { threshold });
+
+    return {
+        reviewers: [left.reviewer, right.reviewer],
+        sameText: left.text === right.text,
+        entities: {
+            ...summarizeCounts(entityMatch.byType),
+            onlyLeft: entityMatch.missed,
+            onlyRight: entityMatch.spurious
+        },
+        relationships: {
+            ...summarizeCounts(relationshipMatch.byType),
+            onlyLeft: relationshipMatch.missed,
+            onlyRight: relationshipMatch.spurious
+        },
+        suggestions: suggestionKappa(left, right)
+    };
+}
+
+/**
+ * Agreement across every pair of reviews of a document, averaged;
+ * null with fewer than two reviews
+ */
+export function reviewAgreement(reviews, options = {}) {
+    if (reviews.length < 2) return null;
+
+    const pairs = [];
+    for (let i = 0; i < reviews.length; i++) {
+        for (let j = i + 1; j < reviews.length; j++) {
+            pairs.push(compareReviews(reviews[i], reviews[j], options));
+        }
+    }
+
+    return {
+        reviewers: reviews.map(review => review.reviewer),
+        entityF1: mean(pairs.map(pair => pair.entities.overall.f1)),
+        relationshipF1: mean(pairs.map(pair => pair.relationships.overall.f1)),
+        suggestionKappa: mean(pairs.map(pair => pair.suggestions.kappa)),
+        pairs
+    };
+}
+
+function reviewSummary(review) {
+    const counts = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+    for (const item of [...review.entities, ...(review.relationships || [])]) {
+        counts[item.status]++;
+    }
+    return counts;
+}
+
+export class AnnotationStore {
+    constructor(options = {}) {
+        this.groundTruthDir = options.groundTruthDir || path.join(process.cwd(), 'data/ground-truth');
+        this.datasetName = options.datasetName || 'annotations';
+        this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+        this.writes = Promise.resolve();
+    }
+
+    reviewsDir(domain, documentId) {
+        return path.join(this.groundTruthDir, fileSafe(domain), 'reviews', fileSafe(documentId));
+    }
+
+    datasetFile(domain) {
+        return path.join(this.groundTruthDir, fileSafe(domain), `${this.datasetName}.json`);
+    }
+
+    /**
+     * Every stored review of a document, oldest first
+     */
+    async getReviews(domain, documentId) {
+        const dir = this.reviewsDir(domain, documentId);
+        if (!(await fs.pathExists(dir))) return [];
+
+        const reviews = [];
+        for (const file of (await fs.readdir(dir)).filter(name => name.endsWith('.json'))) {
+            reviews.push(await fs.readJson(path.join(dir, file)));
+        }
+        return reviews.sort((a, b) => String(a.savedAt).localeCompare(String(b.savedAt)));
+    }
+
+    /**
+     * A document's reviews (with their status counts) and their agreement
+     */
+    async getAnnotation(domain, documentId) {
+        const reviews = await this.getReviews(domain, documentId);
+        return {
+            documentId,
+            domain,
+            reviews,
+            agreement: reviewAgreement(reviews, { threshold: this.threshold })
+        };
+    }
+
+    /**
+     * Store a reviewer's labels for a document (replacing their earlier
+     * review) and update its case in the domain's annotations dataset.
+     * Throws with every validation problem when the review is invalid.
+     */
+    async saveReview(domain, documentId, review) {
+        const errors = validateReview(review);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid review: ${errors.join('; ')}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        const write = this.writes.then(() => this.writeReview(domain, documentId, review));
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    async writeReview(domain, documentId, review) {
+        const stored = {
+            documentId,
+            domain,
+            reviewer: review.reviewer.trim(),
+            savedAt: new Date().toISOString(),
+            communicationType: review.communicationType || 'document',
+            text: review.text,
+            entities: review.entities,
+            relationships: review.relationships || []
+        };
+        stored.summary = reviewSummary(stored);
+
+        const dir = this.reviewsDir(domain, documentId);
+        await fs.ensureDir(dir);
+        await fs.writeJson(path.join(dir, `${fileSafe(stored.reviewer)}.json`), stored, { spaces: 2 });
+
+        const reviews = await this.getReviews(domain, documentId);
+        const agreement = reviewAgreement(reviews, { threshold: this.threshold });
+
+        const testCase = {
+            ...reviewToCase(stored, documentId),
+            reviewers: reviews.map(item => item.reviewer),
+            labeledBy: stored.reviewer,
+            updatedAt: stored.savedAt
+        };
+        if (agreement) {
+            testCase.agreement = {
+                entityF1: agreement.entityF1,
+                relationshipF1: agreement.relationshipF1,
+                suggestionKappa: agreement.suggestionKappa
+            };
+        }
+
+        const datasetFile = this.datasetFile(domain);
+        const dataset = (await fs.pathExists(datasetFile)) ? await fs.readJson(datasetFile) : {
+            name: this.datasetName,
+            domain,
+            description: 'Documents labeled in the web app annotation mode',
+            cases: []
+        };
+        dataset.cases = [...(dataset.cases || []).filter(item => item.id !== documentId), testCase];
+        await fs.writeJson(datasetFile, dataset, { spaces: 2 });
+
+        return { review: stored, case: testCase, agreement, datasetFile: path.relative(process.cwd(), datasetFile) };
+    }
+}
+
+export default AnnotationStore;
@@ -0,0 +1,477 @@
+#!/usr/bin/env node
+
+import { LLMClient } from '../src/utils/llm-client.js';
+import { LLMResponseCache } from '../src/utils/llm-response-cache.js';
+import CloudLLMExtractor from '../src/extractors/cloud-llm-extractor.js';
+import LocalLLMExtractor from '../src/extractors/local-llm-extractor.js';
+import { CybersecLLMExtractor } from '../src/extractors/cybersec-llm-extractor.js';
+import { EnhancedRelationshipExtractor } from '../src/extractors/enhanced-relationship-extractor.js';
+import {
+    DEFAULT_THRESHOLD,
+    matchEntities,
+    matchRelationships,
+    addCounts,
+    summarizeCounts
+} from './entity-matching.js';
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import ora from 'ora';
+
+/**
+ * Extraction accuracy benchmark
+ *
+ * Runs an extractor over the labeled datasets in data/ground-truth and
+ * scores it with precision, recall and F1 per entity type and relationship
+ * type (see entity-matching.js). Datasets live in
+ * data/ground-truth/<domain>/*.json (files directly in data/ground-truth
+ * are construction datasets unless they name a domain):
+ *
+ *   {
+ *     "name": "site-communications",
+ *     "domain": "construction",
+ *     "extractor": "enhanced",          // optional, see EXTRACTORS
+ *     "cases": [{
+ *       "id": "case_001",
+ *       "communicationType": "sms",
+ *       "text": "...",
+ *       "entities": { "people": [{ "name": "Mike" }], ... },
+ *       "relationships": [{ "type": "assigned_to", "source": "...", "target": "..." }]
+ *     }]
+ *   }
+ *
+ * Documents labeled in the web app's annotation mode are added to
+ * data/ground-truth/<domain>/annotations.json (see annotation-store.js).
+ *
+ * By default completions are replayed from the recorded responses in
+ * evaluation/fixtures/llm-responses, so the benchmark runs without API
+ * keys; --record calls the provider and records its responses there (commit
+ * them with the prompt change that needed them) and --live skips the
+ * fixtures. Results are written to evaluation/results as JSON;
+ * --compare prints the F1 changes between two result files.
+ */
+
+const EXTRACTORS = {
+    cloud: options => new CloudLLMExtractor(options),
+    cybersec: options => new CybersecLLMExtractor(options),
+    enhanced: options => new EnhancedRelationshipExtractor(options),
+    local: options => new LocalLLMExtractor(options)
+};
+
+const DEFAULT_EXTRACTORS = {
+    construction: 'enhanced',
+    cybersec: 'cybersec'
+};
+
+const MODES = ['replay', 'record', 'live'];
+
+class ExtractionBenchmark {
+    constructor(options = {}) {
+        this.groundTruthDir = options.groundTruthDir || path.join(process.cwd(), 'data/ground-truth');
+        this.fixturesDir = options.fixturesDir || path.join(process.cwd(), 'evaluation/fixtures/llm-responses');
+        this.resultsDir = options.resultsDir || path.join(process.cwd(), 'evaluation/results');
+        this.mode = options.mode || 'replay';
+        this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+        this.extractor = options.extractor || null;   // overrides the dataset's extractor
+        this.provider = options.provider || null;
+        this.model = options.model || null;
+        this.domain = options.domain || null;
+        this.dataset = options.dataset || null;
+
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Benchmark mode must be one of: ${MODES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Labeled datasets, filtered by --domain and --dataset
+     */
+    async loadDatasets() {
+        const datasets = [];
+        if (!(await fs.pathExists(this.groundTruthDir))) return datasets;
+
+        const addFile = async (file, directoryDomain) => {
+            const data = await fs.readJson(file);
+            const cases = data.cases || data.conversations || [];
+            datasets.push({
+                name: data.name || path.basename(file, '.json'),
+                domain: data.domain || directoryDomain || 'construction',
+                extractor: data.extractor || null,
+                communicationType: data.communicationType || 'sms',
+                file: path.relative(process.cwd(), file),
+                cases
+            });
+        };
+
+        for (const entry of (await fs.readdir(this.groundTruthDir)).sort()) {
+            const entryPath = path.join(this.groundTruthDir, entry);
+            const stats = await fs.stat(entryPath);
+
+            if (stats.isDirectory()) {
+                for (const file of (await fs.readdir(entryPath)).sort()) {
+                    if (file.endsWith('.json')) await addFile(path.join(entryPath, file), entry);
+                }
+            } else if (entry.endsWith('.json')) {
+                await addFile(entryPath, null);
+            }
+        }
+
+        return datasets.filter(dataset =>
+            (!this.domain || dataset.domain === this.domain) &&
+            (!this.dataset || dataset.name === this.dataset)
+        );
+    }
+
+    /**
+     * An LLM client whose response cache is the fixture directory: replayed
+     * only, recorded into, or not used at all
+     */
+    createClient() {
+        if (this.mode === 'live') {
+            return new LLMClient();
+        }
+
+        return new LLMClient({
+            responseCache: new LLMResponseCache({
+                mode: this.mode === 'replay' ? 'replay' : 'readwrite',
+                cacheDir: this.fixturesDir,
+                // Recorded responses never expire or get evicted
+                ttl: 0,
+                maxEntries: Infinity,
+                maxBytes: Infinity
+            })
+        });
+    }
+
+    createExtractor(type, domain, llmClient) {
+        const create = EXTRACTORS[type];
+        if (!create) {
+            throw new Error(`Unknown extractor: ${type} (available: ${Object.keys(EXTRACTORS).join(', ')})`);
+        }
+
+        const options = { llmClient, domain };
+        if (this.provider) options.provider = this.provider;
+        if (this.model) options.model = this.model;
+        // A replay miss will not be served by trying again
+        if (this.mode === 'replay') options.maxRetries = 1;
+
+        return create(options);
+    }
+
+    async extract(extractor, type, testCase, dataset) {
+        const communicationType = testCase.communicationType || testCase.type || dataset.communicationType;
+
+        if (type === 'enhanced') {
+            return extractor.extractEntitiesAndRelationships(testCase.text, {
+                communicationType,
+                domain: dataset.domain
+            });
+        }
+        return extractor.extractEntities(testCase.text, { communicationType });
+    }
+
+    async runDataset(dataset, llmClient) {
+        const type = this.extractor || dataset.extractor || DEFAULT_EXTRACTORS[dataset.domain] || 'enhanced';
+        const extractor = this.createExtractor(type, dataset.domain, llmClient);
+        const scoresRelationships = dataset.cases.some(testCase => Array.isArray(testCase.relationships));
+
+        const entityCounts = {};
+        const relationshipCounts = {};
+        const prompts = new Set();
+        const cases = [];
+
+        console.log(chalk.blue(`\n📚 ${dataset.name} (${dataset.domain}, ${dataset.cases.length} cases, ${type} extractor)`));
+
+        for (const testCase of dataset.cases) {
+            const spinner = ora(`Extracting ${testCase.id}...`).start();
+
+            try {
+                const extracted = await this.extract(extractor, type, testCase, dataset);
+                const entities = matchEntities(testCase.entities, extracted.entities, { threshold: this.threshold });
+                addCounts(entityCounts, entities.byType);
+
+                const caseResult = { id: testCase.id, entities };
+                if (scoresRelationships) {
+                    const relationships = matchRelationships(testCase.relationships || [], extracted.relationships || [], { threshold: this.threshold });
+                    addCounts(relationshipCounts, relationships.byType);
+                    caseResult.relationships = relationships;
+                }
+
+                const { promptId, promptVersion } = extracted.metadata || {};
+                if (promptId) {
+                    caseResult.prompt = `${promptId}@${promptVersion}`;
+                    prompts.add(caseResult.prompt);
+                }
+
+                cases.push(caseResult);
+                const { overall } = summarizeCounts(entities.byType);
+                spinner.succeed(`${testCase.id}: entity F1 ${(overall.f1 * 100).toFixed(1)}%`);
+            } catch (error) {
+                cases.push({ id: testCase.id, error: error.message });
+                spinner.fail(`${testCase.id}: ${error.message}`);
+            }
+        }
+
+        return {
+            name: dataset.name,
+            domain: dataset.domain,
+            file: dataset.file,
+            extractor: type,
+            provider: extractor.provider || 'ollama',
+            model: extractor.model,
+            prompts: [...prompts].sort(),
+            cases: dataset.cases.length,
+            failures: cases.filter(result => result.error).length,
+            entities: summarizeCounts(entityCounts),
+            relationships: scoresRelationships ? summarizeCounts(relationshipCounts) : null,
+            results: cases
+        };
+    }
+
+    async run() {
+        const datasets = await this.loadDatasets();
+        if (datasets.length === 0) {
+            throw new Error(`No labeled datasets found in ${this.groundTruthDir}`);
+        }
+
+        console.log(chalk.blue.bold(`\n🎯 Extraction Benchmark (${this.mode} mode, match threshold ${this.threshold})`));
+
+        const llmClient = this.createClient();
+        const startTime = Date.now();
+        const results = [];
+        for (const dataset of datasets) {
+            results.push(await this.runDataset(dataset, llmClient));
+        }
+
+        const entityCounts = {};
+        const relationshipCounts = {};
+        for (const result of results) {
+            addCounts(entityCounts, this.countsOf(result.entities));
+            if (result.relationships) addCounts(relationshipCounts, this.countsOf(result.relationships));
+        }
+
+        return {
+            benchmark: 'entity-extraction',
+            runAt: new Date().toISOString(),
+            duration: Date.now() - startTime,
+            mode: this.mode,
+            threshold: this.threshold,
+            summary: {
+                entities: summarizeCounts(entityCounts),
+                relationships: Object.keys(relationshipCounts).length > 0 ? summarizeCounts(relationshipCounts) : null
+            },
+            datasets: results
+        };
+    }
+
+    countsOf(metrics) {
+        return Object.fromEntries(Object.entries(metrics.byType)
+            .map(([type, { tp, fp, fn }]) => [type, { tp, fp, fn }]));
+    }
+
+    async saveResults(results, outputPath = null) {
+        const file = outputPath || path.join(this.resultsDir, `benchmark-${results.runAt.replace(/[:.]/g, '-')}.json`);
+        await fs.ensureDir(path.dirname(file));
+        await fs.writeJson(file, results, { spaces: 2 });
+        console.log(chalk.green(`\n💾 Results saved to ${path.relative(process.cwd(), file)}`));
+        return file;
+    }
+
+    printReport(results) {
+        console.log('\n' + chalk.blue.bold('📊 Benchmark Results'));
+        console.log('='.repeat(72));
+
+        const printMetrics = (title, metrics) => {
+            console.log(chalk.cyan(`\n  ${title}`));
+            console.log(chalk.gray(`  ${'Type'.padEnd(22)}${'TP'.padStart(5)}${'FP'.padStart(5)}${'FN'.padStart(5)}${'Precision'.padStart(12)}${'Recall'.padStart(9)}${'F1'.padStart(8)}`));
+            const row = (label, m) => `  ${label.padEnd(22)}${String(m.tp).padStart(5)}${String(m.fp).padStart(5)}${String(m.fn).padStart(5)}` +
+                `${(m.precision * 100).toFixed(1).padStart(11)}%${(m.recall * 100).toFixed(1).padStart(8)}%${(m.f1 * 100).toFixed(1).padStart(7)}%`;
+
+            for (const [type, m] of Object.entries(metrics.byType)) {
+                console.log(row(type, m));
+            }
+            console.log(chalk.white(row('overall (micro)', metrics.overall)));
+            console.log(chalk.white(`  macro F1: ${(metrics.macroF1 * 100).toFixed(1)}%`));
+        };
+
+        for (const dataset of results.datasets) {
+            console.log(chalk.blue(`\n${dataset.name} (${dataset.domain}) - ${dataset.extractor} ${dataset.provider}:${dataset.model}`));
+            console.log(`  Cases: ${dataset.cases - dataset.failures}/${dataset.cases}${dataset.prompts.length ? `  Prompts: ${dataset.prompts.join(', ')}` : ''}`);
+            printMetrics('Entities', dataset.entities);
+            if (dataset.relationships) printMetrics('Relationships', dataset.relationships);
+
+            for (const result of dataset.results.filter(r => r.error)) {
+                console.log(chalk.red(`  ❌ ${result.id}: ${result.error}`));
+            }
+        }
+
+        const { entities, relationships } = results.summary;
+        console.log(chalk.blue.bold(`\n🏁 Overall entity F1: ${(entities.overall.f1 * 100).toFixed(1)}%` +
+            (relationships ? `, relationship F1: ${(relationships.overall.f1 * 100).toFixed(1)}%` : '')));
+    }
+
+    /**
+     * F1 changes from run `before` to run `after`, per dataset and type
+     */
+    static compare(before, after) {
+        const delta = (a, b) => ({
+            before: a?.f1 ?? null,
+            after: b?.f1 ?? null,
+            change: a && b ? Math.round((b.f1 - a.f1) * 10000) / 10000 : null
+        });
+        const compareMetrics = (a, b) => {
+            if (!a && !b) return null;
+            const types = [...new Set([...Object.keys(a?.byType || {}), ...Object.keys(b?.byType || {})])].sort();
+            return {
+                overall: delta(a?.overall, b?.overall),
+                byType: Object.fromEntries(types.map(type => [type, delta(a?.byType[type], b?.byType[type])]))
+            };
+        };
+
+        const names = [...new Set([...before.datasets, ...after.datasets].map(dataset => dataset.name))];
+        return {
+            before: before.runAt,
+            after: after.runAt,
+            summary: {
+                entities: compareMetrics(before.summary.entities, after.summary.entities),
+                relationships: compareMetrics(before.summary.relationships, after.summary.relationships)
+            },
+            datasets: names.map(name => {
+                const a = before.datasets.find(dataset => dataset.name === name);
+                const b = after.datasets.find(dataset => dataset.name === name);
+                return {
+                    name,
+                    prompts: { before: a?.prompts || [], after: b?.prompts || [] },
+                    entities: compareMetrics(a?.entities, b?.entities),
+                    relationships: compareMetrics(a?.relationships, b?.relationships)
+                };
+            })
+        };
+    }
+
+    static printComparison(comparison) {
+        console.log(chalk.blue.bold(`\n🔀 Benchmark comparison: ${comparison.before} → ${comparison.after}`));
+
+        const format = value => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+        const printDelta = (label, d) => {
+            const change = d.change === null ? chalk.gray('   n/a') :
+                d.change > 0 ? chalk.green(`+${(d.change * 100).toFixed(1)}`) :
+                d.change < 0 ? chalk.red((d.change * 100).toFixed(1)) : chalk.gray('  0.0');
+            console.log(`    ${label.padEnd(22)}${format(d.before)} → ${format(d.after)}  ${change}`);
+        };
+        const printMetrics = (title, metrics) => {
+            if (!metrics) return;
+            console.log(chalk.cyan(`  ${title} F1`));
+            printDelta('overall', metrics.overall);
+            Object.entries(metrics.byType).forEach(([type, d]) => printDelta(type, d));
+        };
+
+        for (const dataset of comparison.datasets) {
+            console.log(chalk.blue(`\n${dataset.name}`));
+            if (dataset.prompts.before.join() !== dataset.prompts.after.join()) {
+                console.log(chalk.gray(`  Prompts: ${dataset.prompts.before.join(', ') || '-'} → ${dataset.prompts.after.join(', ') || '-'}`));
+            }
+            printMetrics('Entity', dataset.entities);
+            printMetrics('Relationship', dataset.relationships);
+        }
+    }
+}
+
+function parseArgs(args) {
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--domain':
+                options.domain = args[++i];
+                break;
+            case '--dataset':
+                options.dataset = args[++i];
+                break;
+            case '--extractor':
+                options.extractor = args[++i];
+                break;
+            case '--provider':
+                options.provider = args[++i];
+                break;
+            case '--model':
+                options.model = args[++i];
+                break;
+            case '--threshold':
+                options.threshold = parseFloat(args[++i]);
+                break;
+            case '--record':
+                options.mode = 'record';
+                break;
+            case '--live':
+                options.mode = 'live';
+                break;
+            case '--fixtures':
+                options.fixturesDir = path.resolve(args[++i]);
+                break;
+            case '--output':
+                options.output = path.resolve(args[++i]);
+                break;
+            case '--compare':
+                options.compare = [args[++i], args[++i]];
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(chalk.blue.bold('🎯 Extraction Benchmark'));
+        console.log(chalk.white('\nUsage: node evaluation/benchmark.js [options]'));
+        console.log(chalk.white('\nOptions:'));
+        console.log(chalk.white('  --domain <domain>        Only datasets of this domain'));
+        console.log(chalk.white('  --dataset <name>         Only this dataset'));
+        console.log(chalk.white(`  --extractor <type>       ${Object.keys(EXTRACTORS).join(', ')} (default: per dataset/domain)`));
+        console.log(chalk.white('  --provider <name>        Provider for the extractor'));
+        console.log(chalk.white('  --model <name>           Model for the extractor'));
+        console.log(chalk.white(`  --threshold <0-1>        Name similarity needed to match (default: ${DEFAULT_THRESHOLD})`));
+        console.log(chalk.white('  --record                 Call the provider and record its responses as fixtures'));
+        console.log(chalk.white('  --live                   Call the provider without fixtures'));
+        console.log(chalk.white('  --fixtures <dir>         Recorded responses (default: evaluation/fixtures/llm-responses)'));
+        console.log(chalk.white('  --output <file>          Results file (default: evaluation/results/benchmark-<time>.json)'));
+        console.log(chalk.white('  --compare <a> <b>        Compare two results files'));
+        console.log(chalk.white('\nExamples:'));
+        console.log(chalk.gray('  node evaluation/benchmark.js'));
+        console.log(chalk.gray('  PROMPT_VERSIONS=relationship-extraction=1 node evaluation/benchmark.js --record --domain construction'));
+        console.log(chalk.gray('  node evaluation/benchmark.js --compare evaluation/results/a.json evaluation/results/b.json'));
+        return;
+    }
+
+    if (options.compare) {
+        const [before, after] = await Promise.all(options.compare.map(file => fs.readJson(file)));
+        ExtractionBenchmark.printComparison(ExtractionBenchmark.compare(before, after));
+        return;
+    }
+
+    const benchmark = new ExtractionBenchmark(options);
+    const results = await benchmark.run();
+    benchmark.printReport(results);
+    await benchmark.saveResults(results, options.output);
+
+    if (results.datasets.some(dataset => dataset.failures > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(chalk.red('💥 Benchmark failed:'), error.message);
+        process.exit(1);
+    });
+}
+
+export { ExtractionBenchmark };
+export default ExtractionBenchmark;
@@ -0,0 +1,264 @@
+/**
+ * Entity and relationship matching for extraction benchmarks
+ *
+ * Extracted entities are aligned one-to-one with labeled ones of the same
+ * type by fuzzy name similarity ("Mike" matches "Mike Johnson", "foundation
+ * work" matches "Foundation works"); costs match on amount. Relationships
+ * match when their types are equal and both endpoints align. Counts of
+ * true positives, false positives and false negatives per type give
+ * precision, recall and F1.
+ */
+
+// Fields naming an entity, in order of preference, per extraction collection
+const LABEL_FIELDS = {
+    people: ['name'],
+    projects: ['name'],
+    decisions: ['description', 'type'],
+    timeline: ['event'],
+    locations: ['name'],
+    materials: ['name'],
+    costs: ['description', 'category'],
+    issues: ['description'],
+    tasks: ['description'],
+    documents: ['name']
+};
+const DEFAULT_LABEL_FIELDS = ['name', 'description', 'event', 'title', 'type'];
+
+export const DEFAULT_THRESHOLD = 0.6;
+const AMOUNT_TOLERANCE = 0.1;
+
+export function normalizeText(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\b(the|a|an)\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function bigrams(text) {
+    const compact = text.replace(/\s+/g, ' ');
+    const pairs = [];
+    for (let i = 0; i < compact.length - 1; i++) {
+        pairs.push(compact.slice(i, i + 2));
+    }
+    return pairs;
+}
+
+/**
+ * Similarity of two names in [0, 1]: 1 when equal after normalization,
+ * 0.9 when the words of one are all in the other, otherwise the Dice
+ * coefficient of their character bigrams
+ */
+export function textSimilarity(a, b) {
+    const left = normalizeText(a);
+    const right = normalizeText(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const leftWords = left.split(' ');
+    const rightWords = right.split(' ');
+    const [shorter, longer] = leftWords.length <= rightWords.length ? [leftWords, rightWords] : [rightWords, leftWords];
+    if (shorter.every(word => longer.includes(word))) return 0.9;
+
+    const leftPairs = bigrams(left);
+    const rightPairs = bigrams(right);
+    if (leftPairs.length === 0 || rightPairs.length === 0) return 0;
+
+    const remaining = [...rightPairs];
+    let shared = 0;
+    for (const pair of leftPairs) {
+        const index = remaining.indexOf(pair);
+        if (index !== -1) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    }
+    return (2 * shared) / (leftPairs.length + rightPairs.length);
+}
+
+/**
+ * The field labeled entities of `type` are named by, e.g. "name" for people
+ */
+export function entityLabelField(type) {
+    return (LABEL_FIELDS[type] || DEFAULT_LABEL_FIELDS)[0];
+}
+
+/**
+ * The text an entity is known by, e.g. a person's name or a task's description
+ */
+export function entityLabel(entity, type) {
+    if (!entity || typeof entity !== 'object') return String(entity ?? '');
+
+    for (const field of LABEL_FIELDS[type] || DEFAULT_LABEL_FIELDS) {
+        if (entity[field] !== undefined && entity[field] !== null && entity[field] !== '') {
+            return String(entity[field]);
+        }
+    }
+    if (type === 'costs' && entity.amount !== undefined) return `$${entity.amount}`;
+    return '';
+}
+
+/**
+ * Similarity of two entities of `type`; costs with amounts compare those
+ */
+export function entitySimilarity(expected, extracted, type) {
+    if (type === 'costs' && typeof expected?.amount === 'number' && typeof extracted?.amount === 'number') {
+        const tolerance = Math.abs(expected.amount) * AMOUNT_TOLERANCE;
+        return Math.abs(expected.amount - extracted.amount) <= tolerance ? 1 : 0;
+    }
+    return textSimilarity(entityLabel(expected, type), entityLabel(extracted, type));
+}
+
+/**
+ * Pair expected with extracted items one-to-one, best scores first.
+ * Returns { matches: [{ expected, extracted, score }], missed, spurious }.
+ */
+export function alignItems(expected, extracted, similarity, threshold = DEFAULT_THRESHOLD) {
+    const candidates = [];
+    expected.forEach((expectedItem, i) => {
+        extracted.forEach((extractedItem, j) => {
+            const score = similarity(expectedItem, extractedItem);
+            if (score >= threshold) candidates.push({ i, j, score });
+        });
+    });
+    // Ties keep label order so runs are reproducible
+    candidates.sort((a, b) => b.score - a.score || a.i - b.i || a.j - b.j);
+
+    const usedExpected = new Set();
+    const usedExtracted = new Set();
+    const matches = [];
+    for (const { i, j, score } of candidates) {
+        if (usedExpected.has(i) || usedExtracted.has(j)) continue;
+        usedExpected.add(i);
+        usedExtracted.add(j);
+        matches.push({ expected: expected[i], extracted: extracted[j], score });
+    }
+
+    return {
+        matches,
+        missed: expected.filter((item, i) => !usedExpected.has(i)),
+        spurious: extracted.filter((item, j) => !usedExtracted.has(j))
+    };
+}
+
+/**
+ * Match extracted entities ({ people: [...], ... }) against labeled ones.
+ * Returns { byType: { <type>: { tp, fp, fn } }, missed, spurious } with
+ * missed and spurious as "<type>: <label>" strings.
+ */
+export function matchEntities(expectedEntities = {}, extractedEntities = {}, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const types = [...new Set([...Object.keys(expectedEntities), ...Object.keys(extractedEntities)])]
+        .filter(type => Array.isArray(expectedEntities[type]) || Array.isArray(extractedEntities[type]))
+        .sort();
+
+    const byType = {};
+    const missed = [];
+    const spurious = [];
+
+    for (const type of types) {
+        const expected = Array.isArray(expectedEntities[type]) ? expectedEntities[type] : [];
+        const extracted = Array.isArray(extractedEntities[type]) ? extractedEntities[type] : [];
+        if (expected.length === 0 && extracted.length === 0) continue;
+
+        const alignment = alignItems(expected, extracted, (a, b) => entitySimilarity(a, b, type), threshold);
+        byType[type] = { tp: alignment.matches.length, fp: alignment.spurious.length, fn: alignment.missed.length };
+        missed.push(...alignment.missed.map(entity => `${type}: ${entityLabel(entity, type)}`));
+        spurious.push(...alignment.spurious.map(entity => `${type}: ${entityLabel(entity, type)}`));
+    }
+
+    return { byType, missed, spurious };
+}
+
+function relationshipType(relationship) {
+    return String(relationship.type || relationship.relationship_type || '').toLowerCase();
+}
+
+function relationshipLabel(relationship) {
+    return `${relationship.source} -${relationshipType(relationship)}-> ${relationship.target}`;
+}
+
+/**
+ * Match extracted relationships ({ type, source, target }) against labeled
+ * ones: same type, and source and target names that align. Same result
+ * shape as matchEntities, by relationship type.
+ */
+export function matchRelationships(expected = [], extracted = [], { threshold = DEFAULT_THRESHOLD } = {}) {
+    const byType = {};
+    const missed = [];
+    const spurious = [];
+
+    const types = [...new Set([...expected, ...extracted].map(relationshipType))].sort();
+    for (const type of types) {
+        const expectedOfType = expected.filter(relationship => relationshipType(relationship) === type);
+        const extractedOfType = extracted.filter(relationship => relationshipType(relationship) === type);
+
+        const alignment = alignItems(expectedOfType, extractedOfType, (a, b) => Math.min(
+            textSimilarity(a.source, b.source),
+            textSimilarity(a.target, b.target)
+        ), threshold);
+        byType[type] = { tp: alignment.matches.length, fp: alignment.spurious.length, fn: alignment.missed.length };
+        missed.push(...alignment.missed.map(relationshipLabel));
+        spurious.push(...alignment.spurious.map(relationshipLabel));
+    }
+
+    return { byType, missed, spurious };
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Precision, recall and F1 from counts (0 where undefined)
+ */
+export function scoreCounts({ tp = 0, fp = 0, fn = 0 }) {
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    return { tp, fp, fn, precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+/**
+ * Add per-type counts (from several cases) together
+ */
+export function addCounts(total, byType) {
+    for (const [type, counts] of Object.entries(byType)) {
+        const sum = total[type] || (total[type] = { tp: 0, fp: 0, fn: 0 });
+        sum.tp += counts.tp;
+        sum.fp += counts.fp;
+        sum.fn += counts.fn;
+    }
+    return total;
+}
+
+/**
+ * Metrics for per-type counts: { overall (micro-averaged), macroF1, byType }
+ */
+export function summarizeCounts(countsByType) {
+    const types = Object.keys(countsByType).sort();
+    const overall = scoreCounts(types.reduce((sum, type) => ({
+        tp: sum.tp + countsByType[type].tp,
+        fp: sum.fp + countsByType[type].fp,
+        fn: sum.fn + countsByType[type].fn
+    }), { tp: 0, fp: 0, fn: 0 }));
+
+    const byType = Object.fromEntries(types.map(type => [type, scoreCounts(countsByType[type])]));
+    const macroF1 = types.length > 0 ? round(types.reduce((sum, type) => sum + byType[type].f1, 0) / types.length) : 0;
+
+    return { overall, macroF1, byType };
+}
+
+export default {
+    normalizeText,
+    textSimilarity,
+    entityLabelField,
+    entityLabel,
+    entitySimilarity,
+    alignItems,
+    matchEntities,
+    matchRelationships,
+    scoreCounts,
+    addCounts,
+    summarizeCounts
+};
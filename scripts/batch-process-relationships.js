@@ -32,6 +32,10 @@ function printUsage() {
   console.log('  --max-cost <amount>   Maximum cost per batch in USD (default: 1.0)');
   console.log('  --help                Show this help message');
   console.log('');
+  console.log('Documents are processed as jobs in the "relationships" queue, so an');
+  console.log('interrupted run continues where it stopped. Check progress with');
+  console.log('npm run jobs -- status relationships');
+  console.log('');
   console.log('Examples:');
   console.log('  node batch-process-relationships.js --domain cybersec --dry-run');
   console.log('  node batch-process-relationships.js --domain construction --batch-size 3');
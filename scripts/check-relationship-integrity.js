@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Relationship Integrity Check
+ *
+ * Reports (and with --fix repairs) orphaned edges, missing or stale inverse
+ * edges and cardinality violations in a domain's stored relationships
+ * Usage: node scripts/check-relationship-integrity.js [options]
+ */
+
+import path from 'path';
+import { MultiDomainDiffMem } from '../src/diffmem/multi-domain-diffmem.js';
+import { RelationshipIntegrityChecker } from '../src/relationships/relationship-integrity.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  // Parse command line arguments
+  let domain = null;
+  let fix = false;
+  let json = false;
+  let dataPath = path.join(process.cwd(), 'data');
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    switch (arg) {
+      case '--domain':
+        domain = args[i + 1];
+        i++;
+        break;
+      case '--data':
+        dataPath = path.resolve(args[i + 1]);
+        i++;
+        break;
+      case '--fix':
+        fix = true;
+        break;
+      case '--json':
+        json = true;
+        break;
+      case '--help':
+        showHelp();
+        return;
+      default:
+        if (arg.startsWith('--')) {
+          console.error(`Unknown option: ${arg}`);
+          showHelp();
+          process.exit(1);
+        }
+    }
+  }
+
+  const diffMem = new MultiDomainDiffMem({ basePath: dataPath, domain: domain || 'default' });
+  const domains = domain ? [domain] : (await diffMem.listDomains()).map(d => d.name);
+  const reports = [];
+
+  for (const name of domains) {
+    const checker = new RelationshipIntegrityChecker({
+      storage: await diffMem.getStorage(name),
+      domain: name
+    });
+    reports.push(fix ? await checker.fix() : await checker.check());
+  }
+
+  if (json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(report => printReport(report, fix));
+  }
+
+  const remaining = reports.reduce((sum, report) => sum + (fix ? 0 : report.issueCount), 0);
+  if (remaining > 0) {
+    process.exitCode = 1;
+  }
+}
+
+function printReport(report, fix) {
+  console.log(`\n🔗 Relationship integrity: ${report.domain}`);
+  console.log('='.repeat(30 + report.domain.length));
+  console.log(`Records: ${report.recordCount}`);
+  console.log(`Relationships: ${report.relationshipCount}`);
+  console.log('');
+
+  const sections = [
+    ['orphanedEdges', 'Orphaned edges (target missing)', e => `${e.recordId} -${e.type}-> ${e.target}`],
+    ['missingInverses', 'Missing inverse edges', e => `${e.recordId} -${e.type}-> ${e.target} (no ${e.inverseType} back)`],
+    ['staleInverses', 'Stale inverse edges', e => `${e.recordId} -${e.type}-> ${e.target} (no ${e.inverseOf} from target)`],
+    ['cardinalityViolations', 'Cardinality violations', v => `${v.type} (${v.cardinality}): ${v.edges.length} edges at ${v.side} ${v.entityId}`]
+  ];
+
+  for (const [key, title, format] of sections) {
+    const items = report[key];
+    const fixedNote = fix ? ` — fixed ${report.fixed[key]}` : '';
+    console.log(`${items.length === 0 ? '✅' : '⚠️ '} ${title}: ${items.length}${fixedNote}`);
+    items.slice(0, 10).forEach(item => console.log(`   - ${format(item)}`));
+    if (items.length > 10) {
+      console.log(`   ... and ${items.length - 10} more`);
+    }
+  }
+
+  if (fix) {
+    console.log(`\n✨ Updated ${report.recordsUpdated} records`);
+  } else if (report.issueCount > 0) {
+    console.log('\n💡 Run with --fix to repair these issues.');
+  }
+}
+
+function showHelp() {
+  console.log(`
+🔗 Relationship Integrity Check
+
+USAGE:
+  node scripts/check-relationship-integrity.js [options]
+
+OPTIONS:
+  --domain <name>     Check one domain only (default: every domain)
+  --data <path>       Data directory (default: ./data)
+  --fix               Repair the issues found
+  --json              Print the reports as JSON
+  --help              Show this help message
+
+CHECKS:
+  - Orphaned edges: relationships whose target record no longer exists
+  - Missing inverses: A -manages-> B without B -managed_by-> A
+  - Stale inverses: inverse edges whose forward relationship is gone
+  - Cardinality: one-to-many types with several sources for one target,
+    many-to-one types with several targets for one source
+
+FIXES:
+  Orphaned and stale edges are removed, missing inverses are added, and
+  for cardinality violations the most confident relationship is kept.
+  Exits with status 1 when issues are found and --fix was not given.
+`);
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('Script failed:', error);
+    process.exit(1);
+  });
+}
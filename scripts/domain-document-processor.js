@@ -7,12 +7,20 @@ import { MultiDomainDiffMem } from '../src/diffmem/multi-domain-diffmem.js';
 import { LLMClient } from '../src/utils/llm-client.js';
 import { CloudLLMExtractor } from '../src/extractors/cloud-llm-extractor.js';
 import { CybersecLLMExtractor } from '../src/extractors/cybersec-llm-extractor.js';
+import { ChunkedExtractor } from '../src/pipeline/document-chunker.js';
+import { JobQueue, JobWorker } from '../src/pipeline/job-queue.js';
+import { fingerprintFile } from '../src/pipeline/ingest-service.js';
+
+const EXTRACTION_QUEUE = 'extraction';
+const EXTRACTION_JOB = 'extract-entities';
 
 /**
  * Domain Document Processor
  * 
  * Process documents with LLM entity extraction for specific domains
- * with cost tracking and throttling controls.
+ * with cost tracking and throttling controls. Documents are run as jobs
+ * in the durable 'extraction' queue, so an interrupted run continues
+ * where it stopped and failed documents are retried.
  */
 class DomainDocumentProcessor {
     constructor(options = {}) {
@@ -27,15 +35,24 @@ class DomainDocumentProcessor {
         if (this.domain === 'cybersec') {
             this.extractor = new CybersecLLMExtractor({ 
                 model: this.model,
-                provider: 'openai'
+                provider: 'openai',
+                domain: this.domain
             });
         } else {
             this.extractor = new CloudLLMExtractor({ 
                 model: this.model,
-                provider: 'openai'
+                provider: 'openai',
+                domain: this.domain
             });
         }
         
+        // Long documents are extracted in chunks and reconciled into one entity set
+        this.chunkedExtractor = new ChunkedExtractor(this.extractor, {
+            method: 'extractEntities',
+            maxChars: options.chunkMaxChars,
+            overlap: options.chunkOverlap
+        });
+        
         this.stats = {
             documentsProcessed: 0,
             documentsSkipped: 0,
@@ -74,62 +91,29 @@ class DomainDocumentProcessor {
             }
 
             console.log(chalk.green(`📄 Found ${allDocuments.length} documents`));
-            
-            // ✨ MAGIC: If limit is 1, try to find an unprocessed document
-            let documentsToProcess;
-            if (this.limit === 1 && allDocuments.length > 1) {
-                console.log(chalk.magenta('✨ MAGIC: Looking for unprocessed document...'));
-                
-                // Check which documents are already processed
-                const existingEntities = await this.diffmem.getAllEntities();
-                const processedPaths = new Set(existingEntities.map(e => e.metadata?.source).filter(Boolean));
-                
-                // Find first unprocessed document
-                const unprocessedDoc = allDocuments.find(doc => !processedPaths.has(doc.path));
-                
-                if (unprocessedDoc) {
-                    console.log(chalk.green(`🎯 Found unprocessed document: ${path.basename(unprocessedDoc.path)}`));
-                    documentsToProcess = [unprocessedDoc];
-                } else {
-                    console.log(chalk.yellow('⚠️  All documents already processed'));
-                    documentsToProcess = allDocuments.slice(0, 1); // Take first one anyway
-                }
-            } else {
-                // Normal behavior: take first N documents
-                documentsToProcess = allDocuments.slice(0, this.limit);
-            }
-            
-            const remaining = Math.max(0, allDocuments.length - documentsToProcess.length);
-            
-            if (remaining > 0) {
-                console.log(chalk.yellow(`⚡ Processing ${documentsToProcess.length} documents (${remaining} remaining for next batch)`));
-            }
-
-            console.log('');
 
-            // Process documents with LLM extraction
-            for (let i = 0; i < documentsToProcess.length; i++) {
-                const doc = documentsToProcess[i];
-                console.log(chalk.blue(`📖 Processing ${i + 1}/${documentsToProcess.length}: ${path.basename(doc.path)}`));
-                
-                if (!this.dryRun) {
-                    const result = await this.processDocumentWithExtraction(doc);
-                    if (result?.skipped) {
-                        this.stats.documentsSkipped++;
-                    }
-                } else {
+            if (this.dryRun) {
+                const documentsToProcess = allDocuments.slice(0, this.limit);
+                console.log('');
+                for (let i = 0; i < documentsToProcess.length; i++) {
+                    const doc = documentsToProcess[i];
+                    console.log(chalk.blue(`📖 Processing ${i + 1}/${documentsToProcess.length}: ${path.basename(doc.path)}`));
                     console.log(chalk.gray(`   Would extract entities from: ${doc.path}`));
                     console.log(chalk.gray(`   Estimated cost: $0.01-0.04`));
+                    console.log('');
                 }
-                
-                console.log('');
+                this.stats.processingTime = Date.now() - startTime;
+                this.printSummary();
+                return;
             }
 
+            const remaining = await this.processQueued(allDocuments);
+
             this.stats.processingTime = Date.now() - startTime;
             this.printSummary();
             
             // ✨ MAGIC: If limit is 1, show the request/response details
-            if (this.limit === 1 && !this.dryRun) {
+            if (this.limit === 1) {
                 if (this.stats.documentsProcessed === 1) {
                     // Show details of the document we just processed
                     await this.showLastRequestDetails();
@@ -151,6 +135,87 @@ class DomainDocumentProcessor {
         }
     }
 
+    /**
+     * Submit a job per document to the durable 'extraction' queue and run up
+     * to `limit` of this domain's jobs, including ones left queued or failed
+     * by earlier runs. Documents already in the datastore are not submitted;
+     * job keys include the file's content hash, so an edited file is queued
+     * again.
+     * Returns the number of jobs still pending.
+     */
+    async processQueued(allDocuments) {
+        const queue = new JobQueue(EXTRACTION_QUEUE);
+        const forDomain = job => job.payload.domain === this.domain;
+
+        // Check which documents are already processed
+        const existingEntities = await this.diffmem.getAllEntities();
+        const processedPaths = new Set(existingEntities.map(e => e.metadata?.source).filter(Boolean));
+
+        let submitted = 0;
+        for (const doc of allDocuments) {
+            if (processedPaths.has(doc.path)) {
+                this.stats.documentsSkipped++;
+                continue;
+            }
+            const fingerprint = await fingerprintFile(doc.path);
+            const { created } = await queue.submit(EXTRACTION_JOB, {
+                domain: this.domain,
+                path: doc.path,
+                name: doc.name,
+                size: doc.size,
+                fingerprint
+            }, { key: `${this.domain}:${path.resolve(doc.path)}:${fingerprint}` });
+            if (created) submitted++;
+        }
+
+        const before = await queue.stats({ filter: forDomain });
+        if (this.stats.documentsSkipped > 0) {
+            console.log(chalk.gray(`⏭️  ${this.stats.documentsSkipped} documents already in the ${this.domain} datastore`));
+        }
+        console.log(chalk.gray(`📋 Queue "${queue.name}": ${submitted} new jobs, ${before.pending} pending, ${before.counts.dead} dead`));
+        if (before.pending > this.limit) {
+            console.log(chalk.yellow(`⚡ Processing ${this.limit} documents (${before.pending - this.limit} remaining for next batch)`));
+        }
+        if (before.paused) {
+            console.log(chalk.yellow(`⏸️  Queue is paused; resume it with: npm run jobs -- resume ${queue.name}`));
+        }
+        console.log('');
+
+        const worker = new JobWorker(queue, {
+            [EXTRACTION_JOB]: async (payload) => {
+                const result = await this.processDocumentWithExtraction(payload);
+                if (result?.skipped) {
+                    this.stats.documentsSkipped++;
+                }
+                console.log('');
+                return result;
+            }
+        }, { maxJobs: this.limit, filter: forDomain });
+
+        let started = 0;
+        worker.on('job-started', job => {
+            started++;
+            console.log(chalk.blue(`📖 Processing ${started}/${Math.min(this.limit, before.pending)}: ${path.basename(job.payload.path)}${job.attempts > 1 ? ` (attempt ${job.attempts}/${job.maxAttempts})` : ''}`));
+        });
+        worker.on('job-failed', job => {
+            this.stats.errors++;
+            console.log(chalk.gray(job.status === 'dead'
+                ? '   Moved to dead letter (npm run jobs -- retry extraction --dead)'
+                : `   Will retry after ${job.runAfter}`));
+            console.log('');
+        });
+        worker.on('job-released', (job, reason) => {
+            console.log(chalk.yellow(`   ↩️  ${path.basename(job.payload.path)} back in queue: ${reason}`));
+        });
+
+        const summary = await worker.run();
+        if (summary.stopReason === 'paused' || summary.stopReason === 'budget') {
+            console.log(chalk.yellow(`⏸️  Stopped: ${summary.stopReason === 'paused' ? 'queue paused' : 'budget exhausted'}`));
+        }
+
+        return (await queue.stats({ filter: forDomain })).pending;
+    }
+
     async findDocuments(inputPath) {
         const documents = [];
         
@@ -230,7 +295,7 @@ class DomainDocumentProcessor {
             console.log(chalk.blue('   🤖 Extracting entities...'));
             const startTime = Date.now();
             
-            const extractionResult = await this.extractor.extractEntities(content, {
+            const extractionResult = await this.chunkedExtractor.extract(content, {
                 communicationType: 'document',
                 context: `Cybersecurity document: ${path.basename(document.path)}`,
                 source: document.path
@@ -284,12 +349,12 @@ class DomainDocumentProcessor {
             } else {
                 console.error(chalk.red(`   ❌ Extraction failed: No entities returned`));
                 console.log('   Debug - extractionResult:', extractionResult);
-                this.stats.errors++;
+                throw new Error('No entities returned');
             }
             
         } catch (error) {
             console.error(chalk.red(`   ❌ Error processing document: ${error.message}`));
-            this.stats.errors++;
+            throw error;
         }
     }
 
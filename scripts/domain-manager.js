@@ -28,6 +28,7 @@ class DomainManager {
         for (const domain of domains) {
             console.log(chalk.white.bold(`🏷️  ${domain.name}`));
             console.log(chalk.gray(`   Created: ${new Date(domain.created).toLocaleString()}`));
+            console.log(chalk.gray(`   Storage: ${domain.storageAdapter || 'file'}`));
             console.log(chalk.gray(`   Entities: ${domain.actualEntityCount || 0}`));
             console.log(chalk.gray(`   Documents: ${domain.processingStats?.documentsProcessed || 0}`));
             console.log(chalk.gray(`   Total Cost: $${(domain.totalCost || 0).toFixed(4)}`));
@@ -61,6 +62,7 @@ class DomainManager {
         console.log(chalk.white(`Domain: ${stats.domain}`));
         console.log(chalk.white(`Created: ${new Date(stats.created).toLocaleString()}`));
         console.log(chalk.white(`Last Updated: ${new Date(stats.lastUpdated).toLocaleString()}`));
+        console.log(chalk.white(`Storage: ${stats.storageAdapter}`));
         console.log(chalk.white(`Entities: ${stats.actualEntityCount}`));
         console.log(chalk.white(`Documents: ${stats.processingStats?.documentsProcessed || 0}`));
         console.log(chalk.white(`Total Cost: $${(stats.totalCost || 0).toFixed(4)}`));
@@ -118,6 +120,23 @@ class DomainManager {
         }
     }
 
+    async migrateStorage(domainName, adapterType) {
+        console.log(chalk.blue.bold(`🗄️  Migrating storage for domain: ${domainName}\n`));
+        
+        const before = await this.diffmem.getDomainStats(domainName);
+        if (before.error) {
+            console.log(chalk.red(`❌ Error: ${before.error}`));
+            return;
+        }
+        
+        const result = await this.diffmem.migrateStorage(domainName, adapterType);
+        const after = await this.diffmem.getDomainStats(domainName);
+        
+        console.log(chalk.white(`Records moved: ${result.migrated}`));
+        console.log(chalk.white(`Storage: ${result.from} → ${after.storageAdapter}`));
+        console.log(chalk.white(`Entities in store: ${after.actualEntityCount}`));
+    }
+
     async migrateLegacyData() {
         console.log(chalk.blue.bold('🔄 Legacy Data Migration\n'));
         
@@ -218,6 +237,7 @@ class DomainManager {
         if (!(await fs.pathExists(entitiesPath))) return;
         
         const files = await fs.readdir(entitiesPath);
+        const targetStorage = await this.diffmem.getStorage(targetDomain);
         let migratedCount = 0;
         
         for (const file of files) {
@@ -233,19 +253,13 @@ class DomainManager {
                     entities: entityData.entities
                 };
                 if (filterFn(checkData)) {
-                    // Copy to target domain
-                    const targetPath = path.join(
-                        this.diffmem.getDomainPath(targetDomain), 
-                        'entities', 
-                        file
-                    );
-                    
                     // Add migration metadata
                     entityData.domain = targetDomain;
                     entityData.migratedFrom = legacyPath;
                     entityData.migrationTimestamp = new Date().toISOString();
                     
-                    await fs.writeJson(targetPath, entityData, { spaces: 2 });
+                    // Copy to target domain
+                    await targetStorage.store(entityData);
                     migratedCount++;
                 }
             } catch (error) {
@@ -310,6 +324,7 @@ async function main() {
         console.log(chalk.white('  --analyze <name>       Analyze a domain'));
         console.log(chalk.white('  --migrate-analyze      Analyze legacy data for migration'));
         console.log(chalk.white('  --migrate-auto         Perform automatic migration'));
+        console.log(chalk.white('  --storage <name> <adapter>  Move a domain to another storage adapter (file, sqlite)'));
         console.log(chalk.white('  --help, -h             Show this help'));
         return;
     }
@@ -337,6 +352,15 @@ async function main() {
             await manager.migrateLegacyData();
         } else if (args.includes('--migrate-auto')) {
             await manager.performAutoMigration();
+        } else if (args.includes('--storage')) {
+            const domainIndex = args.indexOf('--storage') + 1;
+            const domainName = args[domainIndex];
+            const adapterType = args[domainIndex + 1];
+            if (!domainName || !adapterType) {
+                console.error(chalk.red('❌ Domain name and adapter type are required (e.g. --storage cybersec sqlite)'));
+                return;
+            }
+            await manager.migrateStorage(domainName, adapterType);
         } else {
             console.error(chalk.red('❌ Unknown command. Use --help for usage information'));
         }
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+import path from 'path';
+import chalk from 'chalk';
+import { IngestService, loadIngestConfig } from '../src/pipeline/ingest-service.js';
+
+/**
+ * Ingest Daemon
+ *
+ * Runs the watched-folder ingest service (src/pipeline/ingest-service.js)
+ * on its own. To see progress in the web UI instead, start the viz server
+ * with INGEST_ENABLED=true (or --ingest), which runs the same service and
+ * reports it over socket.io.
+ *
+ * Usage:
+ * npm run ingest:watch
+ * npm run ingest:once
+ * node scripts/ingest-daemon.js --config ./config/ingest.json --domain construction=./inbox
+ */
+
+function printHelp() {
+    console.log(chalk.blue.bold('Ingest Daemon'));
+    console.log(chalk.white('\nUsage: node scripts/ingest-daemon.js [options]'));
+    console.log(chalk.white('\nOptions:'));
+    console.log(chalk.white('  --config <file>          Ingest configuration (default: INGEST_CONFIG or config/ingest.json)'));
+    console.log(chalk.white('  --domain <name>=<dir>    Watch a folder for a domain (repeatable, added to the config)'));
+    console.log(chalk.white('  --concurrency <n>        Files processed at once'));
+    console.log(chalk.white('  --once                   Ingest what is there now and exit'));
+    console.log(chalk.white('  --help, -h               Show this help'));
+}
+
+const PROGRESS_ICONS = {
+    queued: '📋',
+    started: '⚙️ ',
+    document: '📄',
+    completed: '✅',
+    failed: '❌',
+    deferred: '💳'
+};
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        printHelp();
+        return;
+    }
+
+    let configPath;
+    let concurrency;
+    const extraFolders = [];
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--config':
+                configPath = args[++i];
+                break;
+            case '--domain': {
+                const [domain, folder] = (args[++i] || '').split('=');
+                if (!domain || !folder) throw new Error('--domain expects <name>=<dir>');
+                extraFolders.push({ domain, folder: path.resolve(folder) });
+                break;
+            }
+            case '--concurrency':
+                concurrency = parseInt(args[++i], 10);
+                break;
+        }
+    }
+
+    const config = await loadIngestConfig(configPath);
+    for (const { domain, folder } of extraFolders) {
+        config.domains[domain] = config.domains[domain] || { folders: [] };
+        config.domains[domain].folders.push(folder);
+    }
+    if (concurrency) config.concurrency = concurrency;
+
+    const once = args.includes('--once');
+    if (once) config.scanIntervalSeconds = 0;
+
+    const service = new IngestService({ config });
+    service.on('progress', event => {
+        const icon = PROGRESS_ICONS[event.type];
+        if (!icon || event.type === 'completed' || event.type === 'started') return; // the service logs these itself
+        const detail = event.type === 'document' ? ` ${event.index}/${event.total} ${event.document}` : (event.error || event.reason ? ` ${event.error || event.reason}` : '');
+        console.log(chalk.gray(`${icon} ${event.type} ${path.basename(event.file)}${detail}`));
+    });
+
+    const shutdown = async () => {
+        console.log(chalk.yellow('\n🛑 Stopping ingest (waiting for files in progress)...'));
+        await service.stop();
+        printStats(service.getStats());
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    await service.start();
+
+    if (once) {
+        await service.whenIdle();
+        await service.stop();
+        printStats(service.getStats());
+    }
+}
+
+function printStats(stats) {
+    console.log(chalk.blue.bold('\n📊 Ingest Summary'));
+    console.log(chalk.cyan(`Files scanned: ${stats.scanned} (${stats.skipped} unchanged)`));
+    console.log(chalk.cyan(`Completed: ${stats.completed}, Failed: ${stats.failed}, Deferred: ${stats.deferred}`));
+    console.log(chalk.cyan(`Total Cost: $${stats.cost.toFixed(4)}`));
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(chalk.red('❌ Ingest daemon failed:'), error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import { JobQueue, getJobsOverview } from '../src/pipeline/job-queue.js';
+
+/**
+ * Jobs
+ *
+ * Shows and controls the durable job queues under data/jobs, which the
+ * batch scripts (process:domain, batch-process-relationships) submit their
+ * documents to. Queues: "extraction" and "relationships".
+ *
+ * Usage:
+ * npm run jobs
+ * npm run jobs -- list extraction --status failed
+ * npm run jobs -- pause relationships
+ */
+
+function printHelp() {
+    console.log(chalk.blue.bold('Job Queues'));
+    console.log(chalk.white('\nUsage: node scripts/jobs.js <command> [queue] [options]'));
+    console.log(chalk.white('\nCommands:'));
+    console.log(chalk.white('  status [queue]                   Job counts per state (default command)'));
+    console.log(chalk.white('  list <queue> [--status <state>]  Recent jobs (--limit <n>, default 20)'));
+    console.log(chalk.white('  show <queue> <job-id>            One job with its errors and result'));
+    console.log(chalk.white('  pause <queue>                    Stop workers claiming new jobs'));
+    console.log(chalk.white('  resume <queue>                   Let workers continue'));
+    console.log(chalk.white('  retry <queue> <job-id>|--dead    Queue failed or dead-lettered jobs again'));
+    console.log(chalk.white('  purge <queue> [--status <state>] Delete done (or dead) jobs'));
+    console.log(chalk.white('\nStates: queued, running, failed (retrying after backoff), done, dead'));
+}
+
+const STATE_COLORS = {
+    queued: chalk.white,
+    running: chalk.cyan,
+    failed: chalk.yellow,
+    done: chalk.green,
+    dead: chalk.red
+};
+
+function option(args, name) {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+}
+
+function requireQueue(name) {
+    if (!name) throw new Error('A queue name is required (see npm run jobs -- status)');
+    return new JobQueue(name);
+}
+
+function printQueue(queue) {
+    const counts = Object.entries(queue.counts)
+        .map(([state, count]) => STATE_COLORS[state](`${state} ${count}`))
+        .join(chalk.gray(', '));
+    console.log(`${chalk.bold(queue.name)}${queue.paused ? chalk.yellow(' (paused)') : ''}: ${counts}`);
+    if (queue.nextRetryAt) {
+        console.log(chalk.gray(`  next retry at ${queue.nextRetryAt}`));
+    }
+}
+
+function printJobLine(job) {
+    const color = STATE_COLORS[job.status] || chalk.white;
+    const label = job.payload?.name || job.payload?.path || job.key || '';
+    const error = job.lastError && job.status !== 'done' ? chalk.gray(` - ${job.lastError}`) : '';
+    console.log(`  ${color(job.status.padEnd(7))} ${job.id} ${chalk.white(label)} ${chalk.gray(`(${job.attempts}/${job.maxAttempts}, ${job.updatedAt})`)}${error}`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [command = 'status', queueName, jobId] = args;
+
+    if (args.includes('--help') || args.includes('-h') || command === 'help') {
+        printHelp();
+        return;
+    }
+
+    switch (command) {
+        case 'status': {
+            const queues = await getJobsOverview(undefined, { queue: queueName, limit: 0 });
+            if (queues.length === 0) {
+                console.log(chalk.yellow('⚠️  No job queues yet; batch scripts create them when they run'));
+                return;
+            }
+            console.log(chalk.blue.bold('📋 Job Queues'));
+            queues.forEach(printQueue);
+            break;
+        }
+
+        case 'list': {
+            const queue = requireQueue(queueName);
+            const status = option(args, '--status');
+            const limit = parseInt(option(args, '--limit') || '20', 10);
+            const jobs = await queue.list({ status, limit });
+            printQueue(await queue.stats());
+            jobs.forEach(printJobLine);
+            break;
+        }
+
+        case 'show': {
+            const queue = requireQueue(queueName);
+            const job = jobId && await queue.get(jobId);
+            if (!job) throw new Error(`Job not found: ${jobId}`);
+            console.log(JSON.stringify(job, null, 2));
+            break;
+        }
+
+        case 'pause':
+            await requireQueue(queueName).pause();
+            console.log(chalk.yellow(`⏸️  ${queueName} paused; the job in progress will finish`));
+            break;
+
+        case 'resume':
+            await requireQueue(queueName).resume();
+            console.log(chalk.green(`▶️  ${queueName} resumed; run the batch script again to continue`));
+            break;
+
+        case 'retry': {
+            const queue = requireQueue(queueName);
+            if (args.includes('--dead')) {
+                const count = await queue.retryDead();
+                console.log(chalk.green(`🔁 ${count} dead-lettered jobs queued again`));
+            } else {
+                if (!jobId) throw new Error('retry expects a job id or --dead');
+                await queue.retry(jobId);
+                console.log(chalk.green(`🔁 ${jobId} queued again`));
+            }
+            break;
+        }
+
+        case 'purge': {
+            const status = option(args, '--status') || 'done';
+            const count = await requireQueue(queueName).purge(status);
+            console.log(chalk.green(`🧹 Removed ${count} ${status} jobs from ${queueName}`));
+            break;
+        }
+
+        default:
+            console.error(chalk.red(`Unknown command: ${command}`));
+            printHelp();
+            process.exit(1);
+    }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(chalk.red('❌ Jobs command failed:'), error.message);
+        process.exit(1);
+    });
+}
@@ -6,6 +6,7 @@ import chalk from 'chalk';
 import { glob } from 'glob';
 import { ProductionExtractor } from '../src/extractors/production-extractor.js';
 import { MockDiffMem } from '../src/diffmem/mock-diffmem.js';
+import { readDocuments, isSupportedFile, SUPPORTED_EXTENSIONS } from '../src/sources/document-source.js';
 
 /**
  * Document Loader for Universal Knowledge System
@@ -13,8 +14,13 @@ import { MockDiffMem } from '../src/diffmem/mock-diffmem.js';
  * Supports multiple input types:
  * - Single text files (.txt, .md, .json)
  * - Multiple files in directories
- * - Email exports (.mbox, .eml, .txt)
- * - Research papers (.pdf - text extraction)
+ * - Email exports (.mbox, .eml) - one document per thread, with
+ *   From/To/Cc participants added as people
+ * - Chat exports (WhatsApp .txt, SMS/Signal backup .xml, Slack .json) -
+ *   one document per conversation window, with speakers added as people
+ * - PDF and Word documents (.pdf, .docx) - text with page and section
+ *   markers; scanned PDFs without a text layer need OCR first
+ * - Spreadsheets (.xlsx) - one document per sheet, one line per row
  * - Structured data (.json, .csv)
  * - Web content (.html)
  * 
@@ -27,7 +33,7 @@ class DocumentLoader {
     constructor() {
         this.extractor = new ProductionExtractor();
         this.diffmem = new MockDiffMem();
-        this.supportedExtensions = ['.txt', '.md', '.json', '.html', '.csv', '.eml', '.mbox'];
+        this.supportedExtensions = SUPPORTED_EXTENSIONS;
         this.stats = {
             filesProcessed: 0,
             entitiesExtracted: 0,
@@ -132,145 +138,86 @@ class DocumentLoader {
     }
 
     isSupportedFile(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
-        return this.supportedExtensions.includes(ext);
+        return isSupportedFile(filePath);
     }
 
     async processFile(filePath) {
         const fileName = path.basename(filePath);
-        const fileExt = path.extname(filePath).toLowerCase();
         
         console.log(chalk.cyan(`📄 Processing: ${fileName}`));
         
         try {
-            const content = await this.extractContent(filePath, fileExt);
+            const { format, description, documents } = await readDocuments(filePath);
             
-            if (!content || content.trim().length === 0) {
-                console.log(chalk.yellow(`  ⚠️  Empty or unreadable content`));
+            if (format !== 'file') {
+                const icon = { email: '📧', pdf: '📑', docx: '📑', xlsx: '📊' }[format] || '💬';
+                console.log(chalk.gray(`${icon} ${description}`));
+            }
+            if (documents.length === 0) {
+                if (format === 'file') console.log(chalk.yellow(`  ⚠️  Empty or unreadable content`));
                 return;
             }
 
-            // Extract entities from content
-            const result = await this.extractor.extractEntities(content, {
-                source: `document-loader:${fileName}`,
-                operation: 'bulk_document_processing',
-                reasoning: `Processing ${fileExt} document for universal knowledge extraction`,
-                could_use_local: content.length < 1000 // Simple heuristic
-            });
-
-            // Handle the result structure - entities is an object with categories
-            const entitiesObj = result.entities || {};
-            const costEstimate = result.metadata?.cost || 0;
-            const duration = result.metadata?.duration || 0;
-            
-            // Count total entities across all categories
-            let totalEntities = 0;
-            for (const category in entitiesObj) {
-                if (Array.isArray(entitiesObj[category])) {
-                    totalEntities += entitiesObj[category].length;
-                }
+            // Email threads, chat windows and sheets are stored one at a time
+            for (const document of documents) {
+                if (format !== 'file') console.log(chalk.gray(`  🧵 ${document.label}`));
+                await this.processContent(document.text, document.metadata, document);
             }
             
-            console.log(chalk.gray(`🔍 Found ${totalEntities} entities across ${Object.keys(entitiesObj).length} categories`));
-
-            // Store in DiffMem
-            const conversationId = `doc_${Date.now()}`;
-            await this.diffmem.storeEntities(conversationId, entitiesObj, {
-                messageId: fileName,
-                source: filePath,
-                timestamp: new Date().toISOString(),
-                documentType: fileExt,
-                contentLength: content.length
-            });
-
-            this.stats.filesProcessed++;
-            this.stats.entitiesExtracted += totalEntities;
-            this.stats.totalCost += costEstimate;
-
-            console.log(chalk.green(`  ✅ Extracted ${totalEntities} entities`));
-            console.log(chalk.white(`     Cost: $${costEstimate.toFixed(4)}, Duration: ${duration}ms`));
-            
         } catch (error) {
             this.stats.errors++;
             console.log(chalk.red(`  ❌ Error: ${error.message}`));
         }
     }
 
-    async extractContent(filePath, fileExt) {
-        switch (fileExt) {
-            case '.txt':
-            case '.md':
-                return await fs.readFile(filePath, 'utf8');
-                
-            case '.json':
-                const jsonData = await fs.readJson(filePath);
-                // Extract text content from JSON
-                return this.extractTextFromJson(jsonData);
-                
-            case '.html':
-                const htmlContent = await fs.readFile(filePath, 'utf8');
-                // Basic HTML tag removal
-                return htmlContent.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-                
-            case '.csv':
-                const csvContent = await fs.readFile(filePath, 'utf8');
-                // Convert CSV to readable text
-                return csvContent.replace(/,/g, ' | ').replace(/\n/g, '\n');
-                
-            case '.eml':
-            case '.mbox':
-                // Basic email content extraction
-                const emailContent = await fs.readFile(filePath, 'utf8');
-                return this.extractEmailContent(emailContent);
-                
-            default:
-                throw new Error(`Unsupported file type: ${fileExt}`);
-        }
-    }
+    /**
+     * Extract and store one document from readDocuments(); its
+     * communicationType and context go to the extractor and its merge()
+     * adds the entities known from the source (email headers, chat speakers)
+     */
+    async processContent(content, metadata, document = {}) {
+        const fileExt = metadata.documentType;
 
-    extractTextFromJson(obj, depth = 0) {
-        if (depth > 3) return ''; // Prevent deep recursion
-        
-        let text = '';
-        
-        if (typeof obj === 'string') {
-            text += obj + ' ';
-        } else if (typeof obj === 'object' && obj !== null) {
-            if (Array.isArray(obj)) {
-                for (const item of obj) {
-                    text += this.extractTextFromJson(item, depth + 1);
-                }
-            } else {
-                for (const [key, value] of Object.entries(obj)) {
-                    // Skip technical fields
-                    if (!['id', 'timestamp', 'metadata', '_id', 'created_at'].includes(key)) {
-                        text += this.extractTextFromJson(value, depth + 1);
-                    }
-                }
-            }
-        }
-        
-        return text;
-    }
+        // Extract entities from content
+        const result = await this.extractor.extractEntities(content, {
+            source: `document-loader:${path.basename(metadata.source)}`,
+            operation: 'bulk_document_processing',
+            reasoning: `Processing ${fileExt} document for universal knowledge extraction`,
+            could_use_local: content.length < 1000, // Simple heuristic
+            ...(document.communicationType && { communicationType: document.communicationType }),
+            ...(document.context && { context: document.context })
+        });
+
+        // Handle the result structure - entities is an object with categories
+        const entitiesObj = result.entities || {};
+        const costEstimate = result.metadata?.cost || 0;
+        const duration = result.metadata?.duration || 0;
 
-    extractEmailContent(emailText) {
-        // Extract subject and body from email
-        const lines = emailText.split('\n');
-        let inBody = false;
-        let content = '';
+        if (document.merge) {
+            document.merge(entitiesObj);
+        }
         
-        for (const line of lines) {
-            if (line.startsWith('Subject:')) {
-                content += line.replace('Subject:', '').trim() + '\n';
-            } else if (inBody || line.trim() === '') {
-                inBody = true;
-                if (!line.startsWith('>') && !line.startsWith('From:') && !line.startsWith('Date:')) {
-                    content += line + '\n';
-                }
+        // Count total entities across all categories
+        let totalEntities = 0;
+        for (const category in entitiesObj) {
+            if (Array.isArray(entitiesObj[category])) {
+                totalEntities += entitiesObj[category].length;
             }
         }
         
-        return content.trim();
+        console.log(chalk.gray(`🔍 Found ${totalEntities} entities across ${Object.keys(entitiesObj).length} categories`));
+
+        // Store in DiffMem
+        // Documents of one file are stored within the same millisecond
+        const conversationId = `doc_${Date.now()}_${this.stats.filesProcessed}`;
+        await this.diffmem.storeEntities(conversationId, entitiesObj, metadata);
+
+        this.stats.filesProcessed++;
+        this.stats.entitiesExtracted += totalEntities;
+        this.stats.totalCost += costEstimate;
+
+        console.log(chalk.green(`  ✅ Extracted ${totalEntities} entities`));
+        console.log(chalk.white(`     Cost: $${costEstimate.toFixed(4)}, Duration: ${duration}ms`));
     }
 
     printSupportedFormats() {
@@ -279,7 +226,9 @@ class DocumentLoader {
         console.log(chalk.white('  📊 Data: .json, .csv'));
         console.log(chalk.white('  🌐 Web: .html'));
         console.log(chalk.white('  📧 Email: .eml, .mbox'));
-        console.log(chalk.yellow('\n💡 Coming Soon: .pdf, .docx, .xlsx'));
+        console.log(chalk.white('  💬 Chat: WhatsApp .txt, SMS/Signal backup .xml, Slack export .json'));
+        console.log(chalk.white('  📑 Documents: .pdf, .docx (page and section references)'));
+        console.log(chalk.white('  📊 Spreadsheets: .xlsx (one record line per row)'));
     }
 
     printSummary() {
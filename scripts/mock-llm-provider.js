@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+import express from 'express';
+import chalk from 'chalk';
+
+/**
+ * Mock LLM Provider
+ *
+ * Local HTTP server speaking the OpenAI/OpenRouter, Anthropic and Ollama
+ * completion APIs, with injectable faults, for exercising LLMClient's
+ * retries, rate limits and circuit breakers without a real provider:
+ *
+ *   OPENAI_BASE_URL=http://localhost:4010/v1
+ *   OPENROUTER_BASE_URL=http://localhost:4010/v1
+ *   ANTHROPIC_BASE_URL=http://localhost:4010/v1
+ *   OLLAMA_BASE_URL=http://localhost:4010
+ *
+ * Requests with "stream": true are answered word by word, as server-sent
+ * events (OpenAI, Anthropic) or NDJSON (Ollama), --token-delay apart.
+ * Anthropic requests forcing a tool get the reply (parsed as JSON) back
+ * as that tool's input.
+ *
+ * Faults are queued with --fail/--status/--retry-after or at runtime:
+ *
+ *   POST /__mock/faults  { "status": 429, "count": 2, "retryAfter": 1 }
+ *   GET  /__mock/stats   requests served and faults returned
+ *   POST /__mock/reset   clear faults and counters
+ */
+class MockLLMProvider {
+    constructor(options = {}) {
+        this.reply = options.reply || null;
+        this.latency = options.latency || 0;
+        this.tokenDelay = options.tokenDelay || 0;
+        this.failRate = options.failRate || 0;
+        this.failStatus = options.status || 500;
+        this.faults = [];
+        this.stats = { requests: 0, faults: 0, byApi: {} };
+
+        if (options.fail) {
+            this.addFault({ status: this.failStatus, count: options.fail, retryAfter: options.retryAfter });
+        }
+
+        this.app = express();
+        this.app.use(express.json({ limit: '5mb' }));
+        this.setupRoutes();
+    }
+
+    addFault({ status = 500, count = 1, retryAfter = null }) {
+        this.faults.push({ status, remaining: count, retryAfter });
+    }
+
+    reset() {
+        this.faults = [];
+        this.stats = { requests: 0, faults: 0, byApi: {} };
+    }
+
+    /**
+     * The fault to return for this request, if any
+     */
+    nextFault() {
+        const fault = this.faults.find(f => f.remaining > 0);
+        if (fault) {
+            fault.remaining--;
+            return fault;
+        }
+        if (this.failRate > 0 && Math.random() < this.failRate) {
+            return { status: this.failStatus, retryAfter: null };
+        }
+        return null;
+    }
+
+    /**
+     * Count the request, apply latency and faults; false when a fault was sent
+     */
+    async admit(api, res) {
+        this.stats.requests++;
+        this.stats.byApi[api] = (this.stats.byApi[api] || 0) + 1;
+
+        if (this.latency) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+
+        const fault = this.nextFault();
+        if (!fault) return true;
+
+        this.stats.faults++;
+        if (fault.retryAfter !== null && fault.retryAfter !== undefined) {
+            res.set('Retry-After', String(fault.retryAfter));
+        }
+        res.status(fault.status).json({ error: { message: `Mock fault ${fault.status}`, type: 'mock_error' } });
+        return false;
+    }
+
+    completion(prompt) {
+        const content = this.reply || `Mock response to: ${String(prompt).slice(0, 80)}`;
+        const promptTokens = Math.ceil(String(prompt).length / 4);
+        const completionTokens = Math.ceil(content.length / 4);
+        return { content, promptTokens, completionTokens };
+    }
+
+    /**
+     * Write `content` a word at a time through `write(piece, index)`
+     */
+    async streamWords(content, write) {
+        const pieces = content.match(/\S+\s*/g) || [content];
+        for (let i = 0; i < pieces.length; i++) {
+            if (this.tokenDelay && i > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.tokenDelay));
+            }
+            write(pieces[i], i);
+        }
+    }
+
+    startStream(res, contentType) {
+        res.status(200);
+        res.set({ 'Content-Type': contentType, 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.flushHeaders();
+    }
+
+    setupRoutes() {
+        const sse = (res, data, event = null) => {
+            if (event) res.write(`event: ${event}\n`);
+            res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+        };
+
+        // OpenAI / OpenRouter
+        this.app.post('/v1/chat/completions', async (req, res) => {
+            if (!(await this.admit('chat', res))) return;
+
+            const prompt = (req.body.messages || []).map(message => message.content).join('\n');
+            const { content, promptTokens, completionTokens } = this.completion(prompt);
+            const id = `mock-${Date.now()}`;
+            const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+
+            if (req.body.stream) {
+                this.startStream(res, 'text/event-stream');
+                const chunk = (delta, finishReason = null) => ({
+                    id, object: 'chat.completion.chunk', model: req.body.model,
+                    choices: [{ index: 0, delta, finish_reason: finishReason }]
+                });
+                await this.streamWords(content, (piece, i) => sse(res, chunk(i === 0 ? { role: 'assistant', content: piece } : { content: piece })));
+                sse(res, chunk({}, 'stop'));
+                if (req.body.stream_options?.include_usage) {
+                    sse(res, { id, object: 'chat.completion.chunk', model: req.body.model, choices: [], usage });
+                }
+                sse(res, '[DONE]');
+                return res.end();
+            }
+
+            res.json({
+                id,
+                object: 'chat.completion',
+                model: req.body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                usage
+            });
+        });
+
+        // Anthropic
+        this.app.post('/v1/messages', async (req, res) => {
+            if (!(await this.admit('messages', res))) return;
+
+            const prompt = [req.body.system, ...(req.body.messages || []).map(message => message.content)].filter(Boolean).join('\n');
+            const { content, promptTokens, completionTokens } = this.completion(prompt);
+
+            if (req.body.stream) {
+                this.startStream(res, 'text/event-stream');
+                sse(res, { type: 'message_start', message: { id: `mock-${Date.now()}`, model: req.body.model, usage: { input_tokens: promptTokens, output_tokens: 1 } } }, 'message_start');
+                sse(res, { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }, 'content_block_start');
+                await this.streamWords(content, piece => sse(res, { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: piece } }, 'content_block_delta'));
+                sse(res, { type: 'content_block_stop', index: 0 }, 'content_block_stop');
+                sse(res, { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: completionTokens } }, 'message_delta');
+                sse(res, { type: 'message_stop' }, 'message_stop');
+                return res.end();
+            }
+
+            // A forced tool call answers with the reply as the tool's input
+            const toolName = req.body.tool_choice?.type === 'tool' ? req.body.tool_choice.name : null;
+            let block = { type: 'text', text: content };
+            if (toolName) {
+                try {
+                    block = { type: 'tool_use', id: `toolu_mock_${Date.now()}`, name: toolName, input: JSON.parse(content) };
+                } catch (error) {
+                    block = { type: 'tool_use', id: `toolu_mock_${Date.now()}`, name: toolName, input: { text: content } };
+                }
+            }
+
+            res.json({
+                id: `mock-${Date.now()}`,
+                type: 'message',
+                model: req.body.model,
+                content: [block],
+                usage: { input_tokens: promptTokens, output_tokens: completionTokens }
+            });
+        });
+
+        // Ollama
+        this.app.post('/api/generate', async (req, res) => {
+            if (!(await this.admit('generate', res))) return;
+            const { content, promptTokens, completionTokens } = this.completion(req.body.prompt);
+
+            if (req.body.stream) {
+                this.startStream(res, 'application/x-ndjson');
+                await this.streamWords(content, piece => res.write(`${JSON.stringify({ model: req.body.model, response: piece, done: false })}\n`));
+                res.write(`${JSON.stringify({ model: req.body.model, response: '', done: true, prompt_eval_count: promptTokens, eval_count: completionTokens })}\n`);
+                return res.end();
+            }
+
+            res.json({ model: req.body.model, response: content, done: true });
+        });
+
+        this.app.post('/__mock/faults', (req, res) => {
+            const status = parseInt(req.body.status, 10);
+            if (!Number.isInteger(status) || status < 400 || status > 599) {
+                return res.status(400).json({ error: 'status must be an HTTP error code (400-599)' });
+            }
+            this.addFault({ status, count: parseInt(req.body.count, 10) || 1, retryAfter: req.body.retryAfter ?? null });
+            res.json({ success: true, faults: this.faults.filter(f => f.remaining > 0) });
+        });
+
+        this.app.get('/__mock/stats', (req, res) => {
+            res.json({ ...this.stats, pendingFaults: this.faults.filter(f => f.remaining > 0) });
+        });
+
+        this.app.post('/__mock/reset', (req, res) => {
+            this.reset();
+            res.json({ success: true });
+        });
+    }
+
+    listen(port = 4010) {
+        return new Promise(resolve => {
+            const server = this.app.listen(port, () => resolve(server));
+        });
+    }
+}
+
+function parseArgs(args) {
+    const options = { port: parseInt(process.env.MOCK_LLM_PORT, 10) || 4010 };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--port':
+                options.port = parseInt(args[++i], 10);
+                break;
+            case '--fail':
+                options.fail = parseInt(args[++i], 10);
+                break;
+            case '--status':
+                options.status = parseInt(args[++i], 10);
+                break;
+            case '--retry-after':
+                options.retryAfter = args[++i];
+                break;
+            case '--fail-rate':
+                options.failRate = parseFloat(args[++i]);
+                break;
+            case '--latency':
+                options.latency = parseInt(args[++i], 10);
+                break;
+            case '--token-delay':
+                options.tokenDelay = parseInt(args[++i], 10);
+                break;
+            case '--reply':
+                options.reply = args[++i];
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(chalk.blue.bold('🧪 Mock LLM Provider'));
+        console.log(chalk.white('\nUsage: node mock-llm-provider.js [options]'));
+        console.log(chalk.white('\nOptions:'));
+        console.log(chalk.white('  --port <n>           Port to listen on (default: 4010)'));
+        console.log(chalk.white('  --fail <n>           Fail the first n requests'));
+        console.log(chalk.white('  --status <code>      Status for injected failures (default: 500)'));
+        console.log(chalk.white('  --retry-after <s>    Retry-After header on injected failures'));
+        console.log(chalk.white('  --fail-rate <0-1>    Fail this fraction of requests at random'));
+        console.log(chalk.white('  --latency <ms>       Delay every response'));
+        console.log(chalk.white('  --token-delay <ms>   Delay between streamed words'));
+        console.log(chalk.white('  --reply <text>       Fixed completion text'));
+        console.log(chalk.white('\nExamples:'));
+        console.log(chalk.gray('  node mock-llm-provider.js --fail 2 --status 429 --retry-after 1'));
+        console.log(chalk.gray('  OPENAI_BASE_URL=http://localhost:4010/v1 OPENAI_API_KEY=mock node context.js ...'));
+        return;
+    }
+
+    const provider = new MockLLMProvider(options);
+    await provider.listen(options.port);
+    console.log(chalk.green(`🧪 Mock LLM provider listening on http://localhost:${options.port}`));
+    console.log(chalk.gray('   OpenAI/OpenRouter/Anthropic: /v1   Ollama: /'));
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(console.error);
+}
+
+export { MockLLMProvider };
+export default MockLLMProvider;
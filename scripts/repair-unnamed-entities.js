@@ -1,7 +1,5 @@
 #!/usr/bin/env node
 
-import fs from 'fs-extra';
-import path from 'path';
 import chalk from 'chalk';
 import { MultiDomainDiffMem } from '../src/diffmem/multi-domain-diffmem.js';
 
@@ -21,26 +19,20 @@ class EntityRepairer {
         console.log('');
 
         try {
-            const domainPath = this.diffmem.getDomainPath(this.domain);
-            const entitiesPath = path.join(domainPath, 'entities');
+            const storage = await this.diffmem.getStorage(this.domain);
+            const records = await storage.list();
             
-            if (!await fs.pathExists(entitiesPath)) {
-                console.log(chalk.yellow('No entities directory found.'));
+            if (records.length === 0) {
+                console.log(chalk.yellow('No entity records found.'));
                 return;
             }
-
-            const files = await fs.readdir(entitiesPath);
-            const jsonFiles = files.filter(f => f.endsWith('.json'));
             
             let totalRepaired = 0;
-            let filesModified = 0;
+            let recordsModified = 0;
 
-            for (const file of jsonFiles) {
-                const filePath = path.join(entitiesPath, file);
-                const entityData = await fs.readJson(filePath);
-                
-                let fileModified = false;
-                let repairedInFile = 0;
+            for (const entityData of records) {
+                let recordModified = false;
+                let repairedInRecord = 0;
 
                 if (entityData.entities) {
                     // Fix issues, tasks, decisions, timeline entities
@@ -49,8 +41,8 @@ class EntityRepairer {
                             entityData.entities[category] = entityData.entities[category].map(entity => {
                                 if (!entity.name && entity.description) {
                                     console.log(chalk.yellow(`  Fixing ${category} entity: "${entity.description}"`));
-                                    fileModified = true;
-                                    repairedInFile++;
+                                    recordModified = true;
+                                    repairedInRecord++;
                                     return {
                                         ...entity,
                                         name: entity.description
@@ -62,18 +54,18 @@ class EntityRepairer {
                     });
                 }
 
-                if (fileModified) {
-                    await fs.writeJson(filePath, entityData, { spaces: 2 });
-                    console.log(chalk.green(`✅ Repaired ${repairedInFile} entities in ${file}`));
-                    filesModified++;
-                    totalRepaired += repairedInFile;
+                if (recordModified) {
+                    await storage.store(entityData);
+                    console.log(chalk.green(`✅ Repaired ${repairedInRecord} entities in ${entityData.id}`));
+                    recordsModified++;
+                    totalRepaired += repairedInRecord;
                 }
             }
 
             console.log('');
             console.log(chalk.blue.bold('📊 REPAIR SUMMARY'));
-            console.log(chalk.white(`Files processed: ${jsonFiles.length}`));
-            console.log(chalk.white(`Files modified: ${filesModified}`));
+            console.log(chalk.white(`Records processed: ${records.length}`));
+            console.log(chalk.white(`Records modified: ${recordsModified}`));
             console.log(chalk.white(`Total entities repaired: ${totalRepaired}`));
 
             if (totalRepaired > 0) {
@@ -6,7 +6,8 @@ import chalk from 'chalk';
 /**
  * Request Lookup CLI Tool
  * 
- * Look up specific API requests by time or ID to see prompt/response details
+ * Look up specific API requests by time or ID to see prompt/response details,
+ * or the requests made with a registry prompt (by prompt id and version)
  */
 class RequestLookup {
     constructor() {
@@ -39,6 +40,30 @@ class RequestLookup {
         this.tracker.printRequestDetails(request);
     }
 
+    async lookupByPrompt(spec) {
+        const [promptId, promptVersion = null] = spec.split('@');
+        console.log(chalk.blue.bold(`🔍 Looking up requests for prompt: ${spec}`));
+
+        const summary = this.tracker.getPromptVersionSummary(promptId);
+        if (Object.keys(summary).length === 0) {
+            console.log(chalk.red(`❌ No requests recorded for prompt ${promptId}`));
+            return;
+        }
+
+        console.log(chalk.yellow('\n📊 By version:'));
+        Object.entries(summary).forEach(([version, stats]) => {
+            const marker = version === promptVersion ? chalk.green(' ◀') : '';
+            console.log(chalk.white(`   ${promptId}@${version}: ${stats.requests} requests, ${stats.tokens} tokens, $${stats.cost.toFixed(4)} (${new Date(stats.first).toLocaleString()} - ${new Date(stats.last).toLocaleString()})${marker}`));
+        });
+
+        const requests = this.tracker.findRequestsByPrompt(promptId, promptVersion);
+        console.log(chalk.yellow(`\n📋 Requests (last 10 of ${requests.length}):`));
+        requests.slice(-10).forEach(req => {
+            const cost = `$${(req.metadata.cost_estimate || 0).toFixed(4)}`;
+            console.log(chalk.gray(`   ${req.id}  ${new Date(req.timestamp).toLocaleString()}  ${req.metadata.prompt_version}  ${req.provider}/${req.model}  ${req.usage.total_tokens} tokens  ${cost}`));
+        });
+    }
+
     async listRecent(limit = 10) {
         console.log(chalk.blue.bold(`📋 Recent ${limit} requests:`));
         this.tracker.printDetailedRequestLog(limit);
@@ -56,11 +81,13 @@ async function main() {
         console.log(chalk.white('  --time "MM/DD HH:MM:SS"  Look up request by time'));
         console.log(chalk.white('  --id <request-id>        Look up request by ID'));
         console.log(chalk.white('  --recent [limit]         Show recent requests (default: 10)'));
+        console.log(chalk.white('  --prompt <id[@version]>  Requests made with a registry prompt, by version'));
         console.log(chalk.white('  --help, -h               Show this help'));
         console.log(chalk.white('\nExamples:'));
         console.log(chalk.gray('  node request-lookup.js --time "09/21 21:04:16"'));
         console.log(chalk.gray('  node request-lookup.js --id req_1758505797550'));
         console.log(chalk.gray('  node request-lookup.js --recent 5'));
+        console.log(chalk.gray('  node request-lookup.js --prompt entity-extraction@1+cybersec.1'));
         return;
     }
     
@@ -88,6 +115,15 @@ async function main() {
                 }
                 return;
                 
+            case '--prompt':
+                const promptSpec = args[++i];
+                if (promptSpec) {
+                    await lookup.lookupByPrompt(promptSpec);
+                } else {
+                    console.error(chalk.red('❌ Prompt id required'));
+                }
+                return;
+                
             case '--recent':
                 const limit = parseInt(args[i + 1]) || 10;
                 if (!isNaN(parseInt(args[i + 1]))) i++; // Skip the number if provided
@@ -57,7 +57,7 @@ async function checkDirectoryStructure() {
         'data/mock-diffmem',
         'evaluation',
         'config',
-        'prompts/entity-extraction',
+        'prompts/registry',
         'logs'
     ];
 
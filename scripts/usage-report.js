@@ -4,6 +4,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
 import { fileURLToPath } from 'url';
+import { BudgetManager } from '../src/utils/budget-manager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,6 +17,7 @@ const __dirname = path.dirname(__filename);
  * - Entities extracted by category
  * - LLM API calls by provider/model
  * - Cost analysis and usage patterns
+ * - Budget caps and remaining budget
  * - All-time vs last 24 hours metrics
  */
 class UsageReporter {
@@ -23,6 +25,8 @@ class UsageReporter {
         this.dataDir = path.join(__dirname, '../data');
         this.logsDir = path.join(__dirname, '../logs');
         this.diffmemDir = path.join(this.dataDir, 'mock-diffmem');
+        this.apiRequests = [];
+        this.budgetManager = new BudgetManager();
         
         // Ensure directories exist
         this.ensureDirectories();
@@ -33,13 +37,15 @@ class UsageReporter {
                 documents: 0,
                 entities: { total: 0, byCategory: {} },
                 apiCalls: { total: 0, byProvider: {}, byModel: {} },
-                costs: { total: 0, byProvider: {} }
+                costs: { total: 0, byProvider: {} },
+                cache: { hits: 0, savedCost: 0 }
             },
             last24Hours: {
                 documents: 0,
                 entities: { total: 0, byCategory: {} },
                 apiCalls: { total: 0, byProvider: {}, byModel: {} },
-                costs: { total: 0, byProvider: {} }
+                costs: { total: 0, byProvider: {} },
+                cache: { hits: 0, savedCost: 0 }
             }
         };
     }
@@ -212,6 +218,8 @@ class UsageReporter {
         
         const totalFiles = (await fs.pathExists(apiRequestsPath) ? 1 : 0) + requestLogFiles.length;
         console.log(chalk.green(`✅ Analyzed ${totalFiles} API log files`));
+
+        this.report.budget = this.budgetManager.getStatus(this.apiRequests);
     }
 
     async processApiRequestsFile(filePath) {
@@ -221,6 +229,7 @@ class UsageReporter {
             const twentyFourHoursAgo = now - (24 * 60 * 60 * 1000);
             
             if (Array.isArray(data)) {
+                this.apiRequests.push(...data);
                 for (const request of data) {
                     if (request.provider && request.model) {
                         const timestamp = new Date(request.timestamp).getTime();
@@ -240,6 +249,18 @@ class UsageReporter {
     }
 
     processApiLogEntry(logEntry, isRecent, cost) {
+        // Responses served from the LLM cache never reached a provider
+        if (logEntry.metadata?.cache_hit) {
+            const saved = logEntry.metadata.saved_cost || 0;
+            this.report.allTime.cache.hits++;
+            this.report.allTime.cache.savedCost += saved;
+            if (isRecent) {
+                this.report.last24Hours.cache.hits++;
+                this.report.last24Hours.cache.savedCost += saved;
+            }
+            return;
+        }
+
         // All time tracking
         this.report.allTime.apiCalls.total++;
         this.report.allTime.apiCalls.byProvider[logEntry.provider] = 
@@ -298,6 +319,7 @@ class UsageReporter {
         console.log(chalk.cyan(`🎯 Total Entities Extracted: ${this.report.allTime.entities.total}`));
         console.log(chalk.cyan(`🔧 Total API Calls: ${this.report.allTime.apiCalls.total}`));
         console.log(chalk.cyan(`💰 Total Cost: $${this.report.allTime.costs.total.toFixed(4)}`));
+        console.log(chalk.cyan(`♻️  Cache Hits: ${this.report.allTime.cache.hits} (saved $${this.report.allTime.cache.savedCost.toFixed(4)})`));
         
         // Entity breakdown
         if (Object.keys(this.report.allTime.entities.byCategory).length > 0) {
@@ -334,6 +356,7 @@ class UsageReporter {
         console.log(chalk.cyan(`🎯 Entities Extracted: ${this.report.last24Hours.entities.total}`));
         console.log(chalk.cyan(`🔧 API Calls: ${this.report.last24Hours.apiCalls.total}`));
         console.log(chalk.cyan(`💰 Cost: $${this.report.last24Hours.costs.total.toFixed(4)}`));
+        console.log(chalk.cyan(`♻️  Cache Hits: ${this.report.last24Hours.cache.hits} (saved $${this.report.last24Hours.cache.savedCost.toFixed(4)})`));
         
         // Recent entity breakdown
         if (Object.keys(this.report.last24Hours.entities.byCategory).length > 0) {
@@ -352,6 +375,15 @@ class UsageReporter {
             }
         }
         
+        // Budget
+        if (this.report.budget) {
+            console.log(chalk.blue.bold(`\n💳 BUDGET (over-limit action: ${this.report.budget.action})`));
+            console.log(chalk.blue('─'.repeat(30)));
+            for (const line of this.formatBudgetLines()) {
+                console.log(line.startsWith('⚠️') ? chalk.red(line) : chalk.cyan(line));
+            }
+        }
+        
         // Performance metrics
         console.log(chalk.magenta.bold('\n📈 PERFORMANCE METRICS'));
         console.log(chalk.magenta('─'.repeat(25)));
@@ -374,6 +406,27 @@ class UsageReporter {
         console.log(chalk.blue('═'.repeat(60)));
     }
 
+    formatBudgetLines() {
+        const budget = this.report.budget;
+        const format = line => line.limit === null
+            ? `$${line.spent.toFixed(4)} spent (no limit)`
+            : `$${line.spent.toFixed(4)} of $${line.limit.toFixed(2)} - $${line.remaining.toFixed(4)} remaining`;
+        
+        const lines = [
+            `Daily: ${format(budget.daily)}`,
+            `Monthly: ${format(budget.monthly)}`
+        ];
+        for (const [kind, label] of [['domains', 'Domain'], ['operations', 'Operation']]) {
+            for (const [name, periods] of Object.entries(budget[kind])) {
+                lines.push(`${label} ${name}: daily ${format(periods.daily)}; monthly ${format(periods.monthly)}`);
+            }
+        }
+        for (const cap of budget.exceeded) {
+            lines.push(`⚠️  ${cap.scope} limit reached ($${cap.spent.toFixed(4)} of $${cap.limit.toFixed(2)})`);
+        }
+        return lines;
+    }
+
     async saveReport() {
         const reportPath = path.join(this.logsDir, `usage-report-${Date.now()}.json`);
         await fs.writeJson(reportPath, this.report, { spaces: 2 });
@@ -399,6 +452,7 @@ class UsageReporter {
         lines.push(`Total Entities Extracted: ${this.report.allTime.entities.total}`);
         lines.push(`Total API Calls: ${this.report.allTime.apiCalls.total}`);
         lines.push(`Total Cost: $${this.report.allTime.costs.total.toFixed(4)}`);
+        lines.push(`Cache Hits: ${this.report.allTime.cache.hits} (saved $${this.report.allTime.cache.savedCost.toFixed(4)})`);
         lines.push('');
         
         if (Object.keys(this.report.allTime.entities.byCategory).length > 0) {
@@ -424,6 +478,14 @@ class UsageReporter {
         lines.push(`Entities Extracted: ${this.report.last24Hours.entities.total}`);
         lines.push(`API Calls: ${this.report.last24Hours.apiCalls.total}`);
         lines.push(`Cost: $${this.report.last24Hours.costs.total.toFixed(4)}`);
+        lines.push(`Cache Hits: ${this.report.last24Hours.cache.hits} (saved $${this.report.last24Hours.cache.savedCost.toFixed(4)})`);
+        
+        if (this.report.budget) {
+            lines.push('');
+            lines.push(`BUDGET (over-limit action: ${this.report.budget.action})`);
+            lines.push('─'.repeat(30));
+            lines.push(...this.formatBudgetLines());
+        }
         
         return lines.join('\n');
     }
@@ -334,6 +334,12 @@ class ContextualIntelligenceClient {
    * Handle incoming WebSocket messages
    */
   handleWebSocketMessage(message) {
+    // Streamed answer text is printed as it arrives
+    if (message.type === 'query_partial') {
+      process.stdout.write(chalk.white(message.delta));
+      return;
+    }
+
     console.log(chalk.blue(`📨 WebSocket message: ${message.type}`));
 
     switch (message.type) {
@@ -13,6 +13,10 @@ import { ContextAssemblyEngine } from '../context/context-assembly-engine.js';
 import { QueryProcessor } from '../context/query-processor.js';
 import { RelationshipGraph } from '../relationships/entity-schema.js';
 import { DataSourceRouter } from '../routing/data-source-router.js';
+import { ensureJournalRecovered, getJournalDir } from '../storage/file-transaction.js';
+import { BudgetManager } from '../utils/budget-manager.js';
+import { RequestTracker } from '../utils/request-tracker.js';
+import { AnswerComposer } from '../context/answer-composer.js';
 import chalk from 'chalk';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -48,6 +52,16 @@ class ContextAPIServer {
       model: options.model || 'gpt-4o-mini'
     });
 
+    // Spend caps and remaining budget, read from the shared request log
+    this.budgetManager = new BudgetManager({ requestTracker: new RequestTracker() });
+
+    // Writes the streamed answer for SSE queries
+    this.answerComposer = new AnswerComposer({
+      domain: this.domain,
+      provider: options.provider || 'openai',
+      model: options.model || 'gpt-4o-mini'
+    });
+
     // Initialize Express app
     this.app = express();
     this.setupMiddleware();
@@ -110,95 +124,49 @@ class ContextAPIServer {
         description: 'Natural language query processing with contextual intelligence',
         domain: this.domain,
         endpoints: {
-          'POST /api/query': 'Process natural language queries with full context',
+          'POST /api/query': 'Process natural language queries with full context (?stream=true for server-sent events)',
           'POST /api/query/simple': 'Simple query processing without conversation state',
           'GET /api/sessions/:sessionId': 'Get session information',
           'DELETE /api/sessions/:sessionId': 'Clear session state',
           'GET /api/entities': 'List entities in the domain',
           'GET /api/relationships': 'Get relationship data for visualization',
-          'GET /api/stats': 'Get system statistics'
+          'GET /api/stats': 'Get system statistics and LLM budget'
         }
       });
     });
 
     // Main contextual query endpoint
     this.app.post('/api/query', async (req, res) => {
-      try {
-        const {
-          query,
-          userId = 'anonymous',
-          sessionId = userId,
-          currentLocation = null,
-          currentProject = null,
-          executeActions = false,
-          maintainContext = true
-        } = req.body;
+      const {
+        query,
+        userId = 'anonymous',
+        sessionId = userId,
+        currentLocation = null,
+        currentProject = null,
+        executeActions = false,
+        maintainContext = true
+      } = req.body;
+
+      if (!query || typeof query !== 'string') {
+        return res.status(400).json({
+          error: 'Query is required and must be a string',
+          code: 'INVALID_QUERY'
+        });
+      }
 
-        if (!query || typeof query !== 'string') {
-          return res.status(400).json({
-            error: 'Query is required and must be a string',
-            code: 'INVALID_QUERY'
-          });
-        }
+      const queryOptions = { userId, sessionId, currentLocation, currentProject, executeActions, maintainContext };
+
+      if (this.wantsEventStream(req)) {
+        return this.streamQuery(req, res, query, queryOptions);
+      }
 
+      try {
         console.log(chalk.blue(`🔍 Processing query with Smart Router: "${query}" (session: ${sessionId})`));
 
         // Use Smart Router as primary processing engine
-        const result = await this.smartRouter.processSmartQuery(query, {
-          userId,
-          sessionId,
-          currentLocation,
-          currentProject,
-          executeActions,
-          maintainContext
-        });
-
-        // Format Smart Router response
-        const ci = result.contextualIntelligence;
-        const response = {
-          success: true,
-          query: result.query,
-          sessionId: sessionId,
-          userId: userId,
-          timestamp: result.timestamp,
-          smartRouter: {
-            version: '1.0',
-            stepsCompleted: result.steps?.length || 0,
-            overallConfidence: ci?.overallConfidence || 0,
-            processingTime: result.processingTime || 0
-          },
-          intelligence: {
-            level: 'smart_router',
-            confidence: ci?.overallConfidence || 0,
-            entities: ci?.contextKnowledge?.entities?.length || 0,
-            relationships: ci?.contextKnowledge?.relationships?.length || 0,
-            knowledgeGaps: ci?.contextKnowledge?.knowledgeGaps?.length || 0
-          },
-          discoveries: {
-            snappyProjects: ci?.externalDiscoveries?.snappyProjects?.length || 0,
-            projectDetails: ci?.externalDiscoveries?.projectDetails?.length || 0,
-            projects: ci?.externalDiscoveries?.snappyProjects || []
-          },
-          connections: {
-            entityConnections: ci?.connections?.entityConnections?.length || 0,
-            temporalConnections: ci?.connections?.temporalConnections?.length || 0,
-            spatialConnections: ci?.connections?.spatialConnections?.length || 0,
-            details: ci?.connections || {}
-          },
-          response: {
-            primary: this.generateSmartRouterResponse(result),
-            contextualInsights: this.extractInsights(result),
-            recommendations: this.extractRecommendations(result)
-          },
-          metadata: {
-            processingTime: result.processingTime || 0,
-            executed: executeActions,
-            steps: result.steps || [],
-            architecture: 'smart_router'
-          }
-        };
+        const result = await this.smartRouter.processSmartQuery(query, queryOptions);
 
-        res.json(response);
+        res.json(this.formatSmartQueryResponse(result, queryOptions));
 
       } catch (error) {
         console.error(chalk.red(`❌ Query processing failed: ${error.message}`));
@@ -390,10 +358,11 @@ class ContextAPIServer {
     });
 
     // System statistics
-    this.app.get('/api/stats', (req, res) => {
+    this.app.get('/api/stats', async (req, res) => {
       try {
         const activeSessions = this.contextEngine.conversationState.size;
         const expiredSessions = this.contextEngine.cleanupExpiredSessions();
+        await this.budgetManager.refresh();
         
         res.json({
           success: true,
@@ -403,6 +372,7 @@ class ContextAPIServer {
             domain: this.domain,
             uptime: process.uptime(),
             memory: process.memoryUsage(),
+            budget: this.budgetManager.getStatus(),
             timestamp: new Date().toISOString()
           }
         });
@@ -542,6 +512,122 @@ class ContextAPIServer {
     });
   }
 
+  /**
+   * SSE mode: ?stream=true, "stream": true in the body, or Accept: text/event-stream
+   */
+  wantsEventStream(req) {
+    return req.query.stream === 'true' ||
+      req.body.stream === true ||
+      (req.get('Accept') || '').includes('text/event-stream');
+  }
+
+  /**
+   * Answer a query as server-sent events: `status` when processing starts,
+   * `token` events ({ delta }) as the answer is written, then `result` with
+   * the same payload the JSON mode returns, or `error`.
+   */
+  async streamQuery(req, res, query, queryOptions) {
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // A client that goes away stops the answer stream, and its token spend
+    let closed = false;
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      closed = true;
+      disconnect.abort();
+    });
+    const send = (event, data) => {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      console.log(chalk.blue(`🔍 Streaming query with Smart Router: "${query}" (session: ${queryOptions.sessionId})`));
+      send('status', { status: 'processing', query, timestamp: new Date().toISOString() });
+
+      const result = await this.smartRouter.processSmartQuery(query, queryOptions);
+      if (closed) return;
+      const response = this.formatSmartQueryResponse(result, queryOptions);
+
+      const composed = await this.answerComposer.compose({
+        query,
+        draft: response.response.primary,
+        insights: response.response.contextualInsights,
+        recommendations: response.response.recommendations
+      }, { onToken: delta => send('token', { delta }), signal: disconnect.signal });
+
+      response.response.draft = response.response.primary;
+      response.response.primary = composed.text;
+      response.response.streamed = composed.generated;
+      send('result', response);
+
+    } catch (error) {
+      console.error(chalk.red(`❌ Streaming query failed: ${error.message}`));
+      send('error', {
+        error: 'Query processing failed',
+        message: error.message,
+        code: 'PROCESSING_ERROR'
+      });
+    }
+
+    res.end();
+  }
+
+  /**
+   * Response payload for a Smart Router query result
+   */
+  formatSmartQueryResponse(result, { userId, sessionId, executeActions }) {
+    const ci = result.contextualIntelligence;
+    return {
+      success: true,
+      query: result.query,
+      sessionId: sessionId,
+      userId: userId,
+      timestamp: result.timestamp,
+      smartRouter: {
+        version: '1.0',
+        stepsCompleted: result.steps?.length || 0,
+        overallConfidence: ci?.overallConfidence || 0,
+        processingTime: result.processingTime || 0
+      },
+      intelligence: {
+        level: 'smart_router',
+        confidence: ci?.overallConfidence || 0,
+        entities: ci?.contextKnowledge?.entities?.length || 0,
+        relationships: ci?.contextKnowledge?.relationships?.length || 0,
+        knowledgeGaps: ci?.contextKnowledge?.knowledgeGaps?.length || 0
+      },
+      discoveries: {
+        snappyProjects: ci?.externalDiscoveries?.snappyProjects?.length || 0,
+        projectDetails: ci?.externalDiscoveries?.projectDetails?.length || 0,
+        projects: ci?.externalDiscoveries?.snappyProjects || []
+      },
+      connections: {
+        entityConnections: ci?.connections?.entityConnections?.length || 0,
+        temporalConnections: ci?.connections?.temporalConnections?.length || 0,
+        spatialConnections: ci?.connections?.spatialConnections?.length || 0,
+        details: ci?.connections || {}
+      },
+      response: {
+        primary: this.generateSmartRouterResponse(result),
+        contextualInsights: this.extractInsights(result),
+        recommendations: this.extractRecommendations(result)
+      },
+      metadata: {
+        processingTime: result.processingTime || 0,
+        executed: executeActions,
+        steps: result.steps || [],
+        architecture: 'smart_router'
+      }
+    };
+  }
+
   // Smart Router helper methods
   generateSmartRouterResponse(result) {
     const ci = result.contextualIntelligence;
@@ -683,6 +769,12 @@ class ContextAPIServer {
       // Initialize components
       console.log(chalk.cyan('Initializing contextual intelligence engine...'));
       
+      // Roll back any multi-file write that a previous run left half done
+      const recovery = await ensureJournalRecovered(getJournalDir(this.dataPath));
+      if (recovery.rolledBack > 0) {
+        console.log(chalk.yellow(`⚠️  Rolled back ${recovery.rolledBack} incomplete transaction(s)`));
+      }
+      
       const server = this.app.listen(this.port, this.host, () => {
         console.log(chalk.green.bold(`✅ Context API Server running`));
         console.log(chalk.green(`   URL: http://${this.host}:${this.port}`));
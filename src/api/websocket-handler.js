@@ -175,7 +175,7 @@ class WebSocketHandler {
       return this.sendError(connectionId, 'Authentication required before sending queries', 'AUTH_REQUIRED');
     }
 
-    const { query, executeActions = false } = message;
+    const { query, executeActions = false, stream = false } = message;
 
     if (!query || typeof query !== 'string') {
       return this.sendError(connectionId, 'Query is required and must be a string', 'INVALID_QUERY');
@@ -192,6 +192,19 @@ class WebSocketHandler {
 
       console.log(chalk.blue(`🔍 Processing WebSocket query: "${query}" (${connectionId})`));
 
+      // With stream: true the answer is rewritten by the LLM and streamed as
+      // query_partial messages; query_result carries the full text
+      let partialIndex = 0;
+      const onToken = stream ? (delta) => {
+        this.sendMessage(connectionId, {
+          type: 'query_partial',
+          query,
+          delta,
+          index: partialIndex++,
+          timestamp: new Date().toISOString()
+        });
+      } : null;
+
       // Process query with context engine
       const result = await this.contextEngine.processContextualQuery(query, {
         userId: connection.userId,
@@ -199,7 +212,8 @@ class WebSocketHandler {
         currentLocation: connection.currentLocation,
         currentProject: connection.currentProject,
         executeActions,
-        maintainContext: true
+        maintainContext: true,
+        onToken
       });
 
       // Send comprehensive response
@@ -216,7 +230,8 @@ class WebSocketHandler {
         response: {
           primary: result.finalResponse?.primaryResponse || 'Query processed successfully',
           contextualInsights: result.finalResponse?.contextualInsights || [],
-          recommendations: result.finalResponse?.recommendations || []
+          recommendations: result.finalResponse?.recommendations || [],
+          streamed: result.finalResponse?.streamed || false
         },
         actions: this.extractActions(result),
         metadata: {
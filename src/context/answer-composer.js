@@ -0,0 +1,80 @@
+/**
+ * Answer Composer
+ *
+ * Turns the pipeline's draft response (the templated answer plus insights
+ * and recommendations) into a conversational answer written by the LLM,
+ * streamed token by token so clients can show it as it is generated.
+ * When the LLM is unavailable the draft is the answer.
+ */
+
+import { LLMClient } from '../utils/llm-client.js';
+import chalk from 'chalk';
+
+class AnswerComposer {
+  constructor(options = {}) {
+    this.client = options.llmClient || new LLMClient();
+    this.provider = options.provider || 'openai';
+    this.model = options.model || 'gpt-4o-mini';
+    this.domain = options.domain || 'construction';
+    this.maxTokens = options.maxTokens || 400;
+  }
+
+  getSystemPrompt() {
+    return `You are the assistant of a ${this.domain} knowledge system. Answer the user's query in a few short, plain sentences using only the facts in the draft. Keep amounts, names and questions for the user exactly as given; do not invent details.`;
+  }
+
+  buildPrompt({ query, draft, insights = [], recommendations = [] }) {
+    const sections = [`User query: ${query}`, `Draft answer:\n${draft}`];
+    if (insights.length > 0) {
+      sections.push(`Context:\n${insights.map(insight => `- ${insight}`).join('\n')}`);
+    }
+    if (recommendations.length > 0) {
+      sections.push(`Suggestions:\n${recommendations.map(item => `- ${item}`).join('\n')}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Compose the answer, calling onToken(text) for each streamed piece.
+   * Returns { text, generated, provider, model, usage }; `generated` is
+   * false when the draft was returned because the LLM call failed or
+   * options.signal (an AbortSignal) aborted it, which stops the stream
+   * (the client still records the tokens it used).
+   */
+  async compose(input, options = {}) {
+    const { onToken = () => {}, signal = null } = options;
+    let text = '';
+
+    try {
+      const stream = this.client.streamCompletion(this.buildPrompt(input), {
+        provider: options.provider || this.provider,
+        model: options.model || this.model,
+        maxTokens: this.maxTokens,
+        temperature: 0.3,
+        systemPrompt: this.getSystemPrompt(),
+        domain: this.domain,
+        operation: 'answer-composition',
+        source: 'answer-composer'
+      });
+
+      for await (const event of stream) {
+        if (signal?.aborted) {
+          return { text: input.draft, generated: false, aborted: true, partial: text || null };
+        }
+        if (event.type === 'token') {
+          text += event.text;
+          onToken(event.text);
+        } else if (event.type === 'done') {
+          return { text: event.content, generated: true, provider: event.provider, model: event.model, usage: event.usage };
+        }
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️  Answer composition failed, using draft: ${error.message}`));
+    }
+
+    // Tokens already sent are superseded by the draft in the final result
+    return { text: input.draft, generated: false, partial: text || null };
+  }
+}
+
+export { AnswerComposer };
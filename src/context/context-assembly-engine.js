@@ -9,6 +9,7 @@ import { QueryProcessor } from './query-processor.js';
 import { RelationshipGraph } from '../relationships/entity-schema.js';
 import { PersistentConversationManager } from './persistent-conversation-manager.js';
 import { SnappyExpensePusher } from '../integrations/snappy-expense-pusher.js';
+import { AnswerComposer } from './answer-composer.js';
 import path from 'path';
 import chalk from 'chalk';
 
@@ -17,6 +18,8 @@ class ContextAssemblyEngine {
     this.queryProcessor = new QueryProcessor(options);
     this.domain = options.domain || 'construction';
     this.dataPath = options.dataPath;
+    this.answerComposerOptions = { provider: options.provider, model: options.model, domain: this.domain };
+    this.answerComposer = null; // created on the first streamed query
     
     // Persistent conversation management
     this.persistentConversationManager = new PersistentConversationManager({
@@ -50,7 +53,8 @@ class ContextAssemblyEngine {
       currentLocation = null,
       currentProject = null,
       executeActions = false,
-      maintainContext = true
+      maintainContext = true,
+      onToken = null
     } = options;
 
     console.log(chalk.blue.bold(`🧠 Context Assembly Engine`));
@@ -144,7 +148,7 @@ class ContextAssemblyEngine {
         queryResult,
         contextualIntelligence,
         conversationContext,
-        { projectQuery, pendingCompletion }
+        { projectQuery, pendingCompletion, onToken, query }
       );
 
       assemblyResult.finalResponse = enhancedResponse;
@@ -726,6 +730,23 @@ class ContextAssemblyEngine {
       );
     }
 
+    // Streaming callers get the answer written by the LLM as it is generated
+    if (additionalContext.onToken) {
+      if (!this.answerComposer) {
+        this.answerComposer = new AnswerComposer(this.answerComposerOptions);
+      }
+      const composed = await this.answerComposer.compose({
+        query: additionalContext.query || queryResult.originalQuery?.originalQuery || '',
+        draft: baseResponse,
+        insights: enhancedResponse.contextualInsights,
+        recommendations: enhancedResponse.recommendations
+      }, { onToken: additionalContext.onToken });
+
+      enhancedResponse.primaryResponse = composed.text;
+      enhancedResponse.draftResponse = baseResponse;
+      enhancedResponse.streamed = composed.generated;
+    }
+
     return enhancedResponse;
   }
 
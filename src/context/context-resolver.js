@@ -8,10 +8,18 @@
 import fs from 'fs';
 import path from 'path';
 import { RelationshipGraph } from '../relationships/entity-schema.js';
+import { getDomainSearchIndex } from '../search/search-index-registry.js';
 import chalk from 'chalk';
 
 const fsPromises = fs.promises;
 
+// Record categories that name resolution looks in, and the entity type each yields
+const RESOLVABLE_CATEGORIES = {
+  people: 'person',
+  projects: 'project',
+  locations: 'location'
+};
+
 class ContextResolver {
   constructor(options = {}) {
     this.dataPath = options.dataPath || path.join(process.cwd(), 'data');
@@ -231,78 +239,34 @@ class ContextResolver {
   }
 
   /**
-   * Find entities by name across the domain
+   * Find entities by name across the domain, ranked by the domain search index
    */
   async findEntitiesByName(name, domain) {
-    const entities = await this.getAllEntities(domain);
-    const matches = [];
+    const index = await getDomainSearchIndex(path.join(this.dataPath, domain));
+    // Unlimited, so the full-coverage matches are not cut off by partial ones
+    const hits = index.search(name, { types: Object.keys(RESOLVABLE_CATEGORIES), limit: Infinity })
+      .filter(hit => hit.coverage === 1);
 
-    for (const entity of entities) {
-      // Check people
-      if (entity.entities?.people) {
-        for (const person of entity.entities.people) {
-          if (person.name && this.nameMatches(person.name, name)) {
-            matches.push({
-              ...person,
-              entityId: entity.id,
-              entityType: 'person',
-              sourceEntity: entity
-            });
-          }
-        }
-      }
-
-      // Check projects
-      if (entity.entities?.projects) {
-        for (const project of entity.entities.projects) {
-          if (project.name && this.nameMatches(project.name, name)) {
-            matches.push({
-              ...project,
-              entityId: entity.id,
-              entityType: 'project',
-              sourceEntity: entity
-            });
-          }
-        }
-      }
+    const records = new Map((await this.getAllEntities(domain)).map(record => [record.id, record]));
+    const matches = [];
 
-      // Check locations
-      if (entity.entities?.locations) {
-        for (const location of entity.entities.locations) {
-          if (location.name && this.nameMatches(location.name, name)) {
-            matches.push({
-              ...location,
-              entityId: entity.id,
-              entityType: 'location',
-              sourceEntity: entity
-            });
-          }
-        }
-      }
+    for (const hit of hits) {
+      const { category, recordId } = hit.document.data;
+      const record = records.get(recordId);
+      const entity = record?.entities?.[category]?.find(e => e.name?.trim() === hit.document.name);
+      if (!entity) continue;
+
+      matches.push({
+        ...entity,
+        entityId: record.id,
+        entityType: RESOLVABLE_CATEGORIES[category],
+        sourceEntity: record
+      });
     }
 
     return matches;
   }
 
-  /**
-   * Check if two names match (fuzzy matching)
-   */
-  nameMatches(fullName, searchName) {
-    const full = fullName.toLowerCase().trim();
-    const search = searchName.toLowerCase().trim();
-    
-    // Exact match
-    if (full === search) return true;
-    
-    // First name match
-    if (full.split(' ')[0] === search) return true;
-    
-    // Contains match
-    if (full.includes(search) || search.includes(full)) return true;
-    
-    return false;
-  }
-
   /**
    * Disambiguate between multiple entity matches
    */
@@ -7,6 +7,7 @@
 
 import { LLMClient } from '../utils/llm-client.js';
 import chalk from 'chalk';
+import { getPromptRegistry } from '../utils/prompt-registry.js';
 
 class QueryParser {
   constructor(options = {}) {
@@ -121,74 +122,28 @@ class QueryParser {
    * Extract query components using LLM
    */
   async extractQueryComponents(query, domain) {
-    const prompt = this.buildExtractionPrompt(query, domain);
+    const { system, prompt, ref } = this.buildExtractionPrompt(query, domain);
     
     const result = await this.client.generateCompletion(prompt, {
       provider: this.provider,
       model: this.model,
       maxTokens: 1000,
       temperature: 0.1,
-      systemPrompt: this.getSystemPrompt(domain)
+      systemPrompt: system,
+      domain,
+      operation: 'query-parsing',
+      promptId: ref.promptId,
+      promptVersion: ref.promptVersion
     });
 
     return this.parseExtractionResponse(result.content);
   }
 
   /**
-   * Build extraction prompt for LLM
+   * Build extraction prompt for LLM (query-parsing in the prompt registry)
    */
   buildExtractionPrompt(query, domain) {
-    return `Analyze this natural language query and extract the key components:
-
-QUERY: "${query}"
-DOMAIN: ${domain}
-
-Extract and return JSON with this structure:
-{
-  "entities": {
-    "people": [{"name": "string", "role": "string", "confidence": 0.9}],
-    "locations": [{"name": "string", "type": "string", "confidence": 0.9}],
-    "amounts": [{"value": 30, "currency": "USD", "confidence": 0.9}],
-    "items": [{"name": "string", "category": "string", "confidence": 0.9}],
-    "projects": [{"name": "string", "type": "string", "confidence": 0.9}],
-    "tasks": [{"description": "string", "type": "string", "confidence": 0.9}],
-    "dates": [{"value": "string", "type": "string", "confidence": 0.9}]
-  },
-  "intent_indicators": [
-    "add charge",
-    "at location"
-  ],
-  "context_clues": [
-    "I'm at" (indicates current location),
-    "add charge" (indicates financial transaction)
-  ],
-  "confidence": 0.85
-}
-
-Focus on:
-- People mentioned (names, pronouns, roles)
-- Locations (addresses, place names, "here", "at")
-- Financial amounts (dollars, costs, charges)
-- Items/materials (tools, supplies, materials)
-- Actions/intents (add, charge, schedule, assign)
-- Time references (dates, deadlines, "now", "today")
-
-Return only valid JSON.`;
-  }
-
-  /**
-   * Get system prompt for extraction
-   */
-  getSystemPrompt(domain) {
-    return `You are an expert natural language query analyzer for ${domain} project management.
-
-Your task is to extract structured information from conversational queries that people use when managing projects. These queries often contain:
-- Implicit context (location, current project)
-- Informal references ("John's place", "more screws")
-- Action intents (billing, scheduling, task assignment)
-- Relationship implications (who works where, what belongs to what project)
-
-Be precise in entity extraction and confident in your assessments.`;
+    return getPromptRegistry().render('query-parsing', { query, domain }, { domain });
   }
 
   /**
@@ -44,8 +44,9 @@ export class ContextRetriever {
             conversationContext = await this.getConversationHistory(conversationId);
         }
 
-        // Step 3: Rank and filter entities by relevance
-        const rankedEntities = this.rankEntitiesByRelevance(entities.entities, query);
+        // Step 3: Rank and filter entities by relevance (keyword + semantic)
+        const textScores = await this.diffmem.scoreRecordsByText(query);
+        const rankedEntities = this.rankEntitiesByRelevance(entities.entities, query, textScores);
 
         // Step 4: Generate structured context
         const structuredContext = await this.generateStructuredContext(
@@ -107,9 +108,11 @@ export class ContextRetriever {
     }
 
     /**
-     * Rank entities by relevance to the query
+     * Rank entities by relevance to the query. textScores (record id -> hybrid
+     * score, see MockDiffMem.scoreRecordsByText) replaces raw term counting
+     * when given, so records that match the query's meaning rank too.
      */
-    rankEntitiesByRelevance(entities, query) {
+    rankEntitiesByRelevance(entities, query, textScores = null) {
         const queryTerms = query.toLowerCase().split(/\s+/);
         
         return entities.map(entityRecord => {
@@ -119,10 +122,14 @@ export class ContextRetriever {
             relevanceScore += (entityRecord.metadata?.confidence || 0) * 10;
             
             // Text matching score
-            const entityText = JSON.stringify(entityRecord.entities).toLowerCase();
-            for (const term of queryTerms) {
-                const matches = (entityText.match(new RegExp(term, 'g')) || []).length;
-                relevanceScore += matches * 2;
+            if (textScores) {
+                relevanceScore += (textScores.get(entityRecord.id) || 0) * 20;
+            } else {
+                const entityText = JSON.stringify(entityRecord.entities).toLowerCase();
+                for (const term of queryTerms) {
+                    const matches = (entityText.match(new RegExp(term, 'g')) || []).length;
+                    relevanceScore += matches * 2;
+                }
             }
             
             // Entity type relevance
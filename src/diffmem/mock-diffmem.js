@@ -2,19 +2,28 @@ import fs from 'fs-extra';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import chalk from 'chalk';
+import { createStorageAdapter } from '../storage/adapter-registry.js';
+import { indexEntityRecord, invalidateSearchIndex } from '../search/search-index-registry.js';
+import { resolveEmbeddingProvider } from '../embeddings/embedding-provider-registry.js';
+import { getDomainHybridRanker, invalidateVectorIndex } from '../embeddings/vector-index-registry.js';
 
 /**
  * Mock DiffMem Implementation
  * 
  * Simulates DiffMem storage and retrieval operations for entity extraction PoC.
  * This mock system provides the same interface as the real DiffMem system
- * but stores data locally in JSON files.
+ * but stores data locally through a storage adapter (JSON files by default).
  */
 export class MockDiffMem {
     constructor(options = {}) {
         this.repoPath = options.repoPath || path.join(process.cwd(), 'data/mock-diffmem');
         this.userId = options.userId || process.env.DIFFMEM_USER_ID || 'test_user';
         this.autoCommit = options.autoCommit !== false; // Default to true
+        this.storage = createStorageAdapter(options.storage || process.env.DIFFMEM_STORAGE_ADAPTER || 'file', {
+            domainPath: this.repoPath
+        });
+        // Optional semantic ranking: a provider name or instance (defaults to EMBEDDING_PROVIDER)
+        this.embeddingProvider = resolveEmbeddingProvider(options.embeddingProvider);
         
         this.initialize();
     }
@@ -26,6 +35,7 @@ export class MockDiffMem {
         await fs.ensureDir(path.join(this.repoPath, 'conversations'));
         await fs.ensureDir(path.join(this.repoPath, 'context'));
         await fs.ensureDir(path.join(this.repoPath, 'metadata'));
+        await this.storage.initialize();
 
         // Initialize metadata if it doesn't exist
         const metadataPath = path.join(this.repoPath, 'metadata', 'repo-info.json');
@@ -65,9 +75,12 @@ export class MockDiffMem {
             }
         };
 
-        // Store entity record
-        const entityPath = path.join(this.repoPath, 'entities', `${entityId}.json`);
-        await fs.writeJson(entityPath, entityRecord, { spaces: 2 });
+        // Store entity record (kept as a new version)
+        await this.storage.store(entityRecord, {
+            source: metadata.source || `conversation:${conversationId}`,
+            timestamp
+        });
+        await indexEntityRecord(this.repoPath, entityRecord);
 
         // Update conversation index
         await this.updateConversationIndex(conversationId, entityId, entities);
@@ -94,9 +107,8 @@ export class MockDiffMem {
         const entities = [];
 
         for (const entityId of conversationIndex.entityIds || []) {
-            const entityPath = path.join(this.repoPath, 'entities', `${entityId}.json`);
-            if (await fs.pathExists(entityPath)) {
-                const entityRecord = await fs.readJson(entityPath);
+            const entityRecord = await this.storage.get(entityId);
+            if (entityRecord) {
                 entities.push(entityRecord);
             }
         }
@@ -110,30 +122,29 @@ export class MockDiffMem {
     async searchEntities(query) {
         console.log(chalk.blue(`🔍 Searching entities: ${JSON.stringify(query)}`));
 
-        const results = [];
-        const entitiesDir = path.join(this.repoPath, 'entities');
-        
-        if (!(await fs.pathExists(entitiesDir))) {
-            return results;
-        }
-
-        const entityFiles = await fs.readdir(entitiesDir);
-
-        for (const filename of entityFiles) {
-            if (!filename.endsWith('.json')) continue;
-
-            const entityPath = path.join(entitiesDir, filename);
-            const entityRecord = await fs.readJson(entityPath);
-
-            if (this.matchesQuery(entityRecord, query)) {
-                results.push(entityRecord);
+        // Free text is ranked by the search index; the remaining criteria filter records.
+        // The index only knows current records, so "as of" searches match text in storage.
+        const { text, ...criteria } = query;
+        let results;
+        let textScores = null;
+
+        if (text && !query.asOf) {
+            textScores = await this.scoreRecordsByText(text);
+            results = [];
+            for (const recordId of textScores.keys()) {
+                const record = await this.storage.get(recordId);
+                if (record && this.storage.matchesQuery(record, criteria)) {
+                    results.push(record);
+                }
             }
+        } else {
+            results = await this.storage.search(query);
         }
 
         // Sort by relevance and timestamp
         results.sort((a, b) => {
-            const scoreA = this.calculateRelevanceScore(a, query);
-            const scoreB = this.calculateRelevanceScore(b, query);
+            const scoreA = this.calculateRelevanceScore(a, query, textScores);
+            const scoreB = this.calculateRelevanceScore(b, query, textScores);
             
             if (scoreA !== scoreB) {
                 return scoreB - scoreA; // Higher score first
@@ -146,6 +157,26 @@ export class MockDiffMem {
         return results;
     }
 
+    /**
+     * Sum hybrid (keyword + semantic) scores of matching entities per entity record
+     */
+    async scoreRecordsByText(text) {
+        const ranker = await getDomainHybridRanker(this.repoPath, {
+            storage: this.storage,
+            provider: this.embeddingProvider
+        });
+        const scores = new Map();
+
+        for (const hit of await ranker.rank(text, { limit: ranker.searchIndex.size })) {
+            const recordId = hit.document.data?.recordId;
+            if (recordId) {
+                scores.set(recordId, (scores.get(recordId) || 0) + hit.score);
+            }
+        }
+
+        return scores;
+    }
+
     /**
      * Get context for a specific query
      */
@@ -242,50 +273,19 @@ export class MockDiffMem {
         const metadata = await fs.readJson(metadataPath);
 
         // Count entities and conversations
-        const entitiesDir = path.join(this.repoPath, 'entities');
         const conversationsDir = path.join(this.repoPath, 'conversations');
 
-        const entityFiles = await fs.readdir(entitiesDir).catch(() => []);
+        const storageStats = await this.storage.stats();
         const conversationFiles = await fs.readdir(conversationsDir).catch(() => []);
 
-        metadata.entityCount = entityFiles.filter(f => f.endsWith('.json')).length;
+        metadata.entityCount = storageStats.recordCount;
         metadata.conversationCount = conversationFiles.filter(f => f.endsWith('.json')).length;
         metadata.lastUpdated = new Date().toISOString();
 
         await fs.writeJson(metadataPath, metadata, { spaces: 2 });
     }
 
-    matchesQuery(entityRecord, query) {
-        // Simple matching logic - in real DiffMem this would be more sophisticated
-        if (query.entityType) {
-            const hasType = entityRecord.entities[query.entityType] && 
-                           entityRecord.entities[query.entityType].length > 0;
-            if (!hasType) return false;
-        }
-
-        if (query.conversationId) {
-            if (entityRecord.conversationId !== query.conversationId) return false;
-        }
-
-        if (query.userId) {
-            if (entityRecord.userId !== query.userId) return false;
-        }
-
-        if (query.text) {
-            const searchText = query.text.toLowerCase();
-            const entityText = JSON.stringify(entityRecord.entities).toLowerCase();
-            if (!entityText.includes(searchText)) return false;
-        }
-
-        if (query.minConfidence) {
-            const confidence = entityRecord.metadata?.confidence || 0;
-            if (confidence < query.minConfidence) return false;
-        }
-
-        return true;
-    }
-
-    calculateRelevanceScore(entityRecord, query) {
+    calculateRelevanceScore(entityRecord, query, textScores = null) {
         let score = 0;
 
         // Base score from confidence
@@ -296,12 +296,9 @@ export class MockDiffMem {
             score += entityRecord.entities[query.entityType].length * 5;
         }
 
-        // Bonus for text matches
-        if (query.text) {
-            const searchText = query.text.toLowerCase();
-            const entityText = JSON.stringify(entityRecord.entities).toLowerCase();
-            const matches = (entityText.match(new RegExp(searchText, 'g')) || []).length;
-            score += matches * 3;
+        // Bonus for text matches, as ranked by the hybrid ranker (0-1 per matching entity)
+        if (textScores) {
+            score += (textScores.get(entityRecord.id) || 0) * 20;
         }
 
         // Recency bonus (newer is better)
@@ -450,32 +447,24 @@ export class MockDiffMem {
     }
 
     /**
-     * Get all stored entities
+     * Get all stored entities, optionally as they stood at options.asOf
      */
-    async getAllEntities() {
-        const entitiesDir = path.join(this.repoPath, 'entities');
-        
-        try {
-            const files = await fs.readdir(entitiesDir);
-            const entities = [];
-            
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    try {
-                        const filePath = path.join(entitiesDir, file);
-                        const entityData = await fs.readJson(filePath);
-                        entities.push(entityData);
-                    } catch (error) {
-                        console.warn(chalk.yellow(`⚠️  Could not read entity file: ${file}`));
-                    }
-                }
-            }
-            
-            return entities;
-        } catch (error) {
-            console.warn(chalk.yellow('⚠️  Could not read entities directory'));
-            return [];
-        }
+    async getAllEntities(options = {}) {
+        return this.storage.list({ asOf: options.asOf });
+    }
+
+    /**
+     * Get an entity record, optionally as it stood at options.asOf
+     */
+    async getEntityRecord(recordId, options = {}) {
+        return this.storage.get(recordId, { asOf: options.asOf });
+    }
+
+    /**
+     * Every stored version of an entity record, oldest first
+     */
+    async getEntityHistory(recordId) {
+        return this.storage.history(recordId);
     }
 
     /**
@@ -501,6 +490,9 @@ export class MockDiffMem {
      * Clear all data (for testing)
      */
     async clear() {
+        await this.storage.close();
+        invalidateSearchIndex(this.repoPath);
+        invalidateVectorIndex(this.repoPath);
         await fs.remove(this.repoPath);
         await this.initialize();
         console.log(chalk.yellow('🗑️  Mock DiffMem cleared'));
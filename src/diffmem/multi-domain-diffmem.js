@@ -2,12 +2,20 @@ import fs from 'fs-extra';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import chalk from 'chalk';
+import { createStorageAdapter, migrateRecords, removeMigratedRecords, DEFAULT_STORAGE_ADAPTER } from '../storage/adapter-registry.js';
+import { writeJsonAtomic } from '../storage/file-transaction.js';
+import { getDomainSearchIndex, indexEntityRecord, invalidateSearchIndex } from '../search/search-index-registry.js';
+import { assignDocumentId } from '../provenance/span-provenance.js';
 
 /**
  * Multi-Domain DiffMem Implementation
  * 
  * Supports separate datastores for different domains (cybersec, construction, etc.)
  * with domain isolation and independent cost tracking.
+ * 
+ * Entity records are persisted through a per-domain storage adapter
+ * (see src/storage). The adapter name is recorded in the domain's
+ * metadata/domain-info.json as `storageAdapter` and defaults to "file".
  */
 export class MultiDomainDiffMem {
     constructor(options = {}) {
@@ -15,6 +23,8 @@ export class MultiDomainDiffMem {
         this.currentDomain = options.domain || 'default';
         this.userId = options.userId || process.env.DIFFMEM_USER_ID || 'test_user';
         this.autoCommit = options.autoCommit !== false;
+        this.defaultStorageAdapter = options.storage || process.env.DIFFMEM_STORAGE_ADAPTER || DEFAULT_STORAGE_ADAPTER;
+        this.storageAdapters = new Map();
         
         this.initialize();
     }
@@ -46,6 +56,7 @@ export class MultiDomainDiffMem {
                 created: new Date().toISOString(),
                 userId: this.userId,
                 version: '1.0.0',
+                storageAdapter: this.defaultStorageAdapter,
                 entityCount: 0,
                 conversationCount: 0,
                 totalCost: 0,
@@ -64,6 +75,59 @@ export class MultiDomainDiffMem {
         return path.join(this.basePath, domain);
     }
 
+    /**
+     * Get (and lazily open) the storage adapter configured for a domain
+     */
+    async getStorage(domain = this.currentDomain) {
+        if (this.storageAdapters.has(domain)) {
+            return this.storageAdapters.get(domain);
+        }
+
+        const metadataPath = path.join(this.getDomainPath(domain), 'metadata', 'domain-info.json');
+        // New domains get the configured default; existing domains without the key predate adapters
+        const metadata = await fs.readJson(metadataPath).catch(() => ({ storageAdapter: this.defaultStorageAdapter }));
+
+        const storage = createStorageAdapter(metadata.storageAdapter || DEFAULT_STORAGE_ADAPTER, {
+            domainPath: this.getDomainPath(domain)
+        });
+        await storage.initialize();
+
+        this.storageAdapters.set(domain, storage);
+        return storage;
+    }
+
+    /**
+     * Move a domain's entity records to a different storage adapter. The
+     * records are copied, the domain is switched to the new adapter and only
+     * then are they removed from the old one, so an interrupted migration
+     * leaves every record in the adapter the domain points at.
+     */
+    async migrateStorage(domain, targetType) {
+        const source = await this.getStorage(domain);
+        if (source.type === targetType) {
+            console.log(chalk.gray(`ℹ️  Domain '${domain}' already uses ${targetType} storage`));
+            return { migrated: 0, from: source.type, to: targetType };
+        }
+
+        console.log(chalk.blue(`🔄 Migrating domain '${domain}' storage: ${source.type} → ${targetType}`));
+
+        const target = createStorageAdapter(targetType, { domainPath: this.getDomainPath(domain) });
+        const result = await migrateRecords(source, target, { removeSource: false });
+
+        const metadataPath = path.join(this.getDomainPath(domain), 'metadata', 'domain-info.json');
+        const metadata = await fs.readJson(metadataPath);
+        metadata.storageAdapter = targetType;
+        metadata.lastUpdated = new Date().toISOString();
+        await writeJsonAtomic(metadataPath, metadata);
+
+        await removeMigratedRecords(source, result.recordIds);
+        await source.close();
+        this.storageAdapters.set(domain, target);
+
+        console.log(chalk.green(`✅ Migrated ${result.migrated} records to ${targetType} storage`));
+        return result;
+    }
+
     async switchDomain(domain) {
         console.log(chalk.yellow(`🔄 Switching from domain '${this.currentDomain}' to '${domain}'`));
         
@@ -107,14 +171,14 @@ export class MultiDomainDiffMem {
         try {
             const metadata = await fs.readJson(metadataPath);
             
-            // Count actual entities
-            const entitiesDir = path.join(this.getDomainPath(domain), 'entities');
-            const entityFiles = await fs.readdir(entitiesDir);
-            const actualEntityCount = entityFiles.filter(f => f.endsWith('.json')).length;
+            // Count actual entity records in the domain's store
+            const storage = await this.getStorage(domain);
+            const storageStats = await storage.stats();
             
             return {
                 ...metadata,
-                actualEntityCount,
+                storageAdapter: storage.type,
+                actualEntityCount: storageStats.recordCount,
                 domainPath: this.getDomainPath(domain)
             };
         } catch (error) {
@@ -134,6 +198,9 @@ export class MultiDomainDiffMem {
         const entityId = uuidv4();
         const timestamp = new Date().toISOString();
 
+        // Provenance recorded without a document id points at this conversation
+        assignDocumentId(entities, conversationId);
+
         const entityRecord = {
             id: entityId,
             conversationId,
@@ -151,9 +218,13 @@ export class MultiDomainDiffMem {
             }
         };
 
-        // Store entity record in domain-specific directory
-        const entityPath = path.join(this.getDomainPath(), 'entities', `${entityId}.json`);
-        await fs.writeJson(entityPath, entityRecord, { spaces: 2 });
+        // Store entity record in the domain's storage adapter (kept as a new version)
+        const storage = await this.getStorage();
+        await storage.store(entityRecord, {
+            source: metadata.source || `conversation:${conversationId}`,
+            timestamp
+        });
+        await indexEntityRecord(this.getDomainPath(), entityRecord);
 
         // Update domain metadata
         await this.updateDomainMetadata(entities, metadata.cost || 0);
@@ -218,37 +289,57 @@ export class MultiDomainDiffMem {
         }
     }
 
-    async getAllEntities(domain = this.currentDomain) {
-        const entitiesDir = path.join(this.getDomainPath(domain), 'entities');
-        
+    /**
+     * All entity records of a domain; options.asOf lists them as of a date
+     */
+    async getAllEntities(domain = this.currentDomain, options = {}) {
         try {
-            const files = await fs.readdir(entitiesDir);
-            const entities = [];
-            
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    try {
-                        const filePath = path.join(entitiesDir, file);
-                        const entityData = await fs.readJson(filePath);
-                        entities.push(entityData);
-                    } catch (error) {
-                        console.warn(chalk.yellow(`⚠️  Could not read entity file: ${file}`));
-                    }
-                }
-            }
-            
-            return entities;
+            const storage = await this.getStorage(domain);
+            return await storage.list({ asOf: options.asOf });
         } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Could not read entities directory for domain: ${domain}`));
+            console.warn(chalk.yellow(`⚠️  Could not read entities for domain: ${domain}`));
             return [];
         }
     }
 
+    async getEntityRecord(recordId, domain = this.currentDomain, options = {}) {
+        const storage = await this.getStorage(domain);
+        return storage.get(recordId, { asOf: options.asOf });
+    }
+
+    /**
+     * Every stored version of an entity record, oldest first
+     */
+    async getEntityHistory(recordId, domain = this.currentDomain) {
+        const storage = await this.getStorage(domain);
+        return storage.history(recordId);
+    }
+
+    async searchEntities(query, domain = this.currentDomain) {
+        const storage = await this.getStorage(domain);
+        return storage.search(query);
+    }
+
+    /**
+     * Get the domain's full-text entity search index (see src/search)
+     */
+    async getSearchIndex(domain = this.currentDomain) {
+        const storage = await this.getStorage(domain);
+        return getDomainSearchIndex(this.getDomainPath(domain), { storage });
+    }
+
     async clearDomain(domain) {
         console.log(chalk.yellow(`🗑️  Clearing domain: ${domain}`));
         
         const domainPath = this.getDomainPath(domain);
         
+        const storage = this.storageAdapters.get(domain);
+        if (storage) {
+            await storage.close();
+            this.storageAdapters.delete(domain);
+        }
+        invalidateSearchIndex(domainPath);
+        
         if (await fs.pathExists(domainPath)) {
             await fs.remove(domainPath);
             console.log(chalk.green(`✅ Domain '${domain}' cleared`));
@@ -269,7 +360,7 @@ export class MultiDomainDiffMem {
         
         // Copy entities
         const legacyEntitiesPath = path.join(legacyPath, 'entities');
-        const targetEntitiesPath = path.join(this.getDomainPath(targetDomain), 'entities');
+        const targetStorage = await this.getStorage(targetDomain);
         
         if (await fs.pathExists(legacyEntitiesPath)) {
             const files = await fs.readdir(legacyEntitiesPath);
@@ -279,7 +370,6 @@ export class MultiDomainDiffMem {
                 if (file.endsWith('.json')) {
                     try {
                         const sourcePath = path.join(legacyEntitiesPath, file);
-                        const targetPath = path.join(targetEntitiesPath, file);
                         
                         // Read and update entity record with domain info
                         const entityData = await fs.readJson(sourcePath);
@@ -287,7 +377,7 @@ export class MultiDomainDiffMem {
                         entityData.migratedFrom = legacyPath;
                         entityData.migrationTimestamp = new Date().toISOString();
                         
-                        await fs.writeJson(targetPath, entityData, { spaces: 2 });
+                        await targetStorage.store(entityData, { source: `migration:${sourcePath}` });
                         migratedCount++;
                     } catch (error) {
                         console.warn(chalk.yellow(`⚠️  Could not migrate file: ${file}`));
@@ -296,6 +386,7 @@ export class MultiDomainDiffMem {
             }
             
             console.log(chalk.green(`✅ Migrated ${migratedCount} entity files to domain '${targetDomain}'`));
+            invalidateSearchIndex(this.getDomainPath(targetDomain));
         }
         
         // Update domain metadata
@@ -0,0 +1,32 @@
+import { HashingEmbeddingProvider } from './hashing-embedding-provider.js';
+import { OllamaEmbeddingProvider } from './ollama-embedding-provider.js';
+
+/**
+ * Embedding provider registry
+ *
+ * Maps a provider name ("ollama", "hashing") to its implementation. The
+ * EMBEDDING_PROVIDER environment variable picks the default; when it is
+ * unset, callers fall back to keyword-only ranking.
+ */
+export const EMBEDDING_PROVIDERS = {
+    ollama: OllamaEmbeddingProvider,
+    hashing: HashingEmbeddingProvider
+};
+
+export function createEmbeddingProvider(type, options = {}) {
+    const ProviderClass = EMBEDDING_PROVIDERS[type];
+    if (!ProviderClass) {
+        throw new Error(`Unknown embedding provider: ${type} (available: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')})`);
+    }
+    return new ProviderClass(options);
+}
+
+/**
+ * Resolve a provider option: an instance is used as is, a name is created,
+ * and nothing falls back to EMBEDDING_PROVIDER (or null when that is unset)
+ */
+export function resolveEmbeddingProvider(provider = process.env.EMBEDDING_PROVIDER, options = {}) {
+    if (!provider) return null;
+    if (typeof provider === 'string') return createEmbeddingProvider(provider, options);
+    return provider;
+}
@@ -0,0 +1,56 @@
+/**
+ * Embedding Provider Interface
+ *
+ * Base class for turning text into fixed-length vectors. Providers return
+ * one vector per input text, in order, all of `dimensions` length. The
+ * `key` names the vector space (provider and model), so vectors from
+ * different models are never compared with each other.
+ */
+export class EmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'abstract';
+        this.model = options.model || null;
+        this.dimensions = options.dimensions || null;
+        this.batchSize = options.batchSize || 32;
+    }
+
+    get key() {
+        return [this.name, this.model].filter(Boolean).join('-').replace(/[^a-z0-9.-]/gi, '_');
+    }
+
+    /**
+     * Embed a batch of texts. Returns an array of number arrays.
+     */
+    async embed(texts) {
+        throw new Error(`${this.constructor.name}.embed() not implemented`);
+    }
+
+    async embedOne(text) {
+        const [vector] = await this.embed([text]);
+        return vector;
+    }
+
+    /**
+     * Embed any number of texts in provider-sized batches
+     */
+    async embedAll(texts) {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            vectors.push(...await this.embed(texts.slice(i, i + this.batchSize)));
+        }
+        return vectors;
+    }
+}
+
+/**
+ * Scale a vector to unit length (zero vectors are returned unchanged)
+ */
+export function normalizeVector(vector) {
+    let norm = 0;
+    for (const value of vector) norm += value * value;
+    norm = Math.sqrt(norm);
+    if (norm === 0) return Array.from(vector);
+    return Array.from(vector, value => value / norm);
+}
+
+export default EmbeddingProvider;
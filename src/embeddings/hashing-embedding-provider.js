@@ -0,0 +1,62 @@
+import { EmbeddingProvider, normalizeVector } from './embedding-provider.js';
+import { EntitySearchIndex } from '../search/entity-search-index.js';
+
+/**
+ * Hashing Embedding Provider
+ *
+ * Deterministic, offline embedder: stemmed tokens and their character
+ * trigrams are hashed into a fixed number of signed buckets. It needs no
+ * model or network, which makes it the provider for tests and machines
+ * without Ollama. It captures shared words and spelling, not meaning, so
+ * "foundation pour" will not find "concrete slab" with it.
+ */
+export class HashingEmbeddingProvider extends EmbeddingProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'hashing';
+        this.dimensions = options.dimensions || 256;
+        this.model = `fnv1a-${this.dimensions}`;
+        this.trigramWeight = options.trigramWeight ?? 0.5;
+    }
+
+    /**
+     * 32-bit FNV-1a hash
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    addFeature(vector, feature, weight) {
+        const hash = HashingEmbeddingProvider.hash(feature);
+        const sign = (hash & 0x80000000) ? -1 : 1;
+        vector[hash % this.dimensions] += sign * weight;
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimensions).fill(0);
+
+        for (const term of EntitySearchIndex.analyze(text)) {
+            this.addFeature(vector, `t:${term}`, 1);
+
+            if (this.trigramWeight > 0 && term.length > 3) {
+                const padded = `^${term}$`;
+                for (let i = 0; i < padded.length - 2; i++) {
+                    this.addFeature(vector, `g:${padded.slice(i, i + 3)}`, this.trigramWeight);
+                }
+            }
+        }
+
+        return normalizeVector(vector);
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedText(text));
+    }
+}
+
+export default HashingEmbeddingProvider;
@@ -0,0 +1,106 @@
+import chalk from 'chalk';
+
+/**
+ * Hybrid Ranker
+ *
+ * Blends keyword relevance from an EntitySearchIndex with semantic
+ * similarity from a VectorIndex, so a query finds entities that share its
+ * words and entities that only share its meaning. Both scores are scaled
+ * to 0..1 before mixing:
+ *
+ *   score = keywordWeight * keyword + (1 - keywordWeight) * similarity
+ *
+ * Candidates are the keyword hits plus the nearest vectors above
+ * minSimilarity. Hits keep the search index's result shape (id, score,
+ * matchType, document) with keywordScore and vectorScore added.
+ */
+
+export const DEFAULT_KEYWORD_WEIGHT = 0.5;
+export const DEFAULT_MIN_SIMILARITY = 0.35;
+
+export class HybridRanker {
+    constructor(options = {}) {
+        this.searchIndex = options.searchIndex;
+        this.vectorIndex = options.vectorIndex || null;
+        this.keywordWeight = options.keywordWeight ?? DEFAULT_KEYWORD_WEIGHT;
+        this.minSimilarity = options.minSimilarity ?? DEFAULT_MIN_SIMILARITY;
+    }
+
+    /**
+     * options: limit, types, filter(doc), keywordWeight, minSimilarity
+     */
+    async rank(query, options = {}) {
+        const limit = options.limit || 50;
+        const keywordWeight = options.keywordWeight ?? this.keywordWeight;
+        const minSimilarity = options.minSimilarity ?? this.minSimilarity;
+        const accepts = doc => doc &&
+            (!options.types || options.types.includes(doc.type)) &&
+            (!options.filter || options.filter(doc));
+
+        const candidateLimit = Math.max(limit * 3, 50);
+        const keywordHits = this.searchIndex.search(query, {
+            types: options.types,
+            filter: options.filter,
+            limit: candidateLimit
+        });
+        const topKeywordScore = keywordHits[0]?.score || 1;
+
+        const candidates = new Map();
+        for (const hit of keywordHits) {
+            candidates.set(hit.id, {
+                id: hit.id,
+                matchType: hit.matchType,
+                coverage: hit.coverage,
+                document: hit.document,
+                keywordScore: hit.score / topKeywordScore,
+                vectorScore: 0
+            });
+        }
+
+        let queryVector = null;
+        if (this.vectorIndex && this.vectorIndex.size > 0) {
+            try {
+                queryVector = await this.vectorIndex.provider.embedOne(query);
+            } catch (error) {
+                console.warn(chalk.yellow(`⚠️  Could not embed query, ranking by keywords only: ${error.message}`));
+            }
+        }
+
+        if (queryVector) {
+            for (const candidate of candidates.values()) {
+                candidate.vectorScore = Math.max(0, this.vectorIndex.similarity(queryVector, candidate.id) || 0);
+            }
+
+            const nearest = this.vectorIndex.query(queryVector, {
+                limit: candidateLimit,
+                minSimilarity,
+                filter: id => !candidates.has(id) && accepts(this.searchIndex.get(id))
+            });
+
+            for (const { id, similarity } of nearest) {
+                candidates.set(id, {
+                    id,
+                    matchType: 'semantic',
+                    coverage: 0,
+                    document: this.searchIndex.get(id),
+                    keywordScore: 0,
+                    vectorScore: similarity
+                });
+            }
+        }
+
+        // Without vectors the keyword score is the whole score
+        const weights = queryVector
+            ? { keyword: keywordWeight, vector: 1 - keywordWeight }
+            : { keyword: 1, vector: 0 };
+        const results = Array.from(candidates.values(), candidate => ({
+            ...candidate,
+            score: Math.round((weights.keyword * candidate.keywordScore + weights.vector * candidate.vectorScore) * 1000) / 1000
+        }));
+
+        results.sort((a, b) => b.score - a.score || a.document.name.localeCompare(b.document.name));
+        return results.slice(0, limit);
+    }
+}
+
+export default HybridRanker;
@@ -0,0 +1,34 @@
+import { EmbeddingProvider, normalizeVector } from './embedding-provider.js';
+import { LLMClient } from '../utils/llm-client.js';
+
+/**
+ * Ollama Embedding Provider
+ *
+ * Local embedding model (nomic-embed-text by default, OLLAMA_EMBEDDING_MODEL
+ * to change it) served by Ollama and called through LLMClient. Vectors are
+ * unit-normalized so similarity is a plain dot product.
+ */
+export class OllamaEmbeddingProvider extends EmbeddingProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'ollama';
+        this.client = options.client || new LLMClient();
+        this.model = options.model || this.client.providers.ollama.embeddingModel;
+    }
+
+    async embed(texts) {
+        if (texts.length === 0) return [];
+
+        const { embeddings } = await this.client.generateEmbeddings(texts, {
+            provider: 'ollama',
+            model: this.model
+        });
+
+        if (!this.dimensions && embeddings.length > 0) {
+            this.dimensions = embeddings[0].length;
+        }
+        return embeddings.map(normalizeVector);
+    }
+}
+
+export default OllamaEmbeddingProvider;
@@ -0,0 +1,79 @@
+import path from 'path';
+import chalk from 'chalk';
+import { VectorIndex } from './vector-index.js';
+import { HybridRanker } from './hybrid-ranker.js';
+import { resolveEmbeddingProvider } from './embedding-provider-registry.js';
+import { getDomainSearchIndex } from '../search/search-index-registry.js';
+
+/**
+ * Vector Index Registry
+ *
+ * One VectorIndex per domain directory and embedding space, loaded from
+ * disk on first use. Before each ranking the index is synced against the
+ * domain's search index, so entities stored since the last query are
+ * embedded then (and only those).
+ */
+
+const vectorIndexes = new Map();   // "<resolved domain path>|<provider key>" -> Promise<VectorIndex>
+
+/**
+ * Get the vector index for a domain directory in a provider's embedding space
+ */
+export function getDomainVectorIndex(domainPath, provider) {
+    const key = `${path.resolve(domainPath)}|${provider.key}`;
+
+    if (!vectorIndexes.has(key)) {
+        const loading = new VectorIndex({ domainPath: path.resolve(domainPath), provider }).load().catch(error => {
+            vectorIndexes.delete(key);
+            throw error;
+        });
+        vectorIndexes.set(key, loading);
+    }
+
+    return vectorIndexes.get(key);
+}
+
+/**
+ * Get a hybrid keyword + vector ranker for a domain directory
+ *
+ * options: provider (instance or name; defaults to EMBEDDING_PROVIDER),
+ *          searchIndex (an already-built index, e.g. with merges applied),
+ *          storage (an open StorageAdapter, used if the search index must
+ *          be built), keywordWeight, minSimilarity
+ *
+ * Without an embedding provider the ranker is keyword-only. If embedding
+ * fails (e.g. Ollama is not running) it warns and falls back to keywords.
+ */
+export async function getDomainHybridRanker(domainPath, options = {}) {
+    const searchIndex = options.searchIndex ||
+        await getDomainSearchIndex(domainPath, { storage: options.storage });
+    const provider = resolveEmbeddingProvider(options.provider);
+
+    let vectorIndex = null;
+    if (provider) {
+        try {
+            vectorIndex = await getDomainVectorIndex(domainPath, provider);
+            await vectorIndex.sync(Array.from(searchIndex.documents.values()));
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Semantic search unavailable (${provider.name}): ${error.message}`));
+            vectorIndex = null;
+        }
+    }
+
+    return new HybridRanker({
+        searchIndex,
+        vectorIndex,
+        keywordWeight: options.keywordWeight,
+        minSimilarity: options.minSimilarity
+    });
+}
+
+/**
+ * Drop a domain's loaded vector indexes (the files on disk are kept)
+ */
+export function invalidateVectorIndex(domainPath) {
+    const prefix = `${path.resolve(domainPath)}|`;
+    for (const key of vectorIndexes.keys()) {
+        if (key.startsWith(prefix)) vectorIndexes.delete(key);
+    }
+}
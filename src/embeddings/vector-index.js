@@ -0,0 +1,179 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createHash } from 'crypto';
+import { writeJsonAtomic } from '../storage/file-transaction.js';
+
+/**
+ * Vector Index
+ *
+ * Unit vectors for a domain's entities in one embedding space, persisted at
+ * <domainPath>/embeddings/<provider key>.json. Each vector is stored with a
+ * hash of the text it was made from, so sync() only re-embeds entities that
+ * are new or whose text changed. Vectors are kept as base64 Float32 arrays.
+ */
+
+/**
+ * Text an entity document is embedded from
+ */
+export function documentText(document) {
+    const parts = [document.name];
+    if (document.aliases?.length) parts.push(`also known as ${document.aliases.join(', ')}`);
+    if (document.type) parts.push(document.type);
+    if (document.description) parts.push(document.description);
+
+    // Short descriptive attributes of the entity (role, status, material, ...)
+    for (const [key, value] of Object.entries(document.data || {})) {
+        if (['name', 'description', 'id', 'category', 'type', 'source', 'conversationId', 'recordId', 'timestamp'].includes(key)) continue;
+        if (typeof value === 'string' && value.length > 0 && value.length <= 200) {
+            parts.push(`${key}: ${value}`);
+        }
+    }
+
+    return parts.filter(Boolean).join('. ');
+}
+
+function hashText(text) {
+    return createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+function encodeVector(vector) {
+    return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+    // Copy out of Node's shared buffer pool, whose offsets need not be 4-byte aligned
+    const bytes = Uint8Array.from(Buffer.from(encoded, 'base64'));
+    return new Float32Array(bytes.buffer);
+}
+
+export class VectorIndex {
+    constructor(options = {}) {
+        this.provider = options.provider;
+        this.domainPath = options.domainPath;
+        this.filePath = options.filePath ||
+            (this.domainPath ? path.join(this.domainPath, 'embeddings', `${this.provider.key}.json`) : null);
+
+        this.entries = new Map();   // id -> { hash, vector: Float32Array }
+        this.syncing = Promise.resolve();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    async load() {
+        if (!this.filePath || !(await fs.pathExists(this.filePath))) return this;
+
+        const stored = await fs.readJson(this.filePath);
+        for (const [id, entry] of Object.entries(stored.vectors || {})) {
+            this.entries.set(id, { hash: entry.hash, vector: decodeVector(entry.vector) });
+        }
+        return this;
+    }
+
+    async save() {
+        if (!this.filePath) return;
+
+        const vectors = {};
+        for (const [id, entry] of this.entries) {
+            vectors[id] = { hash: entry.hash, vector: encodeVector(entry.vector) };
+        }
+
+        await writeJsonAtomic(this.filePath, {
+            provider: this.provider.name,
+            model: this.provider.model,
+            dimensions: this.provider.dimensions,
+            updated: new Date().toISOString(),
+            vectors
+        });
+    }
+
+    /**
+     * Bring the index in line with a set of documents: embed new or changed
+     * ones, drop ones that are gone, and save if anything changed. Calls are
+     * serialized so concurrent searches never embed the same entity twice.
+     */
+    sync(documents) {
+        this.syncing = this.syncing.catch(() => {}).then(() => this.applySync(documents));
+        return this.syncing;
+    }
+
+    async applySync(documents) {
+        const pending = [];
+        const live = new Set();
+
+        for (const document of documents) {
+            live.add(document.id);
+            const text = documentText(document);
+            const hash = hashText(text);
+            if (this.entries.get(document.id)?.hash !== hash) {
+                pending.push({ id: document.id, text, hash });
+            }
+        }
+
+        let removed = 0;
+        for (const id of this.entries.keys()) {
+            if (!live.has(id)) {
+                this.entries.delete(id);
+                removed++;
+            }
+        }
+
+        if (pending.length > 0) {
+            // Record entities repeat across documents; embed each distinct text once
+            const texts = new Map(pending.map(item => [item.hash, item.text]));
+            const vectors = await this.provider.embedAll(Array.from(texts.values()));
+            const vectorsByHash = new Map(Array.from(texts.keys(), (hash, i) => [hash, Float32Array.from(vectors[i])]));
+
+            for (const item of pending) {
+                this.entries.set(item.id, { hash: item.hash, vector: vectorsByHash.get(item.hash) });
+            }
+        }
+
+        if (pending.length > 0 || removed > 0) {
+            await this.save();
+        }
+
+        return { embedded: pending.length, removed, size: this.entries.size };
+    }
+
+    /**
+     * Cosine similarity between a query vector and an entity (null if not indexed)
+     */
+    similarity(vector, id) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        let similarity = 0;
+        const length = Math.min(vector.length, entry.vector.length);
+        for (let i = 0; i < length; i++) {
+            similarity += vector[i] * entry.vector[i];
+        }
+        return similarity;
+    }
+
+    /**
+     * Nearest entities to a query vector by cosine similarity.
+     *
+     * options: limit, minSimilarity, filter(id)
+     */
+    query(vector, options = {}) {
+        const limit = options.limit || 20;
+        const minSimilarity = options.minSimilarity ?? 0;
+        const results = [];
+
+        for (const id of this.entries.keys()) {
+            if (options.filter && !options.filter(id)) continue;
+
+            const similarity = this.similarity(vector, id);
+            if (similarity >= minSimilarity) {
+                results.push({ id, similarity });
+            }
+        }
+
+        results.sort((a, b) => b.similarity - a.similarity);
+        return results.slice(0, limit);
+    }
+}
+
+export default VectorIndex;
@@ -8,6 +8,8 @@
 import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
+import { EntitySearchIndex } from '../search/entity-search-index.js';
+import { getSearchIndex, updateDomainSearchIndex, indexHierarchicalEntity } from '../search/search-index-registry.js';
 
 export class HierarchicalEntityManager {
   constructor(options = {}) {
@@ -309,6 +311,9 @@ export class HierarchicalEntityManager {
       const filePath = path.join(this.hierarchiesPath, filename);
       
       await fs.writeFile(filePath, JSON.stringify(hierarchy, null, 2));
+      await updateDomainSearchIndex(this.hierarchiesPath, index => {
+        index.addMany(this.getHierarchySearchDocuments(hierarchy));
+      });
       console.log(chalk.green(`💾 Saved hierarchy: ${filename}`));
     } catch (error) {
       console.warn(chalk.yellow('⚠️  Could not save hierarchy:', error.message));
@@ -361,17 +366,14 @@ export class HierarchicalEntityManager {
         hierarchical: []
       };
 
-      // Search in existing hierarchies
-      const hierarchyFiles = await fs.readdir(this.hierarchiesPath);
-      
-      for (const file of hierarchyFiles) {
-        if (file.endsWith('.json')) {
-          const hierarchyPath = path.join(this.hierarchiesPath, file);
-          const hierarchy = JSON.parse(await fs.readFile(hierarchyPath, 'utf-8'));
-          
-          const matches = this.searchInHierarchy(hierarchy, searchTerm);
-          results.hierarchical.push(...matches);
-        }
+      const index = await this.getHierarchySearchIndex();
+
+      for (const hit of index.search(searchTerm, { limit: options.limit })) {
+        results.hierarchical.push({
+          ...hit.document.data,
+          confidence: hit.matchType === 'exact' ? 1.0 : 0.8,
+          score: hit.score
+        });
       }
 
       this.displaySearchResults(results, searchTerm);
@@ -383,35 +385,57 @@ export class HierarchicalEntityManager {
   }
 
   /**
-   * Search within a hierarchy
+   * Shared search index over every node of the saved hierarchies, built on
+   * first use and kept current by saveHierarchy
+   */
+  getHierarchySearchIndex() {
+    return getSearchIndex(this.hierarchiesPath, async hierarchiesPath => {
+      const index = new EntitySearchIndex();
+      const hierarchyFiles = await fs.readdir(hierarchiesPath).catch(() => []);
+
+      for (const file of hierarchyFiles) {
+        if (file.endsWith('.json')) {
+          const hierarchy = JSON.parse(await fs.readFile(path.join(hierarchiesPath, file), 'utf-8'));
+          index.addMany(this.getHierarchySearchDocuments(hierarchy));
+        }
+      }
+
+      return index;
+    });
+  }
+
+  /**
+   * Search index documents for every node of a hierarchy
    */
-  searchInHierarchy(hierarchy, searchTerm) {
-    const matches = [];
-    const lowerSearchTerm = searchTerm.toLowerCase();
+  getHierarchySearchDocuments(hierarchy) {
+    const documents = [];
     
-    function searchNode(node, path = []) {
+    function collectNode(node, path = []) {
       const currentPath = [...path, node.name];
       
-      if (node.name.toLowerCase().includes(lowerSearchTerm)) {
-        matches.push({
+      documents.push({
+        id: `${hierarchy.name}:${currentPath.join('/')}`,
+        name: node.name,
+        type: node.type,
+        source: 'hierarchy',
+        data: {
           entity: node.name,
           type: node.type,
           hierarchy: hierarchy.name,
-          path: currentPath,
-          confidence: node.name.toLowerCase() === lowerSearchTerm ? 1.0 : 0.8
-        });
-      }
+          path: currentPath
+        }
+      });
       
       if (node.children) {
-        node.children.forEach(child => searchNode(child, currentPath));
+        node.children.forEach(child => collectNode(child, currentPath));
       }
     }
     
     if (hierarchy.root) {
-      searchNode(hierarchy.root);
+      collectNode(hierarchy.root);
     }
     
-    return matches;
+    return documents;
   }
 
   /**
@@ -621,6 +645,7 @@ export class HierarchicalEntityManager {
     }
 
     await fs.writeFile(entityPath, JSON.stringify(entity, null, 2));
+    await indexHierarchicalEntity(path.join(this.dataPath, entity.domain), entity);
   }
 
   /**
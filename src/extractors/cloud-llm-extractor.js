@@ -1,25 +1,36 @@
 import { LLMClient } from '../utils/llm-client.js';
-import fs from 'fs-extra';
-import path from 'path';
 import chalk from 'chalk';
-import { validateEntity } from '../../config/entity-schemas.js';
+import { validateEntity, getExtractionSchema } from '../../config/entity-schemas.js';
+import { removeInvalid } from '../utils/json-schema.js';
+import { getPromptRegistry } from '../utils/prompt-registry.js';
+import { attachProvenance } from '../provenance/span-provenance.js';
 
 /**
  * Cloud LLM Entity Extractor using OpenAI, OpenRouter, or Anthropic
  * 
  * This extractor uses cloud-based LLMs to extract entities from 
  * construction project communications with higher accuracy than local models.
+ * Output is requested in the provider's JSON mode and validated against the
+ * extraction schema from config/entity-schemas.js; invalid values are
+ * dropped and listed in the result's validationErrors.
+ * Prompts come from the prompt registry (prompts/registry/entity-extraction.yaml);
+ * the prompt id and version are recorded with each request.
+ * Every entity carries span provenance (src/provenance/span-provenance.js):
+ * where in the text it was found, the quoted evidence, and the extractor,
+ * model and prompt version that produced it.
  */
 export class CloudLLMExtractor {
     constructor(options = {}) {
-        this.client = new LLMClient();
+        this.client = options.llmClient || new LLMClient();
         this.provider = options.provider || 'openai';
         this.model = options.model || this.getDefaultModel();
         this.maxRetries = options.maxRetries || 2;
         this.costLimit = options.costLimit || parseFloat(process.env.DAILY_COST_LIMIT || 10);
-        
-        // Load prompts
-        this.loadPrompts();
+        this.domain = options.domain || null;
+        this.maxRepairs = options.maxRepairs ?? 1;
+        this.extractionSchema = getExtractionSchema();
+        this.promptId = 'entity-extraction';
+        this.promptDomain = null; // domain override in prompts/registry
     }
 
     getDefaultModel() {
@@ -35,54 +46,6 @@ export class CloudLLMExtractor {
         }
     }
 
-    async loadPrompts() {
-        try {
-            const promptPath = path.join(process.cwd(), 'prompts/entity-extraction/construction-entities.md');
-            this.promptTemplate = await fs.readFile(promptPath, 'utf8');
-        } catch (error) {
-            console.warn(chalk.yellow('⚠️  Could not load prompt template, using default'));
-            this.promptTemplate = this.getDefaultPrompt();
-        }
-    }
-
-    getDefaultPrompt() {
-        return `You are an expert entity extraction system for construction project communications.
-
-Extract entities from the following text and return them in JSON format.
-
-Entity types to extract:
-- PERSON: People involved (name, role, company)
-- PROJECT: Construction work (name, type, phase)  
-- DECISION: Decisions made (type, description, date)
-- TIMELINE: Schedule items (event, status, date, duration)
-- LOCATION: Places (name, type, address)
-- MATERIAL: Construction materials (name, category, quantity)
-- COST: Budget items (amount, type, category)
-- ISSUE: Problems (description, severity, status)
-- TASK: Action items (description, assigned_to, due_date)
-- DOCUMENT: References to documents (name, type, status)
-
-Return JSON in this exact format:
-{
-  "entities": {
-    "people": [{"name": "string", "role": "string", "confidence": 0.95}],
-    "projects": [{"name": "string", "type": "string", "phase": "string", "confidence": 0.90}],
-    "decisions": [{"type": "string", "description": "string", "date": "string", "confidence": 0.85}],
-    "timeline": [{"event": "string", "status": "string", "date": "string", "confidence": 0.80}],
-    "locations": [],
-    "materials": [],
-    "costs": [],
-    "issues": [],
-    "tasks": [],
-    "documents": []
-  },
-  "summary": "Brief summary of the communication"
-}
-
-Include confidence scores (0.0-1.0) for each entity. Only extract entities you are confident about (>0.7).
-Return ONLY the JSON object, no additional text.`;
-    }
-
     /**
      * Extract entities from a single message or conversation
      */
@@ -106,18 +69,37 @@ Return ONLY the JSON object, no additional text.`;
         
         while (attempt < this.maxRetries) {
             try {
-                const prompt = this.buildPrompt(text, communicationType, context);
+                const { system, prompt, ref } = this.buildPrompt(text, communicationType, context);
                 
-                const result = await this.client.generateCompletion(prompt, {
+                const result = await this.client.generateStructured(prompt, {
                     provider: this.provider,
                     model: this.model,
                     maxTokens: 2000,
                     temperature: 0.1,
-                    systemPrompt: this.getSystemPrompt()
+                    systemPrompt: system,
+                    promptId: ref.promptId,
+                    promptVersion: ref.promptVersion,
+                    domain: options.domain || this.domain,
+                    operation: 'entity-extraction',
+                    maxCost: options.maxCallCost,
+                    spendCap: options.spendCap,
+                    schema: this.extractionSchema,
+                    schemaName: 'entity_extraction',
+                    maxRepairs: this.maxRepairs,
+                    // A retry must reach the provider, not the answer that just failed
+                    ...(attempt > 0 && { cache: false })
                 });
 
-                const entities = this.parseResponse(result.content);
+                const entities = this.parseResponse(result);
                 const validatedEntities = this.validateExtractedEntities(entities);
+                attachProvenance(validatedEntities, text, {
+                    documentId: options.documentId,
+                    extractor: this.constructor.name,
+                    provider: this.provider,
+                    model: this.model,
+                    promptId: ref.promptId,
+                    promptVersion: ref.promptVersion
+                });
                 
                 const duration = Date.now() - startTime;
                 
@@ -127,12 +109,17 @@ Return ONLY the JSON object, no additional text.`;
                     entities: validatedEntities.entities,
                     relationships: validatedEntities.relationships || [],
                     summary: validatedEntities.summary || '',
+                    validationErrors: validatedEntities.validationErrors,
                     content: result.content, // Store the full response
                     metadata: {
                         model: this.model,
                         provider: this.provider,
                         duration,
                         attempt: attempt + 1,
+                        repairs: result.repairs,
+                        schemaValid: result.valid,
+                        promptId: ref.promptId,
+                        promptVersion: ref.promptVersion,
                         confidence: this.calculateOverallConfidence(validatedEntities.entities),
                         cost: result.usage ? this.estimateCost(result.usage) : 0,
                         fullPrompt: prompt, // Store the full prompt
@@ -144,7 +131,8 @@ Return ONLY the JSON object, no additional text.`;
                 attempt++;
                 console.warn(chalk.yellow(`⚠️  Attempt ${attempt} failed: ${error.message}`));
                 
-                if (attempt >= this.maxRetries) {
+                // Retrying cannot help when the budget refused the call
+                if (attempt >= this.maxRetries || error.code === 'BUDGET_EXCEEDED') {
                     console.error(chalk.red(`❌ Cloud extraction failed after ${this.maxRetries} attempts`));
                     throw new Error(`Cloud LLM extraction failed: ${error.message}`);
                 }
@@ -155,108 +143,39 @@ Return ONLY the JSON object, no additional text.`;
         }
     }
 
+    /**
+     * The extraction prompt from the prompt registry (entity-extraction, with
+     * the promptDomain override if there is one): { system, prompt, ref }
+     */
     buildPrompt(text, communicationType, context) {
-        let prompt = this.getDefaultPrompt();
-        
-        // Add communication type specific instructions
-        if (communicationType === 'email') {
-            prompt += `\n\nThis is an email communication. Pay attention to formal language, document references, and detailed specifications.`;
-        } else if (communicationType === 'sms') {
-            prompt += `\n\nThis is an SMS/text conversation. Expect informal language, abbreviations, and quick exchanges.`;
-        } else if (communicationType === 'meeting_notes') {
-            prompt += `\n\nThese are meeting notes. Focus on decisions made, action items assigned, and progress updates.`;
-        }
-
-        // Add context if provided
-        if (context) {
-            prompt += `\n\nCONTEXT: ${context}`;
-        }
-
-        prompt += `\n\nTEXT TO ANALYZE:\n${text}`;
-        
-        return prompt;
-    }
-
-    getSystemPrompt() {
-        return `You are an expert entity extraction system specialized in construction project communications. 
-        
-Your task is to analyze text and extract structured entities in JSON format. Be conservative and only extract entities you are confident about. Use consistent naming and include confidence scores for each entity.
-
-Always return valid JSON that matches the specified schema. Do not include any explanatory text, only the JSON response.`;
+        const registry = getPromptRegistry();
+        const options = { domain: this.promptDomain };
+        const notes = registry.get(this.promptId, options).variables.communicationNotes || {};
+
+        return registry.render(this.promptId, {
+            text,
+            context: context || '',
+            communicationNote: notes[communicationType] || ''
+        }, options);
     }
 
-    parseResponse(response) {
-        try {
-            // Clean the response - remove any markdown formatting or extra text
-            let cleanResponse = response.trim();
-            
-            // Remove markdown code blocks if present
-            cleanResponse = cleanResponse.replace(/```json\s*/, '').replace(/```\s*$/, '');
-            
-            // Find JSON object in the response
-            const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            
-            // If no JSON found, try to parse the entire response
-            return JSON.parse(cleanResponse);
-            
-        } catch (error) {
-            console.warn(chalk.yellow('⚠️  Failed to parse JSON response, attempting to extract entities manually'));
-            console.log('Raw response:', response);
-            
-            // Fallback: try to extract basic information
-            return this.fallbackExtraction(response);
-        }
-    }
-
-    fallbackExtraction(text) {
-        // Basic fallback extraction when JSON parsing fails
-        const entities = {
-            people: [],
-            projects: [],
-            decisions: [],
-            timeline: [],
-            locations: [],
-            materials: [],
-            costs: [],
-            issues: [],
-            tasks: [],
-            documents: []
-        };
-
-        // Simple pattern matching for common entities
-        const namePattern = /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g;
-        const costPattern = /\$[\d,]+(?:\.\d{2})?/g;
-        const datePattern = /\b(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday|today|tomorrow|yesterday|next\s+week)\b/gi;
-
-        // Extract potential names
-        const names = text.match(namePattern) || [];
-        for (const name of names.slice(0, 3)) { // Limit to 3 names
-            if (name.length > 2 && !['The', 'And', 'But', 'For', 'JSON'].includes(name)) {
-                entities.people.push({
-                    name,
-                    confidence: 0.5
-                });
-            }
+    /**
+     * Extraction data from a structured completion, without the values that
+     * failed schema validation; those are kept as validationErrors. Output
+     * that is not JSON even after repairs fails the attempt.
+     */
+    parseResponse(result) {
+        if (result.data === null) {
+            throw new Error(`Extraction output is not valid JSON: ${result.errors[0]?.message}`);
         }
 
-        // Extract costs
-        const costs = text.match(costPattern) || [];
-        for (const cost of costs) {
-            const amount = parseFloat(cost.replace(/[$,]/g, ''));
-            entities.costs.push({
-                amount,
-                currency: 'USD',
-                type: 'estimate',
-                confidence: 0.6
-            });
+        if (result.errors.length > 0) {
+            console.warn(chalk.yellow(`⚠️  Dropping ${result.errors.length} value(s) that failed schema validation`));
         }
 
         return {
-            entities,
-            summary: 'Fallback extraction due to parsing error'
+            ...removeInvalid(result.data, result.errors),
+            validationErrors: result.errors
         };
     }
 
@@ -271,17 +190,17 @@ Always return valid JSON that matches the specified schema. Do not include any e
         // Validate each entity type
         for (const [entityType, entityList] of Object.entries(extractedData.entities)) {
             if (!Array.isArray(entityList)) {
-                validationErrors.push(`${entityType} should be an array`);
+                validationErrors.push({ path: `entities.${entityType}`, keyword: 'type', message: 'must be array' });
                 continue;
             }
 
             validatedEntities[entityType] = [];
 
-            for (const entity of entityList) {
+            entityList.forEach((entity, index) => {
                 // Add basic validation
-                if (typeof entity !== 'object') {
-                    validationErrors.push(`Invalid entity in ${entityType}: not an object`);
-                    continue;
+                if (!entity || typeof entity !== 'object') {
+                    validationErrors.push({ path: `entities.${entityType}[${index}]`, keyword: 'type', message: 'must be object' });
+                    return;
                 }
 
                 // Ensure confidence score exists and is valid
@@ -296,17 +215,18 @@ Always return valid JSON that matches the specified schema. Do not include any e
                 if (entity.confidence >= 0.5) {
                     validatedEntities[entityType].push(entity);
                 }
-            }
+            });
         }
 
         if (validationErrors.length > 0) {
-            console.warn(chalk.yellow(`⚠️  Validation warnings: ${validationErrors.join(', ')}`));
+            console.warn(chalk.yellow(`⚠️  Validation warnings: ${validationErrors.map(error => `${error.path} ${error.message}`).join(', ')}`));
         }
 
         return {
             entities: validatedEntities,
             relationships: extractedData.relationships || [],
-            summary: extractedData.summary || ''
+            summary: extractedData.summary || '',
+            validationErrors: [...(extractedData.validationErrors || []), ...validationErrors]
         };
     }
 
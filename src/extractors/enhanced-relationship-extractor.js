@@ -1,8 +1,9 @@
 import { LLMClient } from '../utils/llm-client.js';
-import fs from 'fs-extra';
-import path from 'path';
 import chalk from 'chalk';
-import { validateEntity } from '../../config/entity-schemas.js';
+import { validateEntity, getExtractionSchema } from '../../config/entity-schemas.js';
+import { removeInvalid, validateSchema } from '../utils/json-schema.js';
+import { getPromptRegistry } from '../utils/prompt-registry.js';
+import { attachProvenance } from '../provenance/span-provenance.js';
 import { EntitySchema } from '../relationships/entity-schema.js';
 import { RelationshipValidator, ALL_RELATIONSHIPS } from '../relationships/relationship-types.js';
 
@@ -11,18 +12,23 @@ import { RelationshipValidator, ALL_RELATIONSHIPS } from '../relationships/relat
  * 
  * Advanced entity extractor that identifies both entities and their semantic relationships
  * using the comprehensive relationship type registry and validation system.
+ * Output is validated against the extraction schema (with relationships); values
+ * that fail validation, and relationships that are skipped, are listed in the
+ * result's validationErrors. The prompt is relationship-extraction from the
+ * prompt registry (prompts/registry). Entities and relationships carry span
+ * provenance (src/provenance/span-provenance.js): the offsets and quoted
+ * evidence of their mention, and the extractor, model and prompt version.
  */
 export class EnhancedRelationshipExtractor {
     constructor(options = {}) {
-        this.client = new LLMClient();
+        this.client = options.llmClient || new LLMClient();
         this.provider = options.provider || 'openai';
         this.model = options.model || this.getDefaultModel();
         this.maxRetries = options.maxRetries || 2;
         this.costLimit = options.costLimit || parseFloat(process.env.DAILY_COST_LIMIT || 10);
         this.domain = options.domain || 'construction';
-        
-        // Load enhanced prompts
-        this.loadEnhancedPrompts();
+        this.maxRepairs = options.maxRepairs ?? 1;
+        this.extractionSchema = getExtractionSchema({ includeRelationships: true });
         
         // Initialize relationship validator
         this.relationshipValidator = RelationshipValidator;
@@ -41,85 +47,6 @@ export class EnhancedRelationshipExtractor {
         }
     }
 
-    async loadEnhancedPrompts() {
-        try {
-            const promptPath = path.join(process.cwd(), 'prompts/entity-extraction/enhanced-construction-entities.md');
-            this.promptTemplate = await fs.readFile(promptPath, 'utf8');
-        } catch (error) {
-            console.warn(chalk.yellow('⚠️  Could not load enhanced prompt template, using default'));
-            this.promptTemplate = this.getDefaultEnhancedPrompt();
-        }
-    }
-
-    getDefaultEnhancedPrompt() {
-        return `You are an expert entity and relationship extraction system for construction project communications.
-
-Extract entities AND their semantic relationships from the following text and return them in JSON format.
-
-Entity types to extract:
-- PERSON: People involved (name, role, company)
-- PROJECT: Construction work (name, type, phase)  
-- DECISION: Decisions made (type, description, date)
-- TIMELINE: Schedule items (event, status, date, duration)
-- LOCATION: Places (name, type, address)
-- MATERIAL: Construction materials (name, category, quantity)
-- COST: Budget items (amount, type, category)
-- ISSUE: Problems (description, severity, status)
-- TASK: Action items (description, assigned_to, due_date)
-- DOCUMENT: References to documents (name, type, status)
-
-Relationship types to extract:
-- manages: [Person] manages [Project/System/Resource]
-- assigned_to: [Task/Project] assigned_to [Person]
-- requires: [Task/Component] requires [Material/Tool]
-- precedes: [Task A] precedes [Task B]
-- supplies: [Vendor] supplies [Material/Service]
-- located_at: [Entity] located_at [Location]
-- responsible_for: [Person] responsible_for [Task/Outcome/Area]
-
-Return JSON in this EXACT format with these EXACT field names:
-{
-  "entities": {
-    "people": [{"name": "string", "role": "string", "confidence": 0.95}],
-    "projects": [{"name": "string", "type": "string", "phase": "string", "confidence": 0.90}],
-    "decisions": [],
-    "timeline": [],
-    "locations": [],
-    "materials": [],
-    "costs": [],
-    "issues": [],
-    "tasks": [],
-    "documents": []
-  },
-  "relationships": [
-    {
-      "type": "manages",
-      "source": "Person Name",
-      "target": "Project Name",
-      "confidence": 0.90,
-      "source_type": "person",
-      "target_type": "project",
-      "metadata": {
-        "context": "Brief explanation of the relationship"
-      }
-    }
-  ],
-  "summary": "Brief summary of the communication"
-}
-
-IMPORTANT: Use "type" not "relationship_type". Use "source" and "target" not other field names.
-
-CRITICAL REQUIREMENTS:
-- Use "type" field for relationship type (NOT "relationship_type")
-- Use "source" and "target" fields for relationship endpoints
-- Include confidence scores (0.0-1.0) for each entity and relationship
-- Only extract entities and relationships you are confident about (>0.7)
-- Return ONLY the JSON object, no additional text or markdown formatting
-- Ensure all JSON is valid and properly formatted
-
-Return ONLY the JSON object, no additional text.`;
-    }
-
     /**
      * Extract entities and relationships from text
      */
@@ -143,18 +70,35 @@ Return ONLY the JSON object, no additional text.`;
         
         while (attempt < this.maxRetries) {
             try {
-                const prompt = this.buildEnhancedPrompt(text, communicationType, context, domain);
+                const { system, prompt, ref } = this.buildEnhancedPrompt(text, communicationType, context, domain);
                 
-                const result = await this.client.generateCompletion(prompt, {
+                const result = await this.client.generateStructured(prompt, {
                     provider: this.provider,
                     model: this.model,
                     maxTokens: 3000, // Increased for relationship extraction
                     temperature: 0.1,
-                    systemPrompt: this.getEnhancedSystemPrompt(domain)
+                    systemPrompt: system,
+                    promptId: ref.promptId,
+                    promptVersion: ref.promptVersion,
+                    domain,
+                    operation: 'relationship-extraction',
+                    schema: this.extractionSchema,
+                    schemaName: 'relationship_extraction',
+                    maxRepairs: this.maxRepairs,
+                    // A retry must reach the provider, not the answer that just failed
+                    ...(attempt > 0 && { cache: false })
                 });
 
-                const extractedData = this.parseEnhancedResponse(result.content);
+                const extractedData = this.parseEnhancedResponse(result);
                 const validatedData = await this.validateExtractedData(extractedData, domain);
+                attachProvenance(validatedData, text, {
+                    documentId: options.documentId,
+                    extractor: this.constructor.name,
+                    provider: this.provider,
+                    model: this.model,
+                    promptId: ref.promptId,
+                    promptVersion: ref.promptVersion
+                });
                 
                 const duration = Date.now() - startTime;
                 
@@ -166,12 +110,17 @@ Return ONLY the JSON object, no additional text.`;
                     entities: validatedData.entities,
                     relationships: validatedData.relationships,
                     summary: validatedData.summary || '',
+                    validationErrors: validatedData.validationErrors,
                     metadata: {
                         model: this.model,
                         provider: this.provider,
                         domain: domain,
                         duration,
                         attempt: attempt + 1,
+                        repairs: result.repairs,
+                        schemaValid: result.valid,
+                        promptId: ref.promptId,
+                        promptVersion: ref.promptVersion,
                         confidence: this.calculateOverallConfidence(validatedData),
                         cost: result.usage ? this.estimateCost(result.usage) : 0,
                         entityCount: this.countEntities(validatedData.entities),
@@ -184,7 +133,8 @@ Return ONLY the JSON object, no additional text.`;
                 attempt++;
                 console.warn(chalk.yellow(`⚠️  Attempt ${attempt} failed: ${error.message}`));
                 
-                if (attempt >= this.maxRetries) {
+                // Retrying cannot help when the budget refused the call
+                if (attempt >= this.maxRetries || error.code === 'BUDGET_EXCEEDED') {
                     throw new Error(`Enhanced extraction failed after ${this.maxRetries} attempts: ${error.message}`);
                 }
                 
@@ -194,6 +144,10 @@ Return ONLY the JSON object, no additional text.`;
         }
     }
 
+    /**
+     * The relationship-extraction prompt from the prompt registry, listing
+     * the domain's relationship types: { system, prompt, ref }
+     */
     buildEnhancedPrompt(text, communicationType, context, domain) {
         // Get domain-specific relationship types
         const domainRelationships = this.relationshipValidator.getRelationshipsByDomain(domain);
@@ -204,116 +158,65 @@ Return ONLY the JSON object, no additional text.`;
             return `- ${type}: ${def.description}`;
         }).join('\n');
 
-        return `Extract entities and their semantic relationships from this ${communicationType} communication:
-
-COMMUNICATION:
-${text}
-
-CONTEXT:
-${context || `This is ${domain} domain communication focusing on project management and coordination.`}
-
-DOMAIN: ${domain}
-
-AVAILABLE RELATIONSHIP TYPES:
-${relationshipList}
-
-Focus on extracting:
-1. All relevant entities with confidence scores
-2. Semantic relationships between entities
-3. Temporal context where available
-4. Dependencies and sequences
-
-Return the structured JSON as specified in the format above.
-
-TEXT TO ANALYZE:
-${text}`;
+        return getPromptRegistry().render('relationship-extraction', {
+            text,
+            communicationType,
+            context: context || '',
+            domain,
+            relationshipTypes: relationshipList
+        }, { domain });
     }
 
-    getEnhancedSystemPrompt(domain) {
-        return `You are an expert entity and relationship extraction system specialized in ${domain} communications. 
-
-Your task is to:
-1. Extract structured entities from the text
-2. Identify semantic relationships between entities
-3. Assign confidence scores to all extractions
-4. Include relevant metadata and temporal context
-
-Focus on actionable information that can be used for project management, decision-making, and context retrieval.
-
-Always return valid JSON with the specified structure.`;
-    }
+    /**
+     * Extraction data from a structured completion, without the values that
+     * failed schema validation; those are kept as validationErrors. Output
+     * that is not JSON even after repairs fails the attempt.
+     */
+    parseEnhancedResponse(result) {
+        if (result.data === null) {
+            throw new Error(`Extraction output is not valid JSON: ${result.errors[0]?.message}`);
+        }
 
-    parseEnhancedResponse(content) {
-        try {
-            // Clean the response - remove any markdown formatting or extra text
-            let cleanContent = content.trim();
-            
-            // Remove markdown code blocks if present
-            cleanContent = cleanContent.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-            
-            // Find JSON object boundaries
-            const jsonStart = cleanContent.indexOf('{');
-            const jsonEnd = cleanContent.lastIndexOf('}') + 1;
-            
-            if (jsonStart === -1 || jsonEnd === 0) {
-                throw new Error('No JSON object found in response');
-            }
-            
-            cleanContent = cleanContent.substring(jsonStart, jsonEnd);
-            
-            const parsed = JSON.parse(cleanContent);
-            
-            // Log the parsed response for debugging
-            console.log(chalk.gray('Parsed response structure:'), {
-                entities: Object.keys(parsed.entities || {}),
-                relationshipCount: (parsed.relationships || []).length,
-                summary: parsed.summary ? 'present' : 'missing'
-            });
-            
-            // Ensure required structure
-            if (!parsed.entities) {
-                parsed.entities = {};
+        // The prompt used to ask for relationship_type; accept it and validate again
+        for (const rel of result.data.relationships || []) {
+            if (rel && rel.relationship_type && !rel.type) {
+                rel.type = rel.relationship_type;
             }
-            if (!parsed.relationships) {
-                parsed.relationships = [];
-            }
-            
-            return parsed;
-            
-        } catch (error) {
-            console.error(chalk.red('Failed to parse LLM response:'), error.message);
-            console.error(chalk.gray('Raw content (first 500 chars):'), content.substring(0, 500));
-            
-            // Return empty structure on parse failure
-            return {
-                entities: {
-                    people: [],
-                    projects: [],
-                    decisions: [],
-                    timeline: [],
-                    locations: [],
-                    materials: [],
-                    costs: [],
-                    issues: [],
-                    tasks: [],
-                    documents: []
-                },
-                relationships: [],
-                summary: 'Failed to parse extraction results'
-            };
         }
+        const errors = validateSchema(result.data, this.extractionSchema);
+        const parsed = removeInvalid(result.data, errors);
+
+        // Log the parsed response for debugging
+        console.log(chalk.gray('Parsed response structure:'), {
+            entities: Object.keys(parsed.entities || {}),
+            relationshipCount: (parsed.relationships || []).length,
+            summary: parsed.summary ? 'present' : 'missing',
+            schemaErrors: errors.length
+        });
+
+        // Ensure required structure
+        if (!parsed.entities) {
+            parsed.entities = {};
+        }
+        if (!parsed.relationships) {
+            parsed.relationships = [];
+        }
+        parsed.validationErrors = errors;
+
+        return parsed;
     }
 
     async validateExtractedData(data, domain) {
         const validatedData = {
             entities: data.entities || {},
             relationships: [],
-            summary: data.summary || ''
+            summary: data.summary || '',
+            validationErrors: [...(data.validationErrors || [])]
         };
 
         // Validate and clean relationships
         if (data.relationships && Array.isArray(data.relationships)) {
-            for (const rel of data.relationships) {
+            for (const [index, rel] of data.relationships.entries()) {
                 try {
                     // Normalize relationship field names
                     if (rel.relationship_type && !rel.type) {
@@ -323,12 +226,14 @@ Always return valid JSON with the specified structure.`;
                     // Validate relationship structure
                     if (!rel.type || !rel.source || !rel.target) {
                         console.warn(chalk.yellow(`⚠️  Skipping incomplete relationship: ${JSON.stringify(rel)}`));
+                        validatedData.validationErrors.push({ path: `relationships[${index}]`, keyword: 'required', message: 'needs type, source and target' });
                         continue;
                     }
 
                     // Validate relationship type
                     if (!this.relationshipValidator.validateRelationshipType(rel.type)) {
                         console.warn(chalk.yellow(`⚠️  Unknown relationship type: ${rel.type}, skipping`));
+                        validatedData.validationErrors.push({ path: `relationships[${index}].type`, keyword: 'enum', message: `unknown relationship type "${rel.type}"` });
                         continue;
                     }
 
@@ -353,12 +258,13 @@ Always return valid JSON with the specified structure.`;
 
                     // Add extraction timestamp
                     rel.createdAt = new Date().toISOString();
-                    rel.source = 'llm_extraction';
+                    rel.origin = 'llm_extraction';
 
                     validatedData.relationships.push(rel);
 
                 } catch (error) {
                     console.warn(chalk.yellow(`⚠️  Relationship validation failed: ${error.message}`));
+                    validatedData.validationErrors.push({ path: `relationships[${index}]`, keyword: 'validation', message: error.message });
                 }
             }
         }
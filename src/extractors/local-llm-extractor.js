@@ -1,71 +1,31 @@
 import { LLMClient } from '../utils/llm-client.js';
-import fs from 'fs-extra';
-import path from 'path';
 import chalk from 'chalk';
-import { validateEntity } from '../../config/entity-schemas.js';
+import { validateEntity, getExtractionSchema } from '../../config/entity-schemas.js';
+import { removeInvalid } from '../utils/json-schema.js';
+import { getPromptRegistry } from '../utils/prompt-registry.js';
+import { attachProvenance } from '../provenance/span-provenance.js';
 
 /**
  * Local LLM Entity Extractor using Ollama
  * 
  * This extractor uses a locally running LLM (via Ollama) to extract
- * entities from construction project communications.
+ * entities from construction project communications. Ollama is given the
+ * extraction schema as its output format; the output is validated against
+ * it and invalid values are listed in the result's validationErrors.
+ * Prompts come from the prompt registry (prompts/registry/entity-extraction.yaml);
+ * the prompt id and version are recorded with each request.
+ * Every entity carries span provenance (src/provenance/span-provenance.js).
  */
 export class LocalLLMExtractor {
     constructor(options = {}) {
-        this.client = new LLMClient();
+        this.client = options.llmClient || new LLMClient();
         this.model = options.model || process.env.ENTITY_EXTRACTION_MODEL_LOCAL || 'llama3.1:8b';
         this.maxRetries = options.maxRetries || 3;
         this.timeout = options.timeout || 60000; // 60 seconds
-        
-        // Load prompts
-        this.loadPrompts();
-    }
-
-    async loadPrompts() {
-        try {
-            const promptPath = path.join(process.cwd(), 'prompts/entity-extraction/construction-entities.md');
-            this.promptTemplate = await fs.readFile(promptPath, 'utf8');
-        } catch (error) {
-            console.warn(chalk.yellow('⚠️  Could not load prompt template, using default'));
-            this.promptTemplate = this.getDefaultPrompt();
-        }
-    }
-
-    getDefaultPrompt() {
-        return `You are an expert entity extraction system for construction project communications.
-
-Extract entities from the following text and return them in JSON format.
-
-Entity types to extract:
-- PERSON: People involved (name, role, company)
-- PROJECT: Construction work (name, type, phase)  
-- DECISION: Decisions made (type, description, date)
-- TIMELINE: Schedule items (event, status, date, duration)
-- LOCATION: Places (name, type, address)
-- MATERIAL: Construction materials (name, category, quantity)
-- COST: Budget items (amount, type, category)
-- ISSUE: Problems (description, severity, status)
-- TASK: Action items (description, assigned_to, due_date)
-- DOCUMENT: References to documents (name, type, status)
-
-Return JSON in this format:
-{
-  "entities": {
-    "people": [...],
-    "projects": [...],
-    "decisions": [...],
-    "timeline": [...],
-    "locations": [...],
-    "materials": [...],
-    "costs": [...],
-    "issues": [...],
-    "tasks": [...],
-    "documents": [...]
-  },
-  "summary": "Brief summary of the communication"
-}
-
-Include confidence scores (0.0-1.0) for each entity. Only extract entities you are confident about (>0.7).`;
+        this.maxRepairs = options.maxRepairs ?? 1;
+        this.extractionSchema = getExtractionSchema();
+        this.promptId = 'entity-extraction';
+        this.promptDomain = null; // domain override in prompts/registry
     }
 
     /**
@@ -85,18 +45,33 @@ Include confidence scores (0.0-1.0) for each entity. Only extract entities you a
         
         while (attempt < this.maxRetries) {
             try {
-                const prompt = this.buildPrompt(text, communicationType, context);
+                const { system, prompt, ref } = this.buildPrompt(text, communicationType, context);
                 
-                const result = await this.client.generateCompletion(prompt, {
+                const result = await this.client.generateStructured(prompt, {
                     provider: 'ollama',
                     model: this.model,
                     maxTokens: 2000,
                     temperature: 0.1,
-                    systemPrompt: this.getSystemPrompt()
+                    systemPrompt: system,
+                    promptId: ref.promptId,
+                    promptVersion: ref.promptVersion,
+                    schema: this.extractionSchema,
+                    schemaName: 'entity_extraction',
+                    maxRepairs: this.maxRepairs,
+                    // A retry must reach the provider, not the answer that just failed
+                    ...(attempt > 0 && { cache: false })
                 });
 
-                const entities = this.parseResponse(result.content);
+                const entities = this.parseResponse(result);
                 const validatedEntities = this.validateExtractedEntities(entities);
+                attachProvenance(validatedEntities, text, {
+                    documentId: options.documentId,
+                    extractor: this.constructor.name,
+                    provider: 'ollama',
+                    model: this.model,
+                    promptId: ref.promptId,
+                    promptVersion: ref.promptVersion
+                });
                 
                 const duration = Date.now() - startTime;
                 
@@ -106,11 +81,16 @@ Include confidence scores (0.0-1.0) for each entity. Only extract entities you a
                     entities: validatedEntities.entities,
                     relationships: validatedEntities.relationships || [],
                     summary: validatedEntities.summary || '',
+                    validationErrors: validatedEntities.validationErrors,
                     metadata: {
                         model: this.model,
                         provider: 'ollama',
                         duration,
                         attempt: attempt + 1,
+                        repairs: result.repairs,
+                        schemaValid: result.valid,
+                        promptId: ref.promptId,
+                        promptVersion: ref.promptVersion,
                         confidence: this.calculateOverallConfidence(validatedEntities.entities)
                     }
                 };
@@ -130,112 +110,39 @@ Include confidence scores (0.0-1.0) for each entity. Only extract entities you a
         }
     }
 
+    /**
+     * The extraction prompt from the prompt registry (entity-extraction, with
+     * the promptDomain override if there is one): { system, prompt, ref }
+     */
     buildPrompt(text, communicationType, context) {
-        let prompt = this.getDefaultPrompt();
-        
-        // Add communication type specific instructions
-        if (communicationType === 'email') {
-            prompt += `\n\nThis is an email communication. Pay attention to formal language, document references, and detailed specifications.`;
-        } else if (communicationType === 'sms') {
-            prompt += `\n\nThis is an SMS/text conversation. Expect informal language, abbreviations, and quick exchanges.`;
-        } else if (communicationType === 'meeting_notes') {
-            prompt += `\n\nThese are meeting notes. Focus on decisions made, action items assigned, and progress updates.`;
-        }
-
-        // Add context if provided
-        if (context) {
-            prompt += `\n\nCONTEXT: ${context}`;
-        }
-
-        prompt += `\n\nTEXT TO ANALYZE:\n${text}`;
-        
-        return prompt;
+        const registry = getPromptRegistry();
+        const options = { domain: this.promptDomain };
+        const notes = registry.get(this.promptId, options).variables.communicationNotes || {};
+
+        return registry.render(this.promptId, {
+            text,
+            context: context || '',
+            communicationNote: notes[communicationType] || ''
+        }, options);
     }
 
-    getSystemPrompt() {
-        return `You are an expert entity extraction system specialized in construction project communications. 
-        
-Your task is to analyze text and extract structured entities in JSON format. Be conservative and only extract entities you are confident about. Use consistent naming and include confidence scores for each entity.
-
-Always return valid JSON that matches the specified schema.`;
-    }
-
-    parseResponse(response) {
-        try {
-            // Try to find JSON in the response
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            
-            // If no JSON found, try to parse the entire response
-            return JSON.parse(response);
-            
-        } catch (error) {
-            console.warn(chalk.yellow('⚠️  Failed to parse JSON response, attempting to extract entities manually'));
-            
-            // Fallback: try to extract basic information
-            return this.fallbackExtraction(response);
-        }
-    }
-
-    fallbackExtraction(text) {
-        // Basic fallback extraction when JSON parsing fails
-        const entities = {
-            people: [],
-            projects: [],
-            decisions: [],
-            timeline: [],
-            locations: [],
-            materials: [],
-            costs: [],
-            issues: [],
-            tasks: [],
-            documents: []
-        };
-
-        // Simple pattern matching for common entities
-        const namePattern = /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g;
-        const costPattern = /\$[\d,]+(?:\.\d{2})?/g;
-        const datePattern = /\b(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday|today|tomorrow|yesterday|next\s+week)\b/gi;
-
-        // Extract potential names
-        const names = text.match(namePattern) || [];
-        for (const name of names.slice(0, 5)) { // Limit to 5 names
-            if (name.length > 2 && !['The', 'And', 'But', 'For'].includes(name)) {
-                entities.people.push({
-                    name,
-                    confidence: 0.5
-                });
-            }
-        }
-
-        // Extract costs
-        const costs = text.match(costPattern) || [];
-        for (const cost of costs) {
-            const amount = parseFloat(cost.replace(/[$,]/g, ''));
-            entities.costs.push({
-                amount,
-                currency: 'USD',
-                type: 'estimate',
-                confidence: 0.6
-            });
+    /**
+     * Extraction data from a structured completion, without the values that
+     * failed schema validation; those are kept as validationErrors. Output
+     * that is not JSON even after repairs fails the attempt.
+     */
+    parseResponse(result) {
+        if (result.data === null) {
+            throw new Error(`Extraction output is not valid JSON: ${result.errors[0]?.message}`);
         }
 
-        // Extract timeline references
-        const dates = text.match(datePattern) || [];
-        for (const date of dates) {
-            entities.timeline.push({
-                event: 'scheduled event',
-                date: date.toLowerCase(),
-                status: 'planned',
-                confidence: 0.4
-            });
+        if (result.errors.length > 0) {
+            console.warn(chalk.yellow(`⚠️  Dropping ${result.errors.length} value(s) that failed schema validation`));
         }
 
         return {
-            entities,
-            summary: 'Fallback extraction due to parsing error'
+            ...removeInvalid(result.data, result.errors),
+            validationErrors: result.errors
         };
     }
 
@@ -250,17 +157,17 @@ Always return valid JSON that matches the specified schema.`;
         // Validate each entity type
         for (const [entityType, entityList] of Object.entries(extractedData.entities)) {
             if (!Array.isArray(entityList)) {
-                validationErrors.push(`${entityType} should be an array`);
+                validationErrors.push({ path: `entities.${entityType}`, keyword: 'type', message: 'must be array' });
                 continue;
             }
 
             validatedEntities[entityType] = [];
 
-            for (const entity of entityList) {
+            entityList.forEach((entity, index) => {
                 // Add basic validation
-                if (typeof entity !== 'object') {
-                    validationErrors.push(`Invalid entity in ${entityType}: not an object`);
-                    continue;
+                if (!entity || typeof entity !== 'object') {
+                    validationErrors.push({ path: `entities.${entityType}[${index}]`, keyword: 'type', message: 'must be object' });
+                    return;
                 }
 
                 // Ensure confidence score exists and is valid
@@ -275,17 +182,18 @@ Always return valid JSON that matches the specified schema.`;
                 if (entity.confidence >= 0.4) {
                     validatedEntities[entityType].push(entity);
                 }
-            }
+            });
         }
 
         if (validationErrors.length > 0) {
-            console.warn(chalk.yellow(`⚠️  Validation warnings: ${validationErrors.join(', ')}`));
+            console.warn(chalk.yellow(`⚠️  Validation warnings: ${validationErrors.map(error => `${error.path} ${error.message}`).join(', ')}`));
         }
 
         return {
             entities: validatedEntities,
             relationships: extractedData.relationships || [],
-            summary: extractedData.summary || ''
+            summary: extractedData.summary || '',
+            validationErrors: [...(extractedData.validationErrors || []), ...validationErrors]
         };
     }
 
@@ -30,7 +30,7 @@ export class ProductionExtractor {
             ...options
         });
         
-        this.costLimit = options.costLimit || 0.10; // $0.10 per message limit
+        this.costLimit = options.costLimit || 0.10; // $0.10 per message limit, across all its LLM calls
         this.timeLimit = options.timeLimit || 15000; // 15 second limit
     }
 
@@ -43,11 +43,16 @@ export class ProductionExtractor {
         
         console.log(chalk.blue(`🎯 Using ${strategy.name} strategy for extraction...`));
         
+        // Every call made for the message (chunks, repairs, retries and the
+        // fallback) draws on one costLimit; the budget manager refuses calls
+        // estimated above what is left
+        const messageOptions = { ...options, spendCap: options.spendCap || { limit: this.costLimit, spent: 0 } };
+        
         try {
-            return await this.executeStrategy(strategy, text, options);
+            return await this.executeStrategy(strategy, text, messageOptions);
         } catch (error) {
             console.warn(chalk.yellow(`⚠️  Primary strategy failed, trying fallback...`));
-            return await this.executeFallback(text, options);
+            return await this.executeFallback(text, messageOptions);
         }
     }
 
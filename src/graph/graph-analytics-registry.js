@@ -0,0 +1,72 @@
+import path from 'path';
+import { createHash } from 'crypto';
+import { analyzeGraph } from './graph-analytics.js';
+import { buildDomainGraph, buildCrossDomainGraph } from './graph-loader.js';
+
+/**
+ * Graph Analytics Registry
+ *
+ * Caches analyzeGraph() results per domain directory (and per set of domains
+ * for cross-domain analytics). The graph itself is rebuilt on every request,
+ * which is cheap; the metrics are only recomputed when the graph's
+ * fingerprint (its nodes and edges) or the analytics options change.
+ */
+
+const cache = new Map();   // cache key -> { fingerprint, analytics }
+
+/**
+ * Hash of a graph's node ids and edges, independent of insertion order
+ */
+export function graphFingerprint(graph) {
+    const lines = [];
+    for (const id of graph.nodes.keys()) {
+        lines.push(`n|${id}`);
+        for (const edge of graph.getEdges(id, { direction: 'out' })) {
+            lines.push(`e|${edge.source}|${edge.type}|${edge.target}`);
+        }
+    }
+    return createHash('sha1').update(lines.sort().join('\n')).digest('hex');
+}
+
+/**
+ * Analytics for a graph, reusing the cached result under `key` while the
+ * graph is unchanged. Returns { analytics, cached }.
+ *
+ * options: refresh (ignore the cache), analyticsOptions (passed to analyzeGraph)
+ */
+export function getGraphAnalytics(key, graph, options = {}) {
+    const fingerprint = `${graphFingerprint(graph)}|${JSON.stringify(options.analyticsOptions || {})}`;
+    const entry = cache.get(key);
+
+    if (!options.refresh && entry?.fingerprint === fingerprint) {
+        return { analytics: entry.analytics, cached: true };
+    }
+
+    const analytics = analyzeGraph(graph, options.analyticsOptions);
+    cache.set(key, { fingerprint, analytics });
+    return { analytics, cached: false };
+}
+
+/**
+ * Analytics for one domain directory
+ *
+ * options: storage, mergedPairs, coOccurrence (see buildDomainGraph), refresh, analyticsOptions
+ */
+export async function getDomainGraphAnalytics(domainPath, options = {}) {
+    const graph = await buildDomainGraph(domainPath, options);
+    const key = `domain|${path.resolve(domainPath)}|${Boolean(options.coOccurrence)}`;
+    return getGraphAnalytics(key, graph, options);
+}
+
+/**
+ * Analytics for several domains joined into one graph
+ *
+ * domains: [{ name, path, storage? }]
+ * options: as getDomainGraphAnalytics, with mergedPairs keyed by domain name
+ */
+export async function getCrossDomainGraphAnalytics(domains, options = {}) {
+    const graph = await buildCrossDomainGraph(domains, options);
+    const names = domains.map(domain => path.resolve(domain.path)).sort().join(',');
+    const key = `cross|${names}|${Boolean(options.coOccurrence)}`;
+    return getGraphAnalytics(key, graph, options);
+}
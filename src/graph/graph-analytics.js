@@ -0,0 +1,508 @@
+/**
+ * Graph Analytics
+ *
+ * Structural metrics over a GraphIndex (or a RelationshipGraph, whose
+ * buildGraph() result carries one as `index`):
+ *
+ *   degree        in/out/total edge counts and degree centrality
+ *   betweenness   Brandes' algorithm on the undirected graph, normalized to
+ *                 0..1; above `maxExactNodes` nodes it is estimated from an
+ *                 evenly spaced sample of source nodes
+ *   pagerank      power iteration over directed edges (edges marked
+ *                 data.undirected count both ways)
+ *   communities   Louvain modularity optimization on the undirected graph
+ *   bridges       nodes whose neighbors span several communities, flagged as
+ *                 articulation points when removing them disconnects the graph
+ *
+ * All algorithms are unweighted and deterministic: nodes are visited in id order.
+ */
+
+const DEFAULTS = {
+    damping: 0.85,
+    pageRankIterations: 100,
+    pageRankTolerance: 1e-6,
+    maxExactNodes: 2000,
+    betweennessSamples: 500,
+    louvainPasses: 20,
+    top: 10
+};
+
+function indexOf(graph) {
+    return graph.index || graph;
+}
+
+/**
+ * Undirected, de-duplicated adjacency without self-loops: id -> Set(id)
+ */
+function undirectedAdjacency(index) {
+    const adjacency = new Map();
+    for (const id of index.nodes.keys()) {
+        adjacency.set(id, new Set());
+    }
+
+    for (const id of index.nodes.keys()) {
+        for (const edge of index.getEdges(id, { direction: 'out' })) {
+            if (edge.source === edge.target) continue;
+            adjacency.get(edge.source).add(edge.target);
+            adjacency.get(edge.target).add(edge.source);
+        }
+    }
+
+    return adjacency;
+}
+
+function sortedIds(index) {
+    return Array.from(index.nodes.keys()).sort();
+}
+
+/**
+ * Degree of every node: Map(id -> { inDegree, outDegree, degree, centrality })
+ * where centrality is the share of other nodes it is adjacent to
+ */
+export function degreeCentrality(graph) {
+    const index = indexOf(graph);
+    const adjacency = undirectedAdjacency(index);
+    const n = index.nodes.size;
+    const degrees = new Map();
+
+    for (const id of index.nodes.keys()) {
+        degrees.set(id, {
+            inDegree: index.getEdges(id, { direction: 'in' }).length,
+            outDegree: index.getEdges(id, { direction: 'out' }).length,
+            degree: adjacency.get(id).size,
+            centrality: n > 1 ? adjacency.get(id).size / (n - 1) : 0
+        });
+    }
+
+    return degrees;
+}
+
+/**
+ * Betweenness centrality: Map(id -> 0..1). Returns the scores plus whether
+ * they are exact or estimated from a sample of sources.
+ *
+ * options: maxExactNodes, betweennessSamples
+ */
+export function betweennessCentrality(graph, options = {}) {
+    const { maxExactNodes, betweennessSamples } = { ...DEFAULTS, ...options };
+    const index = indexOf(graph);
+    const adjacency = undirectedAdjacency(index);
+    const ids = sortedIds(index);
+    const n = ids.length;
+    const scores = new Map(ids.map(id => [id, 0]));
+
+    let sources = ids;
+    if (n > maxExactNodes) {
+        const step = n / betweennessSamples;
+        sources = Array.from({ length: betweennessSamples }, (_, i) => ids[Math.floor(i * step)]);
+    }
+
+    for (const source of sources) {
+        // Brandes: BFS from the source, then accumulate dependencies in reverse order
+        const stack = [];
+        const predecessors = new Map();
+        const paths = new Map([[source, 1]]);
+        const distance = new Map([[source, 0]]);
+        const queue = [source];
+
+        for (let head = 0; head < queue.length; head++) {
+            const v = queue[head];
+            stack.push(v);
+            for (const w of adjacency.get(v)) {
+                if (!distance.has(w)) {
+                    distance.set(w, distance.get(v) + 1);
+                    queue.push(w);
+                }
+                if (distance.get(w) === distance.get(v) + 1) {
+                    paths.set(w, (paths.get(w) || 0) + paths.get(v));
+                    if (!predecessors.has(w)) predecessors.set(w, []);
+                    predecessors.get(w).push(v);
+                }
+            }
+        }
+
+        const dependency = new Map();
+        while (stack.length > 0) {
+            const w = stack.pop();
+            for (const v of predecessors.get(w) || []) {
+                const share = (paths.get(v) / paths.get(w)) * (1 + (dependency.get(w) || 0));
+                dependency.set(v, (dependency.get(v) || 0) + share);
+            }
+            if (w !== source) {
+                scores.set(w, scores.get(w) + (dependency.get(w) || 0));
+            }
+        }
+    }
+
+    // Each undirected pair is counted from both ends; scale samples up to all sources
+    const scale = (n / sources.length) / ((n - 1) * (n - 2) || 1);
+    for (const id of ids) {
+        scores.set(id, Math.min(1, scores.get(id) * scale));
+    }
+
+    return { scores, exact: sources.length === n, sources: sources.length };
+}
+
+/**
+ * PageRank: Map(id -> score), scores summing to 1. Dangling nodes spread
+ * their rank evenly.
+ *
+ * options: damping, pageRankIterations, pageRankTolerance
+ */
+export function pageRank(graph, options = {}) {
+    const { damping, pageRankIterations, pageRankTolerance } = { ...DEFAULTS, ...options };
+    const index = indexOf(graph);
+    const ids = sortedIds(index);
+    const n = ids.length;
+    if (n === 0) return { scores: new Map(), iterations: 0 };
+
+    // Directed successor lists
+    const successors = new Map(ids.map(id => [id, []]));
+    for (const id of ids) {
+        for (const edge of index.getEdges(id, { direction: 'out' })) {
+            if (edge.source === edge.target) continue;
+            successors.get(edge.source).push(edge.target);
+            if (edge.data?.undirected) successors.get(edge.target).push(edge.source);
+        }
+    }
+
+    let ranks = new Map(ids.map(id => [id, 1 / n]));
+    let iterations = 0;
+
+    while (iterations < pageRankIterations) {
+        iterations++;
+        const next = new Map(ids.map(id => [id, (1 - damping) / n]));
+
+        let dangling = 0;
+        for (const id of ids) {
+            const targets = successors.get(id);
+            if (targets.length === 0) {
+                dangling += ranks.get(id);
+                continue;
+            }
+            const share = damping * ranks.get(id) / targets.length;
+            for (const target of targets) {
+                next.set(target, next.get(target) + share);
+            }
+        }
+
+        let change = 0;
+        for (const id of ids) {
+            next.set(id, next.get(id) + damping * dangling / n);
+            change += Math.abs(next.get(id) - ranks.get(id));
+        }
+
+        ranks = next;
+        if (change < pageRankTolerance) break;
+    }
+
+    return { scores: ranks, iterations };
+}
+
+/**
+ * One Louvain local-moving phase over a weighted adjacency
+ * (Map(node -> Map(neighbor -> weight)), self entries holding twice the
+ * internal weight). Returns node -> community and whether anything moved.
+ */
+function louvainLocalMoving(adjacency, passes) {
+    const nodes = Array.from(adjacency.keys());
+    const community = new Map(nodes.map(node => [node, node]));
+    const strength = new Map();
+    const totals = new Map();
+    let total = 0;
+
+    for (const node of nodes) {
+        let k = 0;
+        for (const weight of adjacency.get(node).values()) k += weight;
+        strength.set(node, k);
+        totals.set(node, k);
+        total += k;
+    }
+    if (total === 0) return { community, moved: false };
+
+    let moved = false;
+    for (let pass = 0; pass < passes; pass++) {
+        let improved = false;
+
+        for (const node of nodes) {
+            const current = community.get(node);
+            const k = strength.get(node);
+
+            const links = new Map();
+            for (const [neighbor, weight] of adjacency.get(node)) {
+                if (neighbor === node) continue;
+                const c = community.get(neighbor);
+                links.set(c, (links.get(c) || 0) + weight);
+            }
+
+            totals.set(current, totals.get(current) - k);
+            let best = current;
+            let bestGain = (links.get(current) || 0) - totals.get(current) * k / total;
+            for (const [c, weight] of links) {
+                const gain = weight - totals.get(c) * k / total;
+                if (gain > bestGain + 1e-12) {
+                    best = c;
+                    bestGain = gain;
+                }
+            }
+            totals.set(best, totals.get(best) + k);
+
+            if (best !== current) {
+                community.set(node, best);
+                improved = true;
+                moved = true;
+            }
+        }
+
+        if (!improved) break;
+    }
+
+    return { community, moved };
+}
+
+function aggregateCommunities(adjacency, community) {
+    const aggregated = new Map();
+    for (const [node, neighbors] of adjacency) {
+        const c = community.get(node);
+        if (!aggregated.has(c)) aggregated.set(c, new Map());
+        const row = aggregated.get(c);
+        for (const [neighbor, weight] of neighbors) {
+            const d = community.get(neighbor);
+            row.set(d, (row.get(d) || 0) + weight);
+        }
+    }
+    return aggregated;
+}
+
+function modularity(adjacency, membership) {
+    let total = 0;
+    const totals = new Map();
+    const internal = new Map();
+
+    for (const [node, neighbors] of adjacency) {
+        const c = membership.get(node);
+        for (const [neighbor, weight] of neighbors) {
+            total += weight;
+            totals.set(c, (totals.get(c) || 0) + weight);
+            if (membership.get(neighbor) === c) {
+                internal.set(c, (internal.get(c) || 0) + weight);
+            }
+        }
+    }
+    if (total === 0) return 0;
+
+    let q = 0;
+    for (const [c, t] of totals) {
+        q += (internal.get(c) || 0) / total - (t / total) ** 2;
+    }
+    return q;
+}
+
+/**
+ * Louvain community detection. Returns Map(id -> community number), the
+ * communities largest first, and the partition's modularity.
+ *
+ * options: louvainPasses
+ */
+export function detectCommunities(graph, options = {}) {
+    const { louvainPasses } = { ...DEFAULTS, ...options };
+    const index = indexOf(graph);
+    const ids = sortedIds(index);
+    const undirected = undirectedAdjacency(index);
+
+    const base = new Map(ids.map(id => [id, new Map(Array.from(undirected.get(id), neighbor => [neighbor, 1]))]));
+    const membership = new Map(ids.map(id => [id, id]));
+    let adjacency = base;
+
+    for (let level = 0; level < 50; level++) {
+        const { community, moved } = louvainLocalMoving(adjacency, louvainPasses);
+        if (!moved) break;
+
+        for (const id of ids) {
+            membership.set(id, community.get(membership.get(id)));
+        }
+        adjacency = aggregateCommunities(adjacency, community);
+    }
+
+    // Number communities by size (largest first), ties by first member id
+    const groups = new Map();
+    for (const id of ids) {
+        const key = membership.get(id);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(id);
+    }
+    const ordered = Array.from(groups.values()).sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+
+    const assignments = new Map();
+    ordered.forEach((members, number) => {
+        for (const id of members) assignments.set(id, number);
+    });
+
+    return {
+        assignments,
+        communities: ordered.map((members, number) => ({ id: number, members })),
+        modularity: modularity(base, assignments)
+    };
+}
+
+/**
+ * Articulation points of the undirected graph (iterative Tarjan)
+ */
+export function articulationPoints(graph) {
+    const adjacency = undirectedAdjacency(indexOf(graph));
+    const discovery = new Map();
+    const low = new Map();
+    const points = new Set();
+    let time = 0;
+
+    for (const root of Array.from(adjacency.keys()).sort()) {
+        if (discovery.has(root)) continue;
+
+        discovery.set(root, time);
+        low.set(root, time++);
+        let rootChildren = 0;
+        const stack = [{ node: root, parent: null, neighbors: Array.from(adjacency.get(root)), next: 0 }];
+
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+
+            if (frame.next < frame.neighbors.length) {
+                const neighbor = frame.neighbors[frame.next++];
+                if (neighbor === frame.parent) continue;
+
+                if (discovery.has(neighbor)) {
+                    low.set(frame.node, Math.min(low.get(frame.node), discovery.get(neighbor)));
+                } else {
+                    discovery.set(neighbor, time);
+                    low.set(neighbor, time++);
+                    if (frame.node === root) rootChildren++;
+                    stack.push({ node: neighbor, parent: frame.node, neighbors: Array.from(adjacency.get(neighbor)), next: 0 });
+                }
+                continue;
+            }
+
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            if (parent) {
+                low.set(parent.node, Math.min(low.get(parent.node), low.get(frame.node)));
+                if (parent.node !== root && low.get(frame.node) >= discovery.get(parent.node)) {
+                    points.add(parent.node);
+                }
+            }
+        }
+
+        if (rootChildren > 1) points.add(root);
+    }
+
+    return points;
+}
+
+/**
+ * Nodes linking two or more communities, most connective first
+ */
+export function findBridges(graph, assignments, betweenness = new Map()) {
+    const index = indexOf(graph);
+    const adjacency = undirectedAdjacency(index);
+    const cutVertices = articulationPoints(index);
+    const bridges = [];
+
+    for (const [id, neighbors] of adjacency) {
+        const communities = new Set();
+        for (const neighbor of neighbors) communities.add(assignments.get(neighbor));
+        communities.add(assignments.get(id));
+        if (communities.size < 2) continue;
+
+        const node = index.getNode(id);
+        bridges.push({
+            id,
+            name: node.name,
+            type: node.type,
+            communities: Array.from(communities).sort((a, b) => a - b),
+            articulation: cutVertices.has(id),
+            betweenness: betweenness.get(id) || 0
+        });
+    }
+
+    return bridges.sort((a, b) =>
+        b.communities.length - a.communities.length ||
+        Number(b.articulation) - Number(a.articulation) ||
+        b.betweenness - a.betweenness ||
+        a.id.localeCompare(b.id)
+    );
+}
+
+function topNodes(index, metrics, key, limit) {
+    return Array.from(metrics.entries())
+        .sort((a, b) => b[1][key] - a[1][key] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([id, values]) => ({ id, name: index.getNode(id).name, type: index.getNode(id).type, value: values[key] }));
+}
+
+/**
+ * Every metric for a graph
+ *
+ * options: any of DEFAULTS (top = length of the ranked lists)
+ */
+export function analyzeGraph(graph, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const index = indexOf(graph);
+
+    const degrees = degreeCentrality(index);
+    const betweenness = betweennessCentrality(index, settings);
+    const ranks = pageRank(index, settings);
+    const { assignments, communities, modularity: q } = detectCommunities(index, settings);
+    const bridges = findBridges(index, assignments, betweenness.scores);
+    const bridgeIds = new Set(bridges.map(bridge => bridge.id));
+
+    const metrics = new Map();
+    for (const [id, node] of index.nodes) {
+        metrics.set(id, {
+            id,
+            name: node.name,
+            type: node.type,
+            ...(node.domain ? { domain: node.domain } : {}),
+            ...degrees.get(id),
+            betweenness: betweenness.scores.get(id),
+            pagerank: ranks.scores.get(id),
+            community: assignments.get(id),
+            bridge: bridgeIds.has(id)
+        });
+    }
+
+    return {
+        computedAt: new Date().toISOString(),
+        summary: {
+            nodes: index.nodes.size,
+            edges: index.edgeCount,
+            communities: communities.length,
+            modularity: q,
+            bridges: bridges.length,
+            betweenness: { exact: betweenness.exact, sources: betweenness.sources },
+            pageRankIterations: ranks.iterations
+        },
+        nodes: Array.from(metrics.values()),
+        communities: communities.map(community => {
+            const ranked = [...community.members].sort((a, b) => ranks.scores.get(b) - ranks.scores.get(a) || a.localeCompare(b));
+            const types = {};
+            for (const id of community.members) {
+                const type = index.getNode(id).type;
+                types[type] = (types[type] || 0) + 1;
+            }
+            return {
+                id: community.id,
+                size: community.members.length,
+                label: index.getNode(ranked[0]).name,
+                types,
+                central: ranked.slice(0, settings.top)
+            };
+        }),
+        bridges,
+        top: {
+            degree: topNodes(index, metrics, 'degree', settings.top),
+            betweenness: topNodes(index, metrics, 'betweenness', settings.top),
+            pagerank: topNodes(index, metrics, 'pagerank', settings.top)
+        }
+    };
+}
+
+export default analyzeGraph;
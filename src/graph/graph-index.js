@@ -0,0 +1,294 @@
+/**
+ * Graph Index
+ *
+ * In-memory entity graph with indexed adjacency: nodes by id and by type,
+ * and each node's outgoing and incoming edges grouped by (normalized)
+ * relationship type, so traversals touch only the edges of the nodes they visit.
+ *
+ * A node is { id, name, type, attributes, source } and an edge is
+ * { source, target, type, confidence, data }.
+ */
+
+const DIRECTIONS = ['out', 'in', 'any'];
+
+/**
+ * Normalize an entity type so "people", "Person" and "person" compare equal
+ */
+export function normalizeType(type) {
+    const value = String(type || '').toLowerCase().trim();
+    if (value === 'people') return 'person';
+    if (value.endsWith('ies') && value.length > 4) return `${value.slice(0, -3)}y`;
+    if (value.endsWith('sses')) return value.slice(0, -2);
+    if (value.endsWith('s') && !value.endsWith('ss') && value.length > 3) return value.slice(0, -1);
+    return value;
+}
+
+/**
+ * Normalize a relationship type so "Works On", "works-on" and "works_on"
+ * compare equal
+ */
+export function normalizeEdgeType(type) {
+    return String(type || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+}
+
+export class GraphIndex {
+    constructor() {
+        this.nodes = new Map();      // id -> node
+        this.nodesByType = new Map(); // normalized type -> Set(id)
+        this.outgoing = new Map();   // id -> Map(normalized type -> edge[])
+        this.incoming = new Map();   // id -> Map(normalized type -> edge[])
+        this.edgeCount = 0;
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    addNode(node) {
+        const existing = this.nodes.get(node.id);
+        if (existing) {
+            // Later sources fill in what earlier ones (e.g. edge stubs) lacked
+            if (existing.stub && !node.stub) {
+                this.removeFromTypeIndex(existing);
+                Object.assign(existing, node, { stub: false });
+                this.addToTypeIndex(existing);
+            } else {
+                existing.attributes = { ...node.attributes, ...existing.attributes };
+            }
+            return existing;
+        }
+
+        const stored = { attributes: {}, ...node };
+        this.nodes.set(stored.id, stored);
+        this.addToTypeIndex(stored);
+        return stored;
+    }
+
+    addToTypeIndex(node) {
+        const type = normalizeType(node.type);
+        if (!this.nodesByType.has(type)) this.nodesByType.set(type, new Set());
+        this.nodesByType.get(type).add(node.id);
+    }
+
+    removeFromTypeIndex(node) {
+        this.nodesByType.get(normalizeType(node.type))?.delete(node.id);
+    }
+
+    getNode(id) {
+        return this.nodes.get(id) || null;
+    }
+
+    /**
+     * Nodes of a type (all nodes when type is null or '*')
+     */
+    getNodesByType(type) {
+        if (!type || type === '*') return Array.from(this.nodes.values());
+        return Array.from(this.nodesByType.get(normalizeType(type)) || [], id => this.nodes.get(id));
+    }
+
+    /**
+     * Nodes whose id or name matches (case-insensitive), optionally of one type
+     */
+    findNodes(name, type = null) {
+        const wanted = String(name).toLowerCase();
+        return this.getNodesByType(type).filter(node =>
+            node.id.toLowerCase() === wanted || String(node.name || '').toLowerCase() === wanted
+        );
+    }
+
+    /**
+     * Add an edge. Duplicate (source, type, target) edges keep the higher confidence.
+     */
+    addEdge(edge) {
+        if (!this.nodes.has(edge.source) || !this.nodes.has(edge.target)) {
+            throw new Error(`Edge ${edge.source} -${edge.type}-> ${edge.target} references an unknown node`);
+        }
+
+        const type = normalizeEdgeType(edge.type);
+        const outByType = this.adjacency(this.outgoing, edge.source);
+        const edges = outByType.get(type) || [];
+        const duplicate = edges.find(e => e.target === edge.target);
+        if (duplicate) {
+            if ((edge.confidence || 0) > (duplicate.confidence || 0)) duplicate.confidence = edge.confidence;
+            return duplicate;
+        }
+
+        const stored = { confidence: null, data: {}, ...edge };
+        outByType.set(type, [...edges, stored]);
+
+        const inByType = this.adjacency(this.incoming, edge.target);
+        inByType.set(type, [...(inByType.get(type) || []), stored]);
+
+        this.edgeCount++;
+        return stored;
+    }
+
+    adjacency(map, id) {
+        if (!map.has(id)) map.set(id, new Map());
+        return map.get(id);
+    }
+
+    /**
+     * Edges leaving (`out`), entering (`in`) or touching (`any`) a node,
+     * optionally limited to some relationship types
+     */
+    getEdges(id, options = {}) {
+        const direction = options.direction || 'out';
+        if (!DIRECTIONS.includes(direction)) {
+            throw new Error(`direction must be one of: ${DIRECTIONS.join(', ')}`);
+        }
+
+        const collect = byType => {
+            if (!byType) return [];
+            if (!options.types) return Array.from(byType.values()).flat();
+            return options.types.flatMap(type => byType.get(normalizeEdgeType(type)) || []);
+        };
+
+        const edges = [];
+        if (direction !== 'in') edges.push(...collect(this.outgoing.get(id)));
+        if (direction !== 'out') edges.push(...collect(this.incoming.get(id)));
+        return edges;
+    }
+
+    /**
+     * Immediate neighbors of a node: [{ node, edge, direction }]
+     */
+    getNeighbors(id, options = {}) {
+        const direction = options.direction || 'any';
+        const neighbors = [];
+
+        if (direction !== 'in') {
+            for (const edge of this.getEdges(id, { ...options, direction: 'out' })) {
+                neighbors.push({ node: this.nodes.get(edge.target), edge, direction: 'out' });
+            }
+        }
+        if (direction !== 'out') {
+            for (const edge of this.getEdges(id, { ...options, direction: 'in' })) {
+                neighbors.push({ node: this.nodes.get(edge.source), edge, direction: 'in' });
+            }
+        }
+
+        return neighbors;
+    }
+
+    /**
+     * Shortest path between two nodes by breadth-first search. Returns
+     * { nodes, edges, length } or null when they are not connected within maxDepth.
+     *
+     * options: types, direction (default 'any'), maxDepth (default 6)
+     */
+    shortestPath(fromId, toId, options = {}) {
+        if (!this.nodes.has(fromId) || !this.nodes.has(toId)) return null;
+        if (fromId === toId) return { nodes: [this.nodes.get(fromId)], edges: [], length: 0 };
+
+        const maxDepth = options.maxDepth ?? 6;
+        const direction = options.direction || 'any';
+        const previous = new Map([[fromId, null]]); // id -> { id, edge } it was reached from
+        let frontier = [fromId];
+
+        for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+            for (const id of frontier) {
+                for (const { node, edge } of this.getNeighbors(id, { types: options.types, direction })) {
+                    if (previous.has(node.id)) continue;
+                    previous.set(node.id, { id, edge });
+
+                    if (node.id === toId) {
+                        return this.tracePath(previous, toId);
+                    }
+                    next.push(node.id);
+                }
+            }
+            frontier = next;
+        }
+
+        return null;
+    }
+
+    tracePath(previous, toId) {
+        const nodes = [];
+        const edges = [];
+        for (let id = toId; id !== null; id = previous.get(id)?.id ?? null) {
+            nodes.unshift(this.nodes.get(id));
+            if (previous.get(id)) edges.unshift(previous.get(id).edge);
+        }
+        return { nodes, edges, length: edges.length };
+    }
+
+    /**
+     * Every node within k hops of a node (excluding the node itself):
+     * [{ node, distance, via }] ordered by distance, where `via` is the edge
+     * the node was first reached by
+     *
+     * options: types, direction (default 'any')
+     */
+    kHopNeighborhood(id, k = 1, options = {}) {
+        if (!this.nodes.has(id)) return [];
+
+        const direction = options.direction || 'any';
+        const seen = new Set([id]);
+        const results = [];
+        let frontier = [id];
+
+        for (let distance = 1; distance <= k && frontier.length > 0; distance++) {
+            const next = [];
+            for (const current of frontier) {
+                for (const { node, edge } of this.getNeighbors(current, { types: options.types, direction })) {
+                    if (seen.has(node.id)) continue;
+                    seen.add(node.id);
+                    results.push({ node, distance, via: edge });
+                    next.push(node.id);
+                }
+            }
+            frontier = next;
+        }
+
+        return results;
+    }
+
+    /**
+     * Fold one node into another (after an entity merge): its edges move to
+     * the kept node and self-loops are dropped
+     */
+    mergeNodes(keepId, mergeId) {
+        const kept = this.nodes.get(keepId);
+        const merged = this.nodes.get(mergeId);
+        if (!kept || !merged || keepId === mergeId) return;
+
+        const edges = [...this.getEdges(mergeId, { direction: 'any' })];
+        this.removeNode(mergeId);
+
+        for (const edge of edges) {
+            const source = edge.source === mergeId ? keepId : edge.source;
+            const target = edge.target === mergeId ? keepId : edge.target;
+            if (source !== target) {
+                this.addEdge({ ...edge, source, target });
+            }
+        }
+
+        kept.mergedFrom = [...(kept.mergedFrom || []), mergeId];
+    }
+
+    removeNode(id) {
+        const node = this.nodes.get(id);
+        if (!node) return;
+
+        for (const edge of this.getEdges(id, { direction: 'any' })) {
+            const [map, endId, key] = edge.source === id
+                ? [this.incoming, edge.target, 'source']
+                : [this.outgoing, edge.source, 'target'];
+            const byType = map.get(endId);
+            const type = normalizeEdgeType(edge.type);
+            const remaining = (byType?.get(type) || []).filter(e => e[key] !== id);
+            if (byType) byType.set(type, remaining);
+            this.edgeCount--;
+        }
+
+        this.outgoing.delete(id);
+        this.incoming.delete(id);
+        this.removeFromTypeIndex(node);
+        this.nodes.delete(id);
+    }
+}
+
+export default GraphIndex;
@@ -0,0 +1,250 @@
+import fs from 'fs-extra';
+import { GraphIndex, normalizeType } from './graph-index.js';
+import {
+    generateEntityId,
+    slugifyEntityName,
+    openDomainStorage,
+    loadHierarchicalEntities
+} from '../search/search-index-registry.js';
+import { isInverseEdge } from '../relationships/relationship-integrity.js';
+
+/**
+ * Graph Loader
+ *
+ * Builds a GraphIndex from a domain directory, reading both entity layouts:
+ *
+ *   extraction records   every named mention becomes a node (id from
+ *                        generateEntityId, type = category); record-level
+ *                        relationships connect the mentions they were
+ *                        inferred from (metadata.sourceMentions/targetMentions)
+ *   hierarchical files   each file is a node `<type>/<slug>`; its
+ *                        relationships resolve targets by target_type + name,
+ *                        and unresolved targets become stub nodes
+ *
+ * Inverse edges are skipped: the index already answers incoming traversals.
+ * buildCrossDomainGraph() joins several domains into one graph.
+ */
+
+const CO_OCCURRENCE = 'co_occurs_with';
+const SAME_ENTITY = 'same_as';
+
+function mentionName(mention) {
+    return mention?.name || mention?.item || mention?.address || mention?.description || null;
+}
+
+/**
+ * Add the mentions of extraction records as nodes, returning
+ * recordId -> [{ id, name }] for connecting record relationships
+ */
+function addRecordNodes(graph, records) {
+    const mentionsByRecord = new Map();
+
+    for (const record of records) {
+        const mentions = [];
+
+        for (const [category, entities] of Object.entries(record.entities || {})) {
+            if (!Array.isArray(entities)) continue;
+
+            for (const entity of entities) {
+                const name = mentionName(entity)?.trim();
+                if (!name || name === 'unnamed') continue;
+
+                // Same id flattenEntityRecords gives the mention (untrimmed name)
+                const id = entity.id || generateEntityId(entity.name || name, category, record.conversationId);
+                graph.addNode({
+                    id,
+                    name,
+                    type: category.toLowerCase(),
+                    attributes: { ...entity, name },
+                    source: 'record',
+                    recordId: record.id,
+                    timestamp: record.timestamp
+                });
+                mentions.push({ id, name });
+            }
+        }
+
+        mentionsByRecord.set(record.id, mentions);
+    }
+
+    return mentionsByRecord;
+}
+
+/**
+ * Link every pair of mentions that occur in the same record
+ */
+function addCoOccurrenceEdges(graph, mentionsByRecord) {
+    for (const [recordId, mentions] of mentionsByRecord) {
+        const ids = [...new Set(mentions.map(mention => mention.id))].sort();
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                graph.addEdge({
+                    source: ids[i],
+                    target: ids[j],
+                    type: CO_OCCURRENCE,
+                    confidence: null,
+                    data: { undirected: true, recordId }
+                });
+            }
+        }
+    }
+}
+
+function addRecordEdges(graph, records, mentionsByRecord) {
+    const pick = (mentions, names) => {
+        if (!names?.length) return [];
+        const wanted = new Set(names.map(name => name.toLowerCase()));
+        return mentions.filter(mention => wanted.has(mention.name.toLowerCase()));
+    };
+
+    for (const record of records) {
+        for (const relationship of record.relationships || []) {
+            if (isInverseEdge(relationship)) continue;
+
+            const sources = pick(mentionsByRecord.get(record.id) || [], relationship.metadata?.sourceMentions);
+            const targets = pick(mentionsByRecord.get(relationship.target) || [], relationship.metadata?.targetMentions);
+
+            for (const source of sources) {
+                for (const target of targets) {
+                    if (source.id === target.id) continue;
+                    graph.addEdge({
+                        source: source.id,
+                        target: target.id,
+                        type: relationship.type,
+                        confidence: relationship.confidence ?? null,
+                        data: { recordId: record.id, targetRecordId: relationship.target, rule: relationship.metadata?.inferenceRule }
+                    });
+                }
+            }
+        }
+    }
+}
+
+function addHierarchicalGraph(graph, entities) {
+    for (const entity of entities) {
+        const { relationships, data, ...fields } = entity;
+        graph.addNode({
+            id: `${entity.type}/${slugifyEntityName(entity.name)}`,
+            name: entity.name,
+            type: entity.type,
+            attributes: { ...(data || {}), ...fields },
+            source: 'hierarchical'
+        });
+    }
+
+    for (const entity of entities) {
+        const sourceId = `${entity.type}/${slugifyEntityName(entity.name)}`;
+
+        for (const relationship of entity.relationships || []) {
+            if (!relationship?.type || !relationship.target || isInverseEdge(relationship)) continue;
+
+            const targetId = resolveHierarchicalTarget(graph, relationship);
+            if (targetId === sourceId) continue;
+
+            graph.addEdge({
+                source: sourceId,
+                target: targetId,
+                type: relationship.type,
+                confidence: relationship.confidence ?? null,
+                data: {}
+            });
+        }
+    }
+}
+
+function resolveHierarchicalTarget(graph, relationship) {
+    const slug = slugifyEntityName(relationship.target);
+
+    if (relationship.target_type) {
+        const id = `${relationship.target_type}/${slug}`;
+        if (graph.getNode(id)) return id;
+    }
+
+    const [match] = graph.findNodes(relationship.target, relationship.target_type || null);
+    if (match) return match.id;
+
+    const type = relationship.target_type || 'unknown';
+    const id = `${type}/${slug}`;
+    graph.addNode({ id, name: relationship.target, type, attributes: { name: relationship.target }, source: 'hierarchical', stub: true });
+    return id;
+}
+
+/**
+ * Build the relationship graph of a domain directory
+ *
+ * options: storage (an open StorageAdapter for the domain),
+ *          mergedPairs (iterable of [keepId, mergedId] entity merges to fold in),
+ *          coOccurrence (also link mentions of the same record, as the
+ *          network view does; edges of type co_occurs_with)
+ */
+export async function buildDomainGraph(domainPath, options = {}) {
+    const graph = new GraphIndex();
+    if (!(await fs.pathExists(domainPath))) return graph;
+
+    // Reuse the caller's open adapter when given; otherwise open (and close) our own
+    const storage = options.storage || await openDomainStorage(domainPath);
+    try {
+        const records = await storage.list();
+        const mentionsByRecord = addRecordNodes(graph, records);
+        addRecordEdges(graph, records, mentionsByRecord);
+        if (options.coOccurrence) addCoOccurrenceEdges(graph, mentionsByRecord);
+    } finally {
+        if (!options.storage) await storage.close();
+    }
+
+    addHierarchicalGraph(graph, await loadHierarchicalEntities(domainPath));
+
+    for (const [keepId, mergedId] of options.mergedPairs || []) {
+        graph.mergeNodes(keepId, mergedId);
+    }
+
+    return graph;
+}
+
+/**
+ * One graph over several domains. Node ids are prefixed with the domain
+ * (`construction:person/alice-smith`) and carry it as `domain`; nodes of the
+ * same type and name in different domains are joined by same_as edges.
+ *
+ * domains: [{ name, path, storage? }]
+ * options: as buildDomainGraph, with mergedPairs keyed by domain name
+ */
+export async function buildCrossDomainGraph(domains, options = {}) {
+    const graph = new GraphIndex();
+    const byIdentity = new Map(); // "type|name" -> [prefixed ids]
+
+    for (const domain of domains) {
+        const domainGraph = await buildDomainGraph(domain.path, {
+            ...options,
+            storage: domain.storage,
+            mergedPairs: options.mergedPairs?.[domain.name]
+        });
+        const prefix = id => `${domain.name}:${id}`;
+
+        for (const node of domainGraph.nodes.values()) {
+            graph.addNode({ ...node, id: prefix(node.id), domain: domain.name });
+
+            const identity = `${normalizeType(node.type)}|${String(node.name).toLowerCase()}`;
+            if (!byIdentity.has(identity)) byIdentity.set(identity, []);
+            byIdentity.get(identity).push({ id: prefix(node.id), domain: domain.name });
+        }
+        for (const id of domainGraph.nodes.keys()) {
+            for (const edge of domainGraph.getEdges(id, { direction: 'out' })) {
+                graph.addEdge({ ...edge, source: prefix(edge.source), target: prefix(edge.target) });
+            }
+        }
+    }
+
+    for (const nodes of byIdentity.values()) {
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                if (nodes[i].domain === nodes[j].domain) continue;
+                graph.addEdge({ source: nodes[i].id, target: nodes[j].id, type: SAME_ENTITY, confidence: null, data: { undirected: true } });
+            }
+        }
+    }
+
+    return graph;
+}
+
+export default buildDomainGraph;
@@ -0,0 +1,736 @@
+/**
+ * Graph Query Language
+ *
+ * A small pattern language over a GraphIndex. Three query forms:
+ *
+ *   match       person -manages-> project -located_at-> location where city = Austin
+ *               p:person "Alice" -manages|owns-> project <-works_on- person limit 20
+ *   path        path from person "Alice" to location "Austin" via manages|located_at max 4
+ *   neighbors   neighbors of person "Alice" within 2 via manages where type = project
+ *
+ * Node patterns are `[alias:]type ["Name"]` (`*` matches any type). Edges are
+ * `-types->` (outgoing), `<-types-` (incoming) or `-types-` (either way), with
+ * `|` between alternative relationship types and `-->` / `<--` / `--` for any
+ * type. Conditions are `[alias.]field op value` joined by `and`; an unqualified
+ * field refers to the last node of the pattern. Operators: = != ~ (contains,
+ * or a regular expression written /like this/, case-insensitive unless flags
+ * follow it: /^A/m) > < >= <=. Bare multi-word values are allowed; quote
+ * values that contain keywords. Relationship types compare case-insensitively,
+ * with spaces and hyphens read as underscores.
+ *
+ * Queries can also be given as JSON, in the form parseGraphQuery() returns:
+ *
+ *   { kind: 'match', nodes: [{ alias, type, name }], edges: [{ types, direction }], where: [{ alias, field, op, value }], limit }
+ *   { kind: 'path', from: { type, name }, to: { type, name }, via, maxDepth }
+ *   { kind: 'neighbors', of: { type, name }, within, via, direction, where, limit }
+ *
+ * with a regular expression value given as { regex, flags }. Regular
+ * expressions are capped at MAX_PATTERN_LENGTH characters and may not repeat
+ * a group that itself repeats ((a+)+), which can backtrack exponentially.
+ *
+ * Results report truncated: true when the limit cut them short, or when a
+ * match query stopped after exploring MAX_EDGES_EXPLORED edges.
+ */
+
+import { normalizeType } from './graph-index.js';
+
+const KINDS = ['match', 'path', 'neighbors'];
+const OPERATORS = ['=', '!=', '~', '>', '<', '>=', '<='];
+const DIRECTIONS = ['out', 'in', 'any'];
+const KEYWORDS = ['where', 'and', 'limit', 'via', 'max', 'within', 'to'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DEFAULT_PATH_DEPTH = 6;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_EDGES_EXPLORED = 50000;
+
+const TOKEN_PATTERN = /\s*(?:(<?-[\w|*]*->?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\/(?:[^/\\]|\\.)+\/[a-z]*)|(>=|<=|!=|=|~|>|<)|(:)|([^\s"':=!<>~]+))/y;
+
+function tokenize(input) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < input.length) {
+        const position = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(input);
+        if (!match) {
+            if (input.slice(position).trim() === '') break;
+            throw new Error(`Unexpected character at position ${position}: "${input.slice(position, position + 10)}"`);
+        }
+
+        const [, arrow, quoted, regex, operator, colon, word] = match;
+        if (arrow) tokens.push({ kind: 'arrow', value: arrow });
+        else if (quoted) tokens.push({ kind: 'string', value: quoted.slice(1, -1).replace(/\\(.)/g, '$1') });
+        else if (regex) {
+            const end = regex.lastIndexOf('/');
+            tokens.push({ kind: 'regex', value: regex.slice(1, end), flags: regex.slice(end + 1) });
+        }
+        else if (operator) tokens.push({ kind: 'operator', value: operator });
+        else if (colon) tokens.push({ kind: 'colon', value: colon });
+        else if (word) tokens.push({ kind: 'word', value: word });
+    }
+
+    return tokens;
+}
+
+class Parser {
+    constructor(input) {
+        this.tokens = tokenize(input);
+        this.position = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset] || null;
+    }
+
+    next() {
+        return this.tokens[this.position++] || null;
+    }
+
+    atEnd() {
+        return this.position >= this.tokens.length;
+    }
+
+    isKeyword(token, keyword) {
+        return token?.kind === 'word' && token.value.toLowerCase() === keyword;
+    }
+
+    acceptKeyword(keyword) {
+        if (this.isKeyword(this.peek(), keyword)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expectKeyword(keyword) {
+        if (!this.acceptKeyword(keyword)) {
+            throw new Error(`Expected "${keyword}" ${this.describePosition()}`);
+        }
+    }
+
+    expectNumber(label) {
+        const token = this.next();
+        const value = Number(token?.value);
+        if (token?.kind !== 'word' || !Number.isInteger(value) || value < 0) {
+            throw new Error(`${label} must be a non-negative integer, got "${token?.value ?? 'end of query'}"`);
+        }
+        return value;
+    }
+
+    describePosition() {
+        const token = this.peek();
+        return token ? `near "${token.value}"` : 'at end of query';
+    }
+
+    parse() {
+        if (this.atEnd()) {
+            throw new Error('Query is empty');
+        }
+
+        let query;
+        if (this.isKeyword(this.peek(), 'path') && this.isKeyword(this.peek(1), 'from')) {
+            query = this.parsePath();
+        } else if (this.isKeyword(this.peek(), 'neighbors') && this.isKeyword(this.peek(1), 'of')) {
+            query = this.parseNeighbors();
+        } else {
+            query = this.parseMatch();
+        }
+
+        if (!this.atEnd()) {
+            throw new Error(`Unexpected "${this.peek().value}" ${this.describePosition()}`);
+        }
+        return query;
+    }
+
+    parseMatch() {
+        const nodes = [this.parseNode()];
+        const edges = [];
+
+        while (this.peek()?.kind === 'arrow') {
+            edges.push(this.parseArrow(this.next().value));
+            nodes.push(this.parseNode());
+        }
+
+        const where = this.parseWhere();
+        const limit = this.acceptKeyword('limit') ? this.expectNumber('limit') : undefined;
+        return { kind: 'match', nodes, edges, where, limit };
+    }
+
+    parsePath() {
+        this.position += 2;
+        const from = this.parseEndpoint();
+        this.expectKeyword('to');
+        const to = this.parseEndpoint();
+
+        const query = { kind: 'path', from, to };
+        while (!this.atEnd()) {
+            if (this.acceptKeyword('via')) query.via = this.parseTypeList();
+            else if (this.acceptKeyword('max')) query.maxDepth = this.expectNumber('max');
+            else break;
+        }
+        return query;
+    }
+
+    parseNeighbors() {
+        this.position += 2;
+        const query = { kind: 'neighbors', of: this.parseEndpoint() };
+
+        while (!this.atEnd()) {
+            if (this.acceptKeyword('within')) query.within = this.expectNumber('within');
+            else if (this.acceptKeyword('via')) query.via = this.parseTypeList();
+            else break;
+        }
+
+        query.where = this.parseWhere();
+        if (this.acceptKeyword('limit')) query.limit = this.expectNumber('limit');
+        return query;
+    }
+
+    /**
+     * `[alias:]type ["Name"]`
+     */
+    parseNode() {
+        const token = this.next();
+        if (token?.kind !== 'word' || KEYWORDS.includes(token.value.toLowerCase())) {
+            throw new Error(`Expected an entity type ${token ? `near "${token.value}"` : 'at end of query'}`);
+        }
+
+        const node = { type: token.value };
+        if (this.peek()?.kind === 'colon') {
+            this.position++;
+            const type = this.next();
+            if (type?.kind !== 'word') {
+                throw new Error(`Expected an entity type after "${token.value}:"`);
+            }
+            node.alias = token.value;
+            node.type = type.value;
+        }
+
+        if (this.peek()?.kind === 'string') {
+            node.name = this.next().value;
+        }
+        return node;
+    }
+
+    /**
+     * `type ["Name"]` or just `"Name"`
+     */
+    parseEndpoint() {
+        if (this.peek()?.kind === 'string') {
+            return { type: '*', name: this.next().value };
+        }
+        const node = this.parseNode();
+        if (node.name === undefined) {
+            throw new Error(`Expected a quoted entity name after "${node.type}"`);
+        }
+        return { type: node.type, name: node.name };
+    }
+
+    parseArrow(arrow) {
+        const incoming = arrow.startsWith('<');
+        const outgoing = arrow.endsWith('>');
+        if (incoming && outgoing) {
+            throw new Error(`Edge "${arrow}" cannot point both ways; use -type- for either direction`);
+        }
+
+        const inner = arrow.replace(/^<?-/, '').replace(/->?$/, '');
+        const types = inner === '' || inner === '*' ? null : inner.split('|').filter(Boolean);
+        return { types, direction: incoming ? 'in' : outgoing ? 'out' : 'any' };
+    }
+
+    parseTypeList() {
+        const token = this.next();
+        if (token?.kind !== 'word') {
+            throw new Error('Expected relationship types after "via"');
+        }
+        return token.value.split('|').filter(Boolean);
+    }
+
+    parseWhere() {
+        const conditions = [];
+        if (!this.acceptKeyword('where')) return conditions;
+
+        do {
+            conditions.push(this.parseCondition());
+        } while (this.acceptKeyword('and'));
+
+        return conditions;
+    }
+
+    parseCondition() {
+        const fieldToken = this.next();
+        if (fieldToken?.kind !== 'word') {
+            throw new Error(`Expected a field name in where clause ${fieldToken ? `near "${fieldToken.value}"` : 'at end of query'}`);
+        }
+
+        const operator = this.next();
+        if (operator?.kind !== 'operator') {
+            throw new Error(`Expected an operator (${OPERATORS.join(' ')}) after "${fieldToken.value}"`);
+        }
+
+        const [alias, field] = fieldToken.value.includes('.')
+            ? [fieldToken.value.slice(0, fieldToken.value.indexOf('.')), fieldToken.value.slice(fieldToken.value.indexOf('.') + 1)]
+            : [null, fieldToken.value];
+
+        const first = this.next();
+        if (!first || !['word', 'string', 'regex'].includes(first.kind)) {
+            throw new Error(`Expected a value after "${fieldToken.value} ${operator.value}"`);
+        }
+
+        let value = first.value;
+        if (first.kind === 'regex') {
+            if (operator.value !== '~') {
+                throw new Error(`Regular expressions need the ~ operator (${fieldToken.value})`);
+            }
+            value = first.flags ? { regex: first.value, flags: first.flags } : { regex: first.value };
+        } else if (first.kind === 'word') {
+            // Bare values run until the next keyword: where city = San Antonio and ...
+            const words = [first.value];
+            while (this.peek()?.kind === 'word' && !['and', 'limit'].includes(this.peek().value.toLowerCase())) {
+                words.push(this.next().value);
+            }
+            value = words.join(' ');
+        }
+
+        return { alias, field, op: operator.value, value };
+    }
+}
+
+function normalizeLimit(limit) {
+    if (limit === undefined || limit === null) return DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('limit must be a positive integer');
+    }
+    return Math.min(limit, MAX_LIMIT);
+}
+
+function normalizeTypes(types, label) {
+    if (types === undefined || types === null) return null;
+    const list = Array.isArray(types) ? types : [types];
+    if (!list.every(type => typeof type === 'string' && type.length > 0)) {
+        throw new Error(`${label} must be a relationship type or a list of them`);
+    }
+    return list.includes('*') ? null : list;
+}
+
+function normalizeEndpoint(endpoint, label) {
+    if (!endpoint || typeof endpoint.name !== 'string' || endpoint.name.length === 0) {
+        throw new Error(`${label} needs a name`);
+    }
+    return { type: endpoint.type || '*', name: endpoint.name };
+}
+
+/**
+ * Check conditions and, for match queries, resolve each to the alias of the
+ * node it constrains: an alias, a type used once in the pattern, or (when
+ * unqualified) the last node. A prefix that names no node is read as part of
+ * a dotted field path (address.city).
+ */
+function normalizeConditions(where, nodes = null) {
+    if (!Array.isArray(where || [])) {
+        throw new Error('where must be a list of conditions');
+    }
+
+    const resolveAlias = name => {
+        if (!nodes) return null;
+        if (name === null) return nodes[nodes.length - 1].alias;
+        if (nodes.some(node => node.alias === name)) return name;
+        const byType = nodes.filter(node => node.type === name);
+        return byType.length === 1 ? byType[0].alias : undefined;
+    };
+
+    return (where || []).map(condition => {
+        if (!condition?.field) {
+            throw new Error('Each condition needs a field');
+        }
+        if (!OPERATORS.includes(condition.op)) {
+            throw new Error(`Unknown operator "${condition.op}"; use one of ${OPERATORS.join(' ')}`);
+        }
+
+        let alias = resolveAlias(condition.alias || null);
+        let field = condition.field;
+        if (alias === undefined) {
+            alias = resolveAlias(null);
+            field = `${condition.alias}.${condition.field}`;
+        }
+
+        const normalized = { alias, field, op: condition.op, value: condition.value };
+        if (condition.value?.regex !== undefined) {
+            // Case-insensitive unless flags are given; g and y would make test() stateful
+            const flags = condition.value.flags === undefined ? 'i' : String(condition.value.flags).replace(/[gy]/g, '');
+            const source = String(condition.value.regex);
+            if (source.length > MAX_PATTERN_LENGTH) {
+                throw new Error(`Regular expression is too long (${source.length} characters, at most ${MAX_PATTERN_LENGTH})`);
+            }
+            if (hasNestedQuantifier(source)) {
+                throw new Error(`Regular expression /${source}/ repeats a group that already repeats; rewrite it without nested quantifiers`);
+            }
+            try {
+                normalized.pattern = new RegExp(condition.value.regex, flags);
+            } catch (error) {
+                throw new Error(`Invalid regular expression /${condition.value.regex}/${condition.value.flags || ''}: ${error.message}`);
+            }
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Whether a regular expression repeats a group that contains a quantifier
+ * ((a+)+, (\w*x)*, (a{2,})+)
+ */
+function hasNestedQuantifier(source) {
+    const groups = []; // per open group: whether it contains a quantifier
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            if (char === ']') inClass = false;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const quantified = groups.pop();
+            if (quantified && ['*', '+', '{'].includes(source[i + 1])) return true;
+            if (quantified && groups.length > 0) groups[groups.length - 1] = true;
+        } else if (['*', '+', '{'].includes(char) && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Default aliases: the type name, numbered when a type repeats (project, project2)
+ */
+function assignAliases(nodes) {
+    const used = new Set(nodes.map(node => node.alias).filter(Boolean));
+
+    return nodes.map(node => {
+        if (node.alias) return node;
+
+        const base = node.type === '*' ? 'node' : node.type;
+        let alias = base;
+        for (let count = 2; used.has(alias); count++) {
+            alias = `${base}${count}`;
+        }
+        used.add(alias);
+        return { ...node, alias };
+    });
+}
+
+/**
+ * Parse a text query or check a JSON query, returning the normalized query.
+ * Throws an Error describing the problem for malformed queries.
+ *
+ * options: limit (overrides the query's own limit; accepts numeric strings)
+ */
+export function parseGraphQuery(query, options = {}) {
+    const parsed = typeof query === 'string' ? new Parser(query.trim()).parse() : query;
+    const limit = options.limit ?? parsed?.limit;
+    const limitValue = typeof limit === 'string' && limit.trim() !== '' ? Number(limit) : limit;
+
+    if (!parsed || typeof parsed !== 'object' || !KINDS.includes(parsed.kind)) {
+        throw new Error(`Query must be a string or an object with kind ${KINDS.join(', ')}`);
+    }
+
+    if (parsed.kind === 'path') {
+        const maxDepth = parsed.maxDepth ?? DEFAULT_PATH_DEPTH;
+        if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+            throw new Error('maxDepth must be a positive integer');
+        }
+        return {
+            kind: 'path',
+            from: normalizeEndpoint(parsed.from, 'path from'),
+            to: normalizeEndpoint(parsed.to, 'path to'),
+            via: normalizeTypes(parsed.via, 'via'),
+            maxDepth
+        };
+    }
+
+    if (parsed.kind === 'neighbors') {
+        const within = parsed.within ?? 1;
+        if (!Number.isInteger(within) || within < 1) {
+            throw new Error('within must be a positive integer');
+        }
+        const direction = parsed.direction || 'any';
+        if (!DIRECTIONS.includes(direction)) {
+            throw new Error(`direction must be one of: ${DIRECTIONS.join(', ')}`);
+        }
+        return {
+            kind: 'neighbors',
+            of: normalizeEndpoint(parsed.of, 'neighbors of'),
+            within,
+            via: normalizeTypes(parsed.via, 'via'),
+            direction,
+            where: normalizeConditions(parsed.where),
+            limit: normalizeLimit(limitValue)
+        };
+    }
+
+    if (!Array.isArray(parsed.nodes) || parsed.nodes.length === 0) {
+        throw new Error('A match query needs at least one node pattern');
+    }
+    const edges = parsed.edges || [];
+    if (!Array.isArray(edges) || edges.length !== parsed.nodes.length - 1) {
+        throw new Error('A match query needs exactly one edge between each pair of nodes');
+    }
+
+    const nodes = assignAliases(parsed.nodes.map(node => {
+        if (!node?.type) {
+            throw new Error('Each node pattern needs a type (use * for any type)');
+        }
+        return { alias: node.alias || null, type: node.type, name: node.name ?? null };
+    }));
+
+    const aliases = nodes.map(node => node.alias);
+    if (new Set(aliases).size !== aliases.length) {
+        throw new Error(`Node aliases must be unique: ${aliases.join(', ')}`);
+    }
+
+    return {
+        kind: 'match',
+        nodes,
+        edges: edges.map(edge => {
+            const direction = edge?.direction || 'out';
+            if (!DIRECTIONS.includes(direction)) {
+                throw new Error(`direction must be one of: ${DIRECTIONS.join(', ')}`);
+            }
+            return { types: normalizeTypes(edge?.types, 'edge types'), direction };
+        }),
+        where: normalizeConditions(parsed.where, nodes),
+        limit: normalizeLimit(limitValue)
+    };
+}
+
+/**
+ * Value of a field on a node: id, name and type, then attributes
+ * (case-insensitive, with dotted paths into nested objects)
+ */
+function fieldValue(node, field) {
+    if (['id', 'name', 'type', 'source'].includes(field)) return node[field];
+
+    return field.split('.').reduce((value, key) => {
+        if (value === null || typeof value !== 'object') return undefined;
+        if (key in value) return value[key];
+        const match = Object.keys(value).find(name => name.toLowerCase() === key.toLowerCase());
+        return match === undefined ? undefined : value[match];
+    }, node.attributes || {});
+}
+
+function compare(actual, op, expected) {
+    const actualNumber = Number(actual);
+    const expectedNumber = Number(expected);
+    const numeric = actual !== '' && expected !== '' && !Number.isNaN(actualNumber) && !Number.isNaN(expectedNumber);
+
+    switch (op) {
+        case '=':
+            return numeric ? actualNumber === expectedNumber : String(actual).toLowerCase() === String(expected).toLowerCase();
+        case '!=':
+            return !compare(actual, '=', expected);
+        case '>':
+            return numeric ? actualNumber > expectedNumber : String(actual) > String(expected);
+        case '<':
+            return numeric ? actualNumber < expectedNumber : String(actual) < String(expected);
+        case '>=':
+            return compare(actual, '>', expected) || compare(actual, '=', expected);
+        case '<=':
+            return compare(actual, '<', expected) || compare(actual, '=', expected);
+        default:
+            return false;
+    }
+}
+
+function matchesCondition(node, condition) {
+    const actual = fieldValue(node, condition.field);
+
+    if (actual === undefined || actual === null) {
+        return condition.op === '!=';
+    }
+    if (Array.isArray(actual)) {
+        return condition.op === '!='
+            ? actual.every(item => matchesCondition({ attributes: { value: item } }, { ...condition, field: 'value' }))
+            : actual.some(item => matchesCondition({ attributes: { value: item } }, { ...condition, field: 'value' }));
+    }
+    if (condition.op === '~') {
+        const text = typeof actual === 'object' ? JSON.stringify(actual) : String(actual);
+        return condition.pattern
+            ? condition.pattern.test(text)
+            : text.toLowerCase().includes(String(condition.value).toLowerCase());
+    }
+    return compare(actual, condition.op, condition.value);
+}
+
+function matchesNodePattern(node, pattern, conditions) {
+    if (pattern.type !== '*' && normalizeType(node.type) !== normalizeType(pattern.type)) return false;
+    if (pattern.name !== null && pattern.name !== undefined) {
+        const name = pattern.name.toLowerCase();
+        if (node.id.toLowerCase() !== name && String(node.name || '').toLowerCase() !== name) return false;
+    }
+    return conditions.every(condition => matchesCondition(node, condition));
+}
+
+function serializeNode(node) {
+    return {
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        source: node.source,
+        attributes: node.attributes,
+        ...(node.mergedFrom ? { mergedFrom: node.mergedFrom } : {})
+    };
+}
+
+function serializeEdge(edge) {
+    return { source: edge.source, target: edge.target, type: edge.type, confidence: edge.confidence };
+}
+
+function resolveEndpoint(graph, endpoint) {
+    return graph.findNodes(endpoint.name, endpoint.type === '*' ? null : endpoint.type);
+}
+
+/**
+ * Depth-first expansion of the pattern from every node matching its first
+ * step. Stops at the row limit or after MAX_EDGES_EXPLORED edges, since a
+ * pattern over densely connected nodes can fan out far beyond its results.
+ */
+function executeMatch(graph, query) {
+    const { nodes: patterns, edges, limit } = query;
+    const conditionsAt = patterns.map(pattern => query.where.filter(condition => condition.alias === pattern.alias));
+
+    const rows = [];
+    let explored = 0;
+    let truncated = false;
+
+    const extend = (boundNodes, boundEdges) => {
+        if (rows.length >= limit) {
+            truncated = true;
+            return;
+        }
+
+        const index = boundNodes.length;
+        if (index === patterns.length) {
+            rows.push({
+                nodes: Object.fromEntries(patterns.map((pattern, i) => [pattern.alias, serializeNode(boundNodes[i])])),
+                edges: boundEdges.map(serializeEdge)
+            });
+            return;
+        }
+
+        const edge = edges[index - 1];
+        const current = boundNodes[index - 1];
+        for (const { node, edge: graphEdge } of graph.getNeighbors(current.id, { types: edge.types, direction: edge.direction })) {
+            if (++explored > MAX_EDGES_EXPLORED) {
+                truncated = true;
+                return;
+            }
+            if (boundNodes.includes(node)) continue;
+            if (!matchesNodePattern(node, patterns[index], conditionsAt[index])) continue;
+
+            extend([...boundNodes, node], [...boundEdges, graphEdge]);
+            if (truncated) return;
+        }
+    };
+
+    for (const start of graph.getNodesByType(patterns[0].type)) {
+        if (!matchesNodePattern(start, patterns[0], conditionsAt[0])) continue;
+        extend([start], []);
+        if (truncated) break;
+    }
+
+    return {
+        kind: 'match',
+        columns: patterns.map(pattern => pattern.alias),
+        rows,
+        count: rows.length,
+        truncated
+    };
+}
+
+function executePath(graph, query) {
+    const fromNodes = resolveEndpoint(graph, query.from);
+    const toNodes = resolveEndpoint(graph, query.to);
+
+    let best = null;
+    for (const from of fromNodes) {
+        for (const to of toNodes) {
+            const path = graph.shortestPath(from.id, to.id, {
+                types: query.via,
+                maxDepth: best ? Math.min(query.maxDepth, best.length) : query.maxDepth
+            });
+            if (path && (!best || path.length < best.length)) {
+                best = path;
+            }
+        }
+    }
+
+    return {
+        kind: 'path',
+        found: Boolean(best),
+        length: best ? best.length : null,
+        nodes: best ? best.nodes.map(serializeNode) : [],
+        edges: best ? best.edges.map(serializeEdge) : []
+    };
+}
+
+function executeNeighbors(graph, query) {
+    const centers = resolveEndpoint(graph, query.of);
+    const results = [];
+    let truncated = false;
+
+    for (const center of centers) {
+        const neighborhood = graph.kHopNeighborhood(center.id, query.within, {
+            types: query.via,
+            direction: query.direction
+        });
+
+        for (const { node, distance, via } of neighborhood) {
+            if (!query.where.every(condition => matchesCondition(node, condition))) continue;
+            if (results.length >= query.limit) {
+                truncated = true;
+                break;
+            }
+            results.push({ center: center.id, node: serializeNode(node), distance, via: serializeEdge(via) });
+        }
+    }
+
+    return {
+        kind: 'neighbors',
+        centers: centers.map(serializeNode),
+        results,
+        count: results.length,
+        truncated
+    };
+}
+
+/**
+ * Run a normalized query (see parseGraphQuery) against a GraphIndex
+ */
+export function executeGraphQuery(graph, query) {
+    switch (query.kind) {
+        case 'path':
+            return executePath(graph, query);
+        case 'neighbors':
+            return executeNeighbors(graph, query);
+        default:
+            return executeMatch(graph, query);
+    }
+}
+
+/**
+ * Parse and run a text or JSON query
+ *
+ * options: limit (overrides the query's own limit)
+ */
+export function runGraphQuery(graph, query, options = {}) {
+    const parsed = parseGraphQuery(query, options);
+    return { query: parsed, ...executeGraphQuery(graph, parsed) };
+}
+
+export default runGraphQuery;
@@ -8,12 +8,14 @@
 import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
+import { withTransaction, getJournalDir } from '../storage/file-transaction.js';
 
 class SnappyExpensePusher {
   constructor(options = {}) {
     this.snappyPath = options.snappyPath || path.resolve(process.cwd(), '..', 'snappy');
     this.projectsPath = path.join(this.snappyPath, 'projects');
     this.clientProjectsPath = path.join(this.snappyPath, 'client-projects');
+    this.journalDir = options.journalDir || getJournalDir();
   }
 
   /**
@@ -26,11 +28,13 @@ class SnappyExpensePusher {
       // Extract expense data
       const expenseData = this.extractExpenseData(completedRequest, completion);
       
-      // Find or create project
-      const projectPath = await this.findOrCreateProject(expenseData.projectName);
-      
-      // Add expense to project
-      await this.addExpenseToProject(projectPath, expenseData);
+      // Create the project (if needed) and record the expense as one transaction,
+      // so the project files never disagree about totals
+      const projectPath = await withTransaction(async (transaction) => {
+        const projectPath = await this.findOrCreateProject(expenseData.projectName, transaction);
+        await this.addExpenseToProject(projectPath, expenseData, transaction);
+        return projectPath;
+      }, { journalDir: this.journalDir, label: `snappy expense ${expenseData.projectName}` });
       
       console.log(chalk.green(`✅ Expense pushed to Snappy project: ${expenseData.projectName}`));
       
@@ -119,7 +123,7 @@ class SnappyExpensePusher {
   /**
    * Find existing project or create new one
    */
-  async findOrCreateProject(projectName) {
+  async findOrCreateProject(projectName, transaction) {
     const sanitizedName = this.sanitizeProjectName(projectName);
     
     // Check regular projects first
@@ -137,19 +141,16 @@ class SnappyExpensePusher {
     }
     
     // Create new project in regular projects
-    await fs.mkdir(regularProjectPath, { recursive: true });
-    
-    // Create basic project structure
-    await this.createProjectStructure(regularProjectPath, projectName);
+    this.createProjectStructure(regularProjectPath, projectName, transaction);
     
     console.log(chalk.green(`📁 Created new project: ${sanitizedName}`));
     return regularProjectPath;
   }
 
   /**
-   * Create basic project structure
+   * Stage the basic project structure in a transaction
    */
-  async createProjectStructure(projectPath, displayName) {
+  createProjectStructure(projectPath, displayName, transaction) {
     // Create project.json metadata
     const projectMetadata = {
       name: displayName,
@@ -160,10 +161,7 @@ class SnappyExpensePusher {
       source: 'context-management-system'
     };
     
-    await fs.writeFile(
-      path.join(projectPath, 'project.json'),
-      JSON.stringify(projectMetadata, null, 2)
-    );
+    transaction.writeJson(path.join(projectPath, 'project.json'), projectMetadata);
     
     // Create notes.md
     const notesContent = `# ${displayName}
@@ -179,7 +177,7 @@ Expenses will be tracked below as they are added through the context system.
 - Source: Context Management System
 `;
     
-    await fs.writeFile(path.join(projectPath, 'notes.md'), notesContent);
+    transaction.write(path.join(projectPath, 'notes.md'), notesContent);
     
     // Create cost-breakdown.md
     const costBreakdownContent = `# Cost Breakdown - ${displayName}
@@ -199,31 +197,42 @@ Expenses will be tracked below as they are added through the context system.
 *Last updated: ${new Date().toISOString()}*
 `;
     
-    await fs.writeFile(path.join(projectPath, 'cost-breakdown.md'), costBreakdownContent);
+    transaction.write(path.join(projectPath, 'cost-breakdown.md'), costBreakdownContent);
   }
 
   /**
    * Add expense to project
    */
-  async addExpenseToProject(projectPath, expenseData) {
+  async addExpenseToProject(projectPath, expenseData, transaction) {
     // Update cost-breakdown.md
-    await this.updateCostBreakdown(projectPath, expenseData);
+    await this.updateCostBreakdown(projectPath, expenseData, transaction);
     
     // Update notes.md
-    await this.updateProjectNotes(projectPath, expenseData);
+    await this.updateProjectNotes(projectPath, expenseData, transaction);
     
     // Update project.json metadata
-    await this.updateProjectMetadata(projectPath, expenseData);
+    await this.updateProjectMetadata(projectPath, expenseData, transaction);
+  }
+
+  /**
+   * Read a project file, seeing content already staged in the transaction
+   */
+  async readProjectFile(filePath, transaction) {
+    const staged = transaction.staged(filePath);
+    if (staged !== undefined && staged !== null) {
+      return staged;
+    }
+    return fs.readFile(filePath, 'utf8');
   }
 
   /**
    * Update cost breakdown file
    */
-  async updateCostBreakdown(projectPath, expenseData) {
+  async updateCostBreakdown(projectPath, expenseData, transaction) {
     const costBreakdownPath = path.join(projectPath, 'cost-breakdown.md');
     
     try {
-      let content = await fs.readFile(costBreakdownPath, 'utf8');
+      let content = await this.readProjectFile(costBreakdownPath, transaction);
       
       // Find the Materials section and add the new expense
       const materialsSectionRegex = /## Materials\n(.*?)(?=\n## |$)/s;
@@ -265,22 +274,23 @@ Expenses will be tracked below as they are added through the context system.
       // Update timestamp
       content = content.replace(/\*Last updated:.*\*/, `*Last updated: ${new Date().toISOString()}*`);
       
-      await fs.writeFile(costBreakdownPath, content);
+      transaction.write(costBreakdownPath, content);
       console.log(chalk.gray(`📝 Updated cost breakdown: +$${expenseData.amount.toFixed(2)}`));
       
     } catch (error) {
       console.warn(chalk.yellow('⚠️  Failed to update cost breakdown:'), error.message);
+      throw error;
     }
   }
 
   /**
    * Update project notes
    */
-  async updateProjectNotes(projectPath, expenseData) {
+  async updateProjectNotes(projectPath, expenseData, transaction) {
     const notesPath = path.join(projectPath, 'notes.md');
     
     try {
-      let content = await fs.readFile(notesPath, 'utf8');
+      let content = await this.readProjectFile(notesPath, transaction);
       
       // Add expense entry to expenses section or create it
       const expenseEntry = `\n### ${new Date(expenseData.timestamp).toLocaleDateString()} - ${expenseData.item}
@@ -307,25 +317,26 @@ Expenses will be tracked below as they are added through the context system.
         content += `\n## Expenses${expenseEntry}`;
       }
       
-      await fs.writeFile(notesPath, content);
+      transaction.write(notesPath, content);
       console.log(chalk.gray(`📝 Updated project notes with expense entry`));
       
     } catch (error) {
       console.warn(chalk.yellow('⚠️  Failed to update project notes:'), error.message);
+      throw error;
     }
   }
 
   /**
    * Update project metadata
    */
-  async updateProjectMetadata(projectPath, expenseData) {
+  async updateProjectMetadata(projectPath, expenseData, transaction) {
     const metadataPath = path.join(projectPath, 'project.json');
     
     try {
       let metadata = {};
       
       try {
-        const content = await fs.readFile(metadataPath, 'utf8');
+        const content = await this.readProjectFile(metadataPath, transaction);
         metadata = JSON.parse(content);
       } catch (error) {
         // File doesn't exist or is invalid, create new metadata
@@ -354,11 +365,12 @@ Expenses will be tracked below as they are added through the context system.
         metadata.contextSystemIntegration.expenseCountFromContext += 1;
       }
       
-      await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      transaction.writeJson(metadataPath, metadata);
       console.log(chalk.gray(`📊 Updated project metadata`));
       
     } catch (error) {
       console.warn(chalk.yellow('⚠️  Failed to update project metadata:'), error.message);
+      throw error;
     }
   }
 
@@ -1,5 +1,6 @@
 import EnhancedEntity from '../models/enhanced-entity.js';
 import { ENTITY_TYPES, CONFIDENCE_THRESHOLDS } from '../constants/entity-types.js';
+import { rewriteTargets } from '../relationships/relationship-integrity.js';
 
 /**
  * Auto-merger system for intelligent entity consolidation
@@ -194,11 +195,15 @@ class AutoMerger {
         // Remove secondary entity
         remaining.splice(secondaryIndex, 1);
         
+        // Relationships that pointed at the secondary now point at the primary
+        const relationshipsRewritten = this.rewriteRelationshipTargets(remaining, secondary.id, primary.id);
+        
         merged.push({
           result: primary,
           merged: secondary,
           type: 'auto',
-          similarity: candidate.similarity
+          similarity: candidate.similarity,
+          relationshipsRewritten
         });
       }
     }
@@ -210,6 +215,17 @@ class AutoMerger {
     };
   }
 
+  /**
+   * Point relationships aimed at a merged-away entity at the entity it was merged into
+   */
+  rewriteRelationshipTargets(entities, fromId, toId) {
+    let rewritten = 0;
+    for (const entity of entities) {
+      rewritten += rewriteTargets(entity, fromId, toId, 'targetId');
+    }
+    return rewritten;
+  }
+
   /**
    * Record a merge operation
    */
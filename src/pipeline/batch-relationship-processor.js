@@ -7,12 +7,20 @@
 
 import fs from 'fs';
 import path from 'path';
+import { createHash } from 'crypto';
 import { EnhancedRelationshipExtractor } from '../extractors/enhanced-relationship-extractor.js';
+import { ChunkedExtractor } from './document-chunker.js';
+import { speakerContext } from '../sources/chat-source.js';
 import { EntitySchema } from '../relationships/entity-schema.js';
+import { withTransaction, getJournalDir } from '../storage/file-transaction.js';
+import { JobQueue, JobWorker } from './job-queue.js';
 import chalk from 'chalk';
 
 const fsPromises = fs.promises;
 
+const RELATIONSHIP_QUEUE = 'relationships';
+const RELATIONSHIP_JOB = 'extract-relationships';
+
 class BatchRelationshipProcessor {
   constructor(options = {}) {
     this.dataPath = options.dataPath || path.join(process.cwd(), 'data');
@@ -21,13 +29,21 @@ class BatchRelationshipProcessor {
       model: options.model || 'gpt-4o-mini',
       domain: options.domain || 'construction'
     });
+    this.chunkedExtractor = new ChunkedExtractor(this.extractor, {
+      maxChars: options.chunkMaxChars,
+      overlap: options.chunkOverlap
+    });
     this.batchSize = options.batchSize || 5;
     this.delayBetweenBatches = options.delayBetweenBatches || 2000; // 2 seconds
     this.maxCostPerBatch = options.maxCostPerBatch || 1.0; // $1 per batch
+    this.maxAttempts = options.maxAttempts || 3; // per document before it is dead-lettered
   }
 
   /**
-   * Process all documents in a domain
+   * Process all documents in a domain. Each document becomes a job in the
+   * durable 'relationships' queue (see job-queue.js), so an interrupted run
+   * resumes where it stopped and failed documents are retried with backoff.
+   * Dry runs change nothing and bypass the queue.
    */
   async processDomain(domain, options = {}) {
     const {
@@ -57,33 +73,10 @@ class BatchRelationshipProcessor {
 
       console.log(`📄 Found ${documents.length} documents to process`);
 
-      // Process in batches
-      const batches = this.createBatches(documents, this.batchSize);
-      
-      for (let i = 0; i < batches.length; i++) {
-        const batch = batches[i];
-        console.log(chalk.yellow(`\n📦 Processing Batch ${i + 1}/${batches.length} (${batch.length} documents)`));
-        
-        const batchResults = await this.processBatch(batch, domain, { dryRun, skipExisting, reprocessAll });
-        
-        // Aggregate results
-        results.processedDocuments += batchResults.processedDocuments;
-        results.enhancedEntities += batchResults.enhancedEntities;
-        results.relationshipsAdded += batchResults.relationshipsAdded;
-        results.totalCost += batchResults.totalCost;
-        results.errors.push(...batchResults.errors);
-
-        // Check cost limits
-        if (results.totalCost > this.maxCostPerBatch * (i + 1)) {
-          console.warn(chalk.yellow(`⚠️  Cost limit reached for batch ${i + 1}: $${results.totalCost.toFixed(4)}`));
-          break;
-        }
-
-        // Delay between batches to avoid rate limits
-        if (i < batches.length - 1) {
-          console.log(chalk.gray(`⏳ Waiting ${this.delayBetweenBatches}ms before next batch...`));
-          await new Promise(resolve => setTimeout(resolve, this.delayBetweenBatches));
-        }
+      if (dryRun) {
+        await this.processDryRun(documents, domain, { skipExisting, reprocessAll }, results);
+      } else {
+        await this.processQueued(documents, domain, { skipExisting, reprocessAll }, results);
       }
 
       // Summary
@@ -113,6 +106,141 @@ class BatchRelationshipProcessor {
     return results;
   }
 
+  /**
+   * Submit one job per document and work through the domain's jobs. Jobs
+   * left from an earlier run (queued, or failed and due for a retry) are
+   * picked up too. Job keys include a hash of the document's text (not of
+   * the file, which processing rewrites), so an edited document is queued
+   * again; documents that already have relationships are not submitted
+   * (with skipExisting, unless reprocessAll). Each job saves its document
+   * in its own FileTransaction.
+   */
+  async processQueued(documents, domain, options, results) {
+    const { skipExisting, reprocessAll } = options;
+    const queue = new JobQueue(RELATIONSHIP_QUEUE, { dataPath: this.dataPath, maxAttempts: this.maxAttempts });
+
+    let submitted = 0;
+    let skipped = 0;
+    for (const doc of documents) {
+      let conversation;
+      try {
+        conversation = JSON.parse(await fsPromises.readFile(doc.path, 'utf8'));
+      } catch (error) {
+        console.error(chalk.red(`    ❌ Could not read ${doc.name}: ${error.message}`));
+        results.errors.push(`${doc.name}: ${error.message}`);
+        continue;
+      }
+      if (skipExisting && !reprocessAll && this.hasRelationships(conversation)) {
+        skipped++;
+        continue;
+      }
+
+      const contentHash = createHash('sha256').update(this.extractTextContent(conversation)).digest('hex').slice(0, 16);
+      const { created } = await queue.submit(RELATIONSHIP_JOB, {
+        domain,
+        path: doc.path,
+        name: doc.name,
+        contentHash
+      }, {
+        key: `${domain}:${doc.name}:${contentHash}`,
+        force: reprocessAll
+      });
+      if (created) submitted++;
+    }
+
+    const stats = await queue.stats({ filter: job => job.payload.domain === domain });
+    if (skipped > 0) {
+      console.log(chalk.gray(`⏭️  ${skipped} documents already have relationships`));
+    }
+    console.log(chalk.gray(`📋 Queue "${queue.name}": ${submitted} new jobs, ${stats.pending} pending, ${stats.counts.done} done, ${stats.counts.dead} dead`));
+    if (stats.paused) {
+      console.log(chalk.yellow(`⏸️  Queue is paused; resume it with: npm run jobs -- resume ${queue.name}`));
+    }
+
+    let finished = 0;
+    const worker = new JobWorker(queue, {
+      [RELATIONSHIP_JOB]: async (payload) => {
+        // Pace the provider calls in batches of batchSize documents
+        if (finished > 0 && finished % this.batchSize === 0) {
+          console.log(chalk.gray(`⏳ Waiting ${this.delayBetweenBatches}ms before next batch...`));
+          await new Promise(resolve => setTimeout(resolve, this.delayBetweenBatches));
+        }
+
+        console.log(chalk.gray(`  📄 Processing: ${payload.name}`));
+        return await withTransaction(
+          transaction => this.processDocument(payload, domain, { skipExisting, reprocessAll, transaction }),
+          { journalDir: getJournalDir(this.dataPath), label: `relationships ${payload.name} (${domain})` }
+        );
+      }
+    }, {
+      filter: job => job.payload.domain === domain
+    });
+
+    worker.on('job-done', (job, docResults) => {
+      finished++;
+      results.processedDocuments++;
+      results.enhancedEntities += docResults.enhancedEntities;
+      results.relationshipsAdded += docResults.relationshipsAdded;
+      results.totalCost += docResults.cost;
+      console.log(chalk.green(`    ✅ ${docResults.relationshipsAdded} relationships added`));
+
+      // Check cost limits
+      const batches = Math.ceil(finished / this.batchSize);
+      if (results.totalCost > this.maxCostPerBatch * batches) {
+        console.warn(chalk.yellow(`⚠️  Cost limit reached after ${finished} documents: $${results.totalCost.toFixed(4)}`));
+        worker.stop('cost-limit');
+      }
+    });
+    worker.on('job-failed', (job, error) => {
+      finished++;
+      const retry = job.status === 'dead' ? 'moved to dead letter' : `retry ${job.attempts + 1}/${job.maxAttempts} after ${job.runAfter}`;
+      console.error(chalk.red(`    ❌ Failed: ${error.message} (${retry})`));
+      if (job.status === 'dead') results.errors.push(`${job.payload.name}: ${error.message}`);
+    });
+    worker.on('job-released', (job, reason) => {
+      console.log(chalk.yellow(`    ↩️  ${job.payload.name} back in queue: ${reason}`));
+    });
+
+    const summary = await worker.run();
+    if (summary.stopReason !== 'empty') {
+      const remaining = (await queue.stats({ filter: job => job.payload.domain === domain })).pending;
+      console.log(chalk.yellow(`⏸️  Stopped (${summary.stopReason}); ${remaining} jobs remain queued. Run again to continue.`));
+    }
+  }
+
+  /**
+   * Show what processing would extract, batch by batch, without saving
+   */
+  async processDryRun(documents, domain, options, results) {
+    const batches = this.createBatches(documents, this.batchSize);
+
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i];
+      console.log(chalk.yellow(`\n📦 Processing Batch ${i + 1}/${batches.length} (${batch.length} documents)`));
+
+      const batchResults = await this.processBatch(batch, domain, { ...options, dryRun: true });
+
+      // Aggregate results
+      results.processedDocuments += batchResults.processedDocuments;
+      results.enhancedEntities += batchResults.enhancedEntities;
+      results.relationshipsAdded += batchResults.relationshipsAdded;
+      results.totalCost += batchResults.totalCost;
+      results.errors.push(...batchResults.errors);
+
+      // Check cost limits
+      if (results.totalCost > this.maxCostPerBatch * (i + 1)) {
+        console.warn(chalk.yellow(`⚠️  Cost limit reached for batch ${i + 1}: $${results.totalCost.toFixed(4)}`));
+        break;
+      }
+
+      // Delay between batches to avoid rate limits
+      if (i < batches.length - 1) {
+        console.log(chalk.gray(`⏳ Waiting ${this.delayBetweenBatches}ms before next batch...`));
+        await new Promise(resolve => setTimeout(resolve, this.delayBetweenBatches));
+      }
+    }
+  }
+
   /**
    * Find conversation documents to process
    */
@@ -154,7 +282,8 @@ class BatchRelationshipProcessor {
   }
 
   /**
-   * Process a batch of documents
+   * Extract from a batch of documents (dry runs: nothing is saved). Queued
+   * runs save each document in its own transaction as its job completes.
    */
   async processBatch(batch, domain, options) {
     const results = {
@@ -188,10 +317,14 @@ class BatchRelationshipProcessor {
   }
 
   /**
-   * Process a single document
+   * Process a single document. Unless this is a dry run, the updated
+   * document is staged in options.transaction.
    */
   async processDocument(doc, domain, options) {
-    const { dryRun, skipExisting, reprocessAll } = options;
+    const { dryRun, skipExisting, reprocessAll, transaction } = options;
+    if (!dryRun && !transaction) {
+      throw new Error('processDocument needs a transaction to save relationships');
+    }
     
     // Load conversation document
     const content = await fsPromises.readFile(doc.path, 'utf8');
@@ -209,13 +342,15 @@ class BatchRelationshipProcessor {
     // Extract text content for processing
     const textContent = this.extractTextContent(conversation);
     if (!textContent || textContent.length < 50) {
-      throw new Error('Insufficient text content for processing');
+      const error = new Error('Insufficient text content for processing');
+      error.retryable = false;
+      throw error;
     }
 
-    // Extract relationships using enhanced extractor
-    const extractionResult = await this.extractor.extractEntitiesAndRelationships(textContent, {
+    // Extract relationships using enhanced extractor, chunk by chunk for long documents
+    const extractionResult = await this.chunkedExtractor.extract(textContent, {
       communicationType: this.inferCommunicationType(conversation),
-      context: `${domain} domain conversation processing`,
+      context: [`${domain} domain conversation processing`, this.speakerContext(conversation)].filter(Boolean).join('. '),
       domain: domain
     });
 
@@ -228,7 +363,7 @@ class BatchRelationshipProcessor {
       );
 
       // Save updated conversation
-      await this.saveUpdatedConversation(doc.path, conversation, extractionResult);
+      await this.saveUpdatedConversation(doc.path, conversation, extractionResult, transaction);
 
       return {
         enhancedEntities: enhancedResults.enhancedEntities,
@@ -283,6 +418,16 @@ class BatchRelationshipProcessor {
     return text.trim();
   }
 
+  /**
+   * Names the senders of a message conversation so "I" and "you" can be
+   * resolved ('' for other documents)
+   */
+  speakerContext(conversation) {
+    if (!Array.isArray(conversation.messages)) return '';
+    const senders = [...new Set(conversation.messages.map(msg => msg.sender).filter(Boolean))];
+    return speakerContext(senders.map(name => ({ id: null, name })), { source: 'Conversation' });
+  }
+
   /**
    * Infer communication type from conversation structure
    */
@@ -357,9 +502,9 @@ class BatchRelationshipProcessor {
   }
 
   /**
-   * Save updated conversation with relationships
+   * Stage the updated conversation with relationships in `transaction`
    */
-  async saveUpdatedConversation(filePath, conversation, extractionResult) {
+  async saveUpdatedConversation(filePath, conversation, extractionResult, transaction) {
     // Add processing metadata
     if (!conversation.metadata) {
       conversation.metadata = {};
@@ -373,7 +518,7 @@ class BatchRelationshipProcessor {
     };
 
     // Save updated conversation
-    await fsPromises.writeFile(filePath, JSON.stringify(conversation, null, 2));
+    transaction.writeJson(filePath, conversation);
   }
 
   /**
@@ -0,0 +1,469 @@
+/**
+ * Document Chunking
+ *
+ * Long documents (reports, email threads, mbox exports) are split into
+ * chunks that fit one extraction prompt, each chunk is extracted on its
+ * own, and the chunk results are reconciled into one entity set for the
+ * document.
+ *
+ * Chunks end on the strongest boundary before the size limit: a message
+ * boundary (mbox "From " line, forwarded/original message marker, "On ...
+ * wrote:"), then a section heading, a paragraph break, a sentence end,
+ * whitespace. Each chunk after the first repeats the end of the previous
+ * one (the overlap) so entities straddling a boundary are seen whole.
+ *
+ * Reconciliation merges entities of the same category that name the same
+ * thing: equal names or aliases, the same span of the document (from the
+ * overlap), or, for named entities, a short form that matches exactly one
+ * longer name ("Mike" and "Mike Johnson"). Relationships are pointed at the
+ * merged names and deduplicated. Span provenance is shifted from chunk to
+ * document offsets, and every mention of a merged entity's names in the
+ * whole document is added to it.
+ */
+
+import chalk from 'chalk';
+import { EntitySearchIndex } from '../search/entity-search-index.js';
+import { locateEntity } from '../provenance/span-provenance.js';
+
+export const DEFAULT_CHUNK_CHARS = 12000;
+export const DEFAULT_CHUNK_OVERLAP = 800;
+
+const BOUNDARY_STRENGTH = { message: 4, section: 3, paragraph: 2, sentence: 1 };
+
+// A boundary is only taken in the second half of a chunk, so chunks stay large
+const MIN_CHUNK_FILL = 0.5;
+
+const MESSAGE_BOUNDARIES = [
+  /^From \S+.*\d{4}\s*$/gm, // mbox separator
+  /^-{2,}\s*(Original|Forwarded) Message\s*-{2,}\s*$/gim,
+  /^On .{5,200} wrote:\s*$/gm,
+  /^(?<=\n\n)From: .+$/gm
+];
+
+const SECTION_BOUNDARIES = [
+  /^-{3} Page \d+ -{3}$/gm, // page break of PDF and Word text
+  /^#{1,6}\s+\S.*$/gm, // markdown heading
+  /^(\d+\.)+\d*\s+[A-Z].{0,80}$/gm, // numbered heading
+  /^[A-Z][A-Z0-9 &/,-]{3,80}$/gm // ALL CAPS heading
+];
+
+const LABEL_FIELDS = ['name', 'description', 'event', 'title'];
+
+/**
+ * Offsets where a chunk may end (and the next begin), with their kind
+ */
+function findBoundaries(text) {
+  const boundaries = new Map();
+  const add = (offset, kind) => {
+    if (offset <= 0 || offset >= text.length) return;
+    const existing = boundaries.get(offset);
+    if (!existing || BOUNDARY_STRENGTH[kind] > BOUNDARY_STRENGTH[existing]) {
+      boundaries.set(offset, kind);
+    }
+  };
+
+  for (const pattern of MESSAGE_BOUNDARIES) {
+    for (const match of text.matchAll(pattern)) add(match.index, 'message');
+  }
+  for (const pattern of SECTION_BOUNDARIES) {
+    for (const match of text.matchAll(pattern)) add(match.index, 'section');
+  }
+  for (const match of text.matchAll(/\n[ \t]*\n\s*/g)) {
+    add(match.index + match[0].length, 'paragraph');
+  }
+  for (const match of text.matchAll(/[.!?]["')\]]?\s+/g)) {
+    add(match.index + match[0].length, 'sentence');
+  }
+
+  return [...boundaries.entries()]
+    .map(([offset, kind]) => ({ offset, kind }))
+    .sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Split text into chunks of at most maxChars:
+ * [{ index, start, end, text, boundary }] where boundary is the kind of
+ * boundary the chunk ends on
+ */
+export function chunkDocument(text, options = {}) {
+  const maxChars = options.maxChars || DEFAULT_CHUNK_CHARS;
+  const overlap = Math.min(options.overlap ?? DEFAULT_CHUNK_OVERLAP, Math.floor(maxChars / 2));
+
+  if (!text || text.length <= maxChars) {
+    return [{ index: 0, start: 0, end: text ? text.length : 0, text: text || '', boundary: 'end' }];
+  }
+
+  const boundaries = findBoundaries(text);
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + maxChars, text.length);
+    let boundary = 'end';
+
+    if (end < text.length) {
+      const candidates = boundaries.filter(b => b.offset > start + maxChars * MIN_CHUNK_FILL && b.offset <= end);
+      if (candidates.length > 0) {
+        // Strongest boundary, latest of those
+        const best = candidates.reduce((a, b) => (BOUNDARY_STRENGTH[b.kind] >= BOUNDARY_STRENGTH[a.kind] ? b : a));
+        end = best.offset;
+        boundary = best.kind;
+      } else {
+        const space = text.lastIndexOf(' ', end);
+        if (space > start + maxChars * MIN_CHUNK_FILL) {
+          end = space + 1;
+          boundary = 'whitespace';
+        } else {
+          boundary = 'hard';
+        }
+      }
+    }
+
+    chunks.push({ index: chunks.length, start, end, text: text.slice(start, end), boundary });
+    if (end >= text.length) break;
+
+    // Start the next chunk `overlap` characters back, at a sentence or word start
+    let next = Math.max(end - overlap, start + 1);
+    const sentenceStart = boundaries.find(b => b.offset >= next && b.offset < end);
+    if (sentenceStart) {
+      next = sentenceStart.offset;
+    } else {
+      const space = text.indexOf(' ', next);
+      if (space !== -1 && space < end) next = space + 1;
+    }
+    start = next;
+  }
+
+  return chunks;
+}
+
+function shiftSpan(span, offset) {
+  if (!span || !Number.isInteger(span.start)) return span;
+  return { ...span, start: span.start + offset, end: span.end + offset };
+}
+
+/**
+ * Provenance with chunk offsets moved to document offsets
+ */
+export function shiftProvenance(provenance, offset, chunkIndex) {
+  if (!provenance) return provenance;
+  const shifted = { ...shiftSpan(provenance, offset), chunks: [chunkIndex] };
+  if (Array.isArray(provenance.mentions)) shifted.mentions = provenance.mentions.map(mention => shiftSpan(mention, offset));
+  if (provenance.source) shifted.source = shiftSpan(provenance.source, offset);
+  if (provenance.target) shifted.target = shiftSpan(provenance.target, offset);
+  return shifted;
+}
+
+function entityNames(entity) {
+  const names = LABEL_FIELDS.map(field => entity[field]).filter(value => typeof value === 'string' && value.trim());
+  const primary = names.slice(0, 1);
+  const aliases = Array.isArray(entity.aliases) ? entity.aliases.filter(alias => typeof alias === 'string' && alias.trim()) : [];
+  return [...primary, ...aliases];
+}
+
+function tokens(name) {
+  return EntitySearchIndex.normalize(name).split(' ').filter(Boolean);
+}
+
+function createGroup(entity) {
+  return {
+    entities: [entity],
+    names: new Set(entityNames(entity).map(name => EntitySearchIndex.normalize(name))),
+    spans: new Set((entity.provenance?.mentions || []).map(mention => mention.start).filter(Number.isInteger))
+  };
+}
+
+function joinGroups(into, from) {
+  into.entities.push(...from.entities);
+  from.names.forEach(name => into.names.add(name));
+  from.spans.forEach(span => into.spans.add(span));
+}
+
+/**
+ * Whether every name of `short` is a word subset of some name of `long`
+ */
+function isShortFormOf(short, long) {
+  const longNames = [...long.names].map(name => name.split(' '));
+  return [...short.names].every(name => {
+    const words = name.split(' ');
+    return longNames.some(longWords => longWords.length > words.length && words.every(word => longWords.includes(word)));
+  });
+}
+
+/**
+ * Group one category's entities that refer to the same thing
+ */
+function groupEntities(entities) {
+  const groups = [];
+
+  for (const entity of entities) {
+    const names = entityNames(entity).map(name => EntitySearchIndex.normalize(name));
+    const spans = (entity.provenance?.mentions || []).map(mention => mention.start).filter(Number.isInteger);
+    const exactSpan = entity.provenance?.match === 'exact';
+
+    const group = groups.find(candidate =>
+      names.some(name => candidate.names.has(name)) ||
+      (exactSpan && spans.some(span => candidate.spans.has(span)))
+    );
+    if (group) {
+      joinGroups(group, createGroup(entity));
+    } else {
+      groups.push(createGroup(entity));
+    }
+  }
+
+  // Short forms join the one longer name they can stand for ("Mike" -> "Mike Johnson")
+  const named = groups.filter(group => group.entities.some(entity => typeof entity.name === 'string'));
+  for (const group of [...named].sort((a, b) => Math.min(...[...a.names].map(n => tokens(n).length)) - Math.min(...[...b.names].map(n => tokens(n).length)))) {
+    if (!groups.includes(group)) continue;
+    const longer = named.filter(candidate => candidate !== group && groups.includes(candidate) && isShortFormOf(group, candidate));
+    if (longer.length === 1) {
+      joinGroups(longer[0], group);
+      groups.splice(groups.indexOf(group), 1);
+    }
+  }
+
+  return groups;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+const MATCH_RANK = { exact: 3, nearby: 2, fuzzy: 2, partial: 1, none: 0 };
+
+function mergeProvenance(provenances, located = null) {
+  const present = provenances.filter(Boolean);
+  if (present.length === 0) return undefined;
+
+  const mentions = new Map();
+  for (const mention of [...present.flatMap(provenance => provenance.mentions || []), ...(located?.mentions || [])]) {
+    if (Number.isInteger(mention.start)) mentions.set(`${mention.start}:${mention.end}`, mention);
+  }
+  const sortedMentions = [...mentions.values()].sort((a, b) => a.start - b.start);
+
+  const best = present.reduce((a, b) => ((MATCH_RANK[b.match] || 0) > (MATCH_RANK[a.match] || 0) ? b : a));
+  const primary = best.match === 'exact' || !located || located.match !== 'exact' ? best : located;
+  const merged = {
+    ...present[0],
+    start: primary.start ?? null,
+    end: primary.end ?? null,
+    evidence: primary.evidence ?? null,
+    match: primary.match || 'none',
+    chunks: [...new Set(present.flatMap(provenance => provenance.chunks || []))].sort((a, b) => a - b)
+  };
+  if (sortedMentions.length > 0 || present.some(provenance => provenance.mentions)) {
+    merged.mentions = sortedMentions;
+    if (merged.match === 'exact' && sortedMentions.length > 0) {
+      merged.start = sortedMentions[0].start;
+      merged.end = sortedMentions[0].end;
+      merged.evidence = sortedMentions[0].evidence;
+    }
+  }
+  if (best.source !== undefined) merged.source = best.source;
+  if (best.target !== undefined) merged.target = best.target;
+  return merged;
+}
+
+/**
+ * One entity from a group: the longest name as its name and the others as
+ * aliases, the first non-empty value of each field, the highest confidence
+ */
+function mergeEntityGroup(group, category, text) {
+  const merged = {};
+  for (const entity of group.entities) {
+    for (const [key, value] of Object.entries(entity)) {
+      if (key === 'provenance' || key === 'aliases') continue;
+      if (isEmpty(merged[key]) && !isEmpty(value)) merged[key] = value;
+    }
+  }
+
+  const allNames = [...new Set(group.entities.flatMap(entityNames).map(name => name.trim()))];
+  if (typeof merged.name === 'string') {
+    merged.name = allNames.reduce((a, b) => (tokens(b).length > tokens(a).length || (tokens(b).length === tokens(a).length && b.length > a.length) ? b : a), merged.name);
+  }
+  const label = LABEL_FIELDS.map(field => merged[field]).find(value => typeof value === 'string');
+  const aliases = allNames.filter(name => EntitySearchIndex.normalize(name) !== EntitySearchIndex.normalize(label));
+  if (aliases.length > 0) merged.aliases = aliases;
+
+  const confidences = group.entities.map(entity => entity.confidence).filter(value => typeof value === 'number');
+  if (confidences.length > 0) merged.confidence = Math.max(...confidences);
+
+  const provenances = group.entities.map(entity => entity.provenance);
+  if (provenances.some(Boolean)) {
+    merged.provenance = mergeProvenance(provenances, text ? locateEntity(text, merged, category) : null);
+  }
+  return merged;
+}
+
+/**
+ * Merge chunk extraction results ([{ chunk, result }], provenance already
+ * in document offsets) into one: { entities, relationships, summary,
+ * validationErrors, reconciliation }
+ */
+export function reconcileChunkResults(chunkResults, text = null) {
+  const byCategory = {};
+  for (const { result } of chunkResults) {
+    for (const [category, entities] of Object.entries(result.entities || {})) {
+      if (!Array.isArray(entities)) continue;
+      (byCategory[category] || (byCategory[category] = [])).push(...entities.filter(entity => entity && typeof entity === 'object'));
+    }
+  }
+
+  const entities = {};
+  const canonicalNames = new Map();
+  let before = 0;
+  let after = 0;
+
+  for (const [category, list] of Object.entries(byCategory)) {
+    const groups = groupEntities(list);
+    entities[category] = groups.map(group => {
+      const merged = mergeEntityGroup(group, category, text);
+      const label = LABEL_FIELDS.map(field => merged[field]).find(value => typeof value === 'string');
+      if (label) {
+        group.names.forEach(name => {
+          if (!canonicalNames.has(name)) canonicalNames.set(name, label);
+        });
+      }
+      return merged;
+    });
+    before += list.length;
+    after += groups.length;
+  }
+
+  // Endpoints resolve by name, then as the short form of exactly one entity name
+  const canonical = name => {
+    if (typeof name !== 'string') return name;
+    const normalized = EntitySearchIndex.normalize(name);
+    if (canonicalNames.has(normalized)) return canonicalNames.get(normalized);
+    const words = normalized.split(' ');
+    const longer = [...new Set(canonicalNames.values())].filter(label => {
+      const labelWords = tokens(label);
+      return labelWords.length > words.length && words.every(word => labelWords.includes(word));
+    });
+    return longer.length === 1 ? longer[0] : name;
+  };
+  const relationshipsByKey = new Map();
+  for (const { result } of chunkResults) {
+    for (const relationship of result.relationships || []) {
+      if (!relationship || typeof relationship !== 'object') continue;
+      const renamed = { ...relationship, source: canonical(relationship.source), target: canonical(relationship.target) };
+      const key = [String(renamed.type).toLowerCase(), EntitySearchIndex.normalize(renamed.source), EntitySearchIndex.normalize(renamed.target)].join('|');
+
+      const existing = relationshipsByKey.get(key);
+      if (!existing) {
+        relationshipsByKey.set(key, renamed);
+        continue;
+      }
+      if ((renamed.confidence || 0) > (existing.confidence || 0)) existing.confidence = renamed.confidence;
+      if (existing.provenance || renamed.provenance) {
+        existing.provenance = mergeProvenance([existing.provenance, renamed.provenance]);
+      }
+    }
+  }
+
+  const relationshipCount = chunkResults.reduce((sum, { result }) => sum + (result.relationships || []).length, 0);
+
+  return {
+    entities,
+    relationships: [...relationshipsByKey.values()],
+    summary: chunkResults.map(({ result }) => result.summary).filter(Boolean).join(' '),
+    validationErrors: chunkResults.flatMap(({ chunk, result }) => (result.validationErrors || [])
+      .map(error => ({ ...error, path: `chunks[${chunk.index}].${error.path || ''}` }))),
+    reconciliation: {
+      entitiesBefore: before,
+      entitiesAfter: after,
+      relationshipsBefore: relationshipCount,
+      relationshipsAfter: relationshipsByKey.size
+    }
+  };
+}
+
+/**
+ * Wraps an extractor so documents longer than one chunk are extracted
+ * chunk by chunk and reconciled. Results have the extractor's shape, with
+ * metadata.chunks and metadata.reconciliation added.
+ */
+export class ChunkedExtractor {
+  constructor(extractor, options = {}) {
+    this.extractor = extractor;
+    this.maxChars = options.maxChars || parseInt(process.env.EXTRACTION_CHUNK_CHARS || DEFAULT_CHUNK_CHARS, 10);
+    this.overlap = options.overlap ?? parseInt(process.env.EXTRACTION_CHUNK_OVERLAP || DEFAULT_CHUNK_OVERLAP, 10);
+    this.method = options.method ||
+      (typeof extractor.extractEntitiesAndRelationships === 'function' ? 'extractEntitiesAndRelationships' : 'extractEntities');
+  }
+
+  async extract(text, options = {}) {
+    const chunks = chunkDocument(text, { maxChars: this.maxChars, overlap: this.overlap });
+    if (chunks.length === 1) {
+      return this.extractor[this.method](text, options);
+    }
+
+    console.log(chalk.blue(`✂️  Splitting ${text.length} characters into ${chunks.length} chunks (${chunks.map(chunk => chunk.boundary).join(', ')})`));
+
+    const chunkResults = [];
+    const failedChunks = [];
+    for (const chunk of chunks) {
+      console.log(chalk.gray(`   Chunk ${chunk.index + 1}/${chunks.length}: characters ${chunk.start}-${chunk.end}`));
+      try {
+        const result = await this.extractor[this.method](chunk.text, {
+          ...options,
+          context: [options.context, `Part ${chunk.index + 1} of ${chunks.length} of a longer document`].filter(Boolean).join('. ')
+        });
+        chunkResults.push({ chunk, result: this.shiftResult(result, chunk) });
+      } catch (error) {
+        // Retrying cannot help when the budget refused the call
+        if (error.code === 'BUDGET_EXCEEDED') throw error;
+        console.warn(chalk.yellow(`⚠️  Chunk ${chunk.index + 1} failed: ${error.message}`));
+        failedChunks.push({ index: chunk.index, start: chunk.start, end: chunk.end, error: error.message });
+      }
+    }
+
+    if (chunkResults.length === 0) {
+      throw new Error(`Extraction failed for all ${chunks.length} chunks: ${failedChunks[0]?.error}`);
+    }
+
+    const reconciled = reconcileChunkResults(chunkResults, text);
+    const metadata = chunkResults.map(({ result }) => result.metadata || {});
+    const confidences = metadata.map(item => item.confidence).filter(value => typeof value === 'number');
+
+    console.log(chalk.green(`✅ Reconciled ${reconciled.reconciliation.entitiesBefore} chunk entities into ${reconciled.reconciliation.entitiesAfter}`));
+
+    return {
+      entities: reconciled.entities,
+      relationships: reconciled.relationships,
+      summary: reconciled.summary,
+      validationErrors: reconciled.validationErrors,
+      metadata: {
+        ...metadata[0],
+        duration: metadata.reduce((sum, item) => sum + (item.duration || 0), 0),
+        cost: metadata.reduce((sum, item) => sum + (item.cost || 0), 0),
+        confidence: confidences.length > 0 ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length : 0,
+        entityCount: reconciled.reconciliation.entitiesAfter,
+        relationshipCount: reconciled.relationships.length,
+        chunks: chunks.map(chunk => ({ index: chunk.index, start: chunk.start, end: chunk.end, boundary: chunk.boundary })),
+        failedChunks,
+        reconciliation: reconciled.reconciliation
+      }
+    };
+  }
+
+  /**
+   * A chunk's result with its provenance in document offsets
+   */
+  shiftResult(result, chunk) {
+    const entities = {};
+    for (const [category, list] of Object.entries(result.entities || {})) {
+      entities[category] = Array.isArray(list)
+        ? list.map(entity => (entity?.provenance ? { ...entity, provenance: shiftProvenance(entity.provenance, chunk.start, chunk.index) } : entity))
+        : list;
+    }
+    const relationships = (result.relationships || []).map(relationship => (relationship?.provenance
+      ? { ...relationship, provenance: shiftProvenance(relationship.provenance, chunk.start, chunk.index) }
+      : relationship));
+
+    return { ...result, entities, relationships };
+  }
+}
+
+export default ChunkedExtractor;
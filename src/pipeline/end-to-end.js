@@ -60,6 +60,7 @@ export class EndToEndPipeline {
             const extractionResult = await this.extractor.extractEntities(message.text, {
                 communicationType: message.type || 'sms',
                 context: message.context || '',
+                documentId: conversationId,
                 forceHighAccuracy: options.forceHighAccuracy
             });
             
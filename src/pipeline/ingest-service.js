@@ -0,0 +1,442 @@
+/**
+ * Ingest Service
+ *
+ * Long-running ingestion of watched folders. Each domain lists the folders
+ * feeding it; files are fingerprinted by content hash so unchanged files
+ * are skipped, and new or changed files are queued, read into documents
+ * (see src/sources), extracted chunk by chunk, stored in the domain and
+ * linked to the rest of the domain by relationship inference.
+ *
+ * Configuration (INGEST_CONFIG, default config/ingest.json):
+ *
+ *   {
+ *     "domains": {
+ *       "construction": { "folders": ["./inbox/construction"] },
+ *       "cybersec": { "folders": ["./inbox/soc"], "model": "gpt-4o-mini" }
+ *     },
+ *     "concurrency": 2,            // files processed at once
+ *     "scanIntervalSeconds": 300,  // full rescan, besides file system events
+ *     "debounceMs": 2000,          // wait for writes to settle
+ *     "maxCostPerCall": 0.5        // per LLM call, passed to the budget manager
+ *   }
+ *
+ * Files are not started while a daily, monthly or domain budget cap (see
+ * BudgetManager) is exhausted; they stay "deferred" and are retried on the
+ * next scan. Fingerprints and the records stored for each file are kept in
+ * data/ingest/state.json; when a file changes, its previous records are
+ * deleted (they remain in version history) and replaced.
+ *
+ * Progress is emitted as 'progress' events:
+ *   { type: 'scan' | 'queued' | 'started' | 'document' | 'completed' |
+ *           'failed' | 'deferred' | 'idle', domain, file, ... }
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { glob } from 'glob';
+import { MultiDomainDiffMem } from '../diffmem/multi-domain-diffmem.js';
+import { CloudLLMExtractor } from '../extractors/cloud-llm-extractor.js';
+import { CybersecLLMExtractor } from '../extractors/cybersec-llm-extractor.js';
+import { ContentRelationshipInference } from '../relationships/content-relationship-inference.js';
+import { BudgetManager } from '../utils/budget-manager.js';
+import { RequestTracker } from '../utils/request-tracker.js';
+import { writeJsonAtomic } from '../storage/file-transaction.js';
+import { readDocuments, isSupportedFile } from '../sources/document-source.js';
+import { ChunkedExtractor } from './document-chunker.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_SCAN_INTERVAL_SECONDS = 300;
+const DEFAULT_DEBOUNCE_MS = 2000;
+
+/**
+ * Ingest configuration from a JSON file, with folders resolved against the
+ * working directory. A missing file means no watched folders.
+ */
+export async function loadIngestConfig(configPath = process.env.INGEST_CONFIG || path.join(process.cwd(), 'config', 'ingest.json')) {
+  const config = await fs.pathExists(configPath) ? await fs.readJson(configPath) : {};
+  const domains = {};
+  for (const [domain, settings] of Object.entries(config.domains || {})) {
+    domains[domain] = {
+      ...settings,
+      folders: (settings.folders || []).map(folder => path.resolve(folder))
+    };
+  }
+  return { ...config, domains };
+}
+
+export async function fingerprintFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return createHash('sha256').update(content).digest('hex');
+}
+
+export class IngestService extends EventEmitter {
+  /**
+   * options: config (as in config/ingest.json; read from INGEST_CONFIG when
+   * omitted), dataPath, statePath, budgetManager, extractorFactory(domain,
+   * settings) for tests and alternative providers
+   */
+  constructor(options = {}) {
+    super();
+    this.config = options.config || null;
+    this.dataPath = options.dataPath || path.join(process.cwd(), 'data');
+    this.statePath = options.statePath || path.join(this.dataPath, 'ingest', 'state.json');
+    this.budgetManager = options.budgetManager || new BudgetManager({ requestTracker: new RequestTracker() });
+    this.extractorFactory = options.extractorFactory || ((domain, settings) => this.createExtractor(domain, settings));
+    this.relationshipInference = new ContentRelationshipInference();
+
+    this.state = { files: {} };
+    this.queue = [];
+    this.queued = new Set();
+    this.active = new Map(); // file -> domain
+    this.changedWhileRunning = new Set();
+    this.deferredDomains = new Set();
+    this.watchers = [];
+    this.scanTimer = null;
+    this.debounceTimers = new Map();
+    this.diffmems = new Map();
+    this.extractors = new Map();
+    this.stateWrite = Promise.resolve();
+    this.running = false;
+    this.stats = { scanned: 0, skipped: 0, completed: 0, failed: 0, deferred: 0, cost: 0 };
+  }
+
+  async start() {
+    if (!this.config) this.config = await loadIngestConfig();
+    await this.loadState();
+    this.running = true;
+
+    const domains = Object.keys(this.config.domains);
+    if (domains.length === 0) {
+      console.log(chalk.yellow('⚠️  No ingest folders configured (see config/ingest.json)'));
+    } else {
+      console.log(chalk.blue(`📥 Watching ${domains.map(domain => `${domain}: ${this.config.domains[domain].folders.join(', ')}`).join('; ')}`));
+    }
+
+    this.watchFolders();
+    await this.scanAll();
+
+    const interval = (this.config.scanIntervalSeconds ?? DEFAULT_SCAN_INTERVAL_SECONDS) * 1000;
+    if (interval > 0) {
+      this.scanTimer = setInterval(() => this.scanAll().catch(error => {
+        console.error(chalk.red('❌ Ingest scan failed:'), error.message);
+      }), interval);
+    }
+  }
+
+  async stop() {
+    this.running = false;
+    clearInterval(this.scanTimer);
+    this.debounceTimers.forEach(timer => clearTimeout(timer));
+    this.debounceTimers.clear();
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.queue = [];
+    this.queued.clear();
+    await this.whenIdle();
+    await this.stateWrite;
+  }
+
+  emitProgress(event) {
+    this.emit('progress', { ...event, timestamp: new Date().toISOString() });
+  }
+
+  async loadState() {
+    if (await fs.pathExists(this.statePath)) {
+      this.state = await fs.readJson(this.statePath);
+      this.state.files = this.state.files || {};
+    }
+  }
+
+  saveState() {
+    this.stateWrite = this.stateWrite
+      .then(() => writeJsonAtomic(this.statePath, this.state, { spaces: 2 }))
+      .catch(error => console.error(chalk.red('❌ Failed to save ingest state:'), error.message));
+    return this.stateWrite;
+  }
+
+  /**
+   * Rescan a domain's folder when files in it change (recursive fs.watch;
+   * where it is unavailable only the periodic scan runs)
+   */
+  watchFolders() {
+    const debounceMs = this.config.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+
+    for (const [domain, settings] of Object.entries(this.config.domains)) {
+      for (const folder of settings.folders) {
+        try {
+          fs.ensureDirSync(folder);
+          const watcher = fs.watch(folder, { recursive: true }, () => {
+            clearTimeout(this.debounceTimers.get(folder));
+            this.debounceTimers.set(folder, setTimeout(() => {
+              this.debounceTimers.delete(folder);
+              this.scanFolder(domain, folder).catch(error => {
+                console.error(chalk.red(`❌ Ingest scan of ${folder} failed:`), error.message);
+              });
+            }, debounceMs));
+          });
+          watcher.on('error', error => console.warn(chalk.yellow(`⚠️  Stopped watching ${folder}: ${error.message}`)));
+          this.watchers.push(watcher);
+        } catch (error) {
+          console.warn(chalk.yellow(`⚠️  Cannot watch ${folder} (${error.message}), relying on periodic scans`));
+        }
+      }
+    }
+  }
+
+  async scanAll() {
+    // Budgets may have reset since the last scan
+    this.deferredDomains.clear();
+    this.pump();
+    for (const [domain, settings] of Object.entries(this.config.domains)) {
+      for (const folder of settings.folders) {
+        await this.scanFolder(domain, folder);
+      }
+    }
+    if (this.queue.length === 0 && this.active.size === 0) this.emitProgress({ type: 'idle', stats: this.getStats() });
+  }
+
+  /**
+   * Queue the supported files of a folder whose content hash differs from
+   * the last successful ingest
+   */
+  async scanFolder(domain, folder) {
+    if (!this.running || !await fs.pathExists(folder)) return;
+
+    const files = (await glob('**/*', { cwd: folder, nodir: true, dot: false, absolute: true }))
+      .filter(file => isSupportedFile(file))
+      .sort();
+    let queuedCount = 0;
+
+    for (const file of files) {
+      this.stats.scanned++;
+      let hash;
+      try {
+        hash = await fingerprintFile(file);
+      } catch {
+        continue; // removed or unreadable since the listing
+      }
+
+      // Unchanged since it was ingested, or since it last failed
+      const known = this.state.files[file];
+      if (known && ((known.status === 'done' && known.hash === hash) || (known.status === 'failed' && known.failedHash === hash))) {
+        this.stats.skipped++;
+        continue;
+      }
+      if (this.enqueue(file, domain, hash)) queuedCount++;
+    }
+
+    this.emitProgress({ type: 'scan', domain, folder, files: files.length, queued: queuedCount });
+  }
+
+  enqueue(file, domain, hash) {
+    if (this.active.has(file)) {
+      this.changedWhileRunning.add(file);
+      return false;
+    }
+    if (this.queued.has(file)) return false;
+
+    this.queue.push({ file, domain, hash });
+    this.queued.add(file);
+    this.emitProgress({ type: 'queued', domain, file, queueLength: this.queue.length });
+    this.pump();
+    return true;
+  }
+
+  pump() {
+    const concurrency = this.config.concurrency || DEFAULT_CONCURRENCY;
+    while (this.running && this.active.size < concurrency) {
+      const index = this.queue.findIndex(job => !this.deferredDomains.has(job.domain));
+      if (index === -1) return;
+      const [job] = this.queue.splice(index, 1);
+      this.queued.delete(job.file);
+      this.active.set(job.file, job.domain);
+
+      this.processFile(job).finally(() => {
+        this.active.delete(job.file);
+        if (this.changedWhileRunning.delete(job.file)) {
+          fingerprintFile(job.file).then(hash => this.enqueue(job.file, job.domain, hash)).catch(() => {});
+        }
+        if (this.queue.length === 0 && this.active.size === 0) {
+          this.emitProgress({ type: 'idle', stats: this.getStats() });
+          this.emit('idle');
+        }
+        this.pump();
+      });
+    }
+  }
+
+  whenIdle() {
+    if (this.active.size === 0 && this.queue.length === 0) return Promise.resolve();
+    return new Promise(resolve => this.once('idle', resolve));
+  }
+
+  /**
+   * Exhausted budget caps that stop new work in a domain
+   */
+  async budgetBlocks(domain) {
+    await this.budgetManager.refresh();
+    return this.budgetManager.getStatus().exceeded
+      .filter(cap => ['daily', 'monthly'].includes(cap.scope) || cap.scope.startsWith(`domain:${domain}:`));
+  }
+
+  createExtractor(domain, settings = {}) {
+    const options = { model: settings.model || 'gpt-4o-mini', provider: settings.provider || 'openai', domain };
+    return domain === 'cybersec' ? new CybersecLLMExtractor(options) : new CloudLLMExtractor(options);
+  }
+
+  getDomainResources(domain) {
+    if (!this.diffmems.has(domain)) {
+      this.diffmems.set(domain, new MultiDomainDiffMem({ basePath: this.dataPath, domain }));
+      this.extractors.set(domain, new ChunkedExtractor(this.extractorFactory(domain, this.config.domains[domain]), { method: 'extractEntities' }));
+    }
+    return { diffmem: this.diffmems.get(domain), extractor: this.extractors.get(domain) };
+  }
+
+  async processFile({ file, domain, hash }) {
+    const previous = this.state.files[file];
+
+    const blocking = await this.budgetBlocks(domain);
+    if (blocking.length > 0) {
+      this.deferFile(file, domain, hash, `Budget exhausted: ${blocking.map(cap => cap.scope).join(', ')}`);
+      return;
+    }
+
+    this.emitProgress({ type: 'started', domain, file });
+    console.log(chalk.cyan(`📥 Ingesting ${path.basename(file)} into ${domain}`));
+    const startTime = Date.now();
+
+    try {
+      const { diffmem, extractor } = this.getDomainResources(domain);
+      const { documents } = await readDocuments(file);
+      const recordIds = [];
+      let cost = 0;
+      let entityCount = 0;
+      // Identical copies of a file in one domain keep separate records
+      const fileKey = createHash('sha256').update(path.resolve(file)).digest('hex').slice(0, 8);
+
+      for (const [index, document] of documents.entries()) {
+        const conversationId = `ingest_${fileKey}_${hash.slice(0, 12)}_${document.key}`;
+        const result = await extractor.extract(document.text, {
+          communicationType: document.communicationType || 'document',
+          context: document.context || `${domain} document: ${path.basename(file)}`,
+          source: file,
+          domain,
+          documentId: conversationId,
+          maxCallCost: this.config.maxCostPerCall
+        });
+        const entities = result.entities || {};
+        if (document.merge) document.merge(entities);
+
+        recordIds.push(await diffmem.storeEntities(conversationId, entities, {
+          ...document.metadata,
+          ...result.metadata,
+          source: file,
+          ingest: { hash, domain, document: document.key }
+        }));
+        cost += result.metadata?.cost || 0;
+        entityCount += Object.values(entities).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+        this.emitProgress({ type: 'document', domain, file, document: document.label, index: index + 1, total: documents.length });
+      }
+
+      // A changed file replaces what its previous version produced
+      const storage = await diffmem.getStorage(domain);
+      for (const recordId of previous?.recordIds || []) {
+        await storage.delete(recordId, { source: `ingest:${file}` }).catch(() => {});
+      }
+
+      const relationshipsAdded = await this.inferRelationships(diffmem, domain, recordIds, file);
+
+      this.state.files[file] = {
+        domain,
+        hash,
+        status: 'done',
+        recordIds,
+        documents: documents.length,
+        entities: entityCount,
+        relationships: relationshipsAdded,
+        cost,
+        ingestedAt: new Date().toISOString()
+      };
+      await this.saveState();
+
+      this.stats.completed++;
+      this.stats.cost += cost;
+      const duration = Date.now() - startTime;
+      console.log(chalk.green(`✅ Ingested ${path.basename(file)}: ${entityCount} entities, ${relationshipsAdded} relationships, $${cost.toFixed(4)}`));
+      this.emitProgress({ type: 'completed', domain, file, documents: documents.length, entities: entityCount, relationships: relationshipsAdded, cost, duration });
+    } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        this.deferFile(file, domain, hash, error.message);
+        return;
+      }
+
+      this.stats.failed++;
+      this.state.files[file] = { ...previous, domain, status: 'failed', error: error.message, failedHash: hash, failedAt: new Date().toISOString() };
+      await this.saveState();
+      console.error(chalk.red(`❌ Ingest of ${path.basename(file)} failed:`), error.message);
+      this.emitProgress({ type: 'failed', domain, file, error: error.message });
+    }
+  }
+
+  /**
+   * Leave a file for a later scan and stop starting files in its domain
+   * until then
+   */
+  deferFile(file, domain, hash, reason) {
+    this.deferredDomains.add(domain);
+    this.stats.deferred++;
+    this.state.files[file] = { ...this.state.files[file], domain, status: 'deferred', error: reason, deferredHash: hash };
+    this.saveState();
+    console.warn(chalk.yellow(`💳 Deferred ${path.basename(file)}: ${reason}`));
+    this.emitProgress({ type: 'deferred', domain, file, reason });
+  }
+
+  /**
+   * Run content relationship inference over the domain and keep the
+   * relationships touching the new records
+   */
+  async inferRelationships(diffmem, domain, recordIds, file) {
+    if (recordIds.length === 0) return 0;
+
+    const records = await diffmem.getAllEntities(domain);
+    const newIds = new Set(recordIds);
+    const relationships = this.relationshipInference.inferRelationships(records, domain)
+      .filter(rel => newIds.has(rel.sourceId) || newIds.has(rel.targetId));
+    if (relationships.length === 0) return 0;
+
+    const touched = new Set(relationships.map(rel => rel.sourceId));
+    const sources = records.filter(record => touched.has(record.id));
+    await this.relationshipInference.applyRelationshipsToEntities(sources, relationships);
+
+    // Storing a record mirrors its relationships as inverse edges on the targets
+    const storage = await diffmem.getStorage(domain);
+    for (const record of sources) {
+      await storage.store(record, { source: `ingest:${file}` });
+    }
+    return relationships.length;
+  }
+
+  getStats() {
+    return { ...this.stats, queued: this.queue.length, active: this.active.size };
+  }
+
+  /**
+   * Configured folders, queue and per-file state
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      domains: this.config?.domains || {},
+      stats: this.getStats(),
+      queue: this.queue.map(job => ({ file: job.file, domain: job.domain })),
+      active: [...this.active].map(([file, domain]) => ({ file, domain })),
+      deferredDomains: [...this.deferredDomains],
+      files: this.state.files
+    };
+  }
+}
+
+export default IngestService;
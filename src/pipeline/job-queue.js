@@ -0,0 +1,572 @@
+/**
+ * Job Queue
+ *
+ * Durable queue for extraction and relationship batch work. Every job is a
+ * JSON file under data/jobs/<queue>/jobs, written atomically on each state
+ * change, so a crash or Ctrl-C loses at most the attempt in progress:
+ *
+ *   queued   waiting for a worker
+ *   running  claimed by a worker (a lock file in locks/ names its process)
+ *   failed   the last attempt failed; retried once runAfter has passed,
+ *            with exponential backoff, until maxAttempts is reached
+ *   done     finished; result holds what the handler returned
+ *   dead     out of attempts (or failed with error.retryable === false);
+ *            moved to dead-letter/ until retried with `npm run jobs -- retry`
+ *
+ * Jobs submitted with a key get an id derived from it, so submitting the
+ * same work twice returns the existing job; this is how batch scripts skip
+ * documents finished by an earlier run. Running jobs whose worker process
+ * is gone are put back in the queue by recover(), which workers call when
+ * they start.
+ *
+ * Pausing is stored in the queue's queue.json, so `npm run jobs -- pause
+ * <queue>` also reaches a worker running in another process: the job in
+ * progress finishes and no new one is claimed until the queue is resumed.
+ *
+ * JobWorker runs jobs with one handler per job type:
+ *
+ *   const worker = new JobWorker(queue, {
+ *     'extract-relationships': async (payload, { job, progress }) => result
+ *   }, { concurrency: 1 });
+ *   const summary = await worker.run();
+ *
+ * A BUDGET_EXCEEDED error puts the job back in the queue without using an
+ * attempt and stops the worker.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { writeJsonAtomic } from '../storage/file-transaction.js';
+
+export const JOB_STATES = ['queued', 'running', 'failed', 'done', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 5000;
+const DEFAULT_MAX_BACKOFF_MS = 5 * 60 * 1000;
+const DEFAULT_POLL_MS = 1000;
+const STALE_REMOTE_LOCK_MS = 6 * 60 * 60 * 1000;
+
+export function getJobsDir(dataPath = path.join(process.cwd(), 'data')) {
+  return path.join(dataPath, 'jobs');
+}
+
+export function isValidQueueName(name) {
+  return /^[\w-]+$/.test(name || '');
+}
+
+function isJobFile(file) {
+  return file.endsWith('.json') && !file.startsWith('.');
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class JobQueue {
+  /**
+   * options: dataPath, maxAttempts, backoffMs (first retry delay, doubled
+   * for each further attempt), maxBackoffMs
+   */
+  constructor(name, options = {}) {
+    if (!isValidQueueName(name)) {
+      throw new Error(`Invalid queue name: ${name}`);
+    }
+    this.name = name;
+    this.dir = path.join(getJobsDir(options.dataPath), name);
+    this.jobsDir = path.join(this.dir, 'jobs');
+    this.deadDir = path.join(this.dir, 'dead-letter');
+    this.locksDir = path.join(this.dir, 'locks');
+    this.controlPath = path.join(this.dir, 'queue.json');
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.backoffMs = options.backoffMs ?? DEFAULT_BACKOFF_MS;
+    this.maxBackoffMs = options.maxBackoffMs ?? DEFAULT_MAX_BACKOFF_MS;
+  }
+
+  jobIdForKey(key) {
+    return `job_${createHash('sha256').update(`${this.name}:${key}`).digest('hex').slice(0, 20)}`;
+  }
+
+  jobPath(id, status) {
+    return path.join(status === 'dead' ? this.deadDir : this.jobsDir, `${id}.json`);
+  }
+
+  lockPath(id) {
+    return path.join(this.locksDir, `${id}.lock`);
+  }
+
+  async writeJob(job) {
+    job.updatedAt = new Date().toISOString();
+    await writeJsonAtomic(this.jobPath(job.id, job.status), job);
+  }
+
+  /**
+   * Add a job. With options.key an existing job for the same key is
+   * returned as it is (created: false), unless options.force is set, which
+   * queues it again from scratch (a running job is left alone).
+   * Returns { job, created }
+   */
+  async submit(type, payload = {}, options = {}) {
+    const id = options.key ? this.jobIdForKey(options.key) : `job_${Date.now()}_${randomUUID().slice(0, 8)}`;
+    const existing = options.key ? await this.get(id) : null;
+
+    if (existing && (!options.force || existing.status === 'running')) {
+      return { job: existing, created: false };
+    }
+    if (existing?.status === 'dead') {
+      await fs.remove(this.jobPath(id, 'dead'));
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      queue: this.name,
+      type,
+      key: options.key || null,
+      payload,
+      status: 'queued',
+      priority: options.priority || 0,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      runAfter: null,
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      result: null,
+      lastError: null,
+      errors: []
+    };
+    await this.writeJob(job);
+    return { job, created: true };
+  }
+
+  async get(id) {
+    for (const dir of [this.jobsDir, this.deadDir]) {
+      const filePath = path.join(dir, `${id}.json`);
+      if (await fs.pathExists(filePath)) {
+        return await fs.readJson(filePath);
+      }
+    }
+    return null;
+  }
+
+  async readDir(dir) {
+    if (!await fs.pathExists(dir)) return [];
+    const jobs = [];
+    for (const file of (await fs.readdir(dir)).filter(isJobFile)) {
+      try {
+        jobs.push(await fs.readJson(path.join(dir, file)));
+      } catch (error) {
+        // Removed or replaced while listing
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * Jobs, newest first. options: status, type, filter(job), limit
+   */
+  async list(options = {}) {
+    const { status, type, filter, limit } = options;
+    const jobs = [
+      ...(status === 'dead' ? [] : await this.readDir(this.jobsDir)),
+      ...(!status || status === 'dead' ? await this.readDir(this.deadDir) : [])
+    ].filter(job =>
+      (!status || job.status === status) &&
+      (!type || job.type === type) &&
+      (!filter || filter(job))
+    );
+    jobs.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    return limit ? jobs.slice(0, limit) : jobs;
+  }
+
+  async getControl() {
+    if (!await fs.pathExists(this.controlPath)) {
+      return { name: this.name, paused: false };
+    }
+    return await fs.readJson(this.controlPath);
+  }
+
+  async isPaused() {
+    return (await this.getControl()).paused === true;
+  }
+
+  async setPaused(paused) {
+    const control = {
+      ...await this.getControl(),
+      name: this.name,
+      paused,
+      [paused ? 'pausedAt' : 'resumedAt']: new Date().toISOString()
+    };
+    await writeJsonAtomic(this.controlPath, control);
+    return control;
+  }
+
+  pause() {
+    return this.setPaused(true);
+  }
+
+  resume() {
+    return this.setPaused(false);
+  }
+
+  /**
+   * Counts per state, plus when the next failed job may be retried
+   */
+  async stats(options = {}) {
+    const jobs = await this.list(options);
+    const counts = Object.fromEntries(JOB_STATES.map(status => [status, 0]));
+    let nextRetryAt = null;
+    for (const job of jobs) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+      if (job.status === 'failed' && (!nextRetryAt || job.runAfter < nextRetryAt)) {
+        nextRetryAt = job.runAfter;
+      }
+    }
+    return {
+      name: this.name,
+      paused: await this.isPaused(),
+      total: jobs.length,
+      pending: counts.queued + counts.running + counts.failed,
+      counts,
+      nextRetryAt
+    };
+  }
+
+  isClaimable(job, now = Date.now()) {
+    return job.status === 'queued' ||
+      (job.status === 'failed' && (!job.runAfter || Date.parse(job.runAfter) <= now));
+  }
+
+  async acquireLock(id) {
+    await fs.ensureDir(this.locksDir);
+    const lockPath = this.lockPath(id);
+    try {
+      await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), lockedAt: new Date().toISOString() }), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (await this.lockIsStale(id)) {
+      await fs.remove(lockPath);
+      return this.acquireLock(id);
+    }
+    return false;
+  }
+
+  async lockIsStale(id) {
+    try {
+      const lock = await fs.readJson(this.lockPath(id));
+      if (lock.host === os.hostname()) {
+        return lock.pid !== process.pid && !processAlive(lock.pid);
+      }
+      return Date.now() - Date.parse(lock.lockedAt) > STALE_REMOTE_LOCK_MS;
+    } catch (error) {
+      return error.code !== 'ENOENT'; // unreadable lock; a missing one is already released
+    }
+  }
+
+  async releaseLock(id) {
+    await fs.remove(this.lockPath(id));
+  }
+
+  /**
+   * Claim the next runnable job (highest priority, then oldest), or null.
+   * options: types, filter(job)
+   */
+  async claimNext(options = {}) {
+    const { types, filter } = options;
+    const now = Date.now();
+    const candidates = (await this.readDir(this.jobsDir))
+      .filter(job => this.isClaimable(job, now) &&
+        (!types || types.includes(job.type)) &&
+        (!filter || filter(job)))
+      .sort((a, b) => (b.priority - a.priority) || a.createdAt.localeCompare(b.createdAt));
+
+    for (const candidate of candidates) {
+      if (!await this.acquireLock(candidate.id)) continue;
+
+      // Another worker may have finished it between listing and locking
+      const job = await this.get(candidate.id);
+      if (!job || !this.isClaimable(job)) {
+        await this.releaseLock(candidate.id);
+        continue;
+      }
+
+      job.status = 'running';
+      job.attempts++;
+      job.startedAt = new Date().toISOString();
+      job.runAfter = null;
+      job.worker = { pid: process.pid, host: os.hostname() };
+      await this.writeJob(job);
+      return job;
+    }
+    return null;
+  }
+
+  async progress(job, progress) {
+    job.progress = { ...progress, at: new Date().toISOString() };
+    await this.writeJob(job);
+  }
+
+  async complete(job, result = null) {
+    job.status = 'done';
+    job.result = result;
+    job.finishedAt = new Date().toISOString();
+    delete job.worker;
+    await this.writeJob(job);
+    await this.releaseLock(job.id);
+    return job;
+  }
+
+  backoffFor(attempts) {
+    return Math.min(this.maxBackoffMs, this.backoffMs * 2 ** Math.max(0, attempts - 1));
+  }
+
+  /**
+   * Record a failed attempt: the job is retried after a backoff, or moved
+   * to the dead letter folder when it is out of attempts
+   */
+  async fail(job, error) {
+    const message = error?.message || String(error);
+    job.lastError = message;
+    job.errors = [...(job.errors || []), { attempt: job.attempts, message, at: new Date().toISOString() }].slice(-10);
+    job.finishedAt = new Date().toISOString();
+    delete job.worker;
+
+    if (job.attempts >= job.maxAttempts || error?.retryable === false) {
+      job.status = 'dead';
+      job.runAfter = null;
+      await this.writeJob(job);
+      await fs.remove(path.join(this.jobsDir, `${job.id}.json`));
+    } else {
+      job.status = 'failed';
+      job.runAfter = new Date(Date.now() + this.backoffFor(job.attempts)).toISOString();
+      await this.writeJob(job);
+    }
+    await this.releaseLock(job.id);
+    return job;
+  }
+
+  /**
+   * Put a running job back in the queue without using up an attempt
+   */
+  async release(job, reason = null) {
+    job.status = 'queued';
+    job.attempts = Math.max(0, job.attempts - 1);
+    job.startedAt = null;
+    if (reason) job.lastError = reason;
+    delete job.worker;
+    await this.writeJob(job);
+    await this.releaseLock(job.id);
+    return job;
+  }
+
+  /**
+   * Queue failed or dead jobs again with a fresh set of attempts
+   */
+  async retry(id) {
+    const job = await this.get(id);
+    if (!job) throw new Error(`Job not found: ${id}`);
+    if (!['failed', 'dead'].includes(job.status)) {
+      throw new Error(`Job ${id} is ${job.status}; only failed and dead jobs can be retried`);
+    }
+    const wasDead = job.status === 'dead';
+    job.status = 'queued';
+    job.attempts = 0;
+    job.runAfter = null;
+    await this.writeJob(job);
+    if (wasDead) await fs.remove(this.jobPath(id, 'dead'));
+    return job;
+  }
+
+  async retryDead() {
+    const dead = await this.list({ status: 'dead' });
+    for (const job of dead) {
+      await this.retry(job.id);
+    }
+    return dead.length;
+  }
+
+  /**
+   * Delete finished jobs (status 'done' unless given). Their keys can be
+   * submitted again afterwards.
+   */
+  async purge(status = 'done') {
+    if (status === 'running') throw new Error('Running jobs cannot be purged');
+    const jobs = await this.list({ status });
+    for (const job of jobs) {
+      await fs.remove(this.jobPath(job.id, job.status));
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Requeue running jobs whose worker process is gone (crashed or
+   * interrupted). Returns the jobs recovered.
+   */
+  async recover() {
+    const recovered = [];
+    for (const job of await this.list({ status: 'running' })) {
+      const locked = await fs.pathExists(this.lockPath(job.id));
+      if (locked && !await this.lockIsStale(job.id)) continue;
+      await this.release(job, 'Worker stopped before the job finished');
+      recovered.push(job);
+    }
+    return recovered;
+  }
+}
+
+/**
+ * Status of every queue under data/jobs with its most recent jobs, for
+ * GET /api/jobs and `npm run jobs`. options: queue, status, limit
+ */
+export async function getJobsOverview(dataPath, options = {}) {
+  const jobsDir = getJobsDir(dataPath);
+  const names = options.queue
+    ? [options.queue]
+    : (await fs.pathExists(jobsDir) ? (await fs.readdir(jobsDir, { withFileTypes: true })).filter(entry => entry.isDirectory()).map(entry => entry.name) : []);
+
+  const queues = [];
+  for (const name of names.sort()) {
+    const queue = new JobQueue(name, { dataPath });
+    const jobs = await queue.list({ status: options.status });
+    queues.push({
+      ...await queue.stats(),
+      jobs: jobs.slice(0, options.limit ?? 20)
+    });
+  }
+  return queues;
+}
+
+export class JobWorker extends EventEmitter {
+  /**
+   * handlers: { [type]: async (payload, { job, progress }) => result }
+   * options: concurrency, pollMs, maxJobs (stop after starting this many),
+   * filter(job), untilEmpty (default true: return once nothing is left to
+   * run; false: keep polling until stop())
+   *
+   * Events: 'job-started' (job), 'job-done' (job, result),
+   * 'job-failed' (job, error; job.status is 'failed' or 'dead'),
+   * 'job-released' (job, reason), 'paused'
+   */
+  constructor(queue, handlers, options = {}) {
+    super();
+    this.queue = queue;
+    this.handlers = handlers;
+    this.types = Object.keys(handlers);
+    this.concurrency = options.concurrency || 1;
+    this.pollMs = options.pollMs || DEFAULT_POLL_MS;
+    this.maxJobs = options.maxJobs ?? Infinity;
+    this.filter = options.filter || null;
+    this.untilEmpty = options.untilEmpty !== false;
+    this.stopped = false;
+    this.stopReason = null;
+    this.summary = { started: 0, done: 0, failed: 0, dead: 0, released: 0 };
+  }
+
+  stop(reason = 'stopped') {
+    if (!this.stopped) {
+      this.stopped = true;
+      this.stopReason = reason;
+    }
+  }
+
+  /**
+   * Run jobs until the queue is empty (or paused, stopped, out of budget or
+   * at maxJobs). Returns { started, done, failed, dead, released, stopReason }
+   */
+  async run() {
+    const recovered = await this.queue.recover();
+    recovered.forEach(job => this.emit('job-released', job, job.lastError));
+
+    const lanes = Array.from({ length: this.concurrency }, () => this.lane());
+    await Promise.all(lanes);
+    return { ...this.summary, stopReason: this.stopReason || 'empty' };
+  }
+
+  async lane() {
+    while (!this.stopped) {
+      if (await this.queue.isPaused()) {
+        if (this.untilEmpty) {
+          this.stop('paused');
+          this.emit('paused');
+          return;
+        }
+        await sleep(this.pollMs);
+        continue;
+      }
+      if (this.summary.started >= this.maxJobs) {
+        this.stop('limit');
+        return;
+      }
+
+      this.summary.started++; // reserved before claiming so lanes respect maxJobs
+      const job = await this.queue.claimNext({ types: this.types, filter: this.filter });
+      if (!job) {
+        this.summary.started--;
+        const waitMs = await this.nextWait();
+        if (waitMs === null) return;
+        await sleep(waitMs);
+        continue;
+      }
+
+      await this.runJob(job);
+    }
+  }
+
+  /**
+   * How long to wait before looking for work again, or null when there is
+   * none left for this worker
+   */
+  async nextWait() {
+    if (!this.untilEmpty) return this.pollMs;
+    const pending = await this.queue.list({
+      filter: job => this.types.includes(job.type) && (!this.filter || this.filter(job)) &&
+        (job.status === 'queued' || job.status === 'failed')
+    });
+    if (pending.length === 0) return null;
+    const nextRun = Math.min(...pending.map(job => (job.runAfter ? Date.parse(job.runAfter) : Date.now())));
+    return Math.max(this.pollMs, nextRun - Date.now());
+  }
+
+  async runJob(job) {
+    this.emit('job-started', job);
+    try {
+      const result = await this.handlers[job.type](job.payload, {
+        job,
+        progress: update => this.queue.progress(job, update)
+      });
+      await this.queue.complete(job, result ?? null);
+      this.summary.done++;
+      this.emit('job-done', job, result);
+    } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        await this.queue.release(job, error.message);
+        this.summary.released++;
+        this.emit('job-released', job, error.message);
+        this.stop('budget');
+        return;
+      }
+      await this.queue.fail(job, error);
+      this.summary[job.status === 'dead' ? 'dead' : 'failed']++;
+      this.emit('job-failed', job, error);
+    }
+  }
+}
+
+export default JobQueue;
@@ -0,0 +1,375 @@
+import path from 'path';
+import { EntitySearchIndex } from '../search/entity-search-index.js';
+import { flattenEntityRecords } from '../search/search-index-registry.js';
+
+/**
+ * Span Provenance
+ *
+ * Points every extracted entity and relationship back at the text it came
+ * from. Extractors attach a `provenance` object after validation:
+ *
+ *   {
+ *     documentId: 'conv_42',             // filled in by storeEntities() when unknown
+ *     start: 10, end: 14,                // first mention (null when not found)
+ *     evidence: 'Mike will pour ...',    // sentence quoting the mention
+ *     match: 'exact',                    // exact | fuzzy | nearby | partial | none
+ *     mentions: [{ start, end, evidence }],
+ *     extractor: 'CloudLLMExtractor', provider, model, promptId, promptVersion
+ *   }
+ *
+ * Entities are found by name (or description, event, aliases; costs also by
+ * amount). When the label is paraphrased, the sentence sharing most of its
+ * words is used instead (match "fuzzy"). Relationships point at the
+ * sentence naming both ends; ends in different sentences close together
+ * give "nearby", a single end "partial".
+ *
+ * Records read from PDF, Word and Excel files keep metadata.locations,
+ * the page, section or row of each text range, so a mention can be cited
+ * as "invoice.pdf p.3" (see locationAt).
+ */
+
+const LABEL_FIELDS = ['name', 'description', 'event', 'title'];
+const MAX_MENTIONS = 50;
+const MAX_EVIDENCE_LENGTH = 300;
+const MAX_RELATIONSHIP_GAP = 300;
+const FUZZY_MIN_OVERLAP = 0.5;
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'will', 'has', 'have', 'our', 'all']);
+
+// Record metadata fields holding the extracted text
+const TEXT_FIELDS = ['originalMessage', 'text', 'content'];
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Every occurrence of `phrase` in `text`, ignoring case and runs of
+ * whitespace, as [{ start, end }]
+ */
+export function findMentions(text, phrase) {
+    const trimmed = String(phrase ?? '').trim();
+    if (!text || trimmed.length < 2) return [];
+
+    const pattern = trimmed.split(/\s+/).map(escapeRegExp).join('\\s+');
+    const before = /^\w/.test(trimmed) ? '(?<!\\w)' : '';
+    const after = /\w$/.test(trimmed) ? '(?!\\w)' : '';
+    const regex = new RegExp(`${before}${pattern}${after}`, 'gi');
+
+    const mentions = [];
+    for (const match of text.matchAll(regex)) {
+        mentions.push({ start: match.index, end: match.index + match[0].length });
+        if (mentions.length >= MAX_MENTIONS) break;
+    }
+    return mentions;
+}
+
+/**
+ * The sentence (or line) around a span, cut to MAX_EVIDENCE_LENGTH:
+ * { start, end, text }
+ */
+export function sentenceAround(text, start, end) {
+    let sentenceStart = start;
+    while (sentenceStart > 0 && !/[.!?\n]/.test(text[sentenceStart - 1])) sentenceStart--;
+    while (sentenceStart < start && /\s/.test(text[sentenceStart])) sentenceStart++;
+
+    let sentenceEnd = end;
+    while (sentenceEnd < text.length && !/[.!?\n]/.test(text[sentenceEnd])) sentenceEnd++;
+    if (sentenceEnd < text.length && text[sentenceEnd] !== '\n') sentenceEnd++;
+
+    if (sentenceEnd - sentenceStart > MAX_EVIDENCE_LENGTH) {
+        const room = Math.max(0, MAX_EVIDENCE_LENGTH - (end - start));
+        sentenceStart = Math.max(sentenceStart, start - Math.floor(room / 2));
+        sentenceEnd = Math.min(sentenceEnd, Math.max(end, sentenceStart + MAX_EVIDENCE_LENGTH));
+    }
+
+    return { start: sentenceStart, end: sentenceEnd, text: text.slice(sentenceStart, sentenceEnd).trim() };
+}
+
+function sentences(text) {
+    const result = [];
+    const regex = /[^.!?\n]+[.!?]?/g;
+    for (const match of text.matchAll(regex)) {
+        if (match[0].trim()) result.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+    return result;
+}
+
+function contentWords(value) {
+    return EntitySearchIndex.normalize(value).split(' ').filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * The sentence sharing most of a paraphrased label's words, or null
+ */
+function fuzzySentence(text, label) {
+    const words = [...new Set(contentWords(label))];
+    if (words.length === 0) return null;
+
+    let best = null;
+    for (const sentence of sentences(text)) {
+        const sentenceWords = new Set(contentWords(sentence.text));
+        const overlap = words.filter(word => sentenceWords.has(word)).length / words.length;
+        if (overlap >= FUZZY_MIN_OVERLAP && (!best || overlap > best.overlap)) {
+            best = { ...sentence, overlap };
+        }
+    }
+    return best;
+}
+
+/**
+ * Phrases an entity may appear as in the text, most specific first
+ */
+export function entityPhrases(entity, category) {
+    if (!entity || typeof entity !== 'object') return [String(entity ?? '')].filter(Boolean);
+
+    const phrases = [];
+    for (const field of LABEL_FIELDS) {
+        if (typeof entity[field] === 'string' && entity[field].trim()) phrases.push(entity[field].trim());
+    }
+    if (Array.isArray(entity.aliases)) {
+        phrases.push(...entity.aliases.filter(alias => typeof alias === 'string' && alias.trim()));
+    }
+    if (category === 'costs' && typeof entity.amount === 'number') {
+        const formatted = entity.amount.toLocaleString('en-US');
+        phrases.push(`$${formatted}`, formatted, String(entity.amount));
+    }
+    return [...new Set(phrases)];
+}
+
+function withEvidence(text, mention) {
+    return { start: mention.start, end: mention.end, evidence: sentenceAround(text, mention.start, mention.end).text };
+}
+
+/**
+ * Where an entity is mentioned in `text`: { start, end, evidence, match, mentions }
+ */
+export function locateEntity(text, entity, category) {
+    const phrases = entityPhrases(entity, category);
+
+    if (text) {
+        for (const phrase of phrases) {
+            const mentions = findMentions(text, phrase);
+            if (mentions.length > 0) {
+                const located = mentions.map(mention => withEvidence(text, mention));
+                return { ...located[0], match: 'exact', mentions: located };
+            }
+        }
+
+        for (const phrase of phrases) {
+            const sentence = fuzzySentence(text, phrase);
+            if (sentence) {
+                const evidence = sentenceAround(text, sentence.start, sentence.end);
+                const located = { start: evidence.start, end: evidence.end, evidence: evidence.text };
+                return { ...located, match: 'fuzzy', mentions: [located] };
+            }
+        }
+    }
+
+    return { start: null, end: null, evidence: null, match: 'none', mentions: [] };
+}
+
+/**
+ * Where a relationship is stated: the closest pair of source and target
+ * mentions. `mentionsOf(name)` gives an endpoint's mentions.
+ */
+export function locateRelationship(text, relationship, mentionsOf) {
+    const sourceMentions = mentionsOf(relationship.source);
+    const targetMentions = mentionsOf(relationship.target);
+
+    let best = null;
+    for (const source of sourceMentions) {
+        for (const target of targetMentions) {
+            const start = Math.min(source.start, target.start);
+            const end = Math.max(source.end, target.end);
+            if (!best || end - start < best.end - best.start) best = { start, end, source, target };
+        }
+    }
+
+    if (best) {
+        const gap = text.slice(best.start, best.end);
+        const sameSentence = !/[.!?]\s|\n/.test(gap.slice(0, -1));
+        if (sameSentence || best.end - best.start <= MAX_RELATIONSHIP_GAP) {
+            const evidence = sameSentence ? sentenceAround(text, best.start, best.end).text : gap.trim();
+            return {
+                start: best.start,
+                end: best.end,
+                evidence,
+                match: sameSentence ? 'exact' : 'nearby',
+                source: { start: best.source.start, end: best.source.end },
+                target: { start: best.target.start, end: best.target.end }
+            };
+        }
+    }
+
+    const single = sourceMentions[0] || targetMentions[0];
+    if (single) {
+        const sentence = sentenceAround(text, single.start, single.end);
+        return {
+            start: sentence.start,
+            end: sentence.end,
+            evidence: sentence.text,
+            match: 'partial',
+            source: sourceMentions[0] ? { start: sourceMentions[0].start, end: sourceMentions[0].end } : null,
+            target: targetMentions[0] ? { start: targetMentions[0].start, end: targetMentions[0].end } : null
+        };
+    }
+
+    return { start: null, end: null, evidence: null, match: 'none', source: null, target: null };
+}
+
+/**
+ * Attach provenance to the entities ({ people: [...], ... }) and
+ * relationships of an extraction result, in place.
+ * context: { documentId, extractor, provider, model, promptId, promptVersion }
+ */
+export function attachProvenance(result, text, context = {}) {
+    const origin = {
+        documentId: context.documentId || null,
+        extractor: context.extractor || null,
+        provider: context.provider || null,
+        model: context.model || null,
+        promptId: context.promptId || null,
+        promptVersion: context.promptVersion || null
+    };
+    const mentionsByName = new Map();
+
+    for (const [category, entities] of Object.entries(result.entities || {})) {
+        if (!Array.isArray(entities)) continue;
+
+        for (const entity of entities) {
+            if (!entity || typeof entity !== 'object') continue;
+            const located = locateEntity(text, entity, category);
+            entity.provenance = { documentId: origin.documentId, ...located, ...origin };
+
+            if (located.match === 'exact') {
+                for (const phrase of entityPhrases(entity, category)) {
+                    const key = EntitySearchIndex.normalize(phrase);
+                    if (!mentionsByName.has(key)) mentionsByName.set(key, located.mentions);
+                }
+            }
+        }
+    }
+
+    const mentionsOf = name => mentionsByName.get(EntitySearchIndex.normalize(name)) || findMentions(text, name);
+    for (const relationship of result.relationships || []) {
+        if (!relationship || typeof relationship !== 'object') continue;
+        relationship.provenance = {
+            documentId: origin.documentId,
+            ...(text ? locateRelationship(text, relationship, mentionsOf) : { start: null, end: null, evidence: null, match: 'none' }),
+            ...origin
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Fill in the document id of provenance recorded before it was known
+ */
+export function assignDocumentId(entities, documentId) {
+    for (const items of Object.values(entities || {})) {
+        if (!Array.isArray(items)) continue;
+        for (const item of items) {
+            if (item?.provenance && !item.provenance.documentId) item.provenance.documentId = documentId;
+        }
+    }
+    return entities;
+}
+
+/**
+ * The text stored with an extraction record, if any
+ */
+export function recordText(record) {
+    for (const field of TEXT_FIELDS) {
+        const value = record?.metadata?.[field];
+        if (typeof value === 'string' && value.trim()) return value;
+    }
+    return null;
+}
+
+/**
+ * Where in its source file an offset of the record text lies, as
+ * "invoice.pdf p.3" or "costs.xlsx Costs row 12"; null when the record
+ * has no locations (plain text, email, chat)
+ */
+export function locationAt(record, offset) {
+    const locations = record?.metadata?.locations;
+    if (!Array.isArray(locations) || !Number.isInteger(offset)) return null;
+    const location = locations.find(item => offset >= item.start && offset < item.end);
+    if (!location) return null;
+    const source = record.metadata.source ? path.basename(record.metadata.source) : null;
+    return source ? `${source} ${location.label}` : location.label;
+}
+
+/**
+ * An entity's provenance, located in `text` when it was stored without one
+ * (records extracted before provenance was recorded); marked inferred
+ */
+export function entityProvenance(entity, category, text, documentId = null) {
+    if (entity.provenance) return entity.provenance;
+    if (!text) return null;
+    return { documentId, ...locateEntity(text, entity, category), inferred: true };
+}
+
+/**
+ * Every mention supporting an entity across the stored records: the entity
+ * itself and every other occurrence of the same concept (same category and
+ * name, alias or merged-away name, as on the entity timeline). Returns
+ * [{ documentId, recordId, entityId, name, timestamp, start, end, location,
+ * evidence, match, extractor, provider, model, promptId, promptVersion,
+ * inferred }]
+ */
+export function collectEntityMentions(entityId, records, { mergedIds = [] } = {}) {
+    const flat = flattenEntityRecords(records);
+    const target = flat.find(entity => entity.id === entityId);
+    if (!target) return [];
+
+    const merged = new Set(mergedIds);
+    const names = new Set([target.name, ...(target.aliases || [])].map(name => EntitySearchIndex.normalize(name)));
+    for (const entity of flat) {
+        if (merged.has(entity.id)) names.add(EntitySearchIndex.normalize(entity.name));
+    }
+
+    const recordsById = new Map(records.map(record => [record.id, record]));
+    const mentions = [];
+
+    for (const entity of flat) {
+        const sameConcept = entity.id === entityId || merged.has(entity.id) || (entity.category === target.category && (
+            names.has(EntitySearchIndex.normalize(entity.name)) ||
+            (entity.aliases || []).some(alias => names.has(EntitySearchIndex.normalize(alias)))
+        ));
+        if (!sameConcept) continue;
+
+        const record = recordsById.get(entity.recordId);
+        const provenance = entityProvenance(entity, entity.category, recordText(record), entity.conversationId);
+        const base = {
+            documentId: provenance?.documentId || entity.conversationId,
+            recordId: entity.recordId,
+            entityId: entity.id,
+            name: entity.name,
+            timestamp: entity.timestamp,
+            extractor: provenance?.extractor || null,
+            provider: provenance?.provider || record?.metadata?.provider || null,
+            model: provenance?.model || record?.metadata?.model || null,
+            promptId: provenance?.promptId || record?.metadata?.promptId || null,
+            promptVersion: provenance?.promptVersion || record?.metadata?.promptVersion || null,
+            inferred: Boolean(provenance?.inferred)
+        };
+
+        const spans = provenance?.mentions?.length ? provenance.mentions : [{ start: null, end: null, evidence: null }];
+        for (const span of spans) {
+            mentions.push({
+                ...base,
+                start: span.start,
+                end: span.end,
+                location: locationAt(record, span.start),
+                evidence: span.evidence,
+                match: provenance?.match || 'none'
+            });
+        }
+    }
+
+    return mentions.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)) || (a.start ?? 0) - (b.start ?? 0));
+}
+
+export default attachProvenance;
@@ -6,6 +6,7 @@
  */
 
 import { RelationshipValidator } from './relationship-types.js';
+import { GraphIndex } from '../graph/graph-index.js';
 
 /**
  * Enhanced Entity Structure
@@ -241,6 +242,10 @@ class EntitySchema {
 
 /**
  * Relationship Graph utilities
+ *
+ * buildGraph() returns { nodes, edges, index }: the node map and edge list
+ * as before, plus a GraphIndex with per-node adjacency that findPaths() and
+ * getNeighbors() traverse instead of scanning the edge list.
  */
 class RelationshipGraph {
   /**
@@ -275,13 +280,45 @@ class RelationshipGraph {
       }
     }
     
+    graph.index = this.indexGraph(graph);
     return graph;
   }
+
+  /**
+   * Index a { nodes, edges } graph. Edge endpoints without a node (targets
+   * outside the entity set) are indexed as stub nodes.
+   */
+  static indexGraph(graph) {
+    const index = new GraphIndex();
+
+    for (const node of graph.nodes.values()) {
+      index.addNode({ id: node.id, name: node.id, type: node.type, attributes: node.metadata || {} });
+    }
+
+    for (const edge of graph.edges) {
+      for (const id of [edge.source, edge.target]) {
+        if (!index.getNode(id)) {
+          index.addNode({ id, name: id, type: 'entity', attributes: {}, stub: true });
+        }
+      }
+      index.addEdge({ ...edge, data: edge });
+    }
+
+    return index;
+  }
+
+  static getIndex(graph) {
+    if (!graph.index) {
+      graph.index = this.indexGraph(graph);
+    }
+    return graph.index;
+  }
   
   /**
    * Find paths between entities
    */
   static findPaths(graph, sourceId, targetId, maxDepth = 3) {
+    const index = this.getIndex(graph);
     const paths = [];
     const visited = new Set();
     
@@ -294,10 +331,10 @@ class RelationshipGraph {
       
       visited.add(currentId);
       
-      // Find outgoing edges
-      for (const edge of graph.edges) {
-        if (edge.source === currentId && !visited.has(edge.target)) {
-          path.push(edge);
+      // Follow outgoing edges
+      for (const edge of index.getEdges(currentId, { direction: 'out' })) {
+        if (!visited.has(edge.target)) {
+          path.push(edge.data);
           dfs(edge.target, path, depth + 1);
           path.pop();
         }
@@ -309,31 +346,39 @@ class RelationshipGraph {
     dfs(sourceId, [], 0);
     return paths;
   }
+
+  /**
+   * Shortest path between entities (fewest edges, either direction unless
+   * options.direction is 'out'), as the list of edges walked, or null
+   */
+  static findShortestPath(graph, sourceId, targetId, options = {}) {
+    const path = this.getIndex(graph).shortestPath(sourceId, targetId, options);
+    return path ? path.edges.map(edge => edge.data) : null;
+  }
   
   /**
    * Get entity neighbors
    */
   static getNeighbors(graph, entityId) {
+    const index = this.getIndex(graph);
     const neighbors = {
       outgoing: [],
       incoming: []
     };
     
-    for (const edge of graph.edges) {
-      if (edge.source === entityId) {
-        neighbors.outgoing.push({
-          target: edge.target,
-          relationship: edge.type,
-          confidence: edge.confidence
-        });
-      }
-      if (edge.target === entityId) {
-        neighbors.incoming.push({
-          source: edge.source,
-          relationship: edge.type,
-          confidence: edge.confidence
-        });
-      }
+    for (const edge of index.getEdges(entityId, { direction: 'out' })) {
+      neighbors.outgoing.push({
+        target: edge.target,
+        relationship: edge.type,
+        confidence: edge.confidence
+      });
+    }
+    for (const edge of index.getEdges(entityId, { direction: 'in' })) {
+      neighbors.incoming.push({
+        source: edge.source,
+        relationship: edge.type,
+        confidence: edge.confidence
+      });
     }
     
     return neighbors;
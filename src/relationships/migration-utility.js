@@ -10,13 +10,17 @@ import path from 'path';
 import { EntitySchema } from './entity-schema.js';
 import { RelationshipValidator, ALL_RELATIONSHIPS } from './relationship-types.js';
 import { ContentRelationshipInference } from './content-relationship-inference.js';
+import { RelationshipRuleEngine } from './relationship-rule-engine.js';
+import { withTransaction, writeJsonAtomic, getJournalDir } from '../storage/file-transaction.js';
+import { VersionLog } from '../storage/version-log.js';
 
 const fsPromises = fs.promises;
 
 class MigrationUtility {
-  constructor(dataPath) {
+  constructor(dataPath, options = {}) {
     this.dataPath = dataPath;
     this.migrationLog = [];
+    this.ruleEngine = options.ruleEngine || new RelationshipRuleEngine(options);
   }
   
   /**
@@ -87,29 +91,40 @@ class MigrationUtility {
       }
       
       // Use content-based relationship inference
-      const inferenceEngine = new ContentRelationshipInference();
+      const inferenceEngine = new ContentRelationshipInference({ ruleEngine: this.ruleEngine });
       const relationships = inferenceEngine.inferRelationships(entities, domain);
       
       // Apply relationships to entities
       const enhancedEntities = await inferenceEngine.applyRelationshipsToEntities(entities, relationships);
       
-      // Migrate entities to new schema and save
-      for (const entity of enhancedEntities) {
-        try {
-          const enhanced = EntitySchema.migrateLegacyEntity(entity);
-          
-          if (enhanced.relationships && enhanced.relationships.length > 0) {
-            results.migratedEntities++;
-            results.relationshipsCreated += enhanced.relationships.length;
+      // Migrate entities to new schema and save them as one transaction:
+      // any entity failing rolls the whole domain back
+      const counts = { migratedEntities: 0, relationshipsCreated: 0 };
+      await withTransaction(async (transaction) => {
+        const failures = [];
+        for (const entity of enhancedEntities) {
+          try {
+            const enhanced = EntitySchema.migrateLegacyEntity(entity);
+            
+            if (enhanced.relationships && enhanced.relationships.length > 0) {
+              counts.migratedEntities++;
+              counts.relationshipsCreated += enhanced.relationships.length;
+            }
+            
+            if (!dryRun) {
+              await this.saveEntity(enhanced, entitiesPath, transaction);
+            }
+          } catch (error) {
+            failures.push(`Entity ${entity.id}: ${error.message}`);
           }
-          
-          if (!dryRun) {
-            await this.saveEntity(enhanced, entitiesPath);
-          }
-        } catch (error) {
-          results.errors.push(`Entity ${entity.id}: ${error.message}`);
         }
-      }
+        
+        if (failures.length > 0) {
+          results.errors.push(...failures);
+          throw new Error(`${failures.length} entities failed to migrate; ${domain} rolled back`);
+        }
+      }, { journalDir: getJournalDir(this.dataPath), label: `migrate ${domain}` });
+      Object.assign(results, counts);
       
       console.log(`  - Processed ${results.totalEntities} entities`);
       console.log(`  - Enhanced ${results.migratedEntities} entities`);
@@ -280,186 +295,22 @@ class MigrationUtility {
   }
   
   /**
-   * Infer relationships between two entities
+   * Infer relationships between two entities using the domain's relationship rules
    */
   inferRelationships(entity1Data, entity2Data, domain) {
-    const relationships = [];
-    const entity1 = entity1Data.entity;
-    const entity2 = entity2Data.entity;
-    const content1 = entity1Data.searchableContent;
-    const content2 = entity2Data.searchableContent;
-    
-    // Person-Project relationships
-    const personProjectRels = this.inferPersonProjectRelationships(content1, content2, entity1.id, entity2.id);
-    relationships.push(...personProjectRels);
-    
-    // Person-Task relationships
-    const personTaskRels = this.inferPersonTaskRelationships(content1, content2, entity1.id, entity2.id);
-    relationships.push(...personTaskRels);
-    
-    // Project-Location relationships
-    const projectLocationRels = this.inferProjectLocationRelationships(content1, content2, entity1.id, entity2.id);
-    relationships.push(...projectLocationRels);
-    
-    // Domain-specific relationships
-    if (domain === 'cybersec') {
-      const cybersecRels = this.inferCybersecRelationships(content1, content2, entity1.id, entity2.id);
-      relationships.push(...cybersecRels);
-    } else if (domain === 'construction') {
-      const constructionRels = this.inferConstructionRelationships(content1, content2, entity1.id, entity2.id);
-      relationships.push(...constructionRels);
-    }
-    
-    return relationships;
-  }
-  
-  /**
-   * Infer person-project relationships
-   */
-  inferPersonProjectRelationships(content1, content2, id1, id2) {
-    const relationships = [];
-    
-    // Check if one entity has people and the other has projects
-    if (content1.people.length > 0 && content2.projects.length > 0) {
-      relationships.push({
-        sourceId: id1,
-        type: 'manages',
-        target: id2,
-        confidence: 0.7,
-        source: 'migration_inference',
-        metadata: {
-          inferenceType: 'person_project_cooccurrence',
-          people: content1.people.map(p => p.name),
-          projects: content2.projects.map(p => p.name)
-        }
-      });
-    }
-    
-    if (content2.people.length > 0 && content1.projects.length > 0) {
-      relationships.push({
-        sourceId: id2,
-        type: 'manages',
-        target: id1,
-        confidence: 0.7,
-        source: 'migration_inference',
-        metadata: {
-          inferenceType: 'person_project_cooccurrence',
-          people: content2.people.map(p => p.name),
-          projects: content1.projects.map(p => p.name)
-        }
-      });
-    }
-    
-    return relationships;
-  }
-  
-  /**
-   * Infer person-task relationships
-   */
-  inferPersonTaskRelationships(content1, content2, id1, id2) {
-    const relationships = [];
-    
-    // Check for task assignments
-    if (content1.tasks.length > 0 && content2.people.length > 0) {
-      for (const task of content1.tasks) {
-        for (const person of content2.people) {
-          if (task.assignedTo && task.assignedTo.toLowerCase().includes(person.name.toLowerCase())) {
-            relationships.push({
-              sourceId: id1,
-              type: 'assigned_to',
-              target: id2,
-              confidence: 0.8,
-              source: 'migration_inference',
-              metadata: {
-                inferenceType: 'task_assignment',
-                task: task.description,
-                assignee: person.name
-              }
-            });
-          }
-        }
-      }
-    }
-    
-    return relationships;
-  }
-  
-  /**
-   * Infer project-location relationships
-   */
-  inferProjectLocationRelationships(content1, content2, id1, id2) {
-    const relationships = [];
-    
-    if (content1.projects.length > 0 && content2.locations.length > 0) {
-      relationships.push({
-        sourceId: id1,
-        type: 'located_at',
-        target: id2,
-        confidence: 0.6,
-        source: 'migration_inference',
+    return this.ruleEngine.inferPair(entity1Data.entity, entity2Data.entity, domain, { source: 'migration_inference' })
+      .map(rel => ({
+        sourceId: rel.sourceId,
+        type: rel.type,
+        target: rel.targetId,
+        confidence: rel.confidence,
+        source: rel.source,
         metadata: {
-          inferenceType: 'project_location_cooccurrence',
-          projects: content1.projects.map(p => p.name),
-          locations: content2.locations.map(l => l.name)
+          inferenceType: rel.rule,
+          sourceMentions: rel.metadata.sourceMentions,
+          targetMentions: rel.metadata.targetMentions
         }
-      });
-    }
-    
-    return relationships;
-  }
-  
-  /**
-   * Infer cybersecurity-specific relationships
-   */
-  inferCybersecRelationships(content1, content2, id1, id2) {
-    const relationships = [];
-    
-    // Look for consultant-project relationships
-    const hasConsultant1 = content1.people.some(p => 
-      p.role && p.role.toLowerCase().includes('consultant')
-    );
-    const hasConsultant2 = content2.people.some(p => 
-      p.role && p.role.toLowerCase().includes('consultant')
-    );
-    
-    if (hasConsultant1 && content2.projects.length > 0) {
-      relationships.push({
-        sourceId: id1,
-        type: 'responsible_for',
-        target: id2,
-        confidence: 0.8,
-        source: 'migration_inference',
-        metadata: {
-          inferenceType: 'consultant_project_responsibility'
-        }
-      });
-    }
-    
-    return relationships;
-  }
-  
-  /**
-   * Infer construction-specific relationships
-   */
-  inferConstructionRelationships(content1, content2, id1, id2) {
-    const relationships = [];
-    
-    // Look for material-project relationships
-    if (content1.materials.length > 0 && content2.projects.length > 0) {
-      relationships.push({
-        sourceId: id2,
-        type: 'requires',
-        target: id1,
-        confidence: 0.7,
-        source: 'migration_inference',
-        metadata: {
-          inferenceType: 'project_material_requirement',
-          materials: content1.materials.map(m => m.name)
-        }
-      });
-    }
-    
-    return relationships;
+      }));
   }
   
   /**
@@ -490,11 +341,19 @@ class MigrationUtility {
   }
   
   /**
-   * Save enhanced entity
+   * Save enhanced entity (staged in `transaction` when given), logging the
+   * migrated form as a new version
    */
-  async saveEntity(entity, entitiesPath) {
+  async saveEntity(entity, entitiesPath, transaction = null) {
     const filePath = path.join(entitiesPath, `${entity.id}.json`);
-    await fsPromises.writeFile(filePath, JSON.stringify(entity, null, 2));
+    const versionLog = new VersionLog({ domainPath: path.dirname(entitiesPath) });
+    await versionLog.append(versionLog.keyForFile(filePath), entity, { source: 'migration' }, transaction);
+
+    if (transaction) {
+      transaction.writeJson(filePath, entity);
+    } else {
+      await writeJsonAtomic(filePath, entity);
+    }
   }
   
   /**
@@ -0,0 +1,383 @@
+/**
+ * Relationship Integrity
+ *
+ * Keeps the relationship graph stored on entity records consistent:
+ * - every relationship A -type-> B is mirrored by an inverse edge on B
+ *   (B -inverse-> A, marked with `inverseOf: type`)
+ * - no edge points at a record that does not exist
+ * - one-to-many / many-to-one / one-to-one cardinalities hold
+ *
+ * The edge helpers work on records in memory; RelationshipIntegrityChecker
+ * reports and repairs a whole domain through its storage adapter.
+ */
+
+import { RelationshipValidator } from './relationship-types.js';
+
+const INTEGRITY_SOURCE = 'integrity_check';
+
+/**
+ * Whether an edge is the mirror of a relationship stored on another record
+ */
+function isInverseEdge(relationship) {
+  return Boolean(relationship.inverseOf);
+}
+
+function touchRelationships(record) {
+  if (!record.metadata) return;
+  record.metadata.relationshipCount = record.relationships.length;
+  record.metadata.lastRelationshipUpdate = new Date().toISOString();
+}
+
+/**
+ * The edge a target record holds for `relationship` stored on `sourceId`,
+ * or null if the type has no inverse
+ */
+function createInverseEdge(sourceId, relationship) {
+  const inverseType = RelationshipValidator.getInverseRelationship(relationship.type);
+  if (!inverseType) return null;
+
+  return {
+    type: inverseType,
+    target: sourceId,
+    confidence: relationship.confidence,
+    source: relationship.source,
+    createdAt: new Date().toISOString(),
+    inverseOf: relationship.type,
+    metadata: relationship.metadata || {}
+  };
+}
+
+/**
+ * Add the inverse of `relationship` (stored on sourceId) to targetRecord.
+ * Returns true if the record changed.
+ */
+function addInverseEdge(targetRecord, sourceId, relationship) {
+  const inverse = createInverseEdge(sourceId, relationship);
+  if (!inverse || targetRecord.id === sourceId) return false;
+
+  targetRecord.relationships = targetRecord.relationships || [];
+  const existing = targetRecord.relationships.find(r => r.type === inverse.type && r.target === sourceId);
+  if (existing) {
+    // A forward edge of the same type (or a bidirectional one) already mirrors it
+    if (isInverseEdge(existing) && existing.confidence !== inverse.confidence) {
+      existing.confidence = inverse.confidence;
+      existing.updatedAt = new Date().toISOString();
+      return true;
+    }
+    return false;
+  }
+
+  targetRecord.relationships.push(inverse);
+  touchRelationships(targetRecord);
+  return true;
+}
+
+/**
+ * Remove the inverse of `relationship` (stored on sourceId) from targetRecord.
+ * Returns true if the record changed.
+ */
+function removeInverseEdge(targetRecord, sourceId, relationship) {
+  const inverseType = RelationshipValidator.getInverseRelationship(relationship.type);
+  if (!inverseType) return false;
+
+  return removeEdges(targetRecord, r =>
+    isInverseEdge(r) && r.type === inverseType && r.target === sourceId && r.inverseOf === relationship.type
+  ) > 0;
+}
+
+/**
+ * Remove the edges matching a predicate, returning how many were removed
+ */
+function removeEdges(record, predicate) {
+  if (!record.relationships?.length) return 0;
+
+  const before = record.relationships.length;
+  record.relationships = record.relationships.filter(r => !predicate(r));
+  const removed = before - record.relationships.length;
+
+  if (removed > 0) touchRelationships(record);
+  return removed;
+}
+
+/**
+ * Forward (non-inverse) edges added and removed between two versions of a record
+ */
+function diffRelationships(previous, current) {
+  const key = r => `${r.type}|${r.target}`;
+  const forward = record => (record?.relationships || []).filter(r => !isInverseEdge(r));
+
+  const before = new Map(forward(previous).map(r => [key(r), r]));
+  const after = new Map(forward(current).map(r => [key(r), r]));
+
+  return {
+    added: [...after.entries()]
+      .filter(([k, r]) => !before.has(k) || before.get(k).confidence !== r.confidence)
+      .map(([, r]) => r),
+    removed: [...before.entries()].filter(([k]) => !after.has(k)).map(([, r]) => r)
+  };
+}
+
+/**
+ * Point every edge aimed at fromId at toId instead, dropping edges that
+ * become self-references and keeping the most confident of any duplicates.
+ * `field` names the target property (EnhancedEntity relationships use targetId).
+ * Returns the number of edges rewritten.
+ */
+function rewriteTargets(record, fromId, toId, field = 'target') {
+  if (!record.relationships?.length) return 0;
+
+  let rewritten = 0;
+  for (const relationship of record.relationships) {
+    if (relationship[field] === fromId) {
+      relationship[field] = toId;
+      rewritten++;
+    }
+  }
+  if (rewritten === 0) return 0;
+
+  const kept = new Map();
+  for (const relationship of record.relationships) {
+    if (relationship[field] === record.id) continue;
+
+    const key = `${relationship.type}|${relationship[field]}|${isInverseEdge(relationship) ? relationship.inverseOf : ''}`;
+    const existing = kept.get(key);
+    if (!existing || (relationship.confidence || 0) > (existing.confidence || 0)) {
+      kept.set(key, relationship);
+    }
+  }
+  record.relationships = [...kept.values()];
+  if (field === 'target') touchRelationships(record);
+
+  return rewritten;
+}
+
+function namesMention(mentions, name) {
+  const wanted = name.toLowerCase();
+  return Array.isArray(mentions) && mentions.some(mention => String(mention).toLowerCase() === wanted);
+}
+
+/**
+ * Take the mention `name` off one side ('sourceMentions' | 'targetMentions')
+ * of the forward edges on `record`, only those aimed at `target` when given.
+ * Edges left naming no mention on that side are removed. Returns copies of
+ * the edges the mention was taken from.
+ */
+function detachMention(record, side, name, target = null) {
+  const detached = [];
+  const kept = [];
+
+  for (const relationship of record.relationships || []) {
+    const named = !isInverseEdge(relationship) &&
+      (target === null || relationship.target === target) &&
+      namesMention(relationship.metadata?.[side], name);
+    if (!named) {
+      kept.push(relationship);
+      continue;
+    }
+
+    detached.push({ ...relationship, metadata: { ...relationship.metadata } });
+    const remaining = relationship.metadata[side].filter(mention => !namesMention([mention], name));
+    if (remaining.length > 0) {
+      kept.push({ ...relationship, metadata: { ...relationship.metadata, [side]: remaining } });
+    }
+  }
+
+  if (detached.length > 0) {
+    record.relationships = kept;
+    touchRelationships(record);
+  }
+  return detached;
+}
+
+/**
+ * Add `relationship` to `record` naming `name` on one side, joining a
+ * forward edge of the same type and target if there is one. Edges that
+ * would point at the record itself are dropped. Returns true if the record
+ * changed.
+ */
+function attachMention(record, relationship, side, name) {
+  if (relationship.target === record.id) return false;
+
+  record.relationships = record.relationships || [];
+  const existing = record.relationships.find(r =>
+    !isInverseEdge(r) && r.type === relationship.type && r.target === relationship.target
+  );
+
+  if (existing) {
+    const mentions = existing.metadata?.[side] || [];
+    if (namesMention(mentions, name)) return false;
+    existing.metadata = { ...existing.metadata, [side]: [...mentions, name] };
+  } else {
+    record.relationships.push({ ...relationship, metadata: { ...relationship.metadata, [side]: [name] } });
+  }
+
+  touchRelationships(record);
+  return true;
+}
+
+/**
+ * Finds and repairs orphaned edges, missing or stale inverses and
+ * cardinality violations across the records of one storage adapter
+ */
+class RelationshipIntegrityChecker {
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.domain = options.domain || null;
+  }
+
+  /**
+   * Inspect every record. Returns a report of the problems found.
+   */
+  async check() {
+    const records = await this.storage.list();
+    return this.analyze(records);
+  }
+
+  analyze(records) {
+    const byId = new Map(records.map(record => [record.id, record]));
+    const report = {
+      domain: this.domain,
+      checkedAt: new Date().toISOString(),
+      recordCount: records.length,
+      relationshipCount: 0,
+      orphanedEdges: [],
+      missingInverses: [],
+      staleInverses: [],
+      cardinalityViolations: []
+    };
+
+    // Forward edges grouped for the cardinality checks
+    const outgoing = new Map(); // "source|type" -> edges
+    const incoming = new Map(); // "target|type" -> edges
+
+    for (const record of records) {
+      for (const relationship of record.relationships || []) {
+        report.relationshipCount++;
+        const edge = { recordId: record.id, type: relationship.type, target: relationship.target, confidence: relationship.confidence };
+
+        if (!byId.has(relationship.target)) {
+          report.orphanedEdges.push(edge);
+          continue;
+        }
+        const target = byId.get(relationship.target);
+
+        if (isInverseEdge(relationship)) {
+          const mirrored = (target.relationships || []).some(r =>
+            !isInverseEdge(r) && r.type === relationship.inverseOf && r.target === record.id
+          );
+          if (!mirrored) report.staleInverses.push({ ...edge, inverseOf: relationship.inverseOf });
+          continue;
+        }
+
+        const inverseType = RelationshipValidator.getInverseRelationship(relationship.type);
+        if (inverseType && relationship.target !== record.id) {
+          const hasInverse = (target.relationships || []).some(r => r.type === inverseType && r.target === record.id);
+          if (!hasInverse) report.missingInverses.push({ ...edge, inverseType });
+        }
+
+        const outKey = `${record.id}|${relationship.type}`;
+        const inKey = `${relationship.target}|${relationship.type}`;
+        if (!outgoing.has(outKey)) outgoing.set(outKey, []);
+        if (!incoming.has(inKey)) incoming.set(inKey, []);
+        outgoing.get(outKey).push(edge);
+        incoming.get(inKey).push(edge);
+      }
+    }
+
+    // many-to-one: a source has at most one edge of the type;
+    // one-to-many: a target has at most one edge of the type pointing at it
+    const limits = [
+      { groups: outgoing, cardinalities: ['many-to-one', 'one-to-one'], side: 'source' },
+      { groups: incoming, cardinalities: ['one-to-many', 'one-to-one'], side: 'target' }
+    ];
+    for (const { groups, cardinalities, side } of limits) {
+      for (const [key, edges] of groups) {
+        const [entityId, type] = key.split('|');
+        const cardinality = RelationshipValidator.getCardinality(type);
+        if (edges.length > 1 && cardinalities.includes(cardinality)) {
+          report.cardinalityViolations.push({ type, cardinality, side, entityId, edges });
+        }
+      }
+    }
+
+    report.issueCount = report.orphanedEdges.length + report.missingInverses.length +
+      report.staleInverses.length + report.cardinalityViolations.length;
+    return report;
+  }
+
+  /**
+   * Repair what check() reports: drop orphaned and stale edges, add missing
+   * inverses, and resolve cardinality violations by keeping the most
+   * confident edge. Returns the report of what was found plus counts of
+   * what was fixed.
+   */
+  async fix() {
+    const records = await this.storage.list();
+    const byId = new Map(records.map(record => [record.id, record]));
+    const report = this.analyze(records);
+    const changed = new Set();
+    const fixed = { orphanedEdges: 0, missingInverses: 0, staleInverses: 0, cardinalityViolations: 0 };
+
+    const dropEdge = (recordId, predicate) => {
+      const record = byId.get(recordId);
+      if (record && removeEdges(record, predicate) > 0) {
+        changed.add(recordId);
+        return true;
+      }
+      return false;
+    };
+
+    for (const edge of report.orphanedEdges) {
+      if (dropEdge(edge.recordId, r => r.type === edge.type && r.target === edge.target)) fixed.orphanedEdges++;
+    }
+
+    for (const edge of report.staleInverses) {
+      if (dropEdge(edge.recordId, r => isInverseEdge(r) && r.type === edge.type && r.target === edge.target)) fixed.staleInverses++;
+    }
+
+    for (const violation of report.cardinalityViolations) {
+      const [keep, ...extra] = [...violation.edges].sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+      for (const edge of extra) {
+        if (edge.recordId === keep.recordId && edge.target === keep.target) continue;
+
+        const record = byId.get(edge.recordId);
+        const relationship = record?.relationships?.find(r => !isInverseEdge(r) && r.type === edge.type && r.target === edge.target);
+        if (!relationship) continue;
+
+        dropEdge(edge.recordId, r => r === relationship);
+        const target = byId.get(edge.target);
+        if (target && removeInverseEdge(target, edge.recordId, relationship)) changed.add(target.id);
+        fixed.cardinalityViolations++;
+      }
+    }
+
+    for (const edge of report.missingInverses) {
+      const source = byId.get(edge.recordId);
+      const target = byId.get(edge.target);
+      const relationship = source?.relationships?.find(r => !isInverseEdge(r) && r.type === edge.type && r.target === edge.target);
+      if (relationship && target && addInverseEdge(target, source.id, relationship)) {
+        changed.add(target.id);
+        fixed.missingInverses++;
+      }
+    }
+
+    for (const recordId of changed) {
+      await this.storage.store(byId.get(recordId), { source: INTEGRITY_SOURCE, syncInverses: false });
+    }
+
+    return { ...report, fixed, recordsUpdated: changed.size };
+  }
+}
+
+export {
+  RelationshipIntegrityChecker,
+  isInverseEdge,
+  createInverseEdge,
+  addInverseEdge,
+  removeInverseEdge,
+  removeEdges,
+  diffRelationships,
+  rewriteTargets,
+  detachMention,
+  attachMention
+};
@@ -0,0 +1,373 @@
+/**
+ * Declarative Relationship Rule Engine
+ *
+ * Infers relationships between entity records from rules defined in
+ * per-domain JSON or YAML files (config/relationship-rules/<domain>.yaml).
+ * Universal rules apply in every domain; a new domain only needs a rule
+ * file. Each rule names the relationship it produces and describes when
+ * it applies:
+ *
+ *   source / target  which mentions must be present on each side:
+ *                    { category: 'people', where: { role: 'consultant' } }
+ *                    (where values are case-insensitive regular expressions)
+ *   join             a source mention field must contain a target field:
+ *                    { source: 'assigned_to', target: 'name' }
+ *   text             patterns that must occur in a text field of either record
+ *   proximity        source and target names must occur within `window`
+ *                    characters of each other in a text field of either record
+ *   direction        'forward' (source -> target) or 'bidirectional'
+ *   confidence       0..1
+ *
+ * Relationship types are checked against RelationshipValidator when the
+ * rules load, and every inferred relationship is validated before it is
+ * returned.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { RelationshipValidator } from './relationship-types.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_RULES_DIR = path.join(__dirname, '../../config/relationship-rules');
+const RULE_FILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const DIRECTIONS = ['forward', 'bidirectional'];
+
+// Record fields searched by `text` and `proximity` when a rule names none
+const DEFAULT_TEXT_FIELDS = ['metadata.originalMessage', 'metadata.text', 'metadata.content', 'text', 'content'];
+
+/**
+ * Read a rule file. Files hold either a list of rules or { rules: [...] }.
+ */
+function loadRuleFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const parsed = filePath.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+  const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+
+  if (!Array.isArray(rules)) {
+    throw new Error(`Relationship rule file ${filePath} must contain a list of rules`);
+  }
+
+  return rules;
+}
+
+/**
+ * Check a list of rules, returning a message for each problem found
+ */
+function validateRules(rules) {
+  const errors = [];
+  const names = new Set();
+
+  rules.forEach((rule, index) => {
+    const label = rule?.name || `rule #${index + 1}`;
+
+    if (!rule?.name) {
+      errors.push(`${label}: missing name`);
+    } else if (names.has(rule.name)) {
+      errors.push(`${label}: duplicate rule name`);
+    }
+    names.add(rule?.name);
+
+    if (!RelationshipValidator.validateRelationshipType(rule?.relationship)) {
+      errors.push(`${label}: unknown relationship type "${rule?.relationship}"`);
+    }
+
+    if (typeof rule?.confidence !== 'number' || rule.confidence < 0 || rule.confidence > 1) {
+      errors.push(`${label}: confidence must be a number between 0 and 1`);
+    }
+
+    if (rule?.direction && !DIRECTIONS.includes(rule.direction)) {
+      errors.push(`${label}: direction must be one of ${DIRECTIONS.join(', ')}`);
+    }
+
+    if (rule?.join && (!rule.join.source || !rule.join.target)) {
+      errors.push(`${label}: join needs both a source and a target field`);
+    }
+
+    if (rule?.text && !Array.isArray(rule.text.patterns)) {
+      errors.push(`${label}: text needs a list of patterns`);
+    }
+
+    if (rule?.proximity && !(rule.proximity.window > 0)) {
+      errors.push(`${label}: proximity needs a positive window`);
+    }
+
+    const patterns = [
+      ...Object.values(rule?.source?.where || {}),
+      ...Object.values(rule?.target?.where || {}),
+      ...(rule?.text?.patterns || [])
+    ].flat();
+
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        errors.push(`${label}: invalid pattern "${pattern}" (${error.message})`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Turn a validated rule into its runtime form (patterns compiled, defaults filled in)
+ */
+function compileRule(rule) {
+  const compileSide = (side = {}) => ({
+    categories: side.category ? [side.category].flat() : null,
+    where: Object.entries(side.where || {}).map(([field, patterns]) => ({
+      field,
+      patterns: [patterns].flat().map(pattern => new RegExp(pattern, 'i'))
+    }))
+  });
+
+  return {
+    ...rule,
+    direction: rule.direction || 'forward',
+    description: rule.description || '',
+    sourceSide: compileSide(rule.source),
+    targetSide: compileSide(rule.target),
+    textPatterns: rule.text ? rule.text.patterns.map(pattern => new RegExp(pattern, 'i')) : null,
+    textFields: rule.text?.fields || DEFAULT_TEXT_FIELDS,
+    proximityFields: rule.proximity?.fields || DEFAULT_TEXT_FIELDS
+  };
+}
+
+function getField(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function mentionName(mention) {
+  return mention.name || mention.item || mention.address || mention.description || null;
+}
+
+class RelationshipRuleEngine {
+  constructor(options = {}) {
+    this.rulesDir = options.rulesDir || DEFAULT_RULES_DIR;
+    this.ruleSets = new Map(); // domain -> compiled rules (universal + domain)
+  }
+
+  /**
+   * Path of a domain's rule file, or null if the domain has none
+   */
+  getRuleFile(domain) {
+    for (const extension of RULE_FILE_EXTENSIONS) {
+      const filePath = path.join(this.rulesDir, `${domain}${extension}`);
+      if (fs.existsSync(filePath)) {
+        return filePath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Load the rules for a domain: universal rules followed by the domain's own
+   */
+  getRules(domain = 'universal') {
+    if (this.ruleSets.has(domain)) {
+      return this.ruleSets.get(domain);
+    }
+
+    const domains = domain === 'universal' ? ['universal'] : ['universal', domain];
+    const rules = [];
+
+    for (const name of domains) {
+      const filePath = this.getRuleFile(name);
+      if (!filePath) continue;
+
+      const fileRules = loadRuleFile(filePath);
+      const errors = validateRules([...rules, ...fileRules]);
+      if (errors.length > 0) {
+        throw new Error(`Invalid relationship rules in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+      }
+      rules.push(...fileRules);
+    }
+
+    const compiled = rules.map(compileRule);
+    this.ruleSets.set(domain, compiled);
+    return compiled;
+  }
+
+  /**
+   * Infer relationships between every pair of records
+   */
+  inferRelationships(records, domain = 'universal', options = {}) {
+    const relationships = [];
+
+    for (let i = 0; i < records.length; i++) {
+      for (let j = i + 1; j < records.length; j++) {
+        relationships.push(...this.inferPair(records[i], records[j], domain, options));
+      }
+    }
+
+    return relationships;
+  }
+
+  /**
+   * Infer relationships between two records, trying each rule in both orientations
+   *
+   * options: source (provenance recorded on each relationship; default 'content_inference')
+   */
+  inferPair(record1, record2, domain = 'universal', options = {}) {
+    const relationships = [];
+
+    for (const rule of this.getRules(domain)) {
+      for (const [sourceRecord, targetRecord] of [[record1, record2], [record2, record1]]) {
+        const match = this.evaluateRule(rule, sourceRecord, targetRecord);
+        if (!match) continue;
+
+        relationships.push(this.createRelationship(rule, sourceRecord, targetRecord, match, options));
+        if (rule.direction === 'bidirectional') {
+          relationships.push(this.createRelationship(rule, targetRecord, sourceRecord, {
+            sourceMentions: match.targetMentions,
+            targetMentions: match.sourceMentions
+          }, options));
+        }
+      }
+    }
+
+    const seen = new Set();
+    return relationships.filter(relationship => {
+      const key = `${relationship.sourceId}|${relationship.targetId}|${relationship.type}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+
+      const validation = RelationshipValidator.validateRelationship({
+        ...relationship,
+        target: relationship.targetId
+      });
+      if (!validation.valid) {
+        console.warn(`Skipping relationship from rule ${relationship.rule}: ${validation.error}`);
+      }
+      return validation.valid;
+    });
+  }
+
+  /**
+   * Check one rule with sourceRecord on the source side. Returns the
+   * mentions that satisfied it, or null if it does not apply.
+   */
+  evaluateRule(rule, sourceRecord, targetRecord) {
+    let sourceMentions = this.matchSide(rule.sourceSide, sourceRecord);
+    let targetMentions = this.matchSide(rule.targetSide, targetRecord);
+    if (!sourceMentions || !targetMentions) {
+      return null;
+    }
+
+    if (rule.textPatterns && !this.matchesText(rule, [sourceRecord, targetRecord])) {
+      return null;
+    }
+
+    const pairConditions = [];
+    if (rule.join) {
+      pairConditions.push((source, target) => {
+        const value = source[rule.join.source];
+        const expected = target[rule.join.target];
+        return typeof value === 'string' && typeof expected === 'string' && expected.length > 0 &&
+          value.toLowerCase().includes(expected.toLowerCase());
+      });
+    }
+    if (rule.proximity) {
+      const texts = this.getTexts(rule.proximityFields, [sourceRecord, targetRecord]);
+      pairConditions.push((source, target) => this.withinWindow(mentionName(source), mentionName(target), texts, rule.proximity.window));
+    }
+
+    if (pairConditions.length > 0) {
+      const pairs = [];
+      for (const source of sourceMentions) {
+        for (const target of targetMentions) {
+          if (pairConditions.every(condition => condition(source, target))) {
+            pairs.push([source, target]);
+          }
+        }
+      }
+      if (pairs.length === 0) {
+        return null;
+      }
+      sourceMentions = [...new Set(pairs.map(([source]) => source))];
+      targetMentions = [...new Set(pairs.map(([, target]) => target))];
+    }
+
+    return { sourceMentions, targetMentions };
+  }
+
+  /**
+   * Mentions of a record that satisfy one side of a rule. A side with no
+   * category or conditions matches any record (with no mentions).
+   */
+  matchSide(side, record) {
+    if (!side.categories && side.where.length === 0) {
+      return [];
+    }
+
+    const categories = side.categories || Object.keys(record.entities || {});
+    const mentions = categories
+      .flatMap(category => record.entities?.[category] || [])
+      .filter(mention => mention && typeof mention === 'object')
+      .filter(mention => side.where.every(({ field, patterns }) => {
+        const value = mention[field];
+        return typeof value === 'string' && patterns.some(pattern => pattern.test(value));
+      }));
+
+    return mentions.length > 0 ? mentions : null;
+  }
+
+  matchesText(rule, records) {
+    const texts = this.getTexts(rule.textFields, records);
+    return rule.textPatterns.some(pattern => texts.some(text => pattern.test(text)));
+  }
+
+  getTexts(fields, records) {
+    return records
+      .flatMap(record => fields.map(field => getField(record, field)))
+      .filter(text => typeof text === 'string' && text.length > 0);
+  }
+
+  /**
+   * Whether two names occur within `window` characters of each other in any text
+   */
+  withinWindow(name1, name2, texts, window) {
+    if (!name1 || !name2) return false;
+
+    const positions = (text, name) => {
+      const found = [];
+      const lowerText = text.toLowerCase();
+      const lowerName = name.toLowerCase();
+      for (let index = lowerText.indexOf(lowerName); index !== -1; index = lowerText.indexOf(lowerName, index + 1)) {
+        found.push(index);
+      }
+      return found;
+    };
+
+    return texts.some(text => {
+      const positions1 = positions(text, name1);
+      const positions2 = positions(text, name2);
+      return positions1.some(a => positions2.some(b => {
+        const gap = a < b ? b - (a + name1.length) : a - (b + name2.length);
+        return gap <= window;
+      }));
+    });
+  }
+
+  createRelationship(rule, sourceRecord, targetRecord, match, options) {
+    return {
+      sourceId: sourceRecord.id,
+      targetId: targetRecord.id,
+      type: rule.relationship,
+      confidence: rule.confidence,
+      source: options.source || 'content_inference',
+      rule: rule.name,
+      description: rule.description,
+      metadata: {
+        inferenceRule: rule.name,
+        sourceMentions: match.sourceMentions.map(mentionName).filter(Boolean),
+        targetMentions: match.targetMentions.map(mentionName).filter(Boolean)
+      }
+    };
+  }
+}
+
+export { RelationshipRuleEngine, loadRuleFile, validateRules, DEFAULT_RULES_DIR };
@@ -381,12 +381,45 @@ const ALL_RELATIONSHIPS = {
   ...CONSTRUCTION_RELATIONSHIPS
 };
 
+const FLIPPED_CARDINALITY = {
+  'one-to-many': 'many-to-one',
+  'many-to-one': 'one-to-many'
+};
+
+// Inverse types (used_by, managed_by, ...) derived from the types above, so
+// the inverse edge stored alongside each relationship validates as well
+const INVERSE_RELATIONSHIPS = {};
+for (const [type, def] of Object.entries(ALL_RELATIONSHIPS)) {
+  if (!def.inverse || ALL_RELATIONSHIPS[def.inverse]) continue;
+  
+  INVERSE_RELATIONSHIPS[def.inverse] = {
+    label: def.inverse.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+    description: `Inverse of ${type}: ${def.description}`,
+    domains: def.domains,
+    cardinality: FLIPPED_CARDINALITY[def.cardinality] || def.cardinality,
+    inverse: type,
+    inverseOf: type,
+    validation: {
+      sourceTypes: def.validation.targetTypes,
+      targetTypes: def.validation.sourceTypes,
+      required: def.validation.required
+    }
+  };
+}
+
 /**
  * Relationship validation functions
  */
 class RelationshipValidator {
+  /**
+   * Definition of a relationship type or of a derived inverse type
+   */
+  static getRelationshipDefinition(type) {
+    return ALL_RELATIONSHIPS[type] || INVERSE_RELATIONSHIPS[type] || null;
+  }
+  
   static validateRelationshipType(type) {
-    return ALL_RELATIONSHIPS.hasOwnProperty(type);
+    return this.getRelationshipDefinition(type) !== null;
   }
   
   static validateRelationship(relationship) {
@@ -396,7 +429,7 @@ class RelationshipValidator {
       return { valid: false, error: `Unknown relationship type: ${type}` };
     }
     
-    const relationshipDef = ALL_RELATIONSHIPS[type];
+    const relationshipDef = this.getRelationshipDefinition(type);
     
     // Check required fields if validation rules exist
     if (relationshipDef.validation && relationshipDef.validation.required) {
@@ -427,15 +460,26 @@ class RelationshipValidator {
     return relationships;
   }
   
+  /**
+   * Type of the edge that mirrors a relationship: its inverse, the type
+   * itself for bidirectional types, or null if it has no inverse
+   */
   static getInverseRelationship(type) {
-    const relationshipDef = ALL_RELATIONSHIPS[type];
-    return relationshipDef ? relationshipDef.inverse : null;
+    const relationshipDef = this.getRelationshipDefinition(type);
+    if (!relationshipDef) return null;
+    if (relationshipDef.bidirectional) return type;
+    return relationshipDef.inverse || null;
   }
   
   static isBidirectional(type) {
-    const relationshipDef = ALL_RELATIONSHIPS[type];
+    const relationshipDef = this.getRelationshipDefinition(type);
     return relationshipDef ? relationshipDef.bidirectional === true : false;
   }
+  
+  static getCardinality(type) {
+    const relationshipDef = this.getRelationshipDefinition(type);
+    return relationshipDef ? relationshipDef.cardinality : null;
+  }
 }
 
 export {
@@ -443,5 +487,6 @@ export {
   CYBERSEC_RELATIONSHIPS,
   CONSTRUCTION_RELATIONSHIPS,
   ALL_RELATIONSHIPS,
+  INVERSE_RELATIONSHIPS,
   RelationshipValidator
 };
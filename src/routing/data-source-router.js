@@ -21,6 +21,9 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import { CommandLogger } from '../system/command-logger.js';
 import { SnappyHashStatusClient } from '../integrations/snappy-hash-status-client.js';
+import { getDomainSearchIndex, indexHierarchicalEntity } from '../search/search-index-registry.js';
+import { withTransaction, writeJsonAtomic, getJournalDir } from '../storage/file-transaction.js';
+import { VersionLog } from '../storage/version-log.js';
 const execAsync = promisify(exec);
 
 export class DataSourceRouter {
@@ -159,35 +162,21 @@ export class DataSourceRouter {
 
     try {
       const domain = options.domain || 'construction';
-      const allEntities = [];
+      const matchedEntities = [];
 
-      // 1. Load all entities from multiple domains (construction + universal for system entities)
+      // 1. Search construction + universal (for system entities)
       const domainsToSearch = [domain];
       if (domain !== 'universal') {
         domainsToSearch.push('universal'); // Always search universal for system entities
       }
 
+      // 2. Find entities that are mentioned in the query, using each domain's search index
       for (const searchDomain of domainsToSearch) {
-        const entitiesPath = path.join(this.dataPath, searchDomain, 'entities');
-        try {
-          const entityTypes = await fs.readdir(entitiesPath);
-          for (const type of entityTypes) {
-            const typePath = path.join(entitiesPath, type);
-            const entityFiles = await fs.readdir(typePath);
-            for (const file of entityFiles) {
-              const entityData = JSON.parse(await fs.readFile(path.join(typePath, file), 'utf-8'));
-              allEntities.push(entityData);
-            }
-          }
-        } catch (e) {
-          // It's okay if the directory doesn't exist.
-        }
+        const index = await getDomainSearchIndex(path.join(this.dataPath, searchDomain));
+        const mentions = index.findMentions(query, { filter: doc => doc.source === 'hierarchical' });
+        matchedEntities.push(...mentions.map(mention => mention.document.data));
       }
 
-      // 2. Find entities that are mentioned in the query
-      const lowerQuery = query.toLowerCase();
-      const matchedEntities = allEntities.filter(e => e.name && lowerQuery.includes(e.name.toLowerCase()));
-
       if (matchedEntities.length > 0) {
         contextKnowledge.entities.push(...matchedEntities);
 
@@ -921,9 +910,11 @@ export class DataSourceRouter {
   }
 
   /**
-   * Persist an entity to the file-based context DB.
+   * Persist an entity to the file-based context DB, logging it as a version.
+   * When a transaction is given the write is staged and lands on its commit.
+   * options.source names what caused the write (defaults to entity.source).
    */
-  async persistEntity(entity) {
+  async persistEntity(entity, transaction = null, options = {}) {
     try {
       const domain = entity.domain || 'universal';
       const type = entity.type || 'generic';
@@ -943,7 +934,20 @@ export class DataSourceRouter {
         // File doesn't exist, proceed to write
       }
 
-      await fs.writeFile(filePath, JSON.stringify(entity, null, 2));
+      const domainPath = path.join(this.dataPath, domain);
+      const versionLog = new VersionLog({ domainPath });
+      await versionLog.append(versionLog.keyForFile(filePath), entity, {
+        source: options.source || entity.source
+      }, transaction);
+
+      const indexEntity = () => indexHierarchicalEntity(domainPath, { ...entity, type });
+      if (transaction) {
+        transaction.writeJson(filePath, entity);
+        transaction.onCommit(indexEntity);
+      } else {
+        await writeJsonAtomic(filePath, entity);
+        await indexEntity();
+      }
       console.log(chalk.grey(`     ✓ Cached entity: ${entity.name} (${type})`));
     } catch (error) {
       console.error(chalk.red(`❌ Failed to persist entity ${entity.name}:`), error.message);
@@ -999,10 +1003,17 @@ export class DataSourceRouter {
     locationEntity.relationships.push({ type: 'has_resident', target: personName, target_type: 'person', confidence: 0.95 });
     locationEntity.relationships.push({ type: 'has_project', target: projectName, target_type: 'project', confidence: 0.95 });
 
-    // 3. Persist Entities
-    await this.persistEntity(personEntity);
-    await this.persistEntity(projectEntity);
-    await this.persistEntity(locationEntity);
+    // 3. Persist Entities together, so their relationships never point at a missing file
+    try {
+      const persistOptions = { source: sourceExecution ? `command:${sourceExecution.name}` : undefined };
+      await withTransaction(async (transaction) => {
+        await this.persistEntity(personEntity, transaction, persistOptions);
+        await this.persistEntity(projectEntity, transaction, persistOptions);
+        await this.persistEntity(locationEntity, transaction, persistOptions);
+      }, { journalDir: getJournalDir(this.dataPath), label: `project entities ${projectName}` });
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to persist entities for project ${projectName}:`), error.message);
+    }
   }
 
   // Implementation of core methods for testing
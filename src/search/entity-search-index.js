@@ -0,0 +1,372 @@
+import natural from 'natural';
+
+/**
+ * Entity Search Index
+ *
+ * In-memory inverted index over entity documents with Porter stemming,
+ * typo-tolerant (Damerau-Levenshtein) and prefix matching, and per-field
+ * boosts. Every entity lookup in the system ranks through this class so a
+ * query scores the same in the CLI, the router and the servers.
+ *
+ * A document is { id, name, type, aliases, description, source, data }
+ * where `source` names where the entity came from and `data` is an opaque
+ * payload handed back with each hit.
+ */
+
+export const DEFAULT_FIELD_BOOSTS = {
+    name: 3.0,
+    aliases: 2.5,
+    type: 1.5,
+    description: 0.5
+};
+
+// Weight applied to a term hit depending on how it matched
+const MATCH_WEIGHTS = {
+    exact: 1.0,
+    prefix: 0.7,
+    fuzzy: 0.6
+};
+
+// Single letters and digits are kept: they carry meaning in names ("Unit B", "Building 3")
+const STOPWORDS = new Set(natural.stopwords.filter(word => word.length > 1));
+
+export class EntitySearchIndex {
+    constructor(options = {}) {
+        this.fieldBoosts = { ...DEFAULT_FIELD_BOOSTS, ...(options.fieldBoosts || {}) };
+        this.fields = Object.keys(this.fieldBoosts);
+        this.minFuzzyLength = options.minFuzzyLength || 4;
+
+        this.documents = new Map();          // id -> document
+        this.postings = new Map();           // term -> Map(id -> Map(field -> frequency))
+        this.documentTerms = new Map();      // id -> Set(term), for removal
+        this.nameTerms = new Map();          // id -> Set(term) of the name field only
+        this.surfaceForms = new Map();       // unstemmed token -> { stem, count }
+        this.surfacesByLength = new Map();   // token length -> Set(token), for fuzzy lookup
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Split text into normalized tokens (lowercased, stop words removed)
+     */
+    static tokenize(text) {
+        if (!text) return [];
+        return String(text)
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 0 && !STOPWORDS.has(token));
+    }
+
+    /**
+     * Tokenize and stem text into index terms
+     */
+    static analyze(text) {
+        return EntitySearchIndex.tokenize(text).map(token => natural.PorterStemmer.stem(token));
+    }
+
+    /**
+     * Lowercased, punctuation-free form of a name, for exact-match comparisons
+     */
+    static normalize(text) {
+        return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+    }
+
+    /**
+     * Add or replace a document
+     */
+    add(document) {
+        if (!document || !document.id || !document.name) return;
+
+        if (this.documents.has(document.id)) {
+            this.remove(document.id);
+        }
+
+        const doc = {
+            id: document.id,
+            name: document.name,
+            type: document.type || null,
+            aliases: Array.isArray(document.aliases) ? document.aliases.filter(Boolean) : [],
+            description: document.description || '',
+            source: document.source || null,
+            data: document.data || null
+        };
+        this.documents.set(doc.id, doc);
+
+        const terms = new Set();
+        const tokens = [];
+        for (const field of this.fields) {
+            const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+            for (const token of EntitySearchIndex.tokenize(value)) {
+                const term = natural.PorterStemmer.stem(token);
+                this.addPosting(term, doc.id, field);
+                terms.add(term);
+                tokens.push(token);
+            }
+        }
+
+        for (const token of new Set(tokens)) {
+            this.addSurfaceForm(token);
+        }
+        this.documentTerms.set(doc.id, { terms, tokens: new Set(tokens) });
+        this.nameTerms.set(doc.id, new Set(EntitySearchIndex.analyze(doc.name)));
+    }
+
+    addMany(documents) {
+        for (const document of documents) {
+            this.add(document);
+        }
+    }
+
+    addPosting(term, id, field) {
+        if (!this.postings.has(term)) {
+            this.postings.set(term, new Map());
+        }
+
+        const docPostings = this.postings.get(term);
+        if (!docPostings.has(id)) {
+            docPostings.set(id, new Map());
+        }
+        const fieldCounts = docPostings.get(id);
+        fieldCounts.set(field, (fieldCounts.get(field) || 0) + 1);
+    }
+
+    addSurfaceForm(token) {
+        const form = this.surfaceForms.get(token);
+        if (form) {
+            form.count++;
+            return;
+        }
+
+        this.surfaceForms.set(token, { stem: natural.PorterStemmer.stem(token), count: 1 });
+        if (!this.surfacesByLength.has(token.length)) {
+            this.surfacesByLength.set(token.length, new Set());
+        }
+        this.surfacesByLength.get(token.length).add(token);
+    }
+
+    removeSurfaceForm(token) {
+        const form = this.surfaceForms.get(token);
+        if (!form) return;
+
+        if (--form.count === 0) {
+            this.surfaceForms.delete(token);
+            this.surfacesByLength.get(token.length)?.delete(token);
+        }
+    }
+
+    /**
+     * Remove a document. Returns the removed document, if any.
+     */
+    remove(id) {
+        const doc = this.documents.get(id);
+        if (!doc) return null;
+
+        const { terms, tokens } = this.documentTerms.get(id);
+        for (const term of terms) {
+            const docPostings = this.postings.get(term);
+            if (!docPostings) continue;
+
+            docPostings.delete(id);
+            if (docPostings.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        for (const token of tokens) {
+            this.removeSurfaceForm(token);
+        }
+
+        this.documents.delete(id);
+        this.documentTerms.delete(id);
+        this.nameTerms.delete(id);
+        return doc;
+    }
+
+    get(id) {
+        return this.documents.get(id) || null;
+    }
+
+    /**
+     * Fold a merged entity into the surviving one: the secondary document is
+     * removed and its name and aliases become aliases of the primary.
+     */
+    merge(primaryId, secondaryId) {
+        const primary = this.documents.get(primaryId);
+        const secondary = this.documents.get(secondaryId);
+        if (!primary || !secondary) return false;
+
+        this.remove(secondaryId);
+
+        const aliases = new Set([...primary.aliases, secondary.name, ...secondary.aliases]);
+        aliases.delete(primary.name);
+        this.add({ ...primary, aliases: Array.from(aliases) });
+        return true;
+    }
+
+    /**
+     * Terms in the index that a query token can match, with their match weight.
+     * Exact and prefix matching compare stems; typo tolerance compares the
+     * unstemmed tokens, since a misspelling rarely stems like the real word.
+     */
+    expandToken(token, options = {}) {
+        const term = natural.PorterStemmer.stem(token);
+        const expansions = new Map();
+
+        if (this.postings.has(term)) {
+            expansions.set(term, MATCH_WEIGHTS.exact);
+        }
+
+        if (options.prefix !== false && term.length >= 3) {
+            for (const candidate of this.postings.keys()) {
+                if (candidate !== term && candidate.startsWith(term)) {
+                    expansions.set(candidate, MATCH_WEIGHTS.prefix);
+                }
+            }
+        }
+
+        if (options.fuzzy !== false && token.length >= this.minFuzzyLength) {
+            const maxDistance = token.length >= 8 ? 2 : 1;
+            for (let length = token.length - maxDistance; length <= token.length + maxDistance; length++) {
+                for (const candidate of this.surfacesByLength.get(length) || []) {
+                    const { stem } = this.surfaceForms.get(candidate);
+                    if (expansions.has(stem)) continue;
+
+                    const distance = natural.DamerauLevenshteinDistance(token, candidate);
+                    if (distance > 0 && distance <= maxDistance) {
+                        expansions.set(stem, MATCH_WEIGHTS.fuzzy * (1 - (distance - 1) * 0.25));
+                    }
+                }
+            }
+        }
+
+        return expansions;
+    }
+
+    idf(term) {
+        const docFrequency = this.postings.get(term)?.size || 0;
+        return Math.log(1 + (this.documents.size - docFrequency + 0.5) / (docFrequency + 0.5));
+    }
+
+    /**
+     * Ranked search.
+     *
+     * options: limit, types (array of allowed document types), filter(doc),
+     *          minScore, fuzzy (default true), prefix (default true)
+     */
+    search(query, options = {}) {
+        const limit = options.limit || 50;
+        const queryTerms = [...new Set(EntitySearchIndex.tokenize(query))];
+        if (queryTerms.length === 0) return [];
+
+        const scores = new Map();     // id -> { score, matchedTerms: Map(query token -> score), matches: [] }
+
+        for (const queryTerm of queryTerms) {
+            const expansions = this.expandToken(queryTerm, options);
+
+            for (const [term, weight] of expansions) {
+                const idf = this.idf(term);
+                for (const [id, fieldCounts] of this.postings.get(term)) {
+                    let termScore = 0;
+                    for (const [field, frequency] of fieldCounts) {
+                        termScore += this.fieldBoosts[field] * (1 + Math.log(frequency));
+                    }
+                    termScore *= idf * weight;
+
+                    if (!scores.has(id)) {
+                        scores.set(id, { score: 0, matchedTerms: new Map(), matches: [] });
+                    }
+                    const entry = scores.get(id);
+
+                    // Only the best expansion of each query term counts toward the score
+                    const previous = entry.matchedTerms.get(queryTerm) || 0;
+                    if (termScore > previous) {
+                        entry.score += termScore - previous;
+                        entry.matchedTerms.set(queryTerm, termScore);
+                        entry.matches.push({ queryTerm, term, fields: Array.from(fieldCounts.keys()) });
+                    }
+                }
+            }
+        }
+
+        const normalizedQuery = EntitySearchIndex.normalize(query);
+        const results = [];
+
+        for (const [id, entry] of scores) {
+            const doc = this.documents.get(id);
+            if (options.types && !options.types.includes(doc.type)) continue;
+            if (options.filter && !options.filter(doc)) continue;
+
+            // Reward documents that match more of the query
+            const coverage = entry.matchedTerms.size / queryTerms.length;
+            let score = entry.score * coverage;
+
+            const normalizedName = EntitySearchIndex.normalize(doc.name);
+            if (normalizedName === normalizedQuery) {
+                score *= 2;
+            } else if (doc.aliases.some(alias => EntitySearchIndex.normalize(alias) === normalizedQuery)) {
+                score *= 1.75;
+            } else if (normalizedName.startsWith(normalizedQuery)) {
+                score *= 1.25;
+            }
+
+            if (options.minScore && score < options.minScore) continue;
+
+            results.push({
+                id,
+                score: Math.round(score * 1000) / 1000,
+                coverage,
+                matchType: normalizedName === normalizedQuery ? 'exact' : coverage === 1 ? 'full' : 'partial',
+                matches: entry.matches,
+                document: doc
+            });
+        }
+
+        results.sort((a, b) => b.score - a.score || a.document.name.localeCompare(b.document.name));
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Find documents whose whole name is mentioned in a piece of text
+     * (e.g. which known entities does a query talk about). Uses the same
+     * analysis and typo tolerance as search(), but requires every name
+     * term to be present.
+     */
+    findMentions(text, options = {}) {
+        const textTokens = [...new Set(EntitySearchIndex.tokenize(text))];
+        const covered = new Map();   // id -> Set(name term)
+
+        for (const textToken of textTokens) {
+            const expansions = this.expandToken(textToken, { ...options, prefix: false });
+            for (const term of expansions.keys()) {
+                for (const [id, fieldCounts] of this.postings.get(term)) {
+                    if (!fieldCounts.has('name') && !fieldCounts.has('aliases')) continue;
+                    if (!covered.has(id)) covered.set(id, new Set());
+                    covered.get(id).add(term);
+                }
+            }
+        }
+
+        const mentions = [];
+        for (const [id, terms] of covered) {
+            const doc = this.documents.get(id);
+            if (options.types && !options.types.includes(doc.type)) continue;
+            if (options.filter && !options.filter(doc)) continue;
+
+            const nameTerms = this.nameTerms.get(id);
+            const nameCovered = nameTerms.size > 0 && [...nameTerms].every(term => terms.has(term));
+            const aliasCovered = doc.aliases.some(alias => {
+                const aliasTerms = EntitySearchIndex.analyze(alias);
+                return aliasTerms.length > 0 && aliasTerms.every(term => terms.has(term));
+            });
+
+            if (nameCovered || aliasCovered) {
+                mentions.push({ id, document: doc, matchedVia: nameCovered ? 'name' : 'alias' });
+            }
+        }
+
+        return mentions;
+    }
+}
+
+export default EntitySearchIndex;
@@ -0,0 +1,224 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { EntitySearchIndex } from './entity-search-index.js';
+import { createStorageAdapter, DEFAULT_STORAGE_ADAPTER } from '../storage/adapter-registry.js';
+
+/**
+ * Search Index Registry
+ *
+ * One EntitySearchIndex per domain directory, built lazily on first use and
+ * then kept current by the writers (DiffMem stores, router persists, merges).
+ * A domain directory can hold both layouts used in this repo:
+ *
+ *   entities/<uuid>.json           extraction records ({ entities: { category: [...] } })
+ *   entities/<type>/<slug>.json    hierarchical entities ({ name, type, relationships })
+ *
+ * Record entities are indexed under the same deterministic ids the
+ * visualization servers use, hierarchical ones as `<type>/<slug>`.
+ */
+
+const indexes = new Map();   // resolved domain path -> Promise<EntitySearchIndex>
+
+/**
+ * Deterministic id for an entity inside an extraction record
+ */
+export function generateEntityId(name, category, conversationId) {
+    const input = `${name}_${category}_${conversationId}`;
+    let hash = 0;
+    for (let i = 0; i < input.length; i++) {
+        const char = input.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash; // Convert to 32-bit integer
+    }
+    return `entity_${Math.abs(hash).toString(16)}`;
+}
+
+/**
+ * Flatten extraction records into one entity list, skipping unnamed entities
+ */
+export function flattenEntityRecords(records) {
+    const flatEntities = [];
+
+    for (const record of records) {
+        for (const [category, entities] of Object.entries(record.entities || {})) {
+            if (!Array.isArray(entities)) continue;
+
+            for (const entity of entities) {
+                if (!entity.name || entity.name.trim() === '' || entity.name === 'unnamed') {
+                    continue;
+                }
+
+                flatEntities.push({
+                    ...entity,
+                    id: entity.id || generateEntityId(entity.name, category, record.conversationId),
+                    category: category.toLowerCase(),
+                    conversationId: record.conversationId,
+                    recordId: record.id,
+                    timestamp: record.timestamp,
+                    metadata: record.metadata,
+                    name: entity.name.trim()
+                });
+            }
+        }
+    }
+
+    return flatEntities;
+}
+
+export function slugifyEntityName(name) {
+    return name.replace(/[^a-z0-9\s-]/gi, '').replace(/\s+/g, '-').toLowerCase();
+}
+
+/**
+ * Search document for an entity from a flattened extraction record
+ */
+export function flatEntityToDocument(entity) {
+    return {
+        id: entity.id,
+        name: entity.name,
+        type: entity.category,
+        aliases: entity.aliases,
+        description: entity.description,
+        source: 'record',
+        data: entity
+    };
+}
+
+/**
+ * Search document for a hierarchical entity file
+ */
+export function hierarchicalEntityToDocument(entity) {
+    return {
+        id: `${entity.type}/${slugifyEntityName(entity.name)}`,
+        name: entity.name,
+        type: entity.type,
+        aliases: entity.aliases,
+        description: entity.description || entity.metadata?.description,
+        source: 'hierarchical',
+        data: entity
+    };
+}
+
+/**
+ * Open the storage adapter a domain directory is configured for
+ */
+export async function openDomainStorage(domainPath) {
+    const metadata = await fs.readJson(path.join(domainPath, 'metadata', 'domain-info.json')).catch(() => ({}));
+    const storage = createStorageAdapter(metadata.storageAdapter || DEFAULT_STORAGE_ADAPTER, { domainPath });
+    await storage.initialize();
+    return storage;
+}
+
+/**
+ * Read every entities/<type>/<slug>.json file of a domain directory
+ */
+export async function loadHierarchicalEntities(domainPath) {
+    const entitiesDir = path.join(domainPath, 'entities');
+    if (!(await fs.pathExists(entitiesDir))) return [];
+
+    const entities = [];
+    const items = await fs.readdir(entitiesDir, { withFileTypes: true });
+
+    for (const item of items) {
+        if (!item.isDirectory()) continue;
+
+        const typeDir = path.join(entitiesDir, item.name);
+        for (const file of await fs.readdir(typeDir)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const entity = await fs.readJson(path.join(typeDir, file));
+                if (entity.name) {
+                    entities.push({ ...entity, type: entity.type || item.name });
+                }
+            } catch (error) {
+                console.warn(chalk.yellow(`⚠️  Could not index entity file: ${item.name}/${file}`));
+            }
+        }
+    }
+
+    return entities;
+}
+
+async function buildDomainIndex(domainPath, options) {
+    const index = new EntitySearchIndex(options.indexOptions);
+    if (!(await fs.pathExists(domainPath))) return index;
+
+    // Reuse the caller's open adapter when given; otherwise open (and close) our own
+    const storage = options.storage || await openDomainStorage(domainPath);
+    try {
+        const records = await storage.list();
+        index.addMany(flattenEntityRecords(records).map(flatEntityToDocument));
+    } finally {
+        if (!options.storage) await storage.close();
+    }
+
+    const hierarchical = await loadHierarchicalEntities(domainPath);
+    index.addMany(hierarchical.map(hierarchicalEntityToDocument));
+
+    return index;
+}
+
+/**
+ * Get the search index kept for a directory, building it with
+ * build(resolvedPath) on first use
+ */
+export function getSearchIndex(dirPath, build) {
+    const key = path.resolve(dirPath);
+
+    if (!indexes.has(key)) {
+        const building = build(key).catch(error => {
+            indexes.delete(key);
+            throw error;
+        });
+        indexes.set(key, building);
+    }
+
+    return indexes.get(key);
+}
+
+/**
+ * Get the search index for a domain directory, building it on first use
+ *
+ * options: storage (an open StorageAdapter for the domain), indexOptions
+ */
+export function getDomainSearchIndex(domainPath, options = {}) {
+    return getSearchIndex(domainPath, key => buildDomainIndex(key, options));
+}
+
+/**
+ * Apply a change to a domain's index if it has been built (or is being
+ * built). Unbuilt indexes pick the change up when they are first loaded.
+ */
+export async function updateDomainSearchIndex(domainPath, update) {
+    const building = indexes.get(path.resolve(domainPath));
+    if (!building) return;
+
+    try {
+        update(await building);
+    } catch (error) {
+        console.warn(chalk.yellow(`⚠️  Could not update search index: ${error.message}`));
+    }
+}
+
+/**
+ * Index every entity of a freshly stored extraction record
+ */
+export function indexEntityRecord(domainPath, record) {
+    return updateDomainSearchIndex(domainPath, index => {
+        index.addMany(flattenEntityRecords([record]).map(flatEntityToDocument));
+    });
+}
+
+export function indexHierarchicalEntity(domainPath, entity) {
+    return updateDomainSearchIndex(domainPath, index => {
+        index.add(hierarchicalEntityToDocument(entity));
+    });
+}
+
+/**
+ * Drop a domain's index so the next lookup rebuilds it from storage
+ */
+export function invalidateSearchIndex(domainPath) {
+    indexes.delete(path.resolve(domainPath));
+}
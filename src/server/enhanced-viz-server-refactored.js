@@ -8,9 +8,16 @@ import fs from 'fs-extra';
 import chalk from 'chalk';
 import { fileURLToPath } from 'url';
 import { MultiDomainDiffMem } from '../diffmem/multi-domain-diffmem.js';
+import { resolveEmbeddingProvider } from '../embeddings/embedding-provider-registry.js';
+import { getDomainHybridRanker } from '../embeddings/vector-index-registry.js';
+import { buildDomainGraph } from '../graph/graph-loader.js';
+import { getDomainGraphAnalytics, getCrossDomainGraphAnalytics } from '../graph/graph-analytics-registry.js';
+import { invalidateSearchIndex } from '../search/search-index-registry.js';
 import { APIHandlers } from './modules/api-handlers.js';
 import { DocumentHandlers } from './modules/document-handlers.js';
 import { MergeHandlers } from './modules/merge-handlers.js';
+import { IngestService } from '../pipeline/ingest-service.js';
+import { getJobsOverview, isValidQueueName, JOB_STATES } from '../pipeline/job-queue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,6 +40,8 @@ class EnhancedVizServer {
         this.diffMem = null;
         this.mergedPairs = new Set();
         this.mergedPairsFile = path.join(process.cwd(), 'data/merged-pairs.json');
+        this.mergedSearchIndexes = new WeakSet(); // Search indexes that already reflect mergedPairs
+        this.embeddingProvider = resolveEmbeddingProvider(); // Semantic search when EMBEDDING_PROVIDER is set
         
         this.diffMem = new MultiDomainDiffMem({ domain: 'cybersec' });
         this.webDir = path.join(__dirname, '../../web');
@@ -76,8 +85,11 @@ class EnhancedVizServer {
         this.app.get('/api/entities/search/:term', this.apiHandlers.searchEntityWithContext.bind(this.apiHandlers));
         this.app.get('/api/entities/similar/:entityId', this.apiHandlers.findSimilarEntities.bind(this.apiHandlers));
         this.app.get('/api/entities/context/:entityId', this.apiHandlers.getEntityContext.bind(this.apiHandlers));
+        this.app.get('/api/entities/:id/timeline', this.apiHandlers.getEntityTimeline.bind(this.apiHandlers));
         this.app.get('/api/entities/:id', this.apiHandlers.getEntityById.bind(this.apiHandlers));
         this.app.get('/api/export/entities', this.apiHandlers.exportEntities.bind(this.apiHandlers));
+        this.app.post('/api/graph/query', this.apiHandlers.queryGraph.bind(this.apiHandlers));
+        this.app.get('/api/graph/analytics', this.apiHandlers.getGraphAnalytics.bind(this.apiHandlers));
         
         // Document routes
         this.app.get('/api/documents', this.documentHandlers.getDocuments.bind(this.documentHandlers));
@@ -85,6 +97,30 @@ class EnhancedVizServer {
         this.app.get('/api/documents/:id/entities', this.documentHandlers.getDocumentEntities.bind(this.documentHandlers));
         this.app.get('/api/schemas', this.documentHandlers.getSchemas.bind(this.documentHandlers));
         this.app.get('/api/schemas/:domain', this.documentHandlers.getSchemaByDomain.bind(this.documentHandlers));
+        this.app.get('/api/annotations/:documentId', this.documentHandlers.getAnnotations.bind(this.documentHandlers));
+        this.app.post('/api/annotations/:documentId', this.documentHandlers.saveAnnotation.bind(this.documentHandlers));
+        
+        // Watched-folder ingest status
+        this.app.get('/api/ingest/status', (req, res) => {
+            res.json(this.ingestService ? { enabled: true, ...this.ingestService.getStatus() } : { enabled: false });
+        });
+
+        // Durable batch job queues (data/jobs); ?queue=, ?status= and ?limit= narrow it
+        this.app.get('/api/jobs', async (req, res) => {
+            try {
+                const { queue, status } = req.query;
+                if (queue && !isValidQueueName(queue)) {
+                    return res.status(400).json({ error: `Invalid queue name: ${queue}` });
+                }
+                if (status && !JOB_STATES.includes(status)) {
+                    return res.status(400).json({ error: `status must be one of: ${JOB_STATES.join(', ')}` });
+                }
+                const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+                res.json({ queues: await getJobsOverview(undefined, { queue, status, limit }) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
         
         // Domain endpoints
         this.app.get('/api/domains', this.getDomains.bind(this));
@@ -104,6 +140,7 @@ class EnhancedVizServer {
         // Reset merged pairs (for testing)
         this.app.post('/api/merging/reset', (req, res) => {
             this.mergedPairs.clear();
+            invalidateSearchIndex(this.diffMem.getDomainPath());
             res.json({ 
                 success: true, 
                 message: 'Merged pairs reset',
@@ -427,6 +464,114 @@ class EnhancedVizServer {
         }
     }
 
+    /**
+     * Current domain's search index, with persisted merges folded in
+     */
+    async getSearchIndex() {
+        const index = await this.diffMem.getSearchIndex();
+        
+        if (!this.mergedSearchIndexes.has(index)) {
+            for (const pairId of this.mergedPairs) {
+                const [primaryId, secondaryId] = pairId.split('|');
+                index.merge(primaryId, secondaryId);
+            }
+            this.mergedSearchIndexes.add(index);
+        }
+        
+        return index;
+    }
+
+    /**
+     * Keyword + semantic ranker over the current domain's search index
+     */
+    async getHybridRanker() {
+        return getDomainHybridRanker(this.diffMem.getDomainPath(), {
+            searchIndex: await this.getSearchIndex(),
+            provider: this.embeddingProvider
+        });
+    }
+
+    /**
+     * Relationship graph of the current domain, with persisted merges folded in
+     */
+    async getRelationshipGraph() {
+        return buildDomainGraph(this.diffMem.getDomainPath(), {
+            storage: await this.diffMem.getStorage(),
+            mergedPairs: Array.from(this.mergedPairs, pairId => pairId.split('|'))
+        });
+    }
+
+    /**
+     * Centrality, communities and bridges of the current domain's graph, or
+     * of every domain joined into one graph (scope 'all')
+     *
+     * options: scope, coOccurrence, refresh, top
+     */
+    async computeGraphAnalytics(options = {}) {
+        const mergedPairs = Array.from(this.mergedPairs, pairId => pairId.split('|'));
+        const settings = {
+            coOccurrence: options.coOccurrence,
+            refresh: options.refresh,
+            analyticsOptions: { top: options.top }
+        };
+
+        if (options.scope === 'all') {
+            const domains = [];
+            for (const { name } of await this.diffMem.listDomains()) {
+                domains.push({ name, path: this.diffMem.getDomainPath(name), storage: await this.diffMem.getStorage(name) });
+            }
+            const result = await getCrossDomainGraphAnalytics(domains, {
+                ...settings,
+                mergedPairs: { [this.currentDomain]: mergedPairs }
+            });
+            return { ...result, domains: domains.map(domain => domain.name) };
+        }
+
+        const result = await getDomainGraphAnalytics(this.diffMem.getDomainPath(), {
+            ...settings,
+            storage: await this.diffMem.getStorage(),
+            mergedPairs
+        });
+        return { ...result, domains: [this.currentDomain] };
+    }
+
+    /**
+     * Point the stored relationships naming the merged-away entity at the
+     * surviving one. Call before the pair is recorded as merged, while the
+     * search index still holds both mentions.
+     */
+    async rewriteMergedRelationships(primaryId, secondaryId) {
+        const index = await this.getSearchIndex();
+        const [primary, secondary] = [primaryId, secondaryId].map(id => index.get(id)?.data);
+        if (!primary?.recordId || !secondary?.recordId) return 0;
+
+        const storage = await this.diffMem.getStorage();
+        return storage.rewriteMentionRelationships(
+            { recordId: secondary.recordId, name: secondary.name },
+            { recordId: primary.recordId, name: primary.name },
+            { source: `merge:${primaryId}|${secondaryId}` }
+        );
+    }
+
+    async mergeInSearchIndex(pairId) {
+        const index = await this.getSearchIndex();
+        const [primaryId, secondaryId] = pairId.split('|');
+        index.merge(primaryId, secondaryId);
+    }
+
+    /**
+     * Ids of the entities merged with an entity
+     */
+    getMergedEntityIds(entityId) {
+        const ids = [];
+        for (const pairId of this.mergedPairs) {
+            const [primaryId, secondaryId] = pairId.split('|');
+            if (primaryId === entityId) ids.push(secondaryId);
+            if (secondaryId === entityId) ids.push(primaryId);
+        }
+        return ids;
+    }
+
     applyMergeConsolidation(entities) {
         const consolidated = [];
         const processedIds = new Set();
@@ -600,6 +745,31 @@ class EnhancedVizServer {
             console.log(chalk.green(`Features: Real-time updates, Visual analytics, Document navigation`));
             console.log(chalk.yellow('Press Ctrl+C to stop the server\n'));
         });
+        this.startIngest();
+    }
+
+    /**
+     * Run the watched-folder ingest service in this process when
+     * INGEST_ENABLED=true or --ingest is given, relaying its progress to
+     * clients as 'ingest-progress' and new records as 'data-updated'
+     */
+    async startIngest() {
+        if (process.env.INGEST_ENABLED !== 'true' && !process.argv.includes('--ingest')) return;
+
+        this.ingestService = new IngestService();
+        this.ingestService.on('progress', (event) => {
+            this.io.emit('ingest-progress', event);
+            if (event.type === 'completed') {
+                invalidateSearchIndex(this.diffMem.getDomainPath(event.domain));
+                this.io.emit('data-updated', { source: 'ingest', domain: event.domain, file: event.file });
+            }
+        });
+
+        try {
+            await this.ingestService.start();
+        } catch (error) {
+            console.error(chalk.red('❌ Failed to start ingest service:'), error.message);
+        }
     }
 }
 
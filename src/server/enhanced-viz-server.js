@@ -8,6 +8,19 @@ import fs from 'fs-extra';
 import chalk from 'chalk';
 import { fileURLToPath } from 'url';
 import { MultiDomainDiffMem } from '../diffmem/multi-domain-diffmem.js';
+import { resolveEmbeddingProvider } from '../embeddings/embedding-provider-registry.js';
+import { getDomainHybridRanker } from '../embeddings/vector-index-registry.js';
+import { buildDomainGraph } from '../graph/graph-loader.js';
+import { getDomainGraphAnalytics, getCrossDomainGraphAnalytics } from '../graph/graph-analytics-registry.js';
+import { parseGraphQuery, executeGraphQuery } from '../graph/graph-query.js';
+import { flattenEntityRecords, invalidateSearchIndex } from '../search/search-index-registry.js';
+import { buildEntityTimeline, loadRecordHistories, TIMELINE_INTERVALS } from '../temporal/entity-timeline.js';
+import { AnnotationStore, loadDocumentText, documentExtraction } from '../../evaluation/annotation-store.js';
+import { collectEntityMentions, entityProvenance } from '../provenance/span-provenance.js';
+import { IngestService } from '../pipeline/ingest-service.js';
+import { getJobsOverview, isValidQueueName, JOB_STATES } from '../pipeline/job-queue.js';
+
+const GRAPH_ANALYTICS_SCOPES = ['domain', 'all'];
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,6 +44,9 @@ class EnhancedVizServer {
         this.diffMem = null;
         this.mergedPairs = new Set(); // Track merged entity pairs
         this.mergedPairsFile = path.join(process.cwd(), 'data/merged-pairs.json');
+        this.mergedSearchIndexes = new WeakSet(); // Search indexes that already reflect mergedPairs
+        this.embeddingProvider = resolveEmbeddingProvider(); // Semantic search when EMBEDDING_PROVIDER is set
+        this.annotationStore = new AnnotationStore(); // Reviewer labels in data/ground-truth
         
         this.diffMem = new MultiDomainDiffMem({ domain: 'cybersec' }); // Default to cybersec domain
         this.webDir = path.join(__dirname, '../../web');
@@ -74,6 +90,14 @@ class EnhancedVizServer {
         this.app.get('/api/documents/:id/entities', this.getDocumentEntities.bind(this));
         this.app.get('/api/schemas', this.getSchemas.bind(this));
         this.app.get('/api/schemas/:domain', this.getSchemaByDomain.bind(this));
+        this.app.get('/api/annotations/:documentId', this.getAnnotations.bind(this));
+        this.app.post('/api/annotations/:documentId', this.saveAnnotation.bind(this));
+        
+        // Watched-folder ingest status
+        this.app.get('/api/ingest/status', this.getIngestStatus.bind(this));
+
+        // Durable batch job queues (data/jobs)
+        this.app.get('/api/jobs', this.getJobs.bind(this));
         this.app.get('/api/export/entities', this.exportEntities.bind(this));
         
         // Domain endpoints
@@ -91,6 +115,11 @@ class EnhancedVizServer {
         // Entity context and search endpoints
         this.app.get('/api/entities/search/:term', this.searchEntityWithContext.bind(this));
         this.app.get('/api/entities/context/:entityId', this.getEntityContext.bind(this));
+        this.app.get('/api/entities/:id/timeline', this.getEntityTimeline.bind(this));
+        
+        // Graph query endpoint
+        this.app.post('/api/graph/query', this.queryGraph.bind(this));
+        this.app.get('/api/graph/analytics', this.getGraphAnalytics.bind(this));
         this.app.post('/api/entities/split', this.splitEntity.bind(this));
         this.app.get('/api/entities/similar/:entityId', this.findSimilarEntities.bind(this));
         
@@ -104,6 +133,7 @@ class EnhancedVizServer {
         // Reset merged pairs (for testing)
         this.app.post('/api/merging/reset', (req, res) => {
             this.mergedPairs.clear();
+            invalidateSearchIndex(this.diffMem.getDomainPath());
             res.json({ 
                 success: true, 
                 message: 'Merged pairs reset',
@@ -234,16 +264,12 @@ class EnhancedVizServer {
                 return res.status(400).json({ error: 'Query parameter required' });
             }
             
-            const allEntities = await this.getAllEntitiesFlat();
-            const searchResults = allEntities.filter(entity => {
-                const matchesQuery = entity.name?.toLowerCase().includes(query.toLowerCase()) ||
-                                   entity.description?.toLowerCase().includes(query.toLowerCase());
-                const matchesCategory = !category || entity.category === category;
-                return matchesQuery && matchesCategory;
-            });
-            
-            // Sort by relevance (confidence score)
-            searchResults.sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+            const index = await this.getSearchIndex();
+            const searchResults = index.search(query, {
+                types: category ? [category] : undefined,
+                filter: doc => doc.source === 'record',
+                limit: index.size
+            }).map(hit => ({ ...hit.document.data, searchScore: hit.score }));
             
             res.json({
                 query,
@@ -273,16 +299,25 @@ class EnhancedVizServer {
         }
     }
 
+    /**
+     * An entity with related entities and every mention supporting it
+     * (offsets, evidence and the extraction that found it, per document)
+     */
     async getEntityById(req, res) {
         try {
             const entityId = req.params.id;
-            const allEntities = await this.getAllEntitiesFlat();
+            const records = await this.diffMem.getAllEntities();
+            const allEntities = flattenEntityRecords(records);
             const entity = allEntities.find(e => e.id === entityId);
             
             if (!entity) {
                 return res.status(404).json({ error: 'Entity not found' });
             }
             
+            const mentions = collectEntityMentions(entityId, records, {
+                mergedIds: this.getMergedEntityIds(entityId)
+            });
+            
             // Get related entities (same category or similar names)
             const relatedEntities = allEntities.filter(e => 
                 e.id !== entityId && 
@@ -292,7 +327,8 @@ class EnhancedVizServer {
             
             res.json({
                 entity,
-                related: relatedEntities
+                related: relatedEntities,
+                mentions
             });
         } catch (error) {
             res.status(500).json({ error: error.message });
@@ -558,49 +594,115 @@ class EnhancedVizServer {
 
     async getAllEntitiesFlat() {
         const entitySets = await this.diffMem.getAllEntities();
-        const flatEntities = [];
+        return flattenEntityRecords(entitySets);
+    }
+
+    /**
+     * Current domain's search index, with persisted merges folded in
+     */
+    async getSearchIndex() {
+        const index = await this.diffMem.getSearchIndex();
         
-        entitySets.forEach(entitySet => {
-            if (entitySet.entities) {
-                Object.entries(entitySet.entities).forEach(([category, entities]) => {
-                    entities.forEach(entity => {
-                        // Skip entities without names or with empty names
-                        if (!entity.name || entity.name.trim() === '' || entity.name === 'unnamed') {
-                            return;
-                        }
-                        
-                        // Generate ID if missing
-                        const entityId = entity.id || this.generateEntityId(entity.name, category, entitySet.conversationId);
-                        
-                        flatEntities.push({
-                            ...entity,
-                            id: entityId,
-                            category: category.toLowerCase(),
-                            conversationId: entitySet.conversationId,
-                            timestamp: entitySet.timestamp,
-                            metadata: entitySet.metadata,
-                            // Ensure we have a proper name
-                            name: entity.name.trim()
-                        });
-                    });
-                });
+        if (!this.mergedSearchIndexes.has(index)) {
+            for (const mergeKey of this.mergedPairs) {
+                const [primaryId, secondaryId] = mergeKey.split('|');
+                index.merge(primaryId, secondaryId);
             }
-        });
+            this.mergedSearchIndexes.add(index);
+        }
         
-        return flatEntities;
+        return index;
     }
 
-    generateEntityId(name, category, conversationId) {
-        // Create a deterministic ID based on name, category, and document
-        const input = `${name}_${category}_${conversationId}`;
-        // Simple hash function for ID generation
-        let hash = 0;
-        for (let i = 0; i < input.length; i++) {
-            const char = input.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+    /**
+     * Keyword + semantic ranker over the current domain's search index
+     */
+    async getHybridRanker() {
+        return getDomainHybridRanker(this.diffMem.getDomainPath(), {
+            searchIndex: await this.getSearchIndex(),
+            provider: this.embeddingProvider
+        });
+    }
+
+    /**
+     * Relationship graph of the current domain, with persisted merges folded in
+     */
+    async getRelationshipGraph() {
+        return buildDomainGraph(this.diffMem.getDomainPath(), {
+            storage: await this.diffMem.getStorage(),
+            mergedPairs: Array.from(this.mergedPairs, pairId => pairId.split('|'))
+        });
+    }
+
+    /**
+     * Centrality, communities and bridges of the current domain's graph, or
+     * of every domain joined into one graph (scope 'all')
+     *
+     * options: scope, coOccurrence, refresh, top
+     */
+    async computeGraphAnalytics(options = {}) {
+        const mergedPairs = Array.from(this.mergedPairs, pairId => pairId.split('|'));
+        const settings = {
+            coOccurrence: options.coOccurrence,
+            refresh: options.refresh,
+            analyticsOptions: { top: options.top }
+        };
+
+        if (options.scope === 'all') {
+            const domains = [];
+            for (const { name } of await this.diffMem.listDomains()) {
+                domains.push({ name, path: this.diffMem.getDomainPath(name), storage: await this.diffMem.getStorage(name) });
+            }
+            const result = await getCrossDomainGraphAnalytics(domains, {
+                ...settings,
+                mergedPairs: { [this.currentDomain]: mergedPairs }
+            });
+            return { ...result, domains: domains.map(domain => domain.name) };
+        }
+
+        const result = await getDomainGraphAnalytics(this.diffMem.getDomainPath(), {
+            ...settings,
+            storage: await this.diffMem.getStorage(),
+            mergedPairs
+        });
+        return { ...result, domains: [this.currentDomain] };
+    }
+
+    /**
+     * Point the stored relationships naming the merged-away entity at the
+     * surviving one. Call before the pair is recorded as merged, while the
+     * search index still holds both mentions.
+     */
+    async rewriteMergedRelationships(primaryId, secondaryId) {
+        const index = await this.getSearchIndex();
+        const [primary, secondary] = [primaryId, secondaryId].map(id => index.get(id)?.data);
+        if (!primary?.recordId || !secondary?.recordId) return 0;
+
+        const storage = await this.diffMem.getStorage();
+        return storage.rewriteMentionRelationships(
+            { recordId: secondary.recordId, name: secondary.name },
+            { recordId: primary.recordId, name: primary.name },
+            { source: `merge:${primaryId}|${secondaryId}` }
+        );
+    }
+
+    async mergeInSearchIndex(mergeKey) {
+        const index = await this.getSearchIndex();
+        const [primaryId, secondaryId] = mergeKey.split('|');
+        index.merge(primaryId, secondaryId);
+    }
+
+    /**
+     * Ids of the entities merged with an entity
+     */
+    getMergedEntityIds(entityId) {
+        const ids = [];
+        for (const mergeKey of this.mergedPairs) {
+            const [primaryId, secondaryId] = mergeKey.split('|');
+            if (primaryId === entityId) ids.push(secondaryId);
+            if (secondaryId === entityId) ids.push(primaryId);
         }
-        return `entity_${Math.abs(hash).toString(16)}`;
+        return ids;
     }
 
     flattenEntitiesFromSet(entitiesObj) {
@@ -717,6 +819,57 @@ class EnhancedVizServer {
             console.log(chalk.gray('Features: Real-time updates, Visual analytics, Document navigation'));
             console.log(chalk.gray('Press Ctrl+C to stop the server\n'));
         });
+        this.startIngest();
+    }
+
+    /**
+     * Run the watched-folder ingest service in this process when
+     * INGEST_ENABLED=true or --ingest is given, relaying its progress to
+     * clients as 'ingest-progress' and new records as 'data-updated'
+     */
+    async startIngest() {
+        if (process.env.INGEST_ENABLED !== 'true' && !process.argv.includes('--ingest')) return;
+
+        this.ingestService = new IngestService();
+        this.ingestService.on('progress', (event) => {
+            this.broadcastUpdate('ingest-progress', event);
+            if (event.type === 'completed') {
+                invalidateSearchIndex(this.diffMem.getDomainPath(event.domain));
+                this.broadcastUpdate('data-updated', { source: 'ingest', domain: event.domain, file: event.file });
+            }
+        });
+
+        try {
+            await this.ingestService.start();
+        } catch (error) {
+            console.error(chalk.red('❌ Failed to start ingest service:'), error.message);
+        }
+    }
+
+    async getIngestStatus(req, res) {
+        if (!this.ingestService) {
+            return res.json({ enabled: false });
+        }
+        res.json({ enabled: true, ...this.ingestService.getStatus() });
+    }
+
+    /**
+     * Queue states and recent jobs; ?queue=, ?status= and ?limit= narrow it
+     */
+    async getJobs(req, res) {
+        try {
+            const { queue, status } = req.query;
+            if (queue && !isValidQueueName(queue)) {
+                return res.status(400).json({ error: `Invalid queue name: ${queue}` });
+            }
+            if (status && !JOB_STATES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${JOB_STATES.join(', ')}` });
+            }
+            const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+            res.json({ queues: await getJobsOverview(undefined, { queue, status, limit }) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
     }
 
     async getDocuments(req, res) {
@@ -871,6 +1024,11 @@ class EnhancedVizServer {
             const avgConfidence = documentEntities.length > 0 ? 
                 Math.round((totalConfidence / documentEntities.length) * 100) / 100 : 0;
             
+            // Source text and full extraction, for annotation mode
+            const records = (await this.diffMem.getAllEntities())
+                .filter(record => record.conversationId === id || record.id === id);
+            const { text, textSource } = await loadDocumentText(records);
+            
             res.json({
                 success: true,
                 document: {
@@ -888,6 +1046,9 @@ class EnhancedVizServer {
                     createdAt: firstEntity.timestamp || new Date().toISOString(),
                     entitiesByCategory,
                     categoryStats,
+                    text,
+                    textSource,
+                    extraction: documentExtraction(records),
                     topEntities: documentEntities
                         .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
                         .slice(0, 10)
@@ -905,13 +1066,46 @@ class EnhancedVizServer {
         }
     }
 
+    /**
+     * Reviews of a document in the current domain and, once two reviewers
+     * have labeled it, their agreement
+     */
+    async getAnnotations(req, res) {
+        try {
+            const annotation = await this.annotationStore.getAnnotation(this.currentDomain, req.params.documentId);
+            res.json({ success: true, ...annotation });
+        } catch (error) {
+            console.error(chalk.red('❌ Error loading annotations:'), error.message);
+            res.status(500).json({ error: 'Failed to load annotations' });
+        }
+    }
+
+    /**
+     * Store a reviewer's labels for a document as a ground-truth case
+     * (body: { reviewer, text, communicationType, entities, relationships })
+     */
+    async saveAnnotation(req, res) {
+        try {
+            const result = await this.annotationStore.saveReview(this.currentDomain, req.params.documentId, req.body);
+            console.log(chalk.green(`✏️ Saved ${result.review.reviewer}'s annotation of ${req.params.documentId} to ${result.datasetFile}`));
+            res.json({ success: true, ...result });
+        } catch (error) {
+            if (error.validationErrors) {
+                return res.status(400).json({ error: 'Invalid annotation', details: error.validationErrors });
+            }
+            console.error(chalk.red('❌ Error saving annotation:'), error.message);
+            res.status(500).json({ error: 'Failed to save annotation' });
+        }
+    }
+
     async getDocumentEntities(req, res) {
         try {
             const { id } = req.params;
             const { category, confidence } = req.query;
             
-            let entities = await this.getAllEntitiesFlat();
-            entities = entities.filter(e => e.conversationId === id);
+            const records = (await this.diffMem.getAllEntities()).filter(record => record.conversationId === id);
+            const { text } = await loadDocumentText(records);
+            let entities = flattenEntityRecords(records);
             
             // Apply filters
             if (category && category !== 'all') {
@@ -932,8 +1126,10 @@ class EnhancedVizServer {
                     description: e.description,
                     confidence: e.confidence || 0,
                     data: e.data || {},
-                    timestamp: e.timestamp
-                }))
+                    timestamp: e.timestamp,
+                    provenance: entityProvenance(e, e.category, text, id)
+                })),
+                text
             });
         } catch (error) {
             res.status(500).json({ error: error.message });
@@ -1165,21 +1361,28 @@ class EnhancedVizServer {
         try {
             const searchTerm = req.params.term.toLowerCase();
             const allEntities = await this.getAllEntitiesFlat();
-            const consolidatedEntities = this.applyMergeConsolidation(allEntities);
+            const consolidatedEntities = new Map(
+                this.applyMergeConsolidation(allEntities).map(entity => [entity.id, entity])
+            );
             
-            const matchingEntities = consolidatedEntities.filter(entity => 
-                entity.name.toLowerCase().includes(searchTerm)
-            ).map(entity => ({
-                ...entity,
-                matchType: entity.name.toLowerCase() === searchTerm ? 'exact' : 'contains',
-                similarity: this.calculateStringSimilarity(entity.name.toLowerCase(), searchTerm)
+            const ranker = await this.getHybridRanker();
+            const hits = await ranker.rank(searchTerm, {
+                filter: doc => consolidatedEntities.has(doc.id),
+                limit: ranker.searchIndex.size
+            });
+            const matchingEntities = hits.map(hit => ({
+                ...consolidatedEntities.get(hit.id),
+                matchType: hit.matchType,
+                similarity: hit.score,
+                keywordScore: hit.keywordScore,
+                vectorScore: hit.vectorScore
             }));
             
             res.json({
                 success: true,
                 searchTerm,
                 totalMatches: matchingEntities.length,
-                entities: matchingEntities.sort((a, b) => b.similarity - a.similarity)
+                entities: matchingEntities
             });
         } catch (error) {
             res.status(500).json({ error: 'Search failed' });
@@ -1214,6 +1417,93 @@ class EnhancedVizServer {
         res.json({ success: false, message: 'Context feature coming soon' });
     }
 
+    /**
+     * First mention, mention frequency, attribute changes and relationship
+     * additions/removals of an entity over time (?interval=day|week|month)
+     */
+    async getEntityTimeline(req, res) {
+        try {
+            const interval = req.query.interval || 'day';
+            if (!TIMELINE_INTERVALS.includes(interval)) {
+                return res.status(400).json({ error: `interval must be one of: ${TIMELINE_INTERVALS.join(', ')}` });
+            }
+            
+            const histories = await loadRecordHistories(this.diffMem);
+            const timeline = buildEntityTimeline(req.params.id, histories, {
+                interval,
+                mergedIds: this.getMergedEntityIds(req.params.id)
+            });
+            
+            if (!timeline) {
+                return res.status(404).json({ error: 'Entity not found' });
+            }
+            
+            res.json({ success: true, timeline });
+        } catch (error) {
+            console.error(chalk.red('❌ Error building entity timeline:'), error.message);
+            res.status(500).json({ error: 'Failed to build entity timeline' });
+        }
+    }
+
+    /**
+     * Run a graph query ({ query: "person -manages-> project", limit } or a
+     * JSON pattern as { pattern: {...} }) over the current domain
+     */
+    async queryGraph(req, res) {
+        const { query, pattern, limit } = req.body || {};
+        
+        let parsed;
+        try {
+            parsed = parseGraphQuery(pattern ?? query, { limit });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        try {
+            const graph = await this.getRelationshipGraph();
+            const result = executeGraphQuery(graph, parsed);
+            res.json({
+                success: true,
+                domain: this.currentDomain,
+                graph: { nodes: graph.size, edges: graph.edgeCount },
+                query: parsed,
+                ...result
+            });
+        } catch (error) {
+            console.error(chalk.red('❌ Error running graph query:'), error.message);
+            res.status(500).json({ error: 'Failed to run graph query' });
+        }
+    }
+
+    /**
+     * Degree, betweenness and PageRank centrality, communities and bridge
+     * entities (?scope=domain|all&edges=all|relationships&top=N&refresh=true).
+     * edges=all also counts document co-occurrence, as the network view draws it.
+     */
+    async getGraphAnalytics(req, res) {
+        const scope = req.query.scope || 'domain';
+        if (!GRAPH_ANALYTICS_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of: ${GRAPH_ANALYTICS_SCOPES.join(', ')}` });
+        }
+        const edges = req.query.edges || 'all';
+        if (!['all', 'relationships'].includes(edges)) {
+            return res.status(400).json({ error: 'edges must be one of: all, relationships' });
+        }
+        
+        try {
+            const { analytics, cached, domains } = await this.computeGraphAnalytics({
+                scope,
+                coOccurrence: edges === 'all',
+                refresh: req.query.refresh === 'true',
+                top: parseInt(req.query.top) || undefined
+            });
+            res.json({ success: true, scope, edges, domains, cached, ...analytics });
+        } catch (error) {
+            console.error(chalk.red('❌ Error computing graph analytics:'), error.message);
+            res.status(500).json({ error: 'Failed to compute graph analytics' });
+        }
+    }
+
     async splitEntity(req, res) {
         res.json({ success: false, message: 'Split feature coming soon' });
     }
@@ -1440,11 +1730,14 @@ class EnhancedVizServer {
             
             for (const candidate of autoMergeableCandidates.slice(0, 10)) { // Limit to 10 at a time
                 const mergeKey = [candidate.primary.id, candidate.secondary.id].sort().join('|');
+                const relationshipsRewritten = await this.rewriteMergedRelationships(candidate.primary.id, candidate.secondary.id);
                 this.mergedPairs.add(mergeKey);
+                await this.mergeInSearchIndex(mergeKey);
                 mergedPairs.push({
                     primary: candidate.primary.name,
                     secondary: candidate.secondary.name,
-                    confidence: candidate.confidence
+                    confidence: candidate.confidence,
+                    relationshipsRewritten
                 });
                 mergesPerformed++;
             }
@@ -1481,7 +1774,9 @@ class EnhancedVizServer {
             
             // Track this merge so we don't show it again
             const mergeKey = [primaryId, secondaryId].sort().join('|');
+            const relationshipsRewritten = await this.rewriteMergedRelationships(primaryId, secondaryId);
             this.mergedPairs.add(mergeKey);
+            await this.mergeInSearchIndex(mergeKey);
             
             // Persist to disk
             await this.saveMergedPairs();
@@ -1489,8 +1784,7 @@ class EnhancedVizServer {
             // In a real implementation, this would:
             // 1. Load the actual entities
             // 2. Perform the merge using AutoMerger
-            // 3. Update the database
-            // 4. Record the merge in history
+            // 3. Record the merge in history
             
             res.json({
                 success: true,
@@ -1501,6 +1795,7 @@ class EnhancedVizServer {
                     confidence: 0.95,
                     mergedFrom: [primaryId, secondaryId]
                 },
+                relationshipsRewritten,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
@@ -3,6 +3,11 @@
  * Handles all entity-related API endpoints
  */
 import chalk from 'chalk';
+import { buildEntityTimeline, loadRecordHistories, TIMELINE_INTERVALS } from '../../temporal/entity-timeline.js';
+import { parseGraphQuery, executeGraphQuery } from '../../graph/graph-query.js';
+import { collectEntityMentions } from '../../provenance/span-provenance.js';
+
+const GRAPH_ANALYTICS_SCOPES = ['domain', 'all'];
 
 export class APIHandlers {
     constructor(server) {
@@ -56,15 +61,12 @@ export class APIHandlers {
                 return res.status(400).json({ error: 'Query parameter required' });
             }
 
-            const allEntities = await this.server.getAllEntitiesFlat();
-            const searchResults = allEntities.filter(entity => {
-                const matchesQuery = entity.name?.toLowerCase().includes(query.toLowerCase()) ||
-                                  entity.category?.toLowerCase().includes(query.toLowerCase());
-                const matchesCategory = !category || entity.category === category;
-                const matchesConfidence = (entity.confidence || 0) >= confidence;
-                
-                return matchesQuery && matchesCategory && matchesConfidence;
-            });
+            const index = await this.server.getSearchIndex();
+            const searchResults = index.search(query, {
+                types: category ? [category] : undefined,
+                filter: doc => doc.source === 'record' && (doc.data.confidence || 0) >= confidence,
+                limit: index.size
+            }).map(hit => ({ ...hit.document.data, searchScore: hit.score }));
 
             res.json({ entities: searchResults });
         } catch (error) {
@@ -115,7 +117,10 @@ export class APIHandlers {
 
             res.json({
                 entity,
-                relatedEntities
+                relatedEntities,
+                mentions: collectEntityMentions(entityId, await this.server.diffMem.getAllEntities(), {
+                    mergedIds: this.server.getMergedEntityIds(entityId)
+                })
             });
         } catch (error) {
             console.error('Error getting entity by ID:', error);
@@ -147,9 +152,18 @@ export class APIHandlers {
             const searchTerm = req.params.term.toLowerCase();
             const allEntities = await this.server.getAllEntitiesFlat();
             
-            const matchingEntities = allEntities.filter(entity => 
-                entity.name?.toLowerCase().includes(searchTerm)
-            );
+            const ranker = await this.server.getHybridRanker();
+            const hits = await ranker.rank(searchTerm, {
+                filter: doc => doc.source === 'record',
+                limit: ranker.searchIndex.size
+            });
+            const matchingEntities = hits.map(hit => ({
+                ...hit.document.data,
+                matchType: hit.matchType,
+                similarity: hit.score,
+                keywordScore: hit.keywordScore,
+                vectorScore: hit.vectorScore
+            }));
 
             const contextualResults = matchingEntities.map(entity => ({
                 ...entity,
@@ -226,4 +240,92 @@ export class APIHandlers {
             res.status(500).json({ error: 'Failed to get entity context' });
         }
     }
+
+    /**
+     * First mention, mention frequency, attribute changes and relationship
+     * additions/removals of an entity over time (?interval=day|week|month)
+     */
+    async getEntityTimeline(req, res) {
+        try {
+            const entityId = req.params.id;
+            const interval = req.query.interval || 'day';
+            if (!TIMELINE_INTERVALS.includes(interval)) {
+                return res.status(400).json({ error: `interval must be one of: ${TIMELINE_INTERVALS.join(', ')}` });
+            }
+
+            const histories = await loadRecordHistories(this.server.diffMem);
+            const timeline = buildEntityTimeline(entityId, histories, {
+                interval,
+                mergedIds: this.server.getMergedEntityIds(entityId)
+            });
+
+            if (!timeline) {
+                return res.status(404).json({ error: 'Entity not found' });
+            }
+
+            res.json({ success: true, timeline });
+        } catch (error) {
+            console.error('Error building entity timeline:', error);
+            res.status(500).json({ error: 'Failed to build entity timeline' });
+        }
+    }
+
+    /**
+     * Run a graph query ({ query: "person -manages-> project", limit } or a
+     * JSON pattern as { pattern: {...} }) over the current domain
+     */
+    async queryGraph(req, res) {
+        const { query, pattern, limit } = req.body || {};
+
+        let parsed;
+        try {
+            parsed = parseGraphQuery(pattern ?? query, { limit });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        try {
+            const graph = await this.server.getRelationshipGraph();
+            const result = executeGraphQuery(graph, parsed);
+            res.json({
+                success: true,
+                domain: this.server.currentDomain,
+                graph: { nodes: graph.size, edges: graph.edgeCount },
+                query: parsed,
+                ...result
+            });
+        } catch (error) {
+            console.error('Error running graph query:', error);
+            res.status(500).json({ error: 'Failed to run graph query' });
+        }
+    }
+
+    /**
+     * Degree, betweenness and PageRank centrality, communities and bridge
+     * entities (?scope=domain|all&edges=all|relationships&top=N&refresh=true).
+     * edges=all also counts document co-occurrence, as the network view draws it.
+     */
+    async getGraphAnalytics(req, res) {
+        const scope = req.query.scope || 'domain';
+        if (!GRAPH_ANALYTICS_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of: ${GRAPH_ANALYTICS_SCOPES.join(', ')}` });
+        }
+        const edges = req.query.edges || 'all';
+        if (!['all', 'relationships'].includes(edges)) {
+            return res.status(400).json({ error: 'edges must be one of: all, relationships' });
+        }
+
+        try {
+            const { analytics, cached, domains } = await this.server.computeGraphAnalytics({
+                scope,
+                coOccurrence: edges === 'all',
+                refresh: req.query.refresh === 'true',
+                top: parseInt(req.query.top) || undefined
+            });
+            res.json({ success: true, scope, edges, domains, cached, ...analytics });
+        } catch (error) {
+            console.error('Error computing graph analytics:', error);
+            res.status(500).json({ error: 'Failed to compute graph analytics' });
+        }
+    }
 }
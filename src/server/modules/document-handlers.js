@@ -4,10 +4,14 @@
  */
 import chalk from 'chalk';
 import path from 'path';
+import { AnnotationStore, loadDocumentText, documentExtraction } from '../../../evaluation/annotation-store.js';
+import { flattenEntityRecords } from '../../search/search-index-registry.js';
+import { entityProvenance } from '../../provenance/span-provenance.js';
 
 export class DocumentHandlers {
     constructor(server) {
         this.server = server;
+        this.annotationStore = new AnnotationStore();
     }
 
     async getDocuments(req, res) {
@@ -106,6 +110,7 @@ export class DocumentHandlers {
             const allEntitiesInDoc = documentEntities.flatMap(entitySet => 
                 entitySet.entities || [entitySet]
             );
+            const { text, textSource } = await loadDocumentText(documentEntities);
             
             const documentDetails = {
                 id,
@@ -124,7 +129,10 @@ export class DocumentHandlers {
                 })),
                 categories: [...new Set(allEntitiesInDoc.map(e => e.category).filter(Boolean))],
                 documentType: this.getFileExtension(firstEntity.metadata?.source),
-                metadata: firstEntity.metadata
+                metadata: firstEntity.metadata,
+                text,
+                textSource,
+                extraction: documentExtraction(documentEntities)
             };
             
             console.log(chalk.green(`✅ Document details compiled: ${documentDetails.entityCount} entities`));
@@ -150,9 +158,11 @@ export class DocumentHandlers {
                 return res.status(404).json({ error: 'Document not found' });
             }
             
+            // Extraction records hold entity collections; older ones list entities directly
             let allEntities = documentEntities.flatMap(entitySet => 
-                entitySet.entities || [entitySet]
+                Array.isArray(entitySet.entities) ? entitySet.entities : flattenEntityRecords([entitySet])
             );
+            const { text } = await loadDocumentText(documentEntities);
             
             // Apply filters
             if (category) {
@@ -164,7 +174,14 @@ export class DocumentHandlers {
                 allEntities = allEntities.filter(e => (e.confidence || 0) >= minConfidence);
             }
             
-            res.json(allEntities);
+            res.json({
+                success: true,
+                entities: allEntities.map(entity => ({
+                    ...entity,
+                    provenance: entityProvenance(entity, entity.category, text, id)
+                })),
+                text
+            });
             
         } catch (error) {
             console.error('Error getting document entities:', error);
@@ -172,6 +189,30 @@ export class DocumentHandlers {
         }
     }
 
+    async getAnnotations(req, res) {
+        try {
+            const annotation = await this.annotationStore.getAnnotation(this.server.currentDomain, req.params.documentId);
+            res.json({ success: true, ...annotation });
+        } catch (error) {
+            console.error('Error loading annotations:', error);
+            res.status(500).json({ error: 'Failed to load annotations' });
+        }
+    }
+
+    async saveAnnotation(req, res) {
+        try {
+            const result = await this.annotationStore.saveReview(this.server.currentDomain, req.params.documentId, req.body);
+            console.log(chalk.green(`✏️ Saved ${result.review.reviewer}'s annotation of ${req.params.documentId} to ${result.datasetFile}`));
+            res.json({ success: true, ...result });
+        } catch (error) {
+            if (error.validationErrors) {
+                return res.status(400).json({ error: 'Invalid annotation', details: error.validationErrors });
+            }
+            console.error('Error saving annotation:', error);
+            res.status(500).json({ error: 'Failed to save annotation' });
+        }
+    }
+
     async getSchemas(req, res) {
         try {
             const fs = await import('fs-extra');
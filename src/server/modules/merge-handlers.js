@@ -161,11 +161,14 @@ export class MergeHandlers {
                 }
                 
                 // Perform the merge (in a real implementation, this would update the database)
+                const relationshipsRewritten = await this.server.rewriteMergedRelationships(candidate.primary.id, candidate.secondary.id);
                 this.server.mergedPairs.add(pairId);
+                await this.server.mergeInSearchIndex(pairId);
                 mergedPairs.push({
                     primary: candidate.primary.name,
                     secondary: candidate.secondary.name,
-                    confidence: candidate.confidence
+                    confidence: candidate.confidence,
+                    relationshipsRewritten
                 });
                 mergedCount++;
             }
@@ -237,13 +240,16 @@ export class MergeHandlers {
             }
             
             // Perform the actual merge
+            const relationshipsRewritten = await this.server.rewriteMergedRelationships(primaryId, secondaryId);
             this.server.mergedPairs.add(pairId);
+            await this.server.mergeInSearchIndex(pairId);
             await this.server.saveMergedPairs();
             
             res.json({
                 success: true,
                 message: 'Entities merged successfully',
-                mergedPair: { primaryId, secondaryId }
+                mergedPair: { primaryId, secondaryId },
+                relationshipsRewritten
             });
             
         } catch (error) {
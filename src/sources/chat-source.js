@@ -0,0 +1,519 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createHash } from 'crypto';
+import { EntitySearchIndex } from '../search/entity-search-index.js';
+import { locateEntity } from '../provenance/span-provenance.js';
+
+/**
+ * Chat Source
+ *
+ * Reads chat and SMS exports into conversation windows ready for
+ * extraction:
+ *
+ *   - WhatsApp text exports ("[12/01/2024, 09:15:32] Alice: ..." or
+ *     "12/01/2024, 09:15 - Alice: ...")
+ *   - SMS Backup & Restore XML, also written by Signal's plaintext backup
+ *     (<smses><sms .../><mms ...>)
+ *   - Slack exports: a channel's day files (<channel>/2024-01-12.json),
+ *     with names from the export's users.json
+ *
+ * Every message keeps its speaker, timestamp and, where the format has it,
+ * the message it replies to. Messages are grouped into windows: a new
+ * window starts after a quiet gap, and replies join their parent's window.
+ * Each window is one document, one "[time] Speaker: text" line per
+ * message, extracted with a context naming the speakers so "I" and "you"
+ * resolve to people.
+ */
+
+const DEFAULT_WINDOW_GAP_MINUTES = 120;
+const DEFAULT_WINDOW_MAX_MESSAGES = 150;
+
+// Sender of sent messages in SMS backups, unless the owner is named
+const DEFAULT_OWNER = 'Me';
+
+const WHATSAPP_LINE = /^\u200E?\[?(\d{1,4})[./-](\d{1,2})[./-](\d{2,4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp]\.?\s?[Mm]\.?)?\]?\s*(?:-\s*)?(.*)$/;
+const WHATSAPP_MEDIA = /^\u200E?<?(Media omitted|image omitted|video omitted|audio omitted|sticker omitted|document omitted|GIF omitted)>?$/i;
+
+// Slack metadata files at the root of an export
+const SLACK_METADATA_FILES = ['users.json', 'channels.json', 'groups.json', 'dms.json', 'mpims.json', 'integration_logs.json', 'canvases.json'];
+
+function hashId(value) {
+    return createHash('sha1').update(value).digest('hex').slice(0, 12);
+}
+
+function decodeXmlEntities(value) {
+    return String(value ?? '')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function xmlAttributes(tag) {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attributes[match[1]] = decodeXmlEntities(match[3] ?? match[4]);
+    }
+    return attributes;
+}
+
+function speakerKey(speaker) {
+    return speaker.id || EntitySearchIndex.normalize(speaker.name);
+}
+
+/**
+ * Day/month order of a WhatsApp export's dates, from the dates themselves.
+ * When no date settles it, a 12-hour clock points to a US (mdy) export.
+ */
+function whatsAppDateOrder(lines) {
+    let twelveHour = false;
+    for (const line of lines) {
+        const match = line.match(WHATSAPP_LINE);
+        if (!match || match[1].length === 4) continue;
+        if (parseInt(match[1], 10) > 12) return 'dmy';
+        if (parseInt(match[2], 10) > 12) return 'mdy';
+        if (match[7]) twelveHour = true;
+    }
+    return twelveHour ? 'mdy' : 'dmy';
+}
+
+/**
+ * Minutes a time zone is ahead of UTC at an instant
+ */
+function zoneOffsetMinutes(timeZone, time) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallTime - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converter from a wall-clock time (given as if it were UTC) in `timeZone`
+ * to the real UTC time. timeZone is an offset ("+02:00", "-0530", "UTC")
+ * or an IANA zone ("Europe/Berlin"), whose offset follows daylight saving.
+ */
+function wallClockConverter(timeZone) {
+    if (timeZone === undefined || timeZone === null || /^(Z|UTC|GMT)$/i.test(timeZone)) {
+        return wallTime => wallTime;
+    }
+
+    const offset = String(timeZone).match(/^(?:UTC|GMT)?([+-])(\d{1,2}):?(\d{2})?$/i);
+    if (offset) {
+        const minutes = (parseInt(offset[2], 10) * 60 + parseInt(offset[3] || '0', 10)) * (offset[1] === '-' ? -1 : 1);
+        return wallTime => wallTime - minutes * 60000;
+    }
+
+    try {
+        zoneOffsetMinutes(timeZone, Date.now());
+    } catch (error) {
+        throw new Error(`Unknown time zone "${timeZone}"; use an offset like +02:00 or a zone like Europe/Berlin`);
+    }
+    return wallTime => {
+        const guess = wallTime - zoneOffsetMinutes(timeZone, wallTime) * 60000;
+        return wallTime - zoneOffsetMinutes(timeZone, guess) * 60000;
+    };
+}
+
+/**
+ * Parse a WhatsApp text export: [{ id, speaker, timestamp, text, replyTo, attachments }]
+ *
+ * Exports carry the exporting phone's local time with no zone. Pass
+ * options.timeZone (an offset or IANA zone, see wallClockConverter) to
+ * convert them; without it the times are read as UTC.
+ */
+export function parseWhatsAppExport(text, options = {}) {
+    const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+    const order = options.dateOrder || whatsAppDateOrder(lines);
+    const toUtc = wallClockConverter(options.timeZone);
+    const messages = [];
+
+    for (const line of lines) {
+        const match = line.match(WHATSAPP_LINE);
+        const rest = match ? match[8] : null;
+        const speakerMatch = rest?.match(/^([^:]{1,80}?):\s(.*)$/) || rest?.match(/^([^:]{1,80}?):$/);
+
+        if (!match) {
+            // Continuation of a multi-line message
+            if (messages.length > 0) messages[messages.length - 1].text += `\n${line}`;
+            continue;
+        }
+        if (!speakerMatch) continue; // system notice ("Messages are end-to-end encrypted", "Alice added Bob")
+
+        let [, first, second, year, hours, minutes, seconds, meridiem] = match;
+        if (first.length === 4) [year, first, second] = [first, second, year];
+        const [day, month] = order === 'mdy' ? [second, first] : [first, second];
+        let hour = parseInt(hours, 10);
+        if (meridiem && /p/i.test(meridiem) && hour < 12) hour += 12;
+        if (meridiem && /a/i.test(meridiem) && hour === 12) hour = 0;
+        const fullYear = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+        const timestamp = new Date(toUtc(Date.UTC(fullYear, parseInt(month, 10) - 1, parseInt(day, 10), hour, parseInt(minutes, 10), parseInt(seconds || '0', 10))));
+
+        const body = (speakerMatch[2] || '').trim();
+        const media = WHATSAPP_MEDIA.test(body);
+        messages.push({
+            id: `wa_${messages.length}`,
+            speaker: { id: null, name: speakerMatch[1].replace(/^\u200E/, '').trim() },
+            timestamp: isNaN(timestamp) ? null : timestamp.toISOString(),
+            text: media ? '' : body,
+            replyTo: null,
+            attachments: media ? [body.replace(/[<>\u200E]/g, '')] : []
+        });
+    }
+
+    return messages
+        .map(message => ({ ...message, text: message.text.trim() }))
+        .filter(message => message.text || message.attachments.length > 0);
+}
+
+/**
+ * Parse an SMS Backup & Restore (or Signal plaintext backup) XML file into
+ * conversations keyed by address: [{ id, title, messages }]
+ */
+export function parseSmsBackupXml(xml, options = {}) {
+    const ownerSpeaker = { id: 'owner', name: options.owner || DEFAULT_OWNER, phone: null };
+    const byAddress = new Map();
+
+    const add = (address, contactName, message) => {
+        const key = address || 'unknown';
+        if (!byAddress.has(key)) {
+            // Everyone on the thread, whether or not they wrote in it
+            const names = (contactName || '').split(',').map(name => name.trim());
+            const participants = key.split('~').map((phone, index) => contact(phone, names[index]));
+            byAddress.set(key, { id: `sms_${hashId(key)}`, title: contactName || key, participants: [...participants, ownerSpeaker], messages: [] });
+        }
+        byAddress.get(key).messages.push(message);
+    };
+    const contact = (address, name) => ({
+        id: address || null,
+        name: name && name !== '(Unknown)' ? name : (address || 'Unknown'),
+        phone: address || null
+    });
+
+    for (const match of xml.matchAll(/<sms\b[^>]*\/?>/g)) {
+        const sms = xmlAttributes(match[0]);
+        // type 2 = sent, 1 = received
+        const sent = sms.type === '2';
+        const other = contact(sms.address, sms.contact_name);
+        add(sms.address, sms.contact_name, {
+            id: `sms_${hashId(`${sms.address}:${sms.date}:${sms.body}`)}`,
+            speaker: sent ? ownerSpeaker : other,
+            timestamp: sms.date ? new Date(parseInt(sms.date, 10)).toISOString() : null,
+            text: sms.body || '',
+            replyTo: null,
+            attachments: []
+        });
+    }
+
+    for (const match of xml.matchAll(/<mms\b([^>]*)>([\s\S]*?)<\/mms>/g)) {
+        const mms = xmlAttributes(match[1]);
+        const parts = [...match[2].matchAll(/<part\b[^>]*\/?>/g)].map(part => xmlAttributes(part[0]));
+        const addrs = [...match[2].matchAll(/<addr\b[^>]*\/?>/g)].map(addr => xmlAttributes(addr[0]));
+        // msg_box 2 = sent; addr type 137 = sender
+        const sent = mms.msg_box === '2';
+        const senderAddress = addrs.find(addr => addr.type === '137')?.address;
+        const names = (mms.contact_name || '').split(',').map(name => name.trim());
+        const addresses = (mms.address || '').split('~');
+        const senderName = names[addresses.indexOf(senderAddress)] || (addresses.length === 1 ? names[0] : null);
+
+        add(mms.address, mms.contact_name, {
+            id: `mms_${hashId(`${mms.address}:${mms.date}:${match[2].length}`)}`,
+            speaker: sent ? ownerSpeaker : contact(senderAddress || addresses[0], senderName),
+            timestamp: mms.date ? new Date(parseInt(mms.date, 10)).toISOString() : null,
+            text: parts.filter(part => part.ct === 'text/plain').map(part => part.text || '').join('\n').trim(),
+            replyTo: null,
+            attachments: parts.filter(part => part.ct && part.ct !== 'text/plain' && part.ct !== 'application/smil').map(part => part.name || part.cl || part.ct)
+        });
+    }
+
+    return [...byAddress.values()].map(conversation => ({
+        ...conversation,
+        messages: conversation.messages.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+    }));
+}
+
+/**
+ * Slack markup (<@U123>, <#C1|general>, <https://x|label>) as plain text
+ */
+function slackText(text, users) {
+    return String(text || '')
+        .replace(/<@([A-Z0-9]+)(?:\|([^>]+))?>/g, (_, id, label) => `@${users.get(id)?.name || label || id}`)
+        .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+        .replace(/<!(here|channel|everyone)[^>]*>/g, '@$1')
+        .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+        .replace(/<(https?:[^>]+)>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Users of a Slack export (users.json) as Map(id -> { id, name, handle })
+ */
+export function slackUsers(list = []) {
+    const users = new Map();
+    for (const user of list) {
+        users.set(user.id, {
+            id: user.id,
+            name: user.real_name || user.profile?.real_name || user.profile?.display_name || user.name || user.id,
+            handle: user.name || null
+        });
+    }
+    return users;
+}
+
+/**
+ * Parse a Slack channel's messages (one or more day files):
+ * [{ id, speaker, timestamp, text, replyTo, attachments }]
+ */
+export function parseSlackMessages(list, users = new Map()) {
+    return list
+        .filter(message => message && message.type === 'message' && message.ts)
+        .filter(message => !['channel_join', 'channel_leave', 'channel_topic', 'channel_purpose'].includes(message.subtype))
+        .map(message => {
+            const known = users.get(message.user);
+            const name = known?.name || message.user_profile?.real_name || message.user_profile?.display_name || message.username || message.user || 'Unknown';
+            return {
+                id: message.ts,
+                speaker: { id: message.user || null, name, handle: known?.handle || message.user_profile?.name || null },
+                timestamp: new Date(parseFloat(message.ts) * 1000).toISOString(),
+                text: slackText(message.text, users).trim(),
+                replyTo: message.thread_ts && message.thread_ts !== message.ts ? message.thread_ts : null,
+                attachments: (message.files || []).map(file => file.name || file.title).filter(Boolean)
+            };
+        })
+        .filter(message => message.text || message.attachments.length > 0)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Group a conversation's messages into windows: a new window starts after
+ * `gapMinutes` of quiet or `maxMessages` messages; replies join the window
+ * of the message they reply to
+ */
+export function conversationWindows(messages, options = {}) {
+    const gapMs = (options.gapMinutes ?? DEFAULT_WINDOW_GAP_MINUTES) * 60 * 1000;
+    const maxMessages = options.maxMessages || DEFAULT_WINDOW_MAX_MESSAGES;
+    const windows = [];
+    const windowOf = new Map();
+    let current = null;
+    let lastTime = null;
+
+    for (const message of messages) {
+        const parentWindow = message.replyTo ? windowOf.get(message.replyTo) : null;
+        if (parentWindow) {
+            parentWindow.push(message);
+            windowOf.set(message.id, parentWindow);
+            continue;
+        }
+
+        const time = message.timestamp ? Date.parse(message.timestamp) : null;
+        const quiet = time !== null && lastTime !== null && time - lastTime > gapMs;
+        if (!current || quiet || current.length >= maxMessages) {
+            current = [];
+            windows.push(current);
+        }
+        current.push(message);
+        windowOf.set(message.id, current);
+        if (time !== null) lastTime = time;
+    }
+
+    return windows.map(windowMessages => windowMessages.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || '')));
+}
+
+/**
+ * Distinct speakers of messages, in order of first message
+ */
+export function windowSpeakers(messages) {
+    const speakers = new Map();
+    for (const message of messages) {
+        const key = speakerKey(message.speaker);
+        if (!speakers.has(key)) speakers.set(key, message.speaker);
+    }
+    return [...speakers.values()];
+}
+
+/**
+ * Extraction context naming the conversation's participants, so first and
+ * second person references can be resolved
+ */
+export function speakerContext(speakers, options = {}) {
+    const names = speakers.map(speaker => speaker.name).filter(Boolean);
+    if (names.length === 0) return '';
+
+    const parts = [names.length === 1 ? `${options.source || 'Chat'} from ${names[0]}` : `${options.source || 'Chat'} between ${names.join(', ')}`];
+    parts.push('Each line names its speaker before the colon; "I", "me" and "my" refer to that line\'s speaker');
+    if (names.length === 2) {
+        parts.push(`"you" refers to the other participant (${names[0]} or ${names[1]})`);
+    } else {
+        parts.push('"you" refers to the person being replied to or addressed by name');
+    }
+    if (options.owner) parts.push(`"${options.owner}" is the owner of the exported phone`);
+    parts.push('Record each speaker as a person under their name');
+    return parts.join('. ');
+}
+
+function formatTime(timestamp) {
+    return timestamp ? timestamp.replace('T', ' ').slice(0, 16) : '?';
+}
+
+/**
+ * Extraction text for a window of messages
+ */
+export function windowToDocument(messages) {
+    const byId = new Map(messages.map(message => [message.id, message]));
+    return messages.map(message => {
+        const parent = message.replyTo ? byId.get(message.replyTo) : null;
+        const speaker = parent ? `${message.speaker.name} (reply to ${parent.speaker.name})` : message.speaker.name;
+        const attachments = message.attachments.length > 0 ? `[attachment: ${message.attachments.join(', ')}]` : '';
+        return `[${formatTime(message.timestamp)}] ${speaker}: ${[message.text, attachments].filter(Boolean).join(' ')}`;
+    }).join('\n');
+}
+
+/**
+ * People for the speakers of a window: [{ name, phone?, handle?, confidence, source }]
+ */
+export function speakerEntities(speakers) {
+    // An unnamed phone owner ("Me") is not a person to record
+    return speakers.filter(speaker => !(speaker.id === 'owner' && speaker.name === DEFAULT_OWNER)).map(speaker => {
+        const person = { name: speaker.name, confidence: 1.0, source: 'chat-speaker' };
+        if (speaker.phone) person.phone = speaker.phone;
+        if (speaker.handle) person.handle = speaker.handle;
+        return person;
+    });
+}
+
+/**
+ * Add speakers to extracted entities ({ people: [...] }), in place:
+ * extracted people with a speaker's name get its phone or handle, the rest
+ * are added with provenance in `text`
+ */
+export function mergeSpeakers(entities, speakers, text = null) {
+    const people = Array.isArray(entities.people) ? entities.people : (entities.people = []);
+
+    for (const speaker of speakerEntities(speakers)) {
+        const names = [speaker.name, speaker.handle].filter(Boolean).map(name => EntitySearchIndex.normalize(name));
+        const match = people.find(person => typeof person.name === 'string' && names.includes(EntitySearchIndex.normalize(person.name)));
+
+        if (match) {
+            if (speaker.phone && !match.phone) match.phone = speaker.phone;
+            if (speaker.handle && !match.handle) match.handle = speaker.handle;
+            continue;
+        }
+
+        if (text) speaker.provenance = { documentId: null, ...locateEntity(text, speaker, 'people'), extractor: 'chat-speakers' };
+        people.push(speaker);
+    }
+
+    return entities;
+}
+
+function looksLikeSlackMessages(data) {
+    return Array.isArray(data) && data.length > 0 && data.every(item => item && typeof item === 'object') &&
+        data.some(item => item.type === 'message' && typeof item.ts === 'string');
+}
+
+/**
+ * Which chat export a file is: 'whatsapp', 'sms', 'slack', 'slack-metadata'
+ * or null for anything else
+ */
+export async function detectChatFormat(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const fileName = path.basename(filePath).toLowerCase();
+
+    if (ext === '.json') {
+        const exportRoot = path.dirname(filePath);
+        if (SLACK_METADATA_FILES.includes(fileName) && await fs.pathExists(path.join(exportRoot, 'channels.json'))) {
+            return 'slack-metadata';
+        }
+        try {
+            return looksLikeSlackMessages(await fs.readJson(filePath)) ? 'slack' : null;
+        } catch {
+            return null;
+        }
+    }
+
+    if (ext === '.xml') {
+        const head = (await fs.readFile(filePath, 'utf8')).slice(0, 2000);
+        return /<(smses|sms |mms )/.test(head) ? 'sms' : null;
+    }
+
+    if (ext === '.txt') {
+        const lines = (await fs.readFile(filePath, 'utf8')).split(/\r?\n/).slice(0, 20).filter(line => line.trim());
+        const matching = lines.filter(line => WHATSAPP_LINE.test(line) && /^\u200E?\[?\d/.test(line));
+        return lines.length > 0 && matching.length / lines.length >= 0.5 ? 'whatsapp' : null;
+    }
+
+    return null;
+}
+
+/**
+ * Read a chat export into { format, conversations }, each conversation
+ * with its participants and windows ({ id, messages, speakers, text,
+ * context, start, end }).
+ * Returns null when the file is not a chat export.
+ * options: { owner, gapMinutes, maxMessages, dateOrder, timeZone }
+ * (dateOrder and timeZone apply to WhatsApp exports)
+ */
+export async function loadChatFile(filePath, options = {}) {
+    const format = await detectChatFormat(filePath);
+    if (!format) return null;
+    if (format === 'slack-metadata') return { format, conversations: [] };
+
+    let conversations;
+    if (format === 'whatsapp') {
+        const title = path.basename(filePath, path.extname(filePath)).replace(/^WhatsApp Chat with /i, '');
+        conversations = [{ id: `whatsapp_${hashId(filePath)}`, title, messages: parseWhatsAppExport(await fs.readFile(filePath, 'utf8'), options) }];
+    } else if (format === 'sms') {
+        conversations = parseSmsBackupXml(await fs.readFile(filePath, 'utf8'), options);
+    } else {
+        // <export>/<channel>/<day>.json, users in <export>/users.json
+        const channelDir = path.dirname(filePath);
+        const usersFile = path.join(path.dirname(channelDir), 'users.json');
+        const users = slackUsers(await fs.pathExists(usersFile) ? await fs.readJson(usersFile) : []);
+        const channel = path.basename(channelDir);
+        conversations = [{
+            id: `slack_${hashId(`${channel}:${path.basename(filePath)}`)}`,
+            title: `#${channel} ${path.basename(filePath, '.json')}`,
+            messages: parseSlackMessages(await fs.readJson(filePath), users)
+        }];
+    }
+
+    const sourceName = { whatsapp: 'WhatsApp chat', sms: 'Text message conversation', slack: 'Slack channel conversation' }[format];
+    return {
+        format,
+        conversations: conversations.map(conversation => ({
+            ...conversation,
+            participants: conversation.participants || windowSpeakers(conversation.messages),
+            windows: conversationWindows(conversation.messages, options).map((messages, index) => {
+                const speakers = windowSpeakers(messages);
+                const participants = conversation.participants || windowSpeakers(conversation.messages);
+                return {
+                    id: `${conversation.id}_w${index}`,
+                    start: messages[0]?.timestamp || null,
+                    end: messages[messages.length - 1]?.timestamp || null,
+                    messages,
+                    speakers,
+                    text: windowToDocument(messages),
+                    context: speakerContext(participants, {
+                        source: sourceName,
+                        owner: format === 'sms' ? (options.owner || DEFAULT_OWNER) : null
+                    })
+                };
+            })
+        }))
+    };
+}
+
+export default loadChatFile;
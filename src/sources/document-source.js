@@ -0,0 +1,264 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { loadEmailFile, mergeParticipants, htmlToText } from './email-source.js';
+import { loadChatFile, mergeSpeakers } from './chat-source.js';
+import { readPdf } from './pdf-source.js';
+import { readDocx, readXlsx, loadOfficeFile } from './office-source.js';
+
+/**
+ * Document Source
+ *
+ * Turns one input file into the documents to extract from it. Email files
+ * give one document per thread and chat exports one per conversation
+ * window, and spreadsheets one per sheet; other files (including PDF and
+ * Word documents) are a single document. Each document is:
+ *
+ *   {
+ *     key: 'thread_ab12...',          // stable within the file
+ *     label: 'Re: Pour schedule',     // for progress output
+ *     text,                           // what to extract from
+ *     metadata: { messageId, source, timestamp, documentType, contentLength, ... },
+ *     communicationType: 'email',     // extractor options, when known
+ *     context: 'Chat between ...',
+ *     merge(entities)                 // adds entities known from the source
+ *   }
+ *
+ * PDF, Word and Excel documents also carry metadata.locations, the page,
+ * section or row of each text range, for provenance citations. Sheets also
+ * keep their rows as metadata.records ([{ row, values }]).
+ */
+
+export const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.json', '.html', '.csv', '.eml', '.mbox', '.xml', '.pdf', '.docx', '.xlsx'];
+
+export function isSupportedFile(filePath) {
+    return SUPPORTED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Text values of a JSON document, skipping technical fields
+ */
+export function textFromJson(obj, depth = 0) {
+    if (depth > 3) return ''; // Prevent deep recursion
+
+    let text = '';
+
+    if (typeof obj === 'string') {
+        text += obj + ' ';
+    } else if (typeof obj === 'object' && obj !== null) {
+        if (Array.isArray(obj)) {
+            for (const item of obj) {
+                text += textFromJson(item, depth + 1);
+            }
+        } else {
+            for (const [key, value] of Object.entries(obj)) {
+                if (!['id', 'timestamp', 'metadata', '_id', 'created_at'].includes(key)) {
+                    text += textFromJson(value, depth + 1);
+                }
+            }
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Plain text of a single-document file
+ */
+export async function readTextContent(filePath, fileExt = path.extname(filePath).toLowerCase()) {
+    switch (fileExt) {
+        case '.txt':
+        case '.md':
+            return await fs.readFile(filePath, 'utf8');
+
+        case '.json':
+            return textFromJson(await fs.readJson(filePath));
+
+        case '.xml':
+        case '.html':
+            return htmlToText(await fs.readFile(filePath, 'utf8'));
+
+        case '.csv':
+            // Convert CSV to readable text
+            return (await fs.readFile(filePath, 'utf8')).replace(/,/g, ' | ');
+
+        case '.pdf':
+            return (await readPdf(filePath)).text;
+
+        case '.docx':
+            return (await readDocx(filePath)).text;
+
+        case '.xlsx':
+            return (await readXlsx(filePath)).map(sheet => sheet.text).join('\n\n');
+
+        default:
+            throw new Error(`Unsupported file type: ${fileExt}`);
+    }
+}
+
+/**
+ * The documents in a file: { format, description, documents }. Documents
+ * with no text are left out; Slack export metadata files have none.
+ * options are passed to the chat loader ({ owner, gapMinutes, ... })
+ */
+export async function readDocuments(filePath, options = {}) {
+    const fileExt = path.extname(filePath).toLowerCase();
+    const base = { source: filePath, documentType: fileExt };
+
+    if (fileExt === '.eml' || fileExt === '.mbox') {
+        const { messages, threads } = await loadEmailFile(filePath);
+        return {
+            format: 'email',
+            description: `${messages.length} messages in ${threads.length} threads`,
+            documents: threads.filter(thread => thread.text.trim()).map(thread => ({
+                key: thread.id,
+                label: `${thread.subject || '(no subject)'} (${thread.messages.length} messages)`,
+                text: thread.text,
+                metadata: {
+                    ...base,
+                    messageId: thread.id,
+                    timestamp: thread.messages[0]?.date || new Date().toISOString(),
+                    contentLength: thread.text.length,
+                    originalMessage: thread.text,
+                    subject: thread.subject,
+                    threadId: thread.id,
+                    emailMessageIds: thread.messages.map(message => message.messageId)
+                },
+                communicationType: 'email',
+                merge: entities => mergeParticipants(entities, thread.participants, thread.text)
+            }))
+        };
+    }
+
+    const fileName = path.basename(filePath);
+
+    if (fileExt === '.pdf') {
+        const pdf = await readPdf(filePath);
+        return {
+            format: 'pdf',
+            description: pdf.text
+                ? `${pdf.pageCount} pages, ${pdf.text.length} characters`
+                : `${pdf.pageCount} pages without a text layer (scanned PDFs need OCR first)`,
+            documents: pdf.text ? [{
+                key: 'file',
+                label: pdf.info.title ? `${fileName} (${pdf.info.title})` : fileName,
+                text: pdf.text,
+                metadata: {
+                    ...base,
+                    messageId: fileName,
+                    timestamp: pdf.info.created || new Date().toISOString(),
+                    contentLength: pdf.text.length,
+                    originalMessage: pdf.text,
+                    title: pdf.info.title,
+                    pageCount: pdf.pageCount,
+                    locations: pdf.locations
+                },
+                communicationType: 'document',
+                context: `Text of ${fileName}, ${pdf.pageCount} pages. "--- Page N ---" lines mark page breaks and " | " separates table columns.`
+            }] : []
+        };
+    }
+
+    const office = await loadOfficeFile(filePath);
+    if (office?.format === 'docx') {
+        const { document } = office;
+        return {
+            format: 'docx',
+            description: `${document.pageCount || 1} pages, ${document.sections.length} sections, ${document.tables} tables`,
+            documents: document.text ? [{
+                key: 'file',
+                label: document.properties.title ? `${fileName} (${document.properties.title})` : fileName,
+                text: document.text,
+                metadata: {
+                    ...base,
+                    messageId: fileName,
+                    timestamp: document.properties.modified || document.properties.created || new Date().toISOString(),
+                    contentLength: document.text.length,
+                    originalMessage: document.text,
+                    title: document.properties.title,
+                    author: document.properties.author,
+                    pageCount: document.pageCount,
+                    sections: document.sections.map(section => section.title),
+                    locations: document.locations
+                },
+                communicationType: 'document',
+                context: `Word document ${fileName}. "#" lines are headings, "- " lines list items and "|" lines table rows.`
+            }] : []
+        };
+    }
+
+    if (office?.format === 'xlsx') {
+        const { sheets } = office;
+        const rowCount = sheets.reduce((sum, sheet) => sum + sheet.records.length, 0);
+        return {
+            format: 'xlsx',
+            description: `${sheets.length} sheets, ${rowCount} rows`,
+            documents: sheets.filter(sheet => sheet.records.length > 0).map(sheet => ({
+                key: `sheet_${sheet.index}`,
+                label: `${fileName} - ${sheet.name} (${sheet.records.length} rows)`,
+                text: sheet.text,
+                metadata: {
+                    ...base,
+                    messageId: `${fileName}#${sheet.name}`,
+                    timestamp: new Date().toISOString(),
+                    contentLength: sheet.text.length,
+                    originalMessage: sheet.text,
+                    sheet: sheet.name,
+                    columns: sheet.columns,
+                    rowCount: sheet.records.length,
+                    records: sheet.records,
+                    locations: sheet.locations
+                },
+                communicationType: 'document',
+                context: `Spreadsheet "${sheet.name}" from ${fileName}. Each "Row N:" line is one row given as column: value pairs; amounts on a row belong to the item named on that row.`
+            }))
+        };
+    }
+
+    const chat = await loadChatFile(filePath, options);
+    if (chat) {
+        const windows = chat.conversations.flatMap(conversation => conversation.windows.map(window => ({ conversation, window })));
+        return {
+            format: chat.format,
+            description: chat.format === 'slack-metadata'
+                ? 'Slack export metadata, read with the channel files'
+                : `${chat.format} export: ${chat.conversations.length} conversations, ${windows.length} windows`,
+            documents: windows.filter(({ window }) => window.text.trim()).map(({ conversation, window }) => ({
+                key: window.id,
+                label: `${conversation.title} (${window.messages.length} messages from ${window.start || '?'})`,
+                text: window.text,
+                metadata: {
+                    ...base,
+                    messageId: window.id,
+                    timestamp: window.start || new Date().toISOString(),
+                    contentLength: window.text.length,
+                    originalMessage: window.text,
+                    chatFormat: chat.format,
+                    conversationTitle: conversation.title,
+                    speakers: window.speakers.map(speaker => speaker.name)
+                },
+                communicationType: 'sms',
+                context: window.context,
+                merge: entities => mergeSpeakers(entities, window.speakers, window.text)
+            }))
+        };
+    }
+
+    const content = await readTextContent(filePath, fileExt);
+    return {
+        format: 'file',
+        description: `${content.length} characters`,
+        documents: content && content.trim() ? [{
+            key: 'file',
+            label: fileName,
+            text: content,
+            metadata: {
+                ...base,
+                messageId: fileName,
+                timestamp: new Date().toISOString(),
+                contentLength: content.length
+            }
+        }] : []
+    };
+}
+
+export default readDocuments;
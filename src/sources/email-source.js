@@ -0,0 +1,516 @@
+import fs from 'fs-extra';
+import { createHash } from 'crypto';
+import { EntitySearchIndex } from '../search/entity-search-index.js';
+import { locateEntity } from '../provenance/span-provenance.js';
+
+/**
+ * Email Source
+ *
+ * Reads .eml and .mbox files into threads ready for extraction:
+ *
+ *   - mbox files are split into messages on their "From " separator lines
+ *   - MIME messages are walked part by part; quoted-printable and base64
+ *     bodies are decoded in their declared charset, encoded-word headers
+ *     (=?utf-8?B?...?=) are decoded, HTML-only bodies are converted to text
+ *   - quoted replies ("On ... wrote:", "-----Original Message-----", "> "
+ *     lines) and signatures are stripped when the quoted message is itself
+ *     in the thread, so its text is extracted once
+ *   - messages are threaded by Message-ID / In-Reply-To / References, and
+ *     by subject for replies whose parent is missing
+ *   - From, To and Cc headers become people entities with email addresses
+ *
+ * Each thread becomes one document: its messages, oldest first, each with
+ * its From/To/Cc/Date/Subject lines, so long threads chunk on message
+ * boundaries.
+ */
+
+const MAX_MESSAGES_PER_FILE = 5000;
+
+// Lines that begin a quoted copy of an earlier message
+const QUOTE_HEADERS = [
+    /^On .{5,300}\bwrote:\s*$/,
+    /^-{2,}\s*Original Message\s*-{2,}\s*$/i,
+    /^_{10,}\s*$/
+];
+
+// Lines that begin a signature or client footer
+const SIGNATURE_MARKERS = [
+    /^-- ?$/,
+    /^Sent from my \w+/i,
+    /^Get Outlook for \w+/i
+];
+
+/**
+ * Decode bytes held in a binary (latin1) string using a charset
+ */
+function decodeBytes(binary, charset = 'utf-8') {
+    const bytes = Buffer.from(binary, 'latin1');
+    const label = String(charset || 'utf-8').trim().toLowerCase().replace(/^"|"$/g, '');
+    try {
+        return new TextDecoder(label === 'us-ascii' ? 'utf-8' : label).decode(bytes);
+    } catch {
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
+
+function decodeQuotedPrintable(binary) {
+    return binary
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function decodeBase64(binary) {
+    return Buffer.from(binary.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64').toString('latin1');
+}
+
+/**
+ * Decode RFC 2047 encoded words in a header value
+ */
+export function decodeHeaderValue(value) {
+    let text = String(value ?? '');
+    // Raw 8-bit headers are usually UTF-8
+    if (/[\x80-\xff]/.test(text) && !/[^\x00-\xff]/.test(text)) {
+        const utf8 = decodeBytes(text, 'utf-8');
+        if (!utf8.includes('\uFFFD')) text = utf8;
+    }
+    return text
+        .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+        .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bq])\?([^?]*)\?=/gi, (_, charset, encoding, text) => {
+            const binary = encoding.toLowerCase() === 'b'
+                ? decodeBase64(text)
+                : decodeQuotedPrintable(text.replace(/_/g, ' '));
+            return decodeBytes(binary, charset);
+        });
+}
+
+/**
+ * Parse a header block into { name: [values] } with lowercased names.
+ * Values are unfolded but not decoded.
+ */
+export function parseHeaders(block) {
+    const headers = {};
+    for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) continue;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        (headers[name] || (headers[name] = [])).push(line.slice(colon + 1).trim());
+    }
+    return headers;
+}
+
+function header(headers, name) {
+    return headers[name]?.[0] ?? null;
+}
+
+/**
+ * Parse "type/subtype; key=value; ..." (Content-Type, Content-Disposition)
+ */
+function parseStructuredHeader(value) {
+    const [type, ...rest] = String(value || '').split(';');
+    const params = {};
+    for (const match of rest.join(';').matchAll(/([\w.-]+)(\*)?\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g)) {
+        let paramValue = match[3].trim().replace(/^"|"$/g, '').replace(/\\(.)/g, '$1');
+        if (match[2]) {
+            // RFC 2231: charset'language'percent-encoded
+            const parts = paramValue.split("'");
+            if (parts.length === 3) {
+                try {
+                    paramValue = decodeURIComponent(parts[2]);
+                } catch {
+                    paramValue = parts[2];
+                }
+            }
+        }
+        params[match[1].toLowerCase()] = decodeHeaderValue(paramValue);
+    }
+    return { type: type.trim().toLowerCase(), params };
+}
+
+/**
+ * Split one address header into [{ name, email }]
+ */
+export function parseAddressList(value) {
+    const decoded = decodeHeaderValue(value);
+    const addresses = [];
+    let current = '';
+    let quoted = false;
+    let angle = 0;
+
+    for (const char of decoded + ',') {
+        if (char === '"') quoted = !quoted;
+        if (!quoted && char === '<') angle++;
+        if (!quoted && char === '>') angle = Math.max(0, angle - 1);
+        if (char === ',' && !quoted && angle === 0) {
+            // Drop group syntax ("undisclosed-recipients:;", "Team: a@b;")
+            const entry = current.replace(/^[^"<@]*:\s*/, '').replace(/;\s*$/, '').trim();
+            current = '';
+            if (!entry) continue;
+
+            const angled = entry.match(/^(.*?)<([^<>]+@[^<>]+)>\s*$/);
+            const commented = entry.match(/^([^\s()<>]+@[^\s()<>]+)\s*(?:\((.*)\))?$/);
+            if (angled) {
+                addresses.push({ name: angled[1].trim().replace(/^"|"$/g, '').replace(/\\(.)/g, '$1').trim() || null, email: angled[2].trim().toLowerCase() });
+            } else if (commented) {
+                addresses.push({ name: commented[2]?.trim() || null, email: commented[1].toLowerCase() });
+            }
+            continue;
+        }
+        current += char;
+    }
+
+    return addresses;
+}
+
+function parseIdList(value) {
+    return [...String(value || '').matchAll(/<([^<>\s]+)>/g)].map(match => match[1]);
+}
+
+/**
+ * Text of an HTML body: scripts and styles dropped, block elements as
+ * line breaks, entities decoded
+ */
+export function htmlToText(html) {
+    return String(html || '')
+        .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6]|blockquote|table)>/gi, '\n')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;|&apos;/gi, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/gi, '&')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function splitHeaderAndBody(raw) {
+    const match = raw.match(/\r?\n\r?\n/);
+    if (!match) return { head: raw, body: '' };
+    return { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+}
+
+/**
+ * Walk a MIME entity (binary string), collecting text/plain and text/html
+ * bodies and attachment descriptions into `out`
+ */
+function walkPart(raw, out, depth = 0) {
+    const { head, body } = splitHeaderAndBody(raw);
+    const headers = parseHeaders(head);
+    const contentType = parseStructuredHeader(header(headers, 'content-type') || 'text/plain');
+    const disposition = parseStructuredHeader(header(headers, 'content-disposition') || '');
+    const encoding = (header(headers, 'content-transfer-encoding') || '7bit').toLowerCase();
+    const filename = disposition.params.filename || contentType.params.name || null;
+
+    if (contentType.type.startsWith('multipart/') && contentType.params.boundary && depth < 10) {
+        const delimiter = `--${contentType.params.boundary}`;
+        const sections = body.split(new RegExp(`^${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?$`, 'm'));
+        // Without a closing delimiter (truncated message) the last section is a part, not the epilogue
+        const closed = body.includes(`${delimiter}--`);
+        const children = sections.slice(1, closed ? -1 : undefined).map(part => part.replace(/^\r?\n/, ''));
+
+        if (contentType.type === 'multipart/alternative') {
+            // Prefer the plain text alternative
+            const alternatives = children.map(child => {
+                const childOut = { plain: [], html: [], attachments: [] };
+                walkPart(child, childOut, depth + 1);
+                return childOut;
+            });
+            const chosen = alternatives.find(alternative => alternative.plain.length > 0) ||
+                alternatives.find(alternative => alternative.html.length > 0);
+            if (chosen) {
+                out.plain.push(...chosen.plain);
+                out.html.push(...chosen.html);
+            }
+            alternatives.forEach(alternative => out.attachments.push(...alternative.attachments));
+        } else {
+            children.forEach(child => walkPart(child, out, depth + 1));
+        }
+        return;
+    }
+
+    let decoded = body;
+    if (encoding === 'quoted-printable') decoded = decodeQuotedPrintable(body);
+    if (encoding === 'base64') decoded = decodeBase64(body);
+
+    if (contentType.type === 'message/rfc822' && depth < 10) {
+        // Forwarded message attached whole
+        const forwarded = parseMessage(decoded);
+        out.plain.push(`---------- Forwarded message ----------\n${formatMessageHeader(forwarded)}\n\n${forwarded.body}`);
+        return;
+    }
+
+    const isAttachment = disposition.type === 'attachment' || (filename && !contentType.type.startsWith('text/'));
+    if (isAttachment || !contentType.type.startsWith('text/')) {
+        out.attachments.push({
+            filename: filename ? decodeHeaderValue(filename) : null,
+            contentType: contentType.type,
+            size: Buffer.byteLength(decoded, 'latin1')
+        });
+        return;
+    }
+
+    const text = decodeBytes(decoded, contentType.params.charset);
+    if (contentType.type === 'text/html') {
+        out.html.push(text);
+    } else {
+        out.plain.push(text);
+    }
+}
+
+/**
+ * Parse one RFC 5322 message held in a binary (latin1) string
+ */
+export function parseMessage(raw) {
+    const { head } = splitHeaderAndBody(raw);
+    const headers = parseHeaders(head);
+    const out = { plain: [], html: [], attachments: [] };
+    walkPart(raw, out);
+
+    const body = (out.plain.length > 0 ? out.plain.join('\n\n') : out.html.map(htmlToText).join('\n\n'))
+        .replace(/\r\n/g, '\n')
+        .trim();
+    const date = header(headers, 'date') ? new Date(header(headers, 'date')) : null;
+    const messageId = parseIdList(header(headers, 'message-id'))[0] || null;
+
+    return {
+        messageId,
+        inReplyTo: parseIdList(header(headers, 'in-reply-to'))[0] || null,
+        references: parseIdList((headers.references || []).join(' ')),
+        subject: decodeHeaderValue(header(headers, 'subject') || '').trim(),
+        date: date && !isNaN(date) ? date.toISOString() : null,
+        from: (headers.from || []).flatMap(parseAddressList),
+        to: (headers.to || []).flatMap(parseAddressList),
+        cc: (headers.cc || []).flatMap(parseAddressList),
+        body,
+        attachments: out.attachments
+    };
+}
+
+/**
+ * Split an mbox file (binary string) into raw messages
+ */
+export function splitMbox(content) {
+    const messages = [];
+    const separator = /^From \S+.*$/gm;
+    let previous = null;
+
+    for (const match of content.matchAll(separator)) {
+        // Separators start the file or follow a blank line
+        if (match.index > 0 && !/\n\r?\n$/.test(content.slice(Math.max(0, match.index - 4), match.index))) continue;
+        if (previous !== null) messages.push(content.slice(previous, match.index));
+        previous = match.index + match[0].length + 1;
+    }
+    if (previous !== null) messages.push(content.slice(previous));
+
+    // mboxrd escapes body lines starting with "From " as ">From "
+    return messages
+        .map(message => message.replace(/^>(>*From )/gm, '$1').trim())
+        .filter(Boolean)
+        .slice(0, MAX_MESSAGES_PER_FILE);
+}
+
+/**
+ * Body with quoted copies of earlier messages removed
+ */
+export function stripQuotedReply(body) {
+    const lines = body.split('\n');
+    let cut = lines.length;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const joined = `${line} ${(lines[i + 1] || '').trim()}`;
+        const outlookHeader = /^From: /.test(line) && lines.slice(i + 1, i + 5).some(next => /^(Sent|Date): /.test(next.trim()));
+        if (QUOTE_HEADERS.some(pattern => pattern.test(line)) || /^On .{5,300}\bwrote:\s*$/.test(joined) || outlookHeader) {
+            cut = i;
+            break;
+        }
+    }
+
+    return lines.slice(0, cut)
+        .filter(line => !/^\s*>/.test(line))
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Body with its signature and client footer removed
+ */
+export function stripSignature(body) {
+    const lines = body.split('\n');
+    const cut = lines.findIndex(line => SIGNATURE_MARKERS.some(pattern => pattern.test(line.trimEnd())));
+    return (cut === -1 ? lines : lines.slice(0, cut)).join('\n').trim();
+}
+
+function normalizeSubject(subject) {
+    return String(subject || '')
+        .replace(/^\s*((re|fwd?|aw|wg|sv)(\[\d+\])?\s*:\s*)+/i, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+function hashId(value) {
+    return createHash('sha1').update(value).digest('hex').slice(0, 12);
+}
+
+/**
+ * People from the From, To and Cc headers of messages, one per address:
+ * [{ name, email, confidence, source }]
+ */
+export function participantEntities(messages) {
+    const byEmail = new Map();
+    for (const message of messages) {
+        for (const address of [...message.from, ...message.to, ...message.cc]) {
+            const existing = byEmail.get(address.email);
+            // "Smith, Alice" is Alice Smith
+            const name = address.name?.replace(/^([^,]+),\s*([^,]+)$/, '$2 $1') || null;
+            if (!existing) {
+                const person = { name: name || address.email, email: address.email, confidence: 1.0, source: 'email-header' };
+                if (name && name !== address.name) person.aliases = [address.name];
+                byEmail.set(address.email, person);
+            } else if (existing.name === existing.email && name) {
+                existing.name = name;
+            }
+        }
+    }
+    return [...byEmail.values()];
+}
+
+/**
+ * Group messages into threads: [{ id, subject, messages, participants }]
+ * with messages oldest first and `parentId` set on replies
+ */
+export function buildThreads(messages) {
+    const byId = new Map();
+    messages.forEach((message, index) => {
+        if (!message.messageId) message.messageId = `generated-${hashId(`${index}:${message.subject}:${message.date}:${message.body.slice(0, 200)}`)}`;
+        if (!byId.has(message.messageId)) byId.set(message.messageId, message);
+    });
+
+    for (const message of byId.values()) {
+        const candidates = [message.inReplyTo, ...[...message.references].reverse()].filter(Boolean);
+        message.parentId = candidates.find(id => id !== message.messageId && byId.has(id)) || null;
+    }
+
+    const rootOf = message => {
+        const seen = new Set();
+        let current = message;
+        while (current.parentId && !seen.has(current.messageId)) {
+            seen.add(current.messageId);
+            current = byId.get(current.parentId);
+        }
+        return current;
+    };
+
+    // Threads keyed by root; roots without a parent join an earlier root with the same subject
+    const threads = new Map();
+    const rootBySubject = new Map();
+    const byDate = [...byId.values()].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+    for (const message of byDate.filter(candidate => !candidate.parentId)) {
+        const subject = normalizeSubject(message.subject);
+        const isReply = /^\s*(re|aw|sv)\s*:/i.test(message.subject) || message.inReplyTo || message.references.length > 0;
+        const earlier = subject ? rootBySubject.get(subject) : null;
+        if (earlier && isReply) {
+            message.parentId = earlier.messageId;
+            continue;
+        }
+        if (subject && !earlier) rootBySubject.set(subject, message);
+        threads.set(message.messageId, { root: message, messages: [] });
+    }
+
+    for (const message of byDate) {
+        threads.get(rootOf(message).messageId).messages.push(message);
+    }
+
+    return [...threads.values()].map(({ root, messages: threadMessages }) => ({
+        id: `thread_${hashId(root.messageId)}`,
+        subject: root.subject,
+        messages: threadMessages,
+        participants: participantEntities(threadMessages)
+    }));
+}
+
+function formatAddresses(addresses) {
+    return addresses.map(address => {
+        if (!address.name) return address.email;
+        const name = /[,;:"]/.test(address.name) ? `"${address.name.replace(/"/g, '\\"')}"` : address.name;
+        return `${name} <${address.email}>`;
+    }).join(', ');
+}
+
+function formatMessageHeader(message) {
+    return [
+        message.from.length > 0 && `From: ${formatAddresses(message.from)}`,
+        message.to.length > 0 && `To: ${formatAddresses(message.to)}`,
+        message.cc.length > 0 && `Cc: ${formatAddresses(message.cc)}`,
+        message.date && `Date: ${message.date}`,
+        message.subject && `Subject: ${message.subject}`
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Extraction text for a thread. A reply's quoted text is only dropped when
+ * the message it quotes is part of the thread.
+ */
+export function threadToDocument(thread) {
+    return thread.messages.map(message => {
+        const body = stripSignature(message.parentId ? stripQuotedReply(message.body) : message.body);
+        const attachments = message.attachments.filter(attachment => attachment.filename);
+        const attachmentLine = attachments.length > 0
+            ? `\nAttachments: ${attachments.map(attachment => attachment.filename).join(', ')}`
+            : '';
+        return `${formatMessageHeader(message)}${attachmentLine}\n\n${body}`;
+    }).join('\n\n');
+}
+
+/**
+ * Add header participants to extracted entities ({ people: [...] }), in
+ * place: extracted people with the same name or address get the email,
+ * the rest are added with provenance in `text`
+ */
+export function mergeParticipants(entities, participants, text = null) {
+    const people = Array.isArray(entities.people) ? entities.people : (entities.people = []);
+
+    for (const participant of participants) {
+        const localPart = participant.email.split('@')[0].replace(/[._-]+/g, ' ');
+        const match = people.find(person =>
+            (person.email && person.email.toLowerCase() === participant.email) ||
+            (typeof person.name === 'string' && [participant.name, localPart]
+                .some(name => EntitySearchIndex.normalize(name) === EntitySearchIndex.normalize(person.name)))
+        );
+
+        if (match) {
+            if (!match.email) match.email = participant.email;
+            continue;
+        }
+
+        const person = { ...participant };
+        if (text) person.provenance = { documentId: null, ...locateEntity(text, person, 'people'), extractor: 'email-headers' };
+        people.push(person);
+    }
+
+    return entities;
+}
+
+/**
+ * Read an .eml or .mbox file into { messages, threads }, each thread with
+ * its extraction `text`
+ */
+export async function loadEmailFile(filePath) {
+    // latin1 keeps every byte so MIME parts decode in their own charset
+    const content = await fs.readFile(filePath, 'latin1');
+    const isMbox = /^From \S+/.test(content) || filePath.toLowerCase().endsWith('.mbox');
+    const messages = (isMbox ? splitMbox(content) : [content]).map(parseMessage);
+    const threads = buildThreads(messages).map(thread => ({ ...thread, text: threadToDocument(thread) }));
+    return { messages, threads };
+}
+
+export default loadEmailFile;
@@ -0,0 +1,526 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { openZip } from './zip-archive.js';
+
+/**
+ * Office Source
+ *
+ * Text of Word (.docx) and Excel (.xlsx) files, read from their zip
+ * containers without external tools.
+ *
+ * Word documents keep their structure: headings become markdown headings
+ * (from the paragraph style or outline level), list items "- " lines and
+ * tables "| cell | cell |" rows. Page breaks (explicit ones and the
+ * breaks Word records when it lays out the document) start a
+ * "--- Page N ---" line.
+ *
+ * Spreadsheets give one entry per sheet. When the first non-empty row is a
+ * header, every following row becomes a record line naming its columns:
+ *
+ *   Row 12: Item: Ready-mix concrete; Qty: 40; Unit Price: $125.00; Total: $5,000.00
+ *
+ * so costs, quantities and vendors can be extracted row by row. Currency,
+ * percent and date formats are applied to cell values.
+ *
+ * Both return `locations`: [{ start, end, label, page | sheet, row }], the
+ * offsets of each page, section or row in the text, which provenance uses
+ * to cite "bid.docx p.2" or "invoice.xlsx Costs row 12".
+ */
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function decodeXmlEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+const XML_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const XML_ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Parse XML into { name, attrs, children } elements, with text nodes as
+ * strings. Lenient: unmatched closing tags are ignored.
+ */
+function parseXml(xml) {
+    const root = { name: '#document', attrs: {}, children: [] };
+    const stack = [root];
+
+    for (const match of xml.matchAll(XML_TOKEN)) {
+        const [, cdata, closing, opening, attributes, selfClosing, text] = match;
+        const parent = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            parent.children.push(cdata);
+        } else if (closing) {
+            const index = stack.map(element => element.name).lastIndexOf(closing);
+            if (index > 0) stack.length = index;
+        } else if (opening) {
+            const attrs = {};
+            for (const [, name, doubleQuoted, singleQuoted] of (attributes || '').matchAll(XML_ATTRIBUTE)) {
+                attrs[name] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+            }
+            const element = { name: opening, attrs, children: [] };
+            parent.children.push(element);
+            if (!selfClosing) stack.push(element);
+        } else if (text !== undefined) {
+            parent.children.push(decodeXmlEntities(text));
+        }
+    }
+    return root;
+}
+
+function childElements(element, name = null) {
+    return (element?.children || []).filter(child => typeof child === 'object' && (!name || child.name === name));
+}
+
+function firstChild(element, name) {
+    return childElements(element, name)[0] || null;
+}
+
+function findAll(element, name, found = []) {
+    for (const child of childElements(element)) {
+        if (child.name === name) found.push(child);
+        else findAll(child, name, found);
+    }
+    return found;
+}
+
+function textContent(element) {
+    return (element?.children || []).map(child => (typeof child === 'string' ? child : textContent(child))).join('');
+}
+
+/**
+ * Records where each labelled part of a text starts and ends
+ */
+class TextBuilder {
+    constructor() {
+        this.text = '';
+        this.locations = [];
+    }
+
+    append(value, location = null) {
+        if (!value) return;
+        const start = this.text.length;
+        this.text += value;
+        if (!location) return;
+
+        const last = this.locations[this.locations.length - 1];
+        if (last && last.label === location.label && last.end >= start - 2) {
+            last.end = this.text.length;
+        } else {
+            this.locations.push({ start, end: this.text.length, ...location });
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Word
+
+function readWordStyles(zip) {
+    const styles = new Map();
+    const xml = zip.readText('word/styles.xml');
+    if (!xml) return styles;
+
+    for (const style of findAll(parseXml(xml), 'w:style')) {
+        const name = firstChild(style, 'w:name')?.attrs['w:val'] || '';
+        const outline = findAll(style, 'w:outlineLvl')[0]?.attrs['w:val'];
+        styles.set(style.attrs['w:styleId'], { name, outlineLevel: outline !== undefined ? parseInt(outline, 10) : null });
+    }
+    return styles;
+}
+
+/**
+ * Heading level (1-6) of a paragraph, or 0
+ */
+function headingLevel(paragraphProperties, styles) {
+    const outline = firstChild(paragraphProperties, 'w:outlineLvl')?.attrs['w:val'];
+    if (outline !== undefined && parseInt(outline, 10) < 9) return Math.min(6, parseInt(outline, 10) + 1);
+
+    const styleId = firstChild(paragraphProperties, 'w:pStyle')?.attrs['w:val'];
+    if (!styleId) return 0;
+    const style = styles.get(styleId) || { name: styleId, outlineLevel: null };
+    const heading = /^heading\s*(\d)$/i.exec(style.name) || /^heading(\d)$/i.exec(styleId);
+    if (heading) return Math.min(6, parseInt(heading[1], 10));
+    if (/^title$/i.test(style.name)) return 1;
+    if (style.outlineLevel !== null && style.outlineLevel < 9) return Math.min(6, style.outlineLevel + 1);
+    return 0;
+}
+
+const SKIPPED_WORD_ELEMENTS = new Set(['w:del', 'w:instrText', 'w:delText', 'w:rPr', 'w:pPr', 'w:footnoteReference', 'mc:Fallback']);
+
+/**
+ * Text of a paragraph split at its page breaks: a break falls between
+ * consecutive parts
+ */
+function paragraphRuns(paragraph) {
+    const parts = [''];
+    const walk = (element) => {
+        for (const child of childElements(element)) {
+            if (SKIPPED_WORD_ELEMENTS.has(child.name)) continue;
+            switch (child.name) {
+                case 'w:t':
+                    parts[parts.length - 1] += textContent(child);
+                    break;
+                case 'w:tab':
+                    parts[parts.length - 1] += '\t';
+                    break;
+                case 'w:br':
+                    if (child.attrs['w:type'] === 'page') parts.push('');
+                    else parts[parts.length - 1] += '\n';
+                    break;
+                case 'w:cr':
+                    parts[parts.length - 1] += '\n';
+                    break;
+                case 'w:lastRenderedPageBreak':
+                    parts.push('');
+                    break;
+                default:
+                    walk(child);
+            }
+        }
+    };
+    walk(paragraph);
+    return parts;
+}
+
+/**
+ * The body of a Word document as blocks:
+ * [{ type: 'paragraph' | 'heading' | 'table', text, level, page }]
+ */
+function wordBlocks(body, styles) {
+    const blocks = [];
+    let page = 1;
+    let breakPending = false;
+
+    // Word records a rendered break right after an explicit one, so breaks
+    // with no text between them count once
+    const pageBreak = () => {
+        if (blocks.length > 0) breakPending = true;
+    };
+    const addBlock = (block) => {
+        if (breakPending) {
+            page++;
+            breakPending = false;
+        }
+        blocks.push({ ...block, page });
+    };
+
+    const addParagraph = (paragraph) => {
+        const properties = firstChild(paragraph, 'w:pPr');
+        if (firstChild(properties, 'w:pageBreakBefore')) pageBreak();
+
+        const level = headingLevel(properties, styles);
+        const listItem = Boolean(firstChild(properties, 'w:numPr'));
+        const parts = paragraphRuns(paragraph);
+
+        parts.forEach((part, index) => {
+            if (index > 0) pageBreak();
+            const text = part.replace(/[ \t]+$/gm, '').trim();
+            if (!text) return;
+            if (level) addBlock({ type: 'heading', text, level });
+            else addBlock({ type: 'paragraph', text: listItem ? `- ${text}` : text });
+        });
+
+        // A section break starting a new page
+        const section = firstChild(properties, 'w:sectPr');
+        const sectionType = firstChild(section, 'w:type')?.attrs['w:val'];
+        if (section && sectionType !== 'continuous') pageBreak();
+    };
+
+    const addTable = (table) => {
+        const rows = [];
+        for (const row of childElements(table, 'w:tr')) {
+            const cells = childElements(row, 'w:tc').map(cell =>
+                findAll(cell, 'w:p').map(paragraph => paragraphRuns(paragraph).join(' ').trim()).filter(Boolean).join(' ').replace(/\|/g, '/')
+            );
+            if (cells.some(Boolean)) rows.push(`| ${cells.join(' | ')} |`);
+        }
+        if (rows.length > 0) addBlock({ type: 'table', text: rows.join('\n') });
+    };
+
+    const walk = (element) => {
+        for (const child of childElements(element)) {
+            if (child.name === 'w:p') addParagraph(child);
+            else if (child.name === 'w:tbl') addTable(child);
+            else if (child.name === 'w:sdt' || child.name === 'w:sdtContent' || child.name === 'w:customXml') walk(child);
+        }
+    };
+    walk(body);
+    return blocks;
+}
+
+/**
+ * Text of a .docx file (path or Buffer):
+ * { text, pageCount, sections: [{ title, level, start }], tables, locations, properties }
+ */
+export async function readDocx(input) {
+    const zip = openZip(Buffer.isBuffer(input) ? input : await fs.readFile(input));
+    const xml = zip.readText('word/document.xml');
+    if (!xml) throw new Error('Not a Word document (word/document.xml missing)');
+
+    const body = findAll(parseXml(xml), 'w:body')[0];
+    const blocks = wordBlocks(body, readWordStyles(zip));
+    const pageCount = blocks.length > 0 ? blocks[blocks.length - 1].page : 0;
+    const paged = pageCount > 1;
+
+    const builder = new TextBuilder();
+    const sections = [];
+    let tables = 0;
+    let currentPage = 0;
+    let currentSection = null;
+
+    for (const block of blocks) {
+        if (paged && block.page !== currentPage) {
+            builder.append(`--- Page ${block.page} ---\n\n`);
+        }
+        currentPage = block.page;
+
+        if (block.type === 'heading') {
+            currentSection = block.text;
+            sections.push({ title: block.text, level: block.level, start: builder.text.length });
+        }
+        if (block.type === 'table') tables++;
+
+        const location = paged
+            ? { page: block.page, label: `p.${block.page}` }
+            : (currentSection ? { section: currentSection, label: `§ ${currentSection}` } : null);
+        const text = block.type === 'heading' ? `${'#'.repeat(block.level)} ${block.text}` : block.text;
+        builder.append(`${text}\n\n`, location);
+    }
+
+    return {
+        text: builder.text.trim(),
+        pageCount,
+        sections,
+        tables,
+        locations: builder.locations,
+        properties: readCoreProperties(zip)
+    };
+}
+
+/**
+ * Title, author and dates from docProps/core.xml
+ */
+function readCoreProperties(zip) {
+    const xml = zip.readText('docProps/core.xml');
+    if (!xml) return {};
+    const root = parseXml(xml);
+    const value = name => textContent(findAll(root, name)[0]).trim() || undefined;
+    const properties = {
+        title: value('dc:title'),
+        author: value('dc:creator'),
+        created: value('dcterms:created'),
+        modified: value('dcterms:modified')
+    };
+    return Object.fromEntries(Object.entries(properties).filter(([, property]) => property));
+}
+
+// ---------------------------------------------------------------------------
+// Excel
+
+// Built-in number formats (ECMA-376 18.8.30)
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+const BUILTIN_CURRENCY_FORMATS = new Set([5, 6, 7, 8]);
+const BUILTIN_PERCENT_FORMATS = new Set([9, 10]);
+
+function columnIndex(reference) {
+    const letters = /^[A-Z]+/i.exec(reference || '')?.[0].toUpperCase() || '';
+    let index = 0;
+    for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+    return index - 1;
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function readSharedStrings(zip) {
+    const xml = zip.readText('xl/sharedStrings.xml');
+    if (!xml) return [];
+    return childElements(findAll(parseXml(xml), 'sst')[0], 'si').map(item =>
+        // Rich text runs, leaving out phonetic guides
+        childElements(item).filter(child => child.name !== 'rPh').map(textContent).join('')
+    );
+}
+
+/**
+ * Cell style index -> 'date' | 'currency:<symbol>' | 'percent' | null
+ */
+function readCellFormats(zip) {
+    const xml = zip.readText('xl/styles.xml');
+    if (!xml) return [];
+    const root = parseXml(xml);
+
+    const customFormats = new Map(findAll(root, 'numFmt').map(format => [parseInt(format.attrs.numFmtId, 10), format.attrs.formatCode || '']));
+    const cellXfs = findAll(root, 'cellXfs')[0];
+
+    return childElements(cellXfs, 'xf').map((xf) => {
+        const id = parseInt(xf.attrs.numFmtId || '0', 10);
+        if (BUILTIN_DATE_FORMATS.has(id)) return 'date';
+        if (BUILTIN_CURRENCY_FORMATS.has(id)) return 'currency:$';
+        if (BUILTIN_PERCENT_FORMATS.has(id)) return 'percent';
+
+        const code = customFormats.get(id);
+        if (!code) return null;
+        const symbol = /\[\$([^\]-]*)/.exec(code)?.[1] || /[$€£¥]/.exec(code.replace(/\[[^\]]*\]/g, ''))?.[0];
+        const plain = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, ''); // quoted text, escapes, colours and conditions
+        if (symbol) return `currency:${symbol}`;
+        if (plain.includes('%')) return 'percent';
+        if (/[dmy]/i.test(plain) && !/^[#0.,\s]*$/.test(plain)) return 'date';
+        return null;
+    });
+}
+
+function formatNumber(value, format, date1904) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return value;
+
+    if (format === 'date') {
+        const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+        const date = new Date(epoch + Math.round(number * 86400000));
+        const iso = date.toISOString();
+        return number % 1 === 0 ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+    }
+    if (format === 'percent') {
+        return `${parseFloat((number * 100).toPrecision(12))}%`;
+    }
+    if (format?.startsWith('currency:')) {
+        const symbol = format.slice('currency:'.length);
+        const amount = Math.abs(number).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return `${number < 0 ? '-' : ''}${symbol}${amount}`;
+    }
+    return String(parseFloat(number.toPrecision(15)));
+}
+
+function cellValue(cell, sharedStrings, formats, date1904) {
+    const type = cell.attrs.t;
+    const raw = textContent(firstChild(cell, 'v'));
+
+    switch (type) {
+        case 's':
+            return sharedStrings[parseInt(raw, 10)] ?? '';
+        case 'inlineStr':
+            return textContent(firstChild(cell, 'is'));
+        case 'str':
+        case 'e':
+            return raw;
+        case 'b':
+            return raw === '1' ? 'TRUE' : 'FALSE';
+        default:
+            return raw === '' ? '' : formatNumber(raw, formats[parseInt(cell.attrs.s || '0', 10)] || null, date1904);
+    }
+}
+
+function resolveSheetTarget(target) {
+    if (target.startsWith('/')) return target.slice(1);
+    return path.posix.normalize(path.posix.join('xl', target));
+}
+
+/**
+ * Rows of one worksheet: [{ row, cells: [value, ...] }], empty rows left out
+ */
+function sheetRows(xml, sharedStrings, formats, date1904) {
+    const rows = [];
+    for (const rowElement of findAll(parseXml(xml), 'row')) {
+        const cells = [];
+        let nextColumn = 0;
+        for (const cell of childElements(rowElement, 'c')) {
+            const column = cell.attrs.r ? columnIndex(cell.attrs.r) : nextColumn;
+            cells[column] = String(cellValue(cell, sharedStrings, formats, date1904)).replace(/\s+/g, ' ').trim();
+            nextColumn = column + 1;
+        }
+        if (cells.some(Boolean)) {
+            rows.push({ row: parseInt(rowElement.attrs.r, 10) || rows.length + 1, cells: Array.from(cells, value => value || '') });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Column names from the first row when it reads as a header: at least two
+ * filled cells, all text
+ */
+function headerOf(rows) {
+    const first = rows[0];
+    if (!first || rows.length < 2) return null;
+    const filled = first.cells.filter(Boolean);
+    if (filled.length < 2 || filled.some(value => /^[-$€£¥]?[\d,.]+%?$/.test(value))) return null;
+    return first.cells.map((name, index) => name || columnName(index));
+}
+
+/**
+ * Sheets of an .xlsx file (path or Buffer):
+ * [{ name, index, columns, records: [{ row, values }], text, locations }]
+ * where every record line of `text` is "Row N: Column: value; ..."
+ */
+export async function readXlsx(input) {
+    const zip = openZip(Buffer.isBuffer(input) ? input : await fs.readFile(input));
+    const workbookXml = zip.readText('xl/workbook.xml');
+    if (!workbookXml) throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+
+    const workbook = parseXml(workbookXml);
+    const date1904 = ['1', 'true'].includes(findAll(workbook, 'workbookPr')[0]?.attrs.date1904);
+    const relationships = new Map(findAll(parseXml(zip.readText('xl/_rels/workbook.xml.rels') || ''), 'Relationship')
+        .map(relationship => [relationship.attrs.Id, relationship.attrs.Target]));
+    const sharedStrings = readSharedStrings(zip);
+    const formats = readCellFormats(zip);
+
+    const sheets = [];
+    findAll(workbook, 'sheet').forEach((sheet, index) => {
+        const target = relationships.get(sheet.attrs['r:id']);
+        const xml = target ? zip.readText(resolveSheetTarget(target)) : null;
+        if (!xml) return; // chart sheets and missing parts
+
+        const name = sheet.attrs.name || `Sheet${index + 1}`;
+        const rows = sheetRows(xml, sharedStrings, formats, date1904);
+        if (rows.length === 0) return;
+
+        const columns = headerOf(rows);
+        const dataRows = columns ? rows.slice(1) : rows;
+        const builder = new TextBuilder();
+        builder.append(`## Sheet: ${name}\n`);
+        if (columns) builder.append(`Columns: ${columns.join(' | ')}\n`);
+        builder.append('\n');
+
+        const records = dataRows.map(({ row, cells }) => {
+            const values = {};
+            cells.forEach((value, column) => {
+                if (value) values[columns ? columns[column] || columnName(column) : columnName(column)] = value;
+            });
+            const line = columns
+                ? Object.entries(values).map(([column, value]) => `${column}: ${value}`).join('; ')
+                : cells.filter(Boolean).join(' | ');
+            builder.append(`Row ${row}: ${line}\n`, { sheet: name, row, label: `${name} row ${row}` });
+            return { row, values };
+        });
+
+        sheets.push({ name, index, columns, records, text: builder.text.trim(), locations: builder.locations });
+    });
+    return sheets;
+}
+
+/**
+ * An Office file by extension: { format: 'docx', document } or
+ * { format: 'xlsx', sheets }; null for other files
+ */
+export async function loadOfficeFile(filePath) {
+    switch (path.extname(filePath).toLowerCase()) {
+        case '.docx':
+            return { format: 'docx', document: await readDocx(filePath) };
+        case '.xlsx':
+            return { format: 'xlsx', sheets: await readXlsx(filePath) };
+        default:
+            return null;
+    }
+}
+
+export default loadOfficeFile;
@@ -0,0 +1,874 @@
+import fs from 'fs-extra';
+import zlib from 'zlib';
+
+/**
+ * PDF Source
+ *
+ * Text of PDF files, page by page, without external tools. Objects are
+ * read from the file (including compressed object streams), pages are
+ * taken from the page tree in reading order, and each page's content
+ * stream is interpreted for its text operators. Fonts with a ToUnicode map
+ * are decoded through it; other simple fonts are read as WinAnsi.
+ *
+ * Text is laid out from the text positions: a change of baseline starts a
+ * new line, a gap within a line a space, and a wide gap (table columns)
+ * " | ". Pages are separated by "--- Page N ---" lines, and `locations`
+ * gives the offsets of each page so provenance can cite "invoice.pdf p.3".
+ *
+ * Scanned PDFs have no text layer and come back with empty pages (OCR is
+ * out of scope); encrypted PDFs are rejected.
+ */
+
+const MAX_FORM_DEPTH = 5;
+
+class PdfRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+class PdfString {
+    constructor(bytes) {
+        this.bytes = bytes; // latin1 string, one char per byte
+    }
+}
+
+const WHITESPACE = new Set(['\x00', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+/**
+ * Tokenizer and object parser over a latin1 string
+ */
+class PdfLexer {
+    constructor(source, position = 0) {
+        this.source = source;
+        this.position = position;
+    }
+
+    skipWhitespace() {
+        const { source } = this;
+        while (this.position < source.length) {
+            const char = source[this.position];
+            if (WHITESPACE.has(char)) {
+                this.position++;
+            } else if (char === '%') {
+                while (this.position < source.length && source[this.position] !== '\n' && source[this.position] !== '\r') this.position++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    readRegular() {
+        const start = this.position;
+        while (this.position < this.source.length) {
+            const char = this.source[this.position];
+            if (WHITESPACE.has(char) || DELIMITERS.has(char)) break;
+            this.position++;
+        }
+        return this.source.slice(start, this.position);
+    }
+
+    readName() {
+        this.position++; // '/'
+        return this.readRegular().replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    readLiteralString() {
+        const { source } = this;
+        let depth = 1;
+        let bytes = '';
+        this.position++; // '('
+
+        while (this.position < source.length) {
+            const char = source[this.position++];
+            if (char === '\\') {
+                const next = source[this.position++];
+                switch (next) {
+                    case 'n': bytes += '\n'; break;
+                    case 'r': bytes += '\r'; break;
+                    case 't': bytes += '\t'; break;
+                    case 'b': bytes += '\b'; break;
+                    case 'f': bytes += '\f'; break;
+                    case '\r':
+                        if (source[this.position] === '\n') this.position++;
+                        break;
+                    case '\n':
+                        break;
+                    default:
+                        if (next >= '0' && next <= '7') {
+                            let octal = next;
+                            while (octal.length < 3 && source[this.position] >= '0' && source[this.position] <= '7') {
+                                octal += source[this.position++];
+                            }
+                            bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                        } else {
+                            bytes += next;
+                        }
+                }
+            } else if (char === '(') {
+                depth++;
+                bytes += char;
+            } else if (char === ')') {
+                if (--depth === 0) break;
+                bytes += char;
+            } else {
+                bytes += char;
+            }
+        }
+        return new PdfString(bytes);
+    }
+
+    readHexString() {
+        const end = this.source.indexOf('>', this.position);
+        let hex = this.source.slice(this.position + 1, end < 0 ? this.source.length : end).replace(/[^0-9a-f]/gi, '');
+        this.position = end < 0 ? this.source.length : end + 1;
+        if (hex.length % 2) hex += '0';
+        let bytes = '';
+        for (let i = 0; i < hex.length; i += 2) bytes += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+        return new PdfString(bytes);
+    }
+
+    /**
+     * Next token: { type: 'value', value } for operands or
+     * { type: 'keyword', value } for operators and bare words; null at end
+     */
+    nextToken() {
+        this.skipWhitespace();
+        const { source } = this;
+        if (this.position >= source.length) return null;
+        const char = source[this.position];
+
+        if (char === '/') return { type: 'value', value: this.readName() };
+        if (char === '(') return { type: 'value', value: this.readLiteralString() };
+        if (char === '<') {
+            if (source[this.position + 1] === '<') {
+                this.position += 2;
+                return { type: 'keyword', value: '<<' };
+            }
+            return { type: 'value', value: this.readHexString() };
+        }
+        if (char === '>' && source[this.position + 1] === '>') {
+            this.position += 2;
+            return { type: 'keyword', value: '>>' };
+        }
+        if (char === '[' || char === ']' || char === '{' || char === '}') {
+            this.position++;
+            return { type: 'keyword', value: char };
+        }
+        if (DELIMITERS.has(char)) {
+            this.position++; // stray delimiter
+            return this.nextToken();
+        }
+
+        const word = this.readRegular();
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: 'value', value: parseFloat(word) };
+        if (word === 'true') return { type: 'value', value: true };
+        if (word === 'false') return { type: 'value', value: false };
+        if (word === 'null') return { type: 'value', value: null };
+        return { type: 'keyword', value: word };
+    }
+
+    /**
+     * Parse one object (dictionaries, arrays and "n g R" references included)
+     */
+    parseObject(token = this.nextToken()) {
+        if (!token) return null;
+        if (token.type === 'value') {
+            if (typeof token.value === 'number' && Number.isInteger(token.value)) {
+                // "n g R" reference?
+                const saved = this.position;
+                const generation = this.nextToken();
+                if (generation?.type === 'value' && Number.isInteger(generation.value)) {
+                    const keyword = this.nextToken();
+                    if (keyword?.type === 'keyword' && keyword.value === 'R') return new PdfRef(token.value, generation.value);
+                }
+                this.position = saved;
+            }
+            return token.value;
+        }
+
+        switch (token.value) {
+            case '<<': {
+                const dict = {};
+                for (;;) {
+                    const key = this.nextToken();
+                    if (!key || (key.type === 'keyword' && key.value === '>>')) break;
+                    if (key.type !== 'value' || typeof key.value !== 'string') continue;
+                    dict[key.value] = this.parseObject();
+                }
+                return dict;
+            }
+            case '[': {
+                const array = [];
+                for (;;) {
+                    const next = this.nextToken();
+                    if (!next || (next.type === 'keyword' && next.value === ']')) break;
+                    array.push(this.parseObject(next));
+                }
+                return array;
+            }
+            default:
+                return { keyword: token.value };
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Stream filters
+
+function decodeAscii85(data) {
+    const input = data.replace(/\s/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+    const bytes = [];
+    let group = [];
+    for (const char of input) {
+        if (char === 'z' && group.length === 0) {
+            bytes.push(0, 0, 0, 0);
+            continue;
+        }
+        group.push(char.charCodeAt(0) - 33);
+        if (group.length === 5) {
+            let value = 0;
+            for (const digit of group) value = value * 85 + digit;
+            bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+            group = [];
+        }
+    }
+    if (group.length > 1) {
+        const padding = 5 - group.length;
+        let value = 0;
+        for (const digit of [...group, ...Array(padding).fill(84)]) value = value * 85 + digit;
+        const tail = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+        bytes.push(...tail.slice(0, 4 - padding));
+    }
+    return Buffer.from(bytes).toString('latin1');
+}
+
+function decodeAsciiHex(data) {
+    let hex = data.replace(/>.*$/s, '').replace(/[^0-9a-f]/gi, '');
+    if (hex.length % 2) hex += '0';
+    return Buffer.from(hex, 'hex').toString('latin1');
+}
+
+function inflate(data) {
+    const buffer = Buffer.from(data, 'latin1');
+    try {
+        return zlib.inflateSync(buffer).toString('latin1');
+    } catch (error) {
+        // Truncated or slightly corrupt streams still give their readable part
+        return zlib.inflateSync(buffer, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('latin1');
+    }
+}
+
+/**
+ * PNG predictors (used by cross-reference and object streams)
+ */
+function unpredict(data, parms) {
+    const predictor = parms?.Predictor || 1;
+    if (predictor < 10) return data;
+    const columns = parms.Columns || 1;
+    const rowLength = columns + 1;
+    const output = [];
+    let previous = new Array(columns).fill(0);
+
+    for (let offset = 0; offset + rowLength <= data.length; offset += rowLength) {
+        const type = data.charCodeAt(offset);
+        const row = [];
+        for (let i = 0; i < columns; i++) {
+            const raw = data.charCodeAt(offset + 1 + i);
+            const left = i > 0 ? row[i - 1] : 0;
+            const up = previous[i];
+            const upLeft = i > 0 ? previous[i - 1] : 0;
+            let value;
+            switch (type) {
+                case 1: value = raw + left; break;
+                case 2: value = raw + up; break;
+                case 3: value = raw + Math.floor((left + up) / 2); break;
+                case 4: {
+                    const estimate = left + up - upLeft;
+                    const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+                    value = raw + (distances[0] <= distances[1] && distances[0] <= distances[2] ? left : distances[1] <= distances[2] ? up : upLeft);
+                    break;
+                }
+                default: value = raw;
+            }
+            row.push(value & 0xff);
+        }
+        output.push(...row);
+        previous = row;
+    }
+    return Buffer.from(output).toString('latin1');
+}
+
+// ---------------------------------------------------------------------------
+// Document
+
+class PdfDocument {
+    constructor(source) {
+        this.source = source;
+        this.objects = new Map(); // num -> { value, stream (raw latin1) }
+        this.decoded = new Map();
+        this.fonts = new Map();
+        this.readObjects();
+    }
+
+    readObjects() {
+        const { source } = this;
+        const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        const objectStreams = [];
+
+        for (const match of source.matchAll(pattern)) {
+            const num = parseInt(match[1], 10);
+            const lexer = new PdfLexer(source, match.index + match[0].length);
+            let value;
+            try {
+                value = lexer.parseObject();
+            } catch (error) {
+                continue;
+            }
+
+            let stream = null;
+            const after = new PdfLexer(source, lexer.position);
+            after.skipWhitespace();
+            if (source.startsWith('stream', after.position)) {
+                let start = after.position + 'stream'.length;
+                if (source[start] === '\r') start++;
+                if (source[start] === '\n') start++;
+                const length = typeof value?.Length === 'number' ? value.Length : null;
+                const declaredEnd = length !== null ? start + length : -1;
+                const end = declaredEnd > 0 && /^\s*endstream/.test(source.slice(declaredEnd, declaredEnd + 20))
+                    ? declaredEnd
+                    : source.indexOf('endstream', start);
+                const data = source.slice(start, end < 0 ? source.length : end);
+                stream = end === declaredEnd ? data : data.replace(/\r?\n$/, '');
+            }
+
+            // Later definitions (incremental updates) replace earlier ones
+            this.objects.set(num, { value, stream });
+            if (value?.Type === 'ObjStm' && stream !== null) objectStreams.push(num);
+        }
+
+        for (const num of objectStreams) {
+            this.readObjectStream(num);
+        }
+    }
+
+    readObjectStream(num) {
+        let data;
+        try {
+            data = this.streamData(num);
+        } catch (error) {
+            return;
+        }
+        const { value } = this.objects.get(num);
+        const count = this.resolve(value.N) || 0;
+        const first = this.resolve(value.First) || 0;
+        const header = new PdfLexer(data);
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const objectNumber = header.nextToken()?.value;
+            const offset = header.nextToken()?.value;
+            if (!Number.isInteger(objectNumber) || !Number.isInteger(offset)) break;
+            entries.push([objectNumber, offset]);
+        }
+        for (const [objectNumber, offset] of entries) {
+            if (this.objects.has(objectNumber)) continue;
+            try {
+                this.objects.set(objectNumber, { value: new PdfLexer(data, first + offset).parseObject(), stream: null });
+            } catch (error) {
+                // Unreadable entry
+            }
+        }
+    }
+
+    resolve(value, depth = 0) {
+        if (value instanceof PdfRef && depth < 20) {
+            return this.resolve(this.objects.get(value.num)?.value ?? null, depth + 1);
+        }
+        return value;
+    }
+
+    /**
+     * Decoded data of a stream object (by number or reference), latin1
+     */
+    streamData(ref) {
+        const num = ref instanceof PdfRef ? ref.num : ref;
+        if (this.decoded.has(num)) return this.decoded.get(num);
+
+        const object = this.objects.get(num);
+        if (!object || object.stream === null) return '';
+
+        let data = object.stream;
+        const filters = [].concat(this.resolve(object.value.Filter) || []);
+        const parms = [].concat(this.resolve(object.value.DecodeParms) || []);
+        filters.forEach((filter, index) => {
+            switch (filter) {
+                case 'FlateDecode':
+                case 'Fl':
+                    data = unpredict(inflate(data), this.resolve(parms[index]));
+                    break;
+                case 'ASCII85Decode':
+                case 'A85':
+                    data = decodeAscii85(data);
+                    break;
+                case 'ASCIIHexDecode':
+                case 'AHx':
+                    data = decodeAsciiHex(data);
+                    break;
+                default:
+                    throw new Error(`Unsupported PDF filter ${filter}`);
+            }
+        });
+
+        this.decoded.set(num, data);
+        return data;
+    }
+
+    get trailer() {
+        const matches = [...this.source.matchAll(/trailer\s*<</g)];
+        const trailers = matches.map(match => new PdfLexer(this.source, match.index + 'trailer'.length).parseObject());
+        // Cross-reference streams carry the trailer entries themselves
+        for (const { value } of this.objects.values()) {
+            if (value?.Type === 'XRef') trailers.push(value);
+        }
+        return Object.assign({}, ...trailers);
+    }
+
+    get encrypted() {
+        return Boolean(this.trailer.Encrypt);
+    }
+
+    info() {
+        const info = this.resolve(this.trailer.Info) || {};
+        const text = value => (value instanceof PdfString ? decodeTextString(value.bytes) : undefined);
+        const fields = {
+            title: text(this.resolve(info.Title)),
+            author: text(this.resolve(info.Author)),
+            subject: text(this.resolve(info.Subject)),
+            created: parsePdfDate(text(this.resolve(info.CreationDate)))
+        };
+        return Object.fromEntries(Object.entries(fields).filter(([, value]) => value && value.trim()));
+    }
+
+    /**
+     * Page dictionaries in order, with inherited Resources filled in
+     */
+    pages() {
+        const pages = [];
+        const visited = new Set();
+        const walk = (ref, inheritedResources) => {
+            const num = ref instanceof PdfRef ? ref.num : null;
+            if (num !== null) {
+                if (visited.has(num)) return;
+                visited.add(num);
+            }
+            const node = this.resolve(ref);
+            if (!node || typeof node !== 'object') return;
+            const resources = node.Resources ?? inheritedResources;
+            if (node.Type === 'Page' || (!node.Kids && node.Contents)) {
+                pages.push({ ...node, Resources: resources });
+            } else {
+                for (const kid of this.resolve(node.Kids) || []) walk(kid, resources);
+            }
+        };
+
+        const root = this.resolve(this.trailer.Root);
+        if (root?.Pages) walk(root.Pages, null);
+
+        if (pages.length === 0) {
+            // No usable page tree: every page object in object order
+            for (const [, { value }] of [...this.objects.entries()].sort((a, b) => a[0] - b[0])) {
+                if (value?.Type === 'Page') pages.push(value);
+            }
+        }
+        return pages;
+    }
+
+    font(ref) {
+        const key = ref instanceof PdfRef ? `ref:${ref.num}` : null;
+        if (key && this.fonts.has(key)) return this.fonts.get(key);
+        const font = new PdfFont(this, this.resolve(ref) || {});
+        if (key) this.fonts.set(key, font);
+        return font;
+    }
+}
+
+/**
+ * "D:20240131093000+01'00'" as an ISO timestamp (undefined when unreadable)
+ */
+function parsePdfDate(value) {
+    const match = /D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/.exec(value || '');
+    if (!match) return undefined;
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+    const offset = !zone || zone === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5) || '00'}`;
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Text strings outside content streams: UTF-16BE with a byte order mark,
+ * otherwise PDFDocEncoding (read as latin1)
+ */
+function decodeTextString(bytes) {
+    if (bytes.startsWith('\xfe\xff')) {
+        return new TextDecoder('utf-16be').decode(Buffer.from(bytes.slice(2), 'latin1'));
+    }
+    if (bytes.startsWith('\xef\xbb\xbf')) {
+        return Buffer.from(bytes.slice(3), 'latin1').toString('utf8');
+    }
+    return bytes;
+}
+
+const winAnsiDecoder = new TextDecoder('windows-1252');
+
+class PdfFont {
+    constructor(document, dict) {
+        this.composite = dict.Subtype === 'Type0';
+        this.codeLength = this.composite ? 2 : 1;
+        this.toUnicode = null;
+        this.widths = new Map();
+        this.defaultWidth = this.composite ? 1000 : 500;
+
+        const toUnicode = dict.ToUnicode;
+        if (toUnicode) {
+            try {
+                this.readCMap(document.streamData(toUnicode));
+            } catch (error) {
+                this.toUnicode = null;
+            }
+        }
+        this.readWidths(document, dict);
+    }
+
+    readCMap(data) {
+        const map = new Map();
+        let lengths = new Set();
+
+        for (const [, body] of data.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+            for (const [, low] of body.matchAll(/<([0-9a-f]+)>\s*<[0-9a-f]+>/gi)) lengths.add(low.length / 2);
+        }
+        const unicode = hex => {
+            let value = '';
+            for (let i = 0; i + 4 <= hex.length; i += 4) value += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+            if (hex.length === 2) value = String.fromCharCode(parseInt(hex, 16));
+            return value;
+        };
+
+        for (const [, body] of data.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+            for (const [, source, target] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+                map.set(parseInt(source, 16), unicode(target));
+                lengths.add(source.length / 2);
+            }
+        }
+        for (const [, body] of data.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+            for (const [, low, high, target, list] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]*)>|\[([^\]]*)\])/gi)) {
+                const start = parseInt(low, 16);
+                const end = Math.min(parseInt(high, 16), start + 0xffff);
+                lengths.add(low.length / 2);
+                if (list !== undefined) {
+                    [...list.matchAll(/<([0-9a-f]*)>/gi)].forEach(([, value], index) => map.set(start + index, unicode(value)));
+                } else {
+                    const base = unicode(target);
+                    for (let code = start; code <= end; code++) {
+                        map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + (code - start)));
+                    }
+                }
+            }
+        }
+
+        if (map.size > 0) {
+            this.toUnicode = map;
+            lengths = [...lengths].filter(length => length >= 1 && length <= 4);
+            if (lengths.length === 1) this.codeLength = lengths[0];
+        }
+    }
+
+    readWidths(document, dict) {
+        if (this.composite) {
+            const descendant = document.resolve((document.resolve(dict.DescendantFonts) || [])[0]) || {};
+            if (typeof descendant.DW === 'number') this.defaultWidth = descendant.DW;
+            const w = document.resolve(descendant.W) || [];
+            for (let i = 0; i < w.length;) {
+                const first = document.resolve(w[i]);
+                const next = document.resolve(w[i + 1]);
+                if (Array.isArray(next)) {
+                    next.forEach((width, index) => this.widths.set(first + index, document.resolve(width)));
+                    i += 2;
+                } else {
+                    const width = document.resolve(w[i + 2]);
+                    for (let code = first; code <= next && code - first < 0xffff; code++) this.widths.set(code, width);
+                    i += 3;
+                }
+            }
+        } else {
+            const firstChar = document.resolve(dict.FirstChar) || 0;
+            (document.resolve(dict.Widths) || []).forEach((width, index) => this.widths.set(firstChar + index, document.resolve(width)));
+            const missing = document.resolve(document.resolve(dict.FontDescriptor)?.MissingWidth);
+            if (typeof missing === 'number' && missing > 0) this.defaultWidth = missing;
+        }
+    }
+
+    /**
+     * Character codes of a string operand
+     */
+    codes(bytes) {
+        const codes = [];
+        for (let i = 0; i + this.codeLength <= bytes.length; i += this.codeLength) {
+            let code = 0;
+            for (let j = 0; j < this.codeLength; j++) code = (code << 8) | bytes.charCodeAt(i + j);
+            codes.push(code);
+        }
+        return codes;
+    }
+
+    decode(bytes) {
+        const codes = this.codes(bytes);
+        let text;
+        if (this.toUnicode) {
+            text = codes.map(code => this.toUnicode.get(code) ?? '').join('');
+        } else if (this.composite) {
+            text = ''; // identity-encoded glyph ids cannot be mapped to text
+        } else {
+            text = winAnsiDecoder.decode(Buffer.from(bytes, 'latin1'));
+        }
+        const width = codes.reduce((sum, code) => sum + (this.widths.get(code) ?? this.defaultWidth), 0) / 1000;
+        return { text, width, spaces: codes.filter(code => code === 32 && this.codeLength === 1).length };
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Content streams
+
+function multiply(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[1] * m2[2],
+        m1[0] * m2[1] + m1[1] * m2[3],
+        m1[2] * m2[0] + m1[3] * m2[2],
+        m1[2] * m2[1] + m1[3] * m2[3],
+        m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+        m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+    ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Text runs of a content stream: [{ text, x, y, endX, size }] in page space
+ */
+function contentRuns(document, content, resources, runs = [], ctm = IDENTITY, depth = 0) {
+    const lexer = new PdfLexer(content);
+    const fontsDict = document.resolve(resources?.Font) || {};
+    const xObjects = document.resolve(resources?.XObject) || {};
+    const stack = [];
+    let operands = [];
+
+    let state = { ctm, font: null, size: 1, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+    let textMatrix = IDENTITY;
+    let lineMatrix = IDENTITY;
+
+    const show = (string) => {
+        if (!state.font || !(string instanceof PdfString)) return;
+        const { text, width, spaces } = state.font.decode(string.bytes);
+        const trm = multiply([state.size * state.scale, 0, 0, state.size, 0, state.rise], multiply(textMatrix, state.ctm));
+        const advance = (width * state.size + state.charSpacing * string.bytes.length / state.font.codeLength + state.wordSpacing * spaces) * state.scale;
+        const fontSize = Math.hypot(trm[2], trm[3]) || state.size;
+        if (text) {
+            const end = multiply([1, 0, 0, 1, advance, 0], multiply(textMatrix, state.ctm));
+            runs.push({ text, x: trm[4], y: trm[5], endX: end[4], size: fontSize });
+        }
+        textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+    };
+
+    const moveLine = (tx, ty) => {
+        lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+        textMatrix = lineMatrix;
+    };
+
+    for (let token = lexer.nextToken(); token; token = lexer.nextToken()) {
+        if (token.type === 'value' || token.value === '[' || token.value === '<<') {
+            operands.push(token.type === 'value' ? token.value : lexer.parseObject(token));
+            continue;
+        }
+
+        const op = token.value;
+        const number = index => (typeof operands[index] === 'number' ? operands[index] : 0);
+
+        switch (op) {
+            case 'q':
+                stack.push({ ...state });
+                break;
+            case 'Q':
+                if (stack.length) state = stack.pop();
+                break;
+            case 'cm':
+                state.ctm = multiply(operands.slice(0, 6).map((_, i) => number(i)), state.ctm);
+                break;
+            case 'BT':
+                textMatrix = IDENTITY;
+                lineMatrix = IDENTITY;
+                break;
+            case 'Tf': {
+                const ref = fontsDict[operands[0]];
+                state.font = ref ? document.font(ref) : null;
+                state.size = number(1) || 1;
+                break;
+            }
+            case 'Tc': state.charSpacing = number(0); break;
+            case 'Tw': state.wordSpacing = number(0); break;
+            case 'Tz': state.scale = number(0) / 100; break;
+            case 'TL': state.leading = number(0); break;
+            case 'Ts': state.rise = number(0); break;
+            case 'Td':
+                moveLine(number(0), number(1));
+                break;
+            case 'TD':
+                state.leading = -number(1);
+                moveLine(number(0), number(1));
+                break;
+            case 'Tm':
+                lineMatrix = operands.slice(0, 6).map((_, i) => number(i));
+                textMatrix = lineMatrix;
+                break;
+            case 'T*':
+                moveLine(0, -state.leading);
+                break;
+            case 'Tj':
+                show(operands[0]);
+                break;
+            case '\'':
+                moveLine(0, -state.leading);
+                show(operands[0]);
+                break;
+            case '"':
+                state.wordSpacing = number(0);
+                state.charSpacing = number(1);
+                moveLine(0, -state.leading);
+                show(operands[2]);
+                break;
+            case 'TJ':
+                for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+                    if (typeof item === 'number') {
+                        const shift = -item / 1000 * state.size * state.scale;
+                        textMatrix = multiply([1, 0, 0, 1, shift, 0], textMatrix);
+                    } else {
+                        show(item);
+                    }
+                }
+                break;
+            case 'Do': {
+                const ref = xObjects[operands[0]];
+                const xObject = document.resolve(ref);
+                if (xObject?.Subtype === 'Form' && ref instanceof PdfRef && depth < MAX_FORM_DEPTH) {
+                    const matrix = (document.resolve(xObject.Matrix) || IDENTITY).map(value => document.resolve(value));
+                    try {
+                        contentRuns(document, document.streamData(ref), document.resolve(xObject.Resources) || resources, runs, multiply(matrix, state.ctm), depth + 1);
+                    } catch (error) {
+                        // Unreadable form
+                    }
+                }
+                break;
+            }
+            case 'BI': {
+                // Inline image: skip its data
+                const end = content.slice(lexer.position).search(/\sEI(?=\s|$)/);
+                lexer.position = end < 0 ? content.length : lexer.position + end + 3;
+                break;
+            }
+            default:
+                break;
+        }
+        operands = [];
+    }
+    return runs;
+}
+
+/**
+ * Lay text runs out as lines: runs on the same baseline are joined in
+ * reading order, with a space for a small gap and " | " for a column gap
+ */
+function layoutRuns(runs) {
+    const lines = [];
+    for (const run of runs) {
+        const line = lines.find(candidate => Math.abs(candidate.y - run.y) < Math.max(1, Math.min(candidate.size, run.size) * 0.4));
+        if (line) {
+            line.runs.push(run);
+            line.size = Math.max(line.size, run.size);
+        } else {
+            lines.push({ y: run.y, size: run.size, runs: [run] });
+        }
+    }
+
+    lines.sort((a, b) => b.y - a.y);
+    return lines.map((line) => {
+        line.runs.sort((a, b) => a.x - b.x);
+        let text = '';
+        let endX = null;
+        for (const run of line.runs) {
+            if (endX !== null) {
+                const gap = run.x - endX;
+                if (gap > run.size * 2.5 && text.trim()) text += ' | ';
+                else if (gap > run.size * 0.2 && !/\s$/.test(text) && !/^\s/.test(run.text)) text += ' ';
+            }
+            text += run.text;
+            endX = Math.max(endX ?? run.endX, run.endX);
+        }
+        return text.replace(/\s+/g, ' ').trim();
+    }).filter(Boolean);
+}
+
+function pageContent(document, page) {
+    const contents = document.resolve(page.Contents);
+    const refs = Array.isArray(contents) ? contents : [page.Contents];
+    return refs.filter(ref => ref instanceof PdfRef).map(ref => {
+        try {
+            return document.streamData(ref);
+        } catch (error) {
+            return '';
+        }
+    }).join('\n');
+}
+
+/**
+ * Text of a PDF (path or Buffer):
+ * { text, pages: [{ number, text }], pageCount, locations, info }
+ *
+ * Throws when no page can be found, so a damaged file is not taken for a
+ * scanned one.
+ */
+export async function readPdf(input) {
+    const buffer = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+    const source = buffer.toString('latin1');
+    if (!source.slice(0, 1024).includes('%PDF-')) throw new Error('Not a PDF file');
+
+    const document = new PdfDocument(source);
+    if (document.encrypted) throw new Error('Encrypted PDFs are not supported');
+
+    const pageObjects = document.pages();
+    if (pageObjects.length === 0) throw new Error('Unreadable PDF: no pages found (damaged cross-reference table or trailer)');
+
+    const pages = pageObjects.map((page, index) => {
+        const runs = contentRuns(document, pageContent(document, page), document.resolve(page.Resources));
+        return { number: index + 1, text: layoutRuns(runs).join('\n') };
+    });
+
+    let text = '';
+    const locations = [];
+    for (const page of pages) {
+        if (!page.text) continue;
+        text += `--- Page ${page.number} ---\n\n`;
+        const start = text.length;
+        text += `${page.text}\n\n`;
+        locations.push({ start, end: start + page.text.length, page: page.number, label: `p.${page.number}` });
+    }
+
+    return {
+        text: text.trim(),
+        pages,
+        pageCount: pages.length,
+        locations,
+        info: document.info()
+    };
+}
+
+export default readPdf;
@@ -0,0 +1,86 @@
+import zlib from 'zlib';
+
+/**
+ * Zip Archive
+ *
+ * Minimal reader for the zip containers of Office documents (.docx,
+ * .xlsx). Entries are listed from the central directory and inflated with
+ * zlib on demand; stored and deflated entries are supported, zip64 and
+ * encrypted archives are not.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+function findEndOfCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - 22 - MAX_COMMENT_LENGTH);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Not a zip archive (no end of central directory)');
+}
+
+/**
+ * Open a zip archive held in a Buffer:
+ * { names, has(name), read(name) -> Buffer | null, readText(name) -> string | null }
+ */
+export function openZip(buffer) {
+    const eocd = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, { name, flags, method, compressedSize, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const read = (name) => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        if (entry.flags & 0x1) throw new Error(`Encrypted zip entry: ${name}`);
+        if (buffer.readUInt32LE(entry.localOffset) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupt zip entry: ${name}`);
+        }
+        const dataStart = entry.localOffset + 30 +
+            buffer.readUInt16LE(entry.localOffset + 26) +
+            buffer.readUInt16LE(entry.localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+        switch (entry.method) {
+            case 0:
+                return Buffer.from(data);
+            case 8:
+                return zlib.inflateRawSync(data);
+            default:
+                throw new Error(`Unsupported zip compression method ${entry.method} for ${name}`);
+        }
+    };
+
+    return {
+        names: [...entries.keys()],
+        has: name => entries.has(name),
+        read,
+        readText: (name) => {
+            const data = read(name);
+            return data ? data.toString('utf8') : null;
+        }
+    };
+}
+
+export default openZip;
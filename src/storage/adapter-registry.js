@@ -0,0 +1,66 @@
+import { FileStorageAdapter } from './file-storage-adapter.js';
+import { SQLiteStorageAdapter } from './sqlite-storage-adapter.js';
+
+/**
+ * Storage adapter registry
+ * 
+ * Maps the adapter name recorded in a domain's metadata ("file", "sqlite")
+ * to its implementation.
+ */
+export const STORAGE_ADAPTERS = {
+    file: FileStorageAdapter,
+    sqlite: SQLiteStorageAdapter
+};
+
+export const DEFAULT_STORAGE_ADAPTER = 'file';
+
+export function createStorageAdapter(type = DEFAULT_STORAGE_ADAPTER, options = {}) {
+    const AdapterClass = STORAGE_ADAPTERS[type];
+    if (!AdapterClass) {
+        throw new Error(`Unknown storage adapter: ${type} (available: ${Object.keys(STORAGE_ADAPTERS).join(', ')})`);
+    }
+    return new AdapterClass(options);
+}
+
+/**
+ * Copy every record (with its version history) from one adapter to another,
+ * verify the count and then remove the records from the source. Pass
+ * removeSource: false to keep them, e.g. until the domain has been switched
+ * to the target, and remove them later with removeMigratedRecords().
+ * Returns { migrated, from, to, recordIds }.
+ */
+export async function migrateRecords(source, target, options = {}) {
+    await source.initialize();
+    await target.initialize();
+
+    const records = await source.list();
+
+    for (const record of records) {
+        await target.importRecord(record, await source.history(record.id));
+    }
+
+    let verified = 0;
+    for (const record of records) {
+        if (await target.get(record.id)) verified++;
+    }
+    if (verified !== records.length) {
+        throw new Error(`Migration verification failed: ${verified}/${records.length} records present in ${target.type} store`);
+    }
+
+    const recordIds = records.map(record => record.id);
+    if (options.removeSource !== false) {
+        await removeMigratedRecords(source, recordIds);
+    }
+
+    return { migrated: records.length, from: source.type, to: target.type, recordIds };
+}
+
+/**
+ * Delete migrated records, with their history, from the source adapter
+ */
+export async function removeMigratedRecords(source, recordIds) {
+    // The records move as a whole, so their edges need no cleanup in the source
+    for (const id of recordIds) {
+        await source.delete(id, { purgeHistory: true, syncInverses: false });
+    }
+}
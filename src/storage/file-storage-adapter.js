@@ -0,0 +1,143 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { StorageAdapter } from './storage-adapter.js';
+import { writeJsonAtomic } from './file-transaction.js';
+import { VersionLog } from './version-log.js';
+
+/**
+ * File Storage Adapter
+ * 
+ * The original DiffMem layout: one pretty-printed JSON file per record
+ * under <domainPath>/entities/<id>.json. Subdirectories of entities/
+ * (the hierarchical person/project/location layout) are left alone.
+ * Record history lives in <domainPath>/versions/entities/<id>.jsonl.
+ */
+export class FileStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.type = 'file';
+        this.entitiesDir = options.entitiesDir || path.join(this.domainPath, 'entities');
+        this.versionLog = new VersionLog({ domainPath: this.domainPath, versionsDir: options.versionsDir });
+    }
+
+    getRecordPath(id) {
+        return path.join(this.entitiesDir, `${id}.json`);
+    }
+
+    getVersionKey(id) {
+        return this.versionLog.keyForFile(this.getRecordPath(id));
+    }
+
+    async store(record, options = {}) {
+        const previous = await this.getBeforeWrite(record.id, options);
+        await this.versionLog.append(this.getVersionKey(record.id), record, options);
+        await writeJsonAtomic(this.getRecordPath(record.id), record);
+        await this.syncInverseEdges(record, previous, options);
+        return record.id;
+    }
+
+    async get(id, options = {}) {
+        if (options.asOf) {
+            return this.versionLog.readAsOf(this.getVersionKey(id), options.asOf);
+        }
+
+        const recordPath = this.getRecordPath(id);
+        if (!(await fs.pathExists(recordPath))) {
+            return null;
+        }
+        return fs.readJson(recordPath);
+    }
+
+    async history(id) {
+        return this.versionLog.read(this.getVersionKey(id));
+    }
+
+    async importRecord(record, versions = []) {
+        await this.versionLog.replace(this.getVersionKey(record.id), versions);
+        await writeJsonAtomic(this.getRecordPath(record.id), record);
+        return record.id;
+    }
+
+    async list(options = {}) {
+        if (options.asOf) {
+            return this.listAsOf(options);
+        }
+
+        let files;
+        try {
+            files = await fs.readdir(this.entitiesDir);
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not read entities directory: ${this.entitiesDir}`));
+            return [];
+        }
+
+        const records = [];
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+
+            try {
+                const record = await fs.readJson(path.join(this.entitiesDir, file));
+                if (options.conversationId && record.conversationId !== options.conversationId) {
+                    continue;
+                }
+                records.push(record);
+            } catch (error) {
+                console.warn(chalk.yellow(`⚠️  Could not read entity file: ${file}`));
+            }
+
+            if (options.limit && records.length >= options.limit) break;
+        }
+
+        return records;
+    }
+
+    /**
+     * Records as they stood at options.asOf, including ones deleted since
+     */
+    async listAsOf(options) {
+        const current = await this.list();
+        const currentById = new Map(current.map(record => [record.id, record]));
+
+        const logPrefix = this.versionLog.keyForFile(this.entitiesDir);
+        const ids = new Set(currentById.keys());
+        for (const key of await this.versionLog.keys(logPrefix)) {
+            ids.add(path.posix.basename(key));
+        }
+
+        const records = [];
+        for (const id of ids) {
+            const record = this.recordAsOf(currentById.get(id), await this.history(id), options.asOf);
+            if (!record) continue;
+            if (options.conversationId && record.conversationId !== options.conversationId) continue;
+
+            records.push(record);
+            if (options.limit && records.length >= options.limit) break;
+        }
+
+        return records;
+    }
+
+    async delete(id, options = {}) {
+        const recordPath = this.getRecordPath(id);
+        const key = this.getVersionKey(id);
+
+        if (options.purgeHistory) {
+            await this.versionLog.remove(key);
+        }
+
+        if (!(await fs.pathExists(recordPath))) {
+            return false;
+        }
+
+        const deleted = await this.getBeforeWrite(id, options);
+        if (!options.purgeHistory) {
+            await this.versionLog.append(key, null, { source: options.source });
+        }
+        await fs.remove(recordPath);
+        await this.removeIncomingEdges(id, deleted, options);
+        return true;
+    }
+}
+
+export default FileStorageAdapter;
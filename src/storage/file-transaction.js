@@ -0,0 +1,345 @@
+import fs from 'fs-extra';
+import { open } from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { randomUUID } from 'crypto';
+
+/**
+ * Crash-safe file writes
+ *
+ * writeFileAtomic() writes to a temp file beside the target, fsyncs it and
+ * renames it into place, so readers see either the old or the new file and
+ * never a torn one.
+ *
+ * FileTransaction groups writes and removals across many files. On commit
+ * it records a write-ahead journal in <data>/.journal before touching any
+ * target:
+ *
+ *   preparing   new contents are being staged and current files backed up
+ *   committing  staged files are being renamed over their targets
+ *   committed   every target is in place; only cleanup remains
+ *
+ * A transaction that fails mid-commit is rolled back from its backups. A
+ * journal left behind by a crashed process is rolled back (or, if it had
+ * reached "committed", cleaned up) by recoverJournal(), which runs on
+ * startup and before the first commit against a journal directory.
+ */
+
+const JOURNAL_VERSION = 1;
+const recoveries = new Map();   // resolved journal dir -> Promise<recovery summary>
+
+export function getJournalDir(dataPath = path.join(process.cwd(), 'data')) {
+    return path.join(dataPath, '.journal');
+}
+
+function tempPathFor(filePath, tag) {
+    return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${tag}.tmp`);
+}
+
+async function writeAndSync(filePath, content) {
+    const handle = await open(filePath, 'w');
+    try {
+        await handle.writeFile(content);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Replace a file's contents atomically
+ */
+export async function writeFileAtomic(filePath, content) {
+    await fs.ensureDir(path.dirname(filePath));
+    const tempPath = tempPathFor(filePath, `${process.pid}-${randomUUID().slice(0, 8)}`);
+
+    try {
+        await writeAndSync(tempPath, content);
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.remove(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+export function writeJsonAtomic(filePath, data, options = {}) {
+    return writeFileAtomic(filePath, JSON.stringify(data, null, options.spaces ?? 2));
+}
+
+function journalFilePath(journalDir, id) {
+    return path.join(journalDir, `${id}.json`);
+}
+
+function writeJournal(journalDir, journal) {
+    return writeJsonAtomic(journalFilePath(journalDir, journal.id), journal);
+}
+
+async function discardJournal(journalDir, journal) {
+    await fs.remove(journalFilePath(journalDir, journal.id));
+    await fs.remove(path.join(journalDir, journal.id));
+}
+
+/**
+ * Undo a journaled transaction: drop staged files and, if targets may have
+ * been replaced already, put every target back the way it was. The journal
+ * is only discarded once every entry is restored, so a failed rollback can
+ * be retried by recoverJournal().
+ */
+async function rollbackJournal(journalDir, journal) {
+    const failures = [];
+
+    for (const entry of journal.entries) {
+        try {
+            if (entry.temp) {
+                await fs.remove(entry.temp);
+            }
+
+            if (journal.state !== 'committing') continue;
+
+            if (entry.existed === true) {
+                await writeFileAtomic(entry.target, await fs.readFile(entry.backup));
+            } else if (entry.existed === false) {
+                await fs.remove(entry.target);
+            }
+        } catch (error) {
+            failures.push(`${entry.target}: ${error.message}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        throw new Error(`Could not restore ${failures.length} file(s) (journal ${journal.id} kept): ${failures.join('; ')}`);
+    }
+
+    await discardJournal(journalDir, journal);
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Finish or roll back transactions left behind by processes that died
+ * mid-commit. Journals owned by live processes are left alone.
+ */
+export async function recoverJournal(journalDir = getJournalDir()) {
+    const summary = { rolledBack: 0, completed: 0, skipped: 0, failed: 0 };
+    if (!(await fs.pathExists(journalDir))) return summary;
+
+    for (const file of await fs.readdir(journalDir)) {
+        if (!file.endsWith('.json')) continue;
+
+        let journal;
+        try {
+            journal = await fs.readJson(path.join(journalDir, file));
+        } catch (error) {
+            // A journal that never finished writing means nothing was staged yet
+            console.warn(chalk.yellow(`⚠️  Discarding unreadable journal: ${file}`));
+            await fs.remove(path.join(journalDir, file));
+            continue;
+        }
+
+        if (journal.pid === process.pid || isProcessAlive(journal.pid)) {
+            summary.skipped++;
+            continue;
+        }
+
+        try {
+            if (journal.state === 'committed') {
+                await discardJournal(journalDir, journal);
+                summary.completed++;
+            } else {
+                await rollbackJournal(journalDir, journal);
+                summary.rolledBack++;
+                console.warn(chalk.yellow(`⚠️  Rolled back incomplete transaction ${journal.id} (${journal.label}, ${journal.entries.length} files)`));
+            }
+        } catch (error) {
+            summary.failed++;
+            console.error(chalk.red(`❌ Could not recover transaction ${journal.id}:`), error.message);
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Run recovery for a journal directory once per process
+ */
+export function ensureJournalRecovered(journalDir = getJournalDir()) {
+    const key = path.resolve(journalDir);
+    if (!recoveries.has(key)) {
+        recoveries.set(key, recoverJournal(key));
+    }
+    return recoveries.get(key);
+}
+
+/**
+ * A set of file writes and removals that lands fully or not at all
+ */
+export class FileTransaction {
+    constructor(options = {}) {
+        this.journalDir = options.journalDir || getJournalDir();
+        this.label = options.label || 'transaction';
+        this.id = `${Date.now()}-${randomUUID().slice(0, 8)}`;
+        this.operations = new Map();   // resolved target path -> { type, content }
+        this.commitCallbacks = [];
+        this.state = 'open';
+    }
+
+    get size() {
+        return this.operations.size;
+    }
+
+    assertOpen() {
+        if (this.state !== 'open') {
+            throw new Error(`Transaction ${this.id} is ${this.state}`);
+        }
+    }
+
+    write(filePath, content) {
+        this.assertOpen();
+        this.operations.set(path.resolve(filePath), { type: 'write', content: String(content) });
+    }
+
+    writeJson(filePath, data, options = {}) {
+        this.write(filePath, JSON.stringify(data, null, options.spaces ?? 2));
+    }
+
+    remove(filePath) {
+        this.assertOpen();
+        this.operations.set(path.resolve(filePath), { type: 'remove' });
+    }
+
+    /**
+     * Content staged for a file in this transaction, or undefined
+     */
+    staged(filePath) {
+        const operation = this.operations.get(path.resolve(filePath));
+        if (!operation) return undefined;
+        return operation.type === 'write' ? operation.content : null;
+    }
+
+    /**
+     * Register work to run only once the transaction has committed (also
+     * when it committed nothing because no file was staged)
+     */
+    onCommit(callback) {
+        this.commitCallbacks.push(callback);
+    }
+
+    async commit() {
+        this.assertOpen();
+        this.state = 'committing';
+
+        if (this.operations.size === 0) {
+            this.state = 'committed';
+            await this.runCommitCallbacks();
+            return { committed: 0 };
+        }
+
+        await ensureJournalRecovered(this.journalDir);
+
+        const backupDir = path.join(this.journalDir, this.id);
+        const entries = Array.from(this.operations, ([target, operation], i) => ({
+            type: operation.type,
+            target,
+            temp: operation.type === 'write' ? tempPathFor(target, `txn-${this.id}`) : null,
+            backup: path.join(backupDir, `${i}.bak`),
+            existed: null
+        }));
+        const journal = {
+            version: JOURNAL_VERSION,
+            id: this.id,
+            label: this.label,
+            pid: process.pid,
+            created: new Date().toISOString(),
+            state: 'preparing',
+            entries
+        };
+
+        await fs.ensureDir(backupDir);
+        await writeJournal(this.journalDir, journal);
+
+        try {
+            for (const entry of entries) {
+                if (entry.temp) {
+                    await fs.ensureDir(path.dirname(entry.target));
+                    await writeAndSync(entry.temp, this.operations.get(entry.target).content);
+                }
+
+                entry.existed = await fs.pathExists(entry.target);
+                if (entry.existed) {
+                    await fs.copy(entry.target, entry.backup);
+                }
+            }
+
+            journal.state = 'committing';
+            await writeJournal(this.journalDir, journal);
+
+            for (const entry of entries) {
+                if (entry.type === 'write') {
+                    await fs.rename(entry.temp, entry.target);
+                } else if (entry.existed) {
+                    await fs.remove(entry.target);
+                }
+            }
+
+            journal.state = 'committed';
+            await writeJournal(this.journalDir, journal);
+        } catch (error) {
+            this.state = 'rolled_back';
+            try {
+                await rollbackJournal(this.journalDir, journal);
+            } catch (rollbackError) {
+                this.state = 'failed';
+                throw new Error(`Transaction "${this.label}" failed (${error.message}) and could not be rolled back: ${rollbackError.message}`);
+            }
+            throw new Error(`Transaction "${this.label}" rolled back: ${error.message}`);
+        }
+
+        await discardJournal(this.journalDir, journal);
+        this.state = 'committed';
+        await this.runCommitCallbacks();
+
+        return { committed: entries.length };
+    }
+
+    async runCommitCallbacks() {
+        for (const callback of this.commitCallbacks) {
+            await callback();
+        }
+    }
+
+    /**
+     * Discard everything staged so far (nothing has touched disk yet)
+     */
+    rollback() {
+        if (this.state !== 'open') return;
+        this.operations.clear();
+        this.commitCallbacks = [];
+        this.state = 'rolled_back';
+    }
+}
+
+/**
+ * Run `work(transaction)` and commit what it staged, or discard it if
+ * `work` throws
+ */
+export async function withTransaction(work, options = {}) {
+    const transaction = new FileTransaction(options);
+
+    let result;
+    try {
+        result = await work(transaction);
+    } catch (error) {
+        transaction.rollback();
+        throw error;
+    }
+
+    await transaction.commit();
+    return result;
+}
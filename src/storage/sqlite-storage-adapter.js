@@ -0,0 +1,347 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { StorageAdapter } from './storage-adapter.js';
+import { parseAsOf } from './version-log.js';
+
+/**
+ * SQLite Storage Adapter
+ * 
+ * Embedded single-file store at <domainPath>/entities.sqlite. Each record is
+ * kept as JSON alongside the columns used for filtering (conversation, user,
+ * confidence, flattened entity text) so list/search/stats never walk the disk.
+ * Every store and delete also adds a row to record_versions.
+ */
+export class SQLiteStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.type = 'sqlite';
+        this.dbPath = options.dbPath || path.join(this.domainPath, 'entities.sqlite');
+        this.db = null;
+    }
+
+    async initialize() {
+        if (this.db) return;
+
+        await fs.ensureDir(path.dirname(this.dbPath));
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                id TEXT PRIMARY KEY,
+                conversation_id TEXT,
+                user_id TEXT,
+                timestamp TEXT,
+                confidence REAL DEFAULT 0,
+                entity_count INTEGER DEFAULT 0,
+                entity_text TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_records_conversation ON records(conversation_id);
+            CREATE INDEX IF NOT EXISTS idx_records_timestamp ON records(timestamp);
+            CREATE TABLE IF NOT EXISTS record_versions (
+                id TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                recorded_at TEXT NOT NULL,
+                operation TEXT NOT NULL,
+                source TEXT,
+                data TEXT,
+                PRIMARY KEY (id, version)
+            );
+            CREATE INDEX IF NOT EXISTS idx_record_versions_time ON record_versions(recorded_at);
+        `);
+
+        this.statements = {
+            upsert: this.db.prepare(`
+                INSERT INTO records (id, conversation_id, user_id, timestamp, confidence, entity_count, entity_text, data)
+                VALUES (@id, @conversationId, @userId, @timestamp, @confidence, @entityCount, @entityText, @data)
+                ON CONFLICT(id) DO UPDATE SET
+                    conversation_id = excluded.conversation_id,
+                    user_id = excluded.user_id,
+                    timestamp = excluded.timestamp,
+                    confidence = excluded.confidence,
+                    entity_count = excluded.entity_count,
+                    entity_text = excluded.entity_text,
+                    data = excluded.data
+            `),
+            get: this.db.prepare('SELECT data FROM records WHERE id = ?'),
+            delete: this.db.prepare('DELETE FROM records WHERE id = ?'),
+            insertVersion: this.db.prepare(`
+                INSERT INTO record_versions (id, version, recorded_at, operation, source, data)
+                VALUES (@id, @version, @timestamp, @operation, @source, @data)
+            `),
+            lastVersion: this.db.prepare('SELECT version, operation FROM record_versions WHERE id = ? ORDER BY version DESC LIMIT 1'),
+            history: this.db.prepare('SELECT * FROM record_versions WHERE id = ? ORDER BY version'),
+            deleteHistory: this.db.prepare('DELETE FROM record_versions WHERE id = ?'),
+            stats: this.db.prepare(`
+                SELECT COUNT(*) AS recordCount,
+                       COALESCE(SUM(entity_count), 0) AS entityCount,
+                       MAX(timestamp) AS lastUpdated
+                FROM records
+            `)
+        };
+    }
+
+    toRow(record) {
+        return {
+            id: record.id,
+            conversationId: record.conversationId || null,
+            userId: record.userId || null,
+            timestamp: record.timestamp || null,
+            confidence: record.metadata?.confidence || 0,
+            entityCount: this.countEntities(record.entities),
+            entityText: JSON.stringify(record.entities || {}).toLowerCase(),
+            data: JSON.stringify(record)
+        };
+    }
+
+    toVersion(row) {
+        return {
+            version: row.version,
+            timestamp: row.recorded_at,
+            operation: row.operation,
+            source: row.source,
+            data: row.data === null ? null : JSON.parse(row.data)
+        };
+    }
+
+    /**
+     * Add a version row for a record (inside the caller's SQLite transaction).
+     * A record stored before versioning first gets a baseline version from
+     * its current row.
+     */
+    recordVersion(id, record, options = {}) {
+        let last = this.statements.lastVersion.get(id);
+
+        if (!last) {
+            const existing = this.statements.get.get(id);
+            if (existing) {
+                const data = JSON.parse(existing.data);
+                last = { version: 1, operation: 'create' };
+                this.statements.insertVersion.run({
+                    id,
+                    version: 1,
+                    timestamp: data.timestamp || new Date().toISOString(),
+                    operation: 'create',
+                    source: 'baseline',
+                    data: existing.data
+                });
+            }
+        }
+
+        const operation = record === null ? 'delete'
+            : !last || last.operation === 'delete' ? 'create' : 'update';
+
+        this.statements.insertVersion.run({
+            id,
+            version: (last?.version || 0) + 1,
+            timestamp: options.timestamp || new Date().toISOString(),
+            operation,
+            source: options.source || null,
+            data: record === null ? null : JSON.stringify(record)
+        });
+    }
+
+    async store(record, options = {}) {
+        await this.initialize();
+        const previous = await this.getBeforeWrite(record.id, options);
+        this.db.transaction(() => {
+            this.recordVersion(record.id, record, options);
+            this.statements.upsert.run(this.toRow(record));
+        })();
+        await this.syncInverseEdges(record, previous, options);
+        return record.id;
+    }
+
+    /**
+     * Store many records in a single SQLite transaction
+     */
+    async storeMany(records, options = {}) {
+        await this.initialize();
+        const previous = [];
+        for (const record of records) {
+            previous.push(await this.getBeforeWrite(record.id, options));
+        }
+
+        const insertAll = this.db.transaction(() => {
+            for (const record of records) {
+                this.recordVersion(record.id, record, options);
+                this.statements.upsert.run(this.toRow(record));
+            }
+        });
+        insertAll();
+
+        for (let i = 0; i < records.length; i++) {
+            await this.syncInverseEdges(records[i], previous[i], options);
+        }
+        return records.length;
+    }
+
+    async importRecord(record, versions = []) {
+        await this.initialize();
+        this.db.transaction(() => {
+            this.statements.deleteHistory.run(record.id);
+            for (const version of versions) {
+                this.statements.insertVersion.run({
+                    id: record.id,
+                    version: version.version,
+                    timestamp: version.timestamp,
+                    operation: version.operation,
+                    source: version.source || null,
+                    data: version.data === null ? null : JSON.stringify(version.data)
+                });
+            }
+            this.statements.upsert.run(this.toRow(record));
+        })();
+        return record.id;
+    }
+
+    async get(id, options = {}) {
+        await this.initialize();
+        const row = this.statements.get.get(id);
+        const record = row ? JSON.parse(row.data) : null;
+
+        if (options.asOf) {
+            return this.recordAsOf(record, await this.history(id), options.asOf);
+        }
+        return record;
+    }
+
+    async history(id) {
+        await this.initialize();
+        return this.statements.history.all(id).map(row => this.toVersion(row));
+    }
+
+    async list(options = {}) {
+        await this.initialize();
+
+        if (options.asOf) {
+            return this.listAsOf(options);
+        }
+
+        const clauses = [];
+        const params = [];
+        if (options.conversationId) {
+            clauses.push('conversation_id = ?');
+            params.push(options.conversationId);
+        }
+
+        let sql = 'SELECT data FROM records';
+        if (clauses.length > 0) sql += ` WHERE ${clauses.join(' AND ')}`;
+        sql += ' ORDER BY timestamp, id';
+        if (options.limit) {
+            sql += ' LIMIT ?';
+            params.push(options.limit);
+        }
+
+        return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+    }
+
+    /**
+     * Records as they stood at options.asOf: the latest version recorded by
+     * then, or for records without history the current row if it is old enough
+     */
+    listAsOf(options) {
+        const asOf = parseAsOf(options.asOf).toISOString();
+        const params = [asOf, asOf];
+
+        let sql = `
+            SELECT v.data FROM record_versions v
+            WHERE v.version = (
+                SELECT MAX(version) FROM record_versions
+                WHERE id = v.id AND recorded_at <= ?
+            ) AND v.operation != 'delete'
+            UNION ALL
+            SELECT r.data FROM records r
+            WHERE NOT EXISTS (SELECT 1 FROM record_versions WHERE id = r.id)
+              AND (r.timestamp IS NULL OR r.timestamp <= ?)
+        `;
+        if (options.limit && !options.conversationId) {
+            sql += ' LIMIT ?';
+            params.push(options.limit);
+        }
+
+        let records = this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+        if (options.conversationId) {
+            records = records
+                .filter(record => record.conversationId === options.conversationId)
+                .slice(0, options.limit || undefined);
+        }
+        return records;
+    }
+
+    async search(query = {}) {
+        await this.initialize();
+
+        if (query.asOf) {
+            const records = await this.list({ asOf: query.asOf });
+            return records.filter(record => this.matchesQuery(record, query));
+        }
+
+        const clauses = [];
+        const params = [];
+        if (query.conversationId) {
+            clauses.push('conversation_id = ?');
+            params.push(query.conversationId);
+        }
+        if (query.userId) {
+            clauses.push('user_id = ?');
+            params.push(query.userId);
+        }
+        if (query.minConfidence) {
+            clauses.push('confidence >= ?');
+            params.push(query.minConfidence);
+        }
+        if (query.text) {
+            clauses.push('instr(entity_text, ?) > 0');
+            params.push(query.text.toLowerCase());
+        }
+
+        let sql = 'SELECT data FROM records';
+        if (clauses.length > 0) sql += ` WHERE ${clauses.join(' AND ')}`;
+
+        // Entity-type filtering needs the parsed record; the SQL pass narrows the set first
+        return this.db.prepare(sql).all(...params)
+            .map(row => JSON.parse(row.data))
+            .filter(record => this.matchesQuery(record, query));
+    }
+
+    async delete(id, options = {}) {
+        await this.initialize();
+        const deleted = await this.getBeforeWrite(id, options);
+        const removed = this.db.transaction(() => {
+            if (options.purgeHistory) {
+                this.statements.deleteHistory.run(id);
+            } else if (this.statements.get.get(id)) {
+                this.recordVersion(id, null, options);
+            }
+            return this.statements.delete.run(id).changes > 0;
+        })();
+
+        if (removed) {
+            await this.removeIncomingEdges(id, deleted, options);
+        }
+        return removed;
+    }
+
+    async stats() {
+        await this.initialize();
+        const row = this.statements.stats.get();
+        return {
+            adapter: this.type,
+            recordCount: row.recordCount,
+            entityCount: row.entityCount,
+            lastUpdated: row.lastUpdated,
+            dbPath: this.dbPath
+        };
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+export default SQLiteStorageAdapter;
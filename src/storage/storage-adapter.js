@@ -0,0 +1,292 @@
+import { resolveVersion, existedAsOf } from './version-log.js';
+import {
+    addInverseEdge,
+    removeInverseEdge,
+    removeEdges,
+    diffRelationships,
+    isInverseEdge,
+    detachMention,
+    attachMention
+} from '../relationships/relationship-integrity.js';
+
+/**
+ * Storage Adapter Interface
+ * 
+ * Base class for entity record storage backends. A record is the unit written
+ * by DiffMem's storeEntities(): an id, the conversation it came from, a
+ * timestamp, the extracted entities keyed by category, and extraction metadata.
+ * 
+ * Adapters implement store, get, list, search, delete and stats. Shared query
+ * matching lives here so every backend filters records the same way.
+ * 
+ * Every store and delete is also kept as a timestamped version naming the
+ * source that caused it, so reads can take an `asOf` date and history(id)
+ * returns the full change log of a record.
+ * 
+ * Records may carry relationships to other records. Adapters keep the graph
+ * consistent as records change: storing a record mirrors its relationships
+ * as inverse edges on their targets, and deleting one removes the edges
+ * that point at it. Pass options.syncInverses = false to skip this.
+ */
+export class StorageAdapter {
+    constructor(options = {}) {
+        this.type = 'abstract';
+        this.domainPath = options.domainPath;
+    }
+
+    async initialize() {}
+
+    /**
+     * Insert or replace a record (keyed by record.id), recording a new version
+     * 
+     * options: source (document or command that caused the change), timestamp
+     */
+    async store(record, options = {}) {
+        throw new Error(`${this.constructor.name}.store() not implemented`);
+    }
+
+    /**
+     * Fetch a single record by id, or null if it does not exist.
+     * With options.asOf, the record as it stood at that date.
+     */
+    async get(id, options = {}) {
+        throw new Error(`${this.constructor.name}.get() not implemented`);
+    }
+
+    /**
+     * List records, optionally filtered by conversationId, limited, or as of a date
+     */
+    async list(options = {}) {
+        throw new Error(`${this.constructor.name}.list() not implemented`);
+    }
+
+    /**
+     * Find records matching { text, entityType, conversationId, userId, minConfidence, asOf }
+     */
+    async search(query = {}) {
+        const records = await this.list({ asOf: query.asOf });
+        return records.filter(record => this.matchesQuery(record, query));
+    }
+
+    /**
+     * Remove a record by id, recording the deletion as a version (or, with
+     * options.purgeHistory, dropping its history too). Returns true if a
+     * record was removed.
+     */
+    async delete(id, options = {}) {
+        throw new Error(`${this.constructor.name}.delete() not implemented`);
+    }
+
+    /**
+     * The stored form of a record before it is overwritten or deleted, when
+     * its relationships will be synced (null otherwise)
+     */
+    async getBeforeWrite(id, options = {}) {
+        return options.syncInverses === false ? null : this.get(id);
+    }
+
+    /**
+     * Mirror a stored record's relationship changes on the records they point
+     * at: add inverse edges for new relationships, drop them for removed ones.
+     * `previous` is the record as it was before the store (or null).
+     */
+    async syncInverseEdges(record, previous, options = {}) {
+        if (options.syncInverses === false) return;
+
+        const { added, removed } = diffRelationships(previous, record);
+        if (added.length === 0 && removed.length === 0) return;
+
+        return this.updateRelatedRecords(
+            [...removed, ...added].map(relationship => relationship.target),
+            target => {
+                let updated = false;
+                for (const relationship of removed) {
+                    if (relationship.target === target.id) {
+                        updated = removeInverseEdge(target, record.id, relationship) || updated;
+                    }
+                }
+                for (const relationship of added) {
+                    if (relationship.target === target.id) {
+                        updated = addInverseEdge(target, record.id, relationship) || updated;
+                    }
+                }
+                return updated;
+            },
+            options
+        );
+    }
+
+    /**
+     * After a record is deleted, remove the edges other records hold to it.
+     * Inverse edges are kept in sync, so the deleted record's own edges name
+     * every record that can point at it.
+     */
+    async removeIncomingEdges(id, deleted, options = {}) {
+        if (options.syncInverses === false || !deleted?.relationships?.length) return;
+
+        return this.updateRelatedRecords(
+            deleted.relationships.map(relationship => relationship.target),
+            target => removeEdges(target, relationship => relationship.target === id) > 0,
+            options
+        );
+    }
+
+    /**
+     * Move the relationship ends naming a merged-away entity mention onto
+     * the mention that survives the merge. `from` and `to` are
+     * { recordId, name }: relationships name their ends by record and
+     * mention (metadata.sourceMentions / targetMentions). Edges the mention
+     * is a source of move to the surviving record; edges aimed at it are
+     * found through its record's inverse edges and retargeted. Returns the
+     * number of relationship ends rewritten.
+     */
+    async rewriteMentionRelationships(from, to, options = {}) {
+        const fromRecord = await this.get(from.recordId);
+        if (!fromRecord || !(await this.get(to.recordId))) return 0;
+
+        const sourceIds = new Set((fromRecord.relationships || [])
+            .filter(isInverseEdge)
+            .map(relationship => relationship.target));
+
+        const outgoing = detachMention(fromRecord, 'sourceMentions', from.name);
+        if (outgoing.length > 0) {
+            await this.store(fromRecord, options);
+            // Re-read: storing may have synced inverse edges on the survivor
+            const toRecord = await this.get(to.recordId);
+            for (const relationship of outgoing) {
+                attachMention(toRecord, relationship, 'sourceMentions', to.name);
+            }
+            await this.store(toRecord, options);
+        }
+
+        let incoming = 0;
+        for (const sourceId of sourceIds) {
+            const source = await this.get(sourceId);
+            if (!source) continue;
+
+            const detached = detachMention(source, 'targetMentions', from.name, from.recordId);
+            if (detached.length === 0) continue;
+
+            for (const relationship of detached) {
+                attachMention(source, { ...relationship, target: to.recordId }, 'targetMentions', to.name);
+            }
+            await this.store(source, options);
+            incoming += detached.length;
+        }
+
+        return outgoing.length + incoming;
+    }
+
+    /**
+     * Apply `update` to each existing record in `ids` and store the ones it
+     * changed (without syncing again). Returns the ids of the changed records.
+     */
+    async updateRelatedRecords(ids, update, options = {}) {
+        const changed = [];
+
+        for (const id of new Set(ids)) {
+            const target = await this.get(id);
+            if (target && update(target)) {
+                await this.store(target, {
+                    source: options.source,
+                    timestamp: options.timestamp,
+                    syncInverses: false
+                });
+                changed.push(id);
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Every version of a record, oldest first: { version, timestamp, operation, source, data }
+     */
+    async history(id) {
+        return [];
+    }
+
+    /**
+     * Write a record together with its existing history (used by migrateRecords)
+     */
+    async importRecord(record, versions = []) {
+        return this.store(record, { source: 'import' });
+    }
+
+    /**
+     * The state of a record at `asOf`, given its current form and history.
+     * Records stored before versioning fall back to their own timestamp.
+     */
+    recordAsOf(record, versions, asOf) {
+        if (versions.length > 0) {
+            return resolveVersion(versions, asOf)?.data || null;
+        }
+        return record && existedAsOf(record, asOf) ? record : null;
+    }
+
+    /**
+     * Summary counts for the stored records
+     */
+    async stats() {
+        const records = await this.list();
+        let entityCount = 0;
+        let lastUpdated = null;
+
+        for (const record of records) {
+            entityCount += this.countEntities(record.entities);
+            if (record.timestamp && (!lastUpdated || record.timestamp > lastUpdated)) {
+                lastUpdated = record.timestamp;
+            }
+        }
+
+        return {
+            adapter: this.type,
+            recordCount: records.length,
+            entityCount,
+            lastUpdated
+        };
+    }
+
+    async close() {}
+
+    matchesQuery(record, query) {
+        if (query.entityType) {
+            const hasType = record.entities?.[query.entityType] &&
+                           record.entities[query.entityType].length > 0;
+            if (!hasType) return false;
+        }
+
+        if (query.conversationId && record.conversationId !== query.conversationId) {
+            return false;
+        }
+
+        if (query.userId && record.userId !== query.userId) {
+            return false;
+        }
+
+        if (query.text) {
+            const searchText = query.text.toLowerCase();
+            const entityText = JSON.stringify(record.entities || {}).toLowerCase();
+            if (!entityText.includes(searchText)) return false;
+        }
+
+        if (query.minConfidence) {
+            const confidence = record.metadata?.confidence || 0;
+            if (confidence < query.minConfidence) return false;
+        }
+
+        return true;
+    }
+
+    countEntities(entities) {
+        let count = 0;
+        for (const entityList of Object.values(entities || {})) {
+            if (Array.isArray(entityList)) {
+                count += entityList.length;
+            }
+        }
+        return count;
+    }
+}
+
+export default StorageAdapter;
@@ -0,0 +1,266 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Entity Version Log
+ *
+ * Append-only history for the JSON files under a domain directory. Each
+ * entity file gets a JSON-lines log at the same relative path under
+ * <domainPath>/versions:
+ *
+ *   entities/<id>.json              -> versions/entities/<id>.jsonl
+ *   entities/<type>/<slug>.json     -> versions/entities/<type>/<slug>.jsonl
+ *
+ * A line is { version, timestamp, operation, source, data } where operation
+ * is create, update or delete, source names the document or command that
+ * caused the change, and data is the full entity as written (null for a
+ * delete). Files that existed before versioning get a "baseline" version
+ * from their current contents the first time they change.
+ */
+
+/**
+ * Parse an "as of" value. A bare date (2025-03-01) means the end of that day.
+ */
+export function parseAsOf(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value;
+
+    const text = String(value).trim();
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? new Date(`${text}T23:59:59.999Z`)
+        : new Date(text);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return date;
+}
+
+function toTime(value) {
+    const time = value instanceof Date ? value.getTime() : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * The version in effect at `asOf`, or null if the entity did not exist then
+ * (or had been deleted)
+ */
+export function resolveVersion(versions, asOf) {
+    const limit = toTime(parseAsOf(asOf));
+    let current = null;
+
+    for (const version of versions) {
+        const time = toTime(version.timestamp);
+        if (time !== null && time > limit) break;
+        current = version;
+    }
+
+    return current && current.operation !== 'delete' ? current : null;
+}
+
+/**
+ * Whether an unversioned entity existed at `asOf`, judged by its own timestamp
+ */
+export function existedAsOf(data, asOf) {
+    const time = toTime(data?.timestamp || data?.lastUpdated);
+    return time === null || time <= toTime(parseAsOf(asOf));
+}
+
+/**
+ * Log content up to its last complete line
+ */
+function withoutTornTail(content) {
+    if (!content || content.endsWith('\n')) return content;
+    return content.slice(0, content.lastIndexOf('\n') + 1);
+}
+
+export class VersionLog {
+    constructor(options = {}) {
+        this.domainPath = options.domainPath;
+        this.versionsDir = options.versionsDir || path.join(this.domainPath, 'versions');
+    }
+
+    /**
+     * Log key for an entity file inside the domain directory
+     */
+    keyForFile(filePath) {
+        const relative = path.relative(this.domainPath, path.resolve(filePath));
+        return relative.replace(/\.json$/, '').split(path.sep).join('/');
+    }
+
+    getLogPath(key) {
+        return path.join(this.versionsDir, `${key}.jsonl`);
+    }
+
+    getEntityPath(key) {
+        return path.join(this.domainPath, `${key}.json`);
+    }
+
+    parse(content) {
+        const versions = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                versions.push(JSON.parse(line));
+            } catch (error) {
+                // A torn final line from an interrupted append carries no version
+            }
+        }
+        return versions;
+    }
+
+    /**
+     * All versions of an entity, oldest first. Reads staged content when a
+     * transaction has already written to the log.
+     */
+    async read(key, transaction = null) {
+        const staged = transaction?.staged(this.getLogPath(key));
+        if (typeof staged === 'string') return this.parse(staged);
+
+        try {
+            return this.parse(await fs.readFile(this.getLogPath(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Keys of every logged entity under a prefix (e.g. "entities")
+     */
+    async keys(prefix = '', options = {}) {
+        const dir = path.join(this.versionsDir, prefix);
+        if (!(await fs.pathExists(dir))) return [];
+
+        const keys = [];
+        for (const item of await fs.readdir(dir, { withFileTypes: true })) {
+            const key = prefix ? `${prefix}/${item.name}` : item.name;
+            if (item.isDirectory()) {
+                if (options.recursive) keys.push(...await this.keys(key, options));
+            } else if (item.name.endsWith('.jsonl')) {
+                keys.push(key.replace(/\.jsonl$/, ''));
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * State of an entity at a point in time: the logged version in effect,
+     * or for an unlogged entity its current file if it existed by then
+     */
+    async readAsOf(key, asOf) {
+        const versions = await this.read(key);
+        if (versions.length > 0) {
+            return resolveVersion(versions, asOf)?.data || null;
+        }
+
+        const current = await fs.readJson(this.getEntityPath(key)).catch(() => null);
+        return current && existedAsOf(current, asOf) ? current : null;
+    }
+
+    /**
+     * Record a new version of an entity. Call before the entity file itself
+     * is written, so a crash can leave a logged version whose write never
+     * landed but never an unlogged change.
+     *
+     * meta: source, operation (inferred when omitted), timestamp
+     */
+    async append(key, data, meta = {}, transaction = null) {
+        const versions = await this.read(key, transaction);
+        const lines = [];
+
+        if (versions.length === 0) {
+            const baseline = await this.readBaseline(key);
+            if (baseline) {
+                versions.push(baseline);
+                lines.push(baseline);
+            }
+        }
+
+        const previous = versions[versions.length - 1];
+        const operation = meta.operation ||
+            (data === null ? 'delete' : !previous || previous.operation === 'delete' ? 'create' : 'update');
+
+        const version = {
+            version: (previous?.version || 0) + 1,
+            timestamp: meta.timestamp || new Date().toISOString(),
+            operation,
+            source: meta.source || null,
+            data: data === null ? null : data
+        };
+        lines.push(version);
+
+        const content = lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+        const logPath = this.getLogPath(key);
+
+        if (transaction) {
+            const existing = transaction.staged(logPath) ??
+                await fs.readFile(logPath, 'utf8').catch(() => '');
+            transaction.write(logPath, withoutTornTail(existing) + content);
+        } else {
+            await fs.ensureDir(path.dirname(logPath));
+            await this.truncateTornTail(logPath);
+            await fs.appendFile(logPath, content);
+        }
+
+        return version;
+    }
+
+    /**
+     * Cut a partial last line left by an interrupted append, so the next
+     * entry starts on its own line instead of being glued onto it
+     */
+    async truncateTornTail(logPath) {
+        let content;
+        try {
+            content = await fs.readFile(logPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const kept = withoutTornTail(content);
+        if (kept.length !== content.length) {
+            await fs.truncate(logPath, Buffer.byteLength(kept));
+        }
+    }
+
+    /**
+     * Version 1 for an entity file written before it had a log
+     */
+    async readBaseline(key) {
+        const entityPath = this.getEntityPath(key);
+        let data;
+        try {
+            data = await fs.readJson(entityPath);
+        } catch (error) {
+            return null;
+        }
+
+        const stats = await fs.stat(entityPath);
+        return {
+            version: 1,
+            timestamp: data.timestamp || data.lastUpdated || stats.mtime.toISOString(),
+            operation: 'create',
+            source: 'baseline',
+            data
+        };
+    }
+
+    /**
+     * Overwrite an entity's whole history (used when moving records between stores)
+     */
+    async replace(key, versions) {
+        if (versions.length === 0) return this.remove(key);
+
+        const logPath = this.getLogPath(key);
+        await fs.ensureDir(path.dirname(logPath));
+        await fs.writeFile(logPath, versions.map(version => JSON.stringify(version)).join('\n') + '\n');
+    }
+
+    async remove(key) {
+        await fs.remove(this.getLogPath(key));
+    }
+}
+
+export default VersionLog;
@@ -11,6 +11,8 @@ import chalk from 'chalk';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { ENTITY_TYPES } from '../../config/entity-schemas.js';
+import { writeJsonAtomic } from '../storage/file-transaction.js';
+import { VersionLog } from '../storage/version-log.js';
 
 const execAsync = promisify(exec);
 
@@ -62,7 +64,8 @@ export class CommandLogger {
   }
 
   /**
-   * Persists an entity to the file-based context DB.
+   * Persists an entity to the file-based context DB, logging it as a version
+   * whose source is the command that was run.
    * @param {object} entity - The entity to persist.
    */
   async persistEntity(entity) {
@@ -73,7 +76,11 @@ export class CommandLogger {
       const filename = `${entity.name.replace(/[^a-z0-9\s-]/gi, '').replace(/\s+/g, '-').toLowerCase()}.json`;
       const filePath = path.join(entityDir, filename);
 
-      await fs.writeFile(filePath, JSON.stringify(entity, null, 2));
+      const versionLog = new VersionLog({ domainPath: path.join(this.dataPath, entity.domain) });
+      await versionLog.append(versionLog.keyForFile(filePath), entity, {
+        source: entity.command_string ? `command:${entity.command_string}` : null
+      });
+      await writeJsonAtomic(filePath, entity);
     } catch (error) {
       console.error(chalk.red(`❌ Failed to persist command execution entity ${entity.name}:`), error.message);
     }
@@ -0,0 +1,257 @@
+import { flattenEntityRecords } from '../search/search-index-registry.js';
+import { EntitySearchIndex } from '../search/entity-search-index.js';
+
+/**
+ * Entity Timeline
+ *
+ * Reconstructs how a concept evolved from the stored extraction records and
+ * their version history: when it was first mentioned, how often it came up
+ * over time, which of its attributes changed, and which relationships it
+ * gained or lost.
+ *
+ * A concept is every occurrence of an entity with the same category and
+ * (normalized) name, alias or merged-away name as the requested entity.
+ * Relationships are the entity's own `relationships` entries plus the
+ * entities it co-occurs with in a record, matching the viz server graph.
+ */
+
+export const TIMELINE_INTERVALS = ['day', 'week', 'month'];
+
+// Bookkeeping fields that say nothing about the concept itself
+const NON_ATTRIBUTE_FIELDS = new Set([
+    'id', 'name', 'category', 'aliases', 'relationships', 'confidence',
+    'conversationId', 'recordId', 'timestamp', 'metadata'
+]);
+
+const MAX_PERIODS = 1000;
+
+/**
+ * Load every record of a domain with its version history
+ */
+export async function loadRecordHistories(diffMem, domain) {
+    const records = await diffMem.getAllEntities(domain);
+    const histories = [];
+
+    for (const record of records) {
+        histories.push({ record, versions: await diffMem.getEntityHistory(record.id, domain) });
+    }
+
+    return histories;
+}
+
+/**
+ * Period a timestamp falls in, or null when it is not a valid date
+ */
+function periodKey(timestamp, interval) {
+    const date = new Date(timestamp);
+    if (isNaN(date)) return null;
+    if (interval === 'month') {
+        return date.toISOString().slice(0, 7);
+    }
+    if (interval === 'week') {
+        const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+        return monday.toISOString().slice(0, 10);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function nextPeriod(key, interval) {
+    if (interval === 'month') {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 7);
+    }
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + (interval === 'week' ? 7 : 1));
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Mention counts per period from the first to the last mention, gaps
+ * included; mentions without a valid timestamp are not counted
+ */
+function buildFrequency(mentions, interval) {
+    const counts = new Map();
+    for (const mention of mentions) {
+        const key = periodKey(mention.timestamp, interval);
+        if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    if (counts.size === 0) return [];
+
+    const keys = Array.from(counts.keys()).sort();
+    const last = keys[keys.length - 1];
+    const frequency = [];
+
+    for (let key = keys[0]; key <= last && frequency.length < MAX_PERIODS; key = nextPeriod(key, interval)) {
+        frequency.push({ period: key, count: counts.get(key) || 0 });
+    }
+
+    return frequency;
+}
+
+/**
+ * Versions of a record in order; records stored before versioning count as
+ * a single version at their own timestamp
+ */
+function recordVersions({ record, versions }) {
+    if (versions && versions.length > 0) return versions;
+    return [{
+        version: 1,
+        timestamp: record.timestamp,
+        operation: 'create',
+        source: record.metadata?.source || null,
+        data: record
+    }];
+}
+
+function relationshipKey(relationship) {
+    return `${relationship.type}|${relationship.targetCategory || ''}|${EntitySearchIndex.normalize(relationship.target)}`;
+}
+
+/**
+ * Build the timeline of an entity
+ *
+ * recordHistories: [{ record, versions }] as returned by loadRecordHistories()
+ * options: mergedIds (ids of entities merged into this one), interval (day|week|month)
+ *
+ * Returns null when the entity id is not present in the current records.
+ */
+export function buildEntityTimeline(entityId, recordHistories, options = {}) {
+    const interval = TIMELINE_INTERVALS.includes(options.interval) ? options.interval : 'day';
+    const currentEntities = flattenEntityRecords(recordHistories.map(({ record }) => record));
+
+    const target = currentEntities.find(entity => entity.id === entityId);
+    if (!target) return null;
+
+    const mergedIds = new Set(options.mergedIds || []);
+    const names = new Set([target.name, ...(target.aliases || [])].map(name => EntitySearchIndex.normalize(name)));
+    for (const entity of currentEntities) {
+        if (mergedIds.has(entity.id)) names.add(EntitySearchIndex.normalize(entity.name));
+    }
+
+    const isConcept = entity => entity.category === target.category && (
+        names.has(EntitySearchIndex.normalize(entity.name)) ||
+        (entity.aliases || []).some(alias => names.has(EntitySearchIndex.normalize(alias)))
+    );
+
+    // Every version of every record, oldest first
+    const events = [];
+    for (const history of recordHistories) {
+        for (const version of recordVersions(history)) {
+            events.push({ recordId: history.record.id, ...version });
+        }
+    }
+    events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.version - b.version);
+
+    const mentions = [];
+    const attributeChanges = [];
+    const relationshipChanges = [];
+    const attributes = new Map();
+    const activeRelationships = new Map();   // relationship key -> { relationship, records: Set, since }
+    const recordState = new Map();            // record id -> { mentioned, attributes, relationships } of its last version
+    let observed = false;                     // attributes seen before the current event are the baseline
+
+    for (const event of events) {
+        const entities = event.data ? flattenEntityRecords([event.data]) : [];
+        const occurrences = entities.filter(isConcept);
+        const previous = recordState.get(event.recordId) || { mentioned: false, attributes: new Map(), relationships: new Map() };
+        const source = event.source || event.data?.metadata?.source || null;
+        const context = { timestamp: event.timestamp, recordId: event.recordId, source };
+
+        if (occurrences.length > 0 && !previous.mentioned) {
+            mentions.push({ ...context, conversationId: event.data.conversationId });
+        }
+
+        // Attribute changes against the last value seen anywhere; a record
+        // version that repeats what its previous version said changes nothing
+        const recordAttributes = new Map();
+        for (const occurrence of occurrences) {
+            for (const [attribute, value] of Object.entries(occurrence)) {
+                if (NON_ATTRIBUTE_FIELDS.has(attribute) || value === undefined || value === null || value === '') continue;
+
+                const serialized = JSON.stringify(value);
+                recordAttributes.set(attribute, serialized);
+                if (previous.attributes.get(attribute) === serialized) continue;
+                if (attributes.has(attribute) && attributes.get(attribute).serialized === serialized) continue;
+
+                if (observed) {
+                    attributeChanges.push({
+                        ...context,
+                        attribute,
+                        from: attributes.get(attribute)?.value ?? null,
+                        to: value
+                    });
+                }
+                attributes.set(attribute, { value, serialized });
+            }
+        }
+        observed = observed || occurrences.length > 0;
+
+        // Relationships this record version gives the concept
+        const relationships = new Map();
+        if (occurrences.length > 0) {
+            for (const occurrence of occurrences) {
+                for (const relationship of occurrence.relationships || []) {
+                    if (!relationship?.target) continue;
+                    const entry = { type: relationship.type || 'related_to', target: relationship.target, targetCategory: relationship.target_type || null };
+                    relationships.set(relationshipKey(entry), entry);
+                }
+            }
+            for (const entity of entities) {
+                if (isConcept(entity)) continue;
+                const entry = { type: 'co-occurrence', target: entity.name, targetCategory: entity.category };
+                relationships.set(relationshipKey(entry), entry);
+            }
+        }
+
+        for (const [key, relationship] of relationships) {
+            if (previous.relationships.has(key)) continue;
+            if (!activeRelationships.has(key)) {
+                activeRelationships.set(key, { relationship, records: new Set(), since: event.timestamp });
+                relationshipChanges.push({ ...context, change: 'added', ...relationship });
+            }
+            activeRelationships.get(key).records.add(event.recordId);
+        }
+
+        for (const [key, relationship] of previous.relationships) {
+            if (relationships.has(key)) continue;
+            const active = activeRelationships.get(key);
+            active.records.delete(event.recordId);
+            if (active.records.size === 0) {
+                activeRelationships.delete(key);
+                relationshipChanges.push({ ...context, change: 'removed', ...relationship });
+            }
+        }
+
+        recordState.set(event.recordId, {
+            mentioned: previous.mentioned || occurrences.length > 0,
+            attributes: recordAttributes,
+            relationships
+        });
+    }
+
+    return {
+        entity: {
+            id: target.id,
+            name: target.name,
+            category: target.category,
+            names: Array.from(names)
+        },
+        interval,
+        firstMention: mentions[0] || null,
+        lastMention: mentions[mentions.length - 1] || null,
+        mentionCount: mentions.length,
+        frequency: buildFrequency(mentions, interval),
+        mentions,
+        attributes: Object.fromEntries(Array.from(attributes, ([attribute, { value }]) => [attribute, value])),
+        attributeChanges,
+        relationshipChanges,
+        relationships: Array.from(activeRelationships.values(), ({ relationship, records, since }) => ({
+            ...relationship,
+            since,
+            recordCount: records.size
+        }))
+    };
+}
+
+export default buildEntityTimeline;
@@ -0,0 +1,267 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+
+/**
+ * Budget Manager - spend guardrails for LLM calls
+ *
+ * Spend is read from the RequestTracker log, so every process writing to
+ * logs/api-requests.json shares one budget. Caps:
+ *
+ *   daily / monthly      all calls (DAILY_COST_LIMIT, MONTHLY_COST_LIMIT)
+ *   domains.<name>       calls made with options.domain, { daily?, monthly? }
+ *   operations.<name>    calls made with options.operation, { daily?, monthly? }
+ *   maxCost              per call, passed by the caller
+ *
+ * Domain and operation caps come from a JSON file (BUDGET_CONFIG, default
+ * config/budgets.json), which may also set daily, monthly and action:
+ *
+ *   { "monthly": 50, "domains": { "cybersec": { "daily": 2 } },
+ *     "operations": { "entity-extraction": { "monthly": 20 } } }
+ *
+ * Before a paid call the expected cost is estimated; when it would take any
+ * cap past its limit the configured action applies:
+ *
+ *   block     throw, the call is not made
+ *   fallback  make the call on the local Ollama model instead
+ *   confirm   ask on the terminal (non-interactive processes block)
+ *
+ * BUDGET_ACTION sets the action; without it interactive CLI runs confirm
+ * and everything else blocks.
+ */
+
+const ACTIONS = ['block', 'fallback', 'confirm'];
+const PERIODS = ['daily', 'monthly'];
+
+function parseLimit(value) {
+    const limit = parseFloat(value);
+    return Number.isFinite(limit) && limit >= 0 ? limit : null;
+}
+
+function normalizeScopeLimits(scopes = {}) {
+    const normalized = {};
+    for (const [name, limits] of Object.entries(scopes)) {
+        normalized[name] = {
+            daily: parseLimit(limits?.daily),
+            monthly: parseLimit(limits?.monthly)
+        };
+    }
+    return normalized;
+}
+
+function periodKeys(date) {
+    return {
+        daily: date.toDateString(),
+        monthly: `${date.getFullYear()}-${date.getMonth()}`
+    };
+}
+
+function usageLine(limit, spent) {
+    return {
+        limit,
+        spent,
+        remaining: limit === null ? null : Math.max(limit - spent, 0)
+    };
+}
+
+export class BudgetManager {
+    constructor(options = {}) {
+        this.configPath = options.configPath || process.env.BUDGET_CONFIG || path.join(process.cwd(), 'config', 'budgets.json');
+        const config = options.limits || this.loadConfig();
+
+        this.limits = {
+            daily: parseLimit(config.daily ?? process.env.DAILY_COST_LIMIT ?? 10),
+            monthly: parseLimit(config.monthly ?? process.env.MONTHLY_COST_LIMIT ?? 100),
+            domains: normalizeScopeLimits(config.domains),
+            operations: normalizeScopeLimits(config.operations)
+        };
+
+        const interactive = Boolean(process.stdin.isTTY && process.stdout.isTTY);
+        this.action = options.action || process.env.BUDGET_ACTION || config.action || (interactive ? 'confirm' : 'block');
+        if (!ACTIONS.includes(this.action)) {
+            throw new Error(`Budget action must be one of: ${ACTIONS.join(', ')}`);
+        }
+
+        this.requestTracker = options.requestTracker || null;
+        this.estimateCost = options.estimateCost || (() => 0);
+        this.confirm = options.confirm || (interactive ? this.promptConfirm.bind(this) : null);
+        this.fallbackModel = options.fallbackModel || process.env.OLLAMA_MODEL || 'llama3.1:8b';
+        this.approved = new Set();   // caps the user agreed to exceed in this process
+    }
+
+    loadConfig() {
+        try {
+            return fs.existsSync(this.configPath) ? fs.readJsonSync(this.configPath) : {};
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Could not read budget config ${this.configPath}: ${error.message}`));
+            return {};
+        }
+    }
+
+    /**
+     * Re-read the request log (for long-running processes that share it)
+     */
+    async refresh() {
+        if (this.requestTracker?.loadExistingRequests) {
+            await this.requestTracker.loadExistingRequests();
+        }
+    }
+
+    /**
+     * Spend per period, overall and by domain and operation
+     */
+    computeSpend(requests = this.requestTracker?.requests || [], now = new Date()) {
+        const current = periodKeys(now);
+        const spend = { daily: 0, monthly: 0, domains: {}, operations: {} };
+
+        const add = (bucket, name, period, cost) => {
+            if (!name) return;
+            if (!bucket[name]) bucket[name] = { daily: 0, monthly: 0 };
+            bucket[name][period] += cost;
+        };
+
+        for (const request of requests) {
+            const cost = request.metadata?.cost_estimate || 0;
+            if (!cost || !request.timestamp) continue;
+
+            const keys = periodKeys(new Date(request.timestamp));
+            for (const period of PERIODS) {
+                if (keys[period] !== current[period]) continue;
+                spend[period] += cost;
+                add(spend.domains, request.metadata.domain, period, cost);
+                add(spend.operations, request.metadata.operation, period, cost);
+            }
+        }
+
+        return spend;
+    }
+
+    /**
+     * Limits, spend and remaining budget for every cap, plus the caps
+     * already exhausted
+     */
+    getStatus(requests, now = new Date()) {
+        const spend = this.computeSpend(requests, now);
+        const scopeStatus = (limits, spent) => {
+            const names = new Set([...Object.keys(limits), ...Object.keys(spent)]);
+            return Object.fromEntries([...names].sort().map(name => [name, {
+                daily: usageLine(limits[name]?.daily ?? null, spent[name]?.daily || 0),
+                monthly: usageLine(limits[name]?.monthly ?? null, spent[name]?.monthly || 0)
+            }]));
+        };
+
+        const status = {
+            action: this.action,
+            daily: usageLine(this.limits.daily, spend.daily),
+            monthly: usageLine(this.limits.monthly, spend.monthly),
+            domains: scopeStatus(this.limits.domains, spend.domains),
+            operations: scopeStatus(this.limits.operations, spend.operations)
+        };
+        status.exceeded = this.findExceeded(spend, { domain: null, operation: null, cost: 0 }, true);
+        return status;
+    }
+
+    /**
+     * Caps a call of `cost` would exceed. With `all`, every exhausted cap
+     * regardless of the call's domain and operation.
+     */
+    findExceeded(spend, call, all = false) {
+        const exceeded = [];
+        const check = (scope, limit, spent) => {
+            if (limit !== null && limit !== undefined && spent + call.cost > limit) {
+                exceeded.push({ scope, limit, spent, estimated: call.cost });
+            }
+        };
+
+        for (const period of PERIODS) {
+            check(period, this.limits[period], spend[period]);
+        }
+        for (const [kind, key] of [['domains', 'domain'], ['operations', 'operation']]) {
+            const names = all ? Object.keys(this.limits[kind]) : [call[key]].filter(Boolean);
+            for (const name of names) {
+                for (const period of PERIODS) {
+                    check(`${key}:${name}:${period}`, this.limits[kind][name]?.[period], spend[kind][name]?.[period] || 0);
+                }
+            }
+        }
+
+        return exceeded;
+    }
+
+    /**
+     * Expected cost of a call: prompt tokens from its length, completion
+     * tokens from this model's tracked average (half of maxTokens when
+     * there is no history), capped at maxTokens
+     */
+    estimateCallCost({ provider, model, prompt, systemPrompt, maxTokens }) {
+        const promptTokens = Math.ceil(((prompt || '').length + (systemPrompt || '').length) / 4);
+        const history = (this.requestTracker?.requests || [])
+            .filter(request => request.provider === provider && request.model === model && request.usage?.completion_tokens);
+        const averageCompletion = history.length
+            ? history.reduce((sum, request) => sum + request.usage.completion_tokens, 0) / history.length
+            : maxTokens / 2;
+        const completionTokens = Math.ceil(Math.min(averageCompletion, maxTokens));
+
+        return this.estimateCost(provider, model, {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        });
+    }
+
+    /**
+     * Check a call against the budget before it is made. Returns
+     * { allowed: true, estimatedCost } or { fallback: { provider, model } },
+     * and throws when the call is blocked.
+     *
+     * call: provider, model, prompt, systemPrompt, maxTokens, domain, operation, maxCost
+     */
+    async authorize(call) {
+        if (call.provider === 'ollama') return { allowed: true, estimatedCost: 0 };
+
+        const estimatedCost = this.estimateCallCost(call);
+        const exceeded = this.findExceeded(this.computeSpend(), { ...call, cost: estimatedCost });
+        if (call.maxCost !== undefined && call.maxCost !== null && estimatedCost > call.maxCost) {
+            exceeded.push({ scope: 'call', limit: call.maxCost, spent: 0, estimated: estimatedCost });
+        }
+
+        const pending = exceeded.filter(cap => !this.approved.has(cap.scope));
+        if (pending.length === 0) return { allowed: true, estimatedCost };
+
+        const summary = pending
+            .map(cap => `${cap.scope} $${cap.spent.toFixed(4)} + $${cap.estimated.toFixed(4)} > $${cap.limit.toFixed(4)}`)
+            .join('; ');
+
+        if (this.action === 'fallback') {
+            console.warn(chalk.yellow(`💳 Budget exceeded (${summary}) - falling back to ollama:${this.fallbackModel}`));
+            return { allowed: false, fallback: { provider: 'ollama', model: this.fallbackModel }, exceeded: pending };
+        }
+
+        if (this.action === 'confirm' && this.confirm) {
+            const approved = await this.confirm({ ...call, estimatedCost, exceeded: pending, summary });
+            if (approved) {
+                pending.forEach(cap => this.approved.add(cap.scope));
+                return { allowed: true, estimatedCost, overBudget: pending };
+            }
+        }
+
+        const error = new Error(`Budget exceeded for ${call.provider}:${call.model}: ${summary}`);
+        error.code = 'BUDGET_EXCEEDED';
+        error.exceeded = pending;
+        throw error;
+    }
+
+    async promptConfirm({ provider, model, summary }) {
+        const { default: inquirer } = await import('inquirer');
+        console.warn(chalk.yellow(`💳 Budget exceeded: ${summary}`));
+        const { proceed } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'proceed',
+            message: `Call ${provider}:${model} anyway? (applies to the rest of this run)`,
+            default: false
+        }]);
+        return proceed;
+    }
+}
+
+export default BudgetManager;
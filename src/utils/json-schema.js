@@ -0,0 +1,181 @@
+/**
+ * JSON Schema validation for LLM output
+ *
+ * Covers the subset of JSON Schema used by config/entity-schemas.js: type
+ * (including type lists), required, properties, additionalProperties,
+ * items, enum, minimum/maximum, minLength/maxLength, minItems/maxItems and
+ * the date and date-time formats. Errors carry the path of the offending
+ * value, e.g. "entities.people[0].role".
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function checkFormat(value, format) {
+    if (format === 'date') return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+    if (format === 'date-time') return DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+    return true; // unknown formats are not checked
+}
+
+/**
+ * Validate `value` against `schema`. Returns a list of
+ * { path, keyword, message }; empty when the value is valid.
+ */
+export function validateSchema(value, schema, path = '') {
+    const errors = [];
+    if (!schema || typeof schema !== 'object') return errors;
+
+    const fail = (keyword, message, at = path) => errors.push({ path: at, keyword, message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail('type', `must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors; // nothing else applies to a value of the wrong type
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        fail('enum', `must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail('minLength', `must have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('maxLength', `must have at most ${schema.maxLength} characters`);
+        if (schema.format && !checkFormat(value, schema.format)) fail('format', `must be a ${schema.format} (ISO 8601), got ${JSON.stringify(value)}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, childPath(path, index))));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined || value[field] === null) {
+                fail('required', `missing required field "${field}"`);
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, fieldValue] of Object.entries(value)) {
+            if (properties[key]) {
+                // null stands for "not mentioned" in LLM output; required catches it where it matters
+                if (fieldValue !== null) errors.push(...validateSchema(fieldValue, properties[key], childPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                fail('additionalProperties', 'is not allowed', childPath(path, key));
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(fieldValue, schema.additionalProperties, childPath(path, key)));
+            }
+        }
+    }
+
+    return errors;
+}
+
+function parsePath(path) {
+    return (path.match(/[^.[\]]+/g) || []).map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+}
+
+/**
+ * Remove the values that failed validation: invalid fields are deleted
+ * and objects missing a required field are dropped from their array.
+ * Errors at the root cannot be removed and are left to the caller.
+ * Mutates and returns `value`.
+ */
+export function removeInvalid(value, errors) {
+    // Resolve every target before changing anything: parent -> keys to remove
+    const removals = new Map();
+
+    for (const error of errors) {
+        const segments = parsePath(error.path);
+        if (segments.length === 0) continue;
+
+        let parent = value;
+        for (const segment of segments.slice(0, -1)) {
+            parent = parent?.[segment];
+        }
+        const key = segments[segments.length - 1];
+
+        // An object without a required field is only removable as an array item
+        if (error.keyword === 'required' && !Array.isArray(parent)) continue;
+        if (!parent || typeof parent !== 'object') continue;
+
+        if (!removals.has(parent)) removals.set(parent, new Set());
+        removals.get(parent).add(key);
+    }
+
+    for (const [parent, keys] of removals) {
+        if (Array.isArray(parent)) {
+            // Highest index first so the remaining indexes stay valid
+            [...keys].sort((a, b) => b - a).forEach(index => parent.splice(index, 1));
+        } else {
+            keys.forEach(key => delete parent[key]);
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Parse a JSON object from model output, tolerating markdown fences and
+ * text around the object. Returns { value } or { error }.
+ */
+export function parseJsonOutput(text) {
+    const trimmed = String(text ?? '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    try {
+        return { value: JSON.parse(trimmed) };
+    } catch (error) {
+        const start = trimmed.indexOf('{');
+        const end = trimmed.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            try {
+                return { value: JSON.parse(trimmed.slice(start, end + 1)) };
+            } catch (innerError) {
+                return { error: `Invalid JSON: ${innerError.message}` };
+            }
+        }
+        return { error: `Invalid JSON: ${error.message}` };
+    }
+}
+
+/**
+ * One line per error, for logs and repair prompts
+ */
+export function formatSchemaErrors(errors) {
+    return errors.map(error => `- ${error.path || '(root)'}: ${error.message}`).join('\n');
+}
+
+export default {
+    validateSchema,
+    removeInvalid,
+    parseJsonOutput,
+    formatSchemaErrors
+};
@@ -3,18 +3,69 @@ import axios from 'axios';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import { RequestTracker } from './request-tracker.js';
+import { LLMResponseCache } from './llm-response-cache.js';
+import { BudgetManager } from './budget-manager.js';
+import { ProviderResilience } from './provider-resilience.js';
+import { parseSSE, parseNDJSON } from './stream-parsers.js';
+import { validateSchema, parseJsonOutput, formatSchemaErrors } from './json-schema.js';
 
 dotenv.config();
 
+// OpenAI models with structured outputs (json_schema) and with JSON mode only
+const OPENAI_JSON_SCHEMA_MODELS = /^(gpt-4o|gpt-4\.1|gpt-5|o[1-9])/;
+const OPENAI_JSON_MODE_MODELS = /^(gpt-3\.5-turbo|gpt-4-turbo|gpt-4-(1106|0125))/;
+
+/**
+ * response_format for a structured request to an OpenAI-compatible API,
+ * or null when the model has no JSON mode (OpenRouter ids are matched
+ * without their "openai/" prefix; other vendors there get none)
+ */
+function openAIResponseFormat(model, responseSchema) {
+    if (!responseSchema) return null;
+    const id = model.startsWith('openai/') ? model.slice('openai/'.length) : model;
+    if (OPENAI_JSON_SCHEMA_MODELS.test(id)) {
+        return { type: 'json_schema', json_schema: { name: responseSchema.name, schema: responseSchema.schema } };
+    }
+    return OPENAI_JSON_MODE_MODELS.test(id) ? { type: 'json_object' } : null;
+}
+
 /**
  * Unified LLM client that supports multiple providers:
  * - OpenAI API
  * - OpenRouter API (for various models)
  * - Anthropic Claude API
  * - Ollama (local LLM)
+ *
+ * Completions are served from an on-disk response cache when the same
+ * provider, model, prompts and parameters were seen before (see
+ * LLMResponseCache; options.cache configures it, options.responseCache
+ * supplies one). Pass `cache: false` to generateCompletion to bypass it, or
+ * `cache: 'read'` to use cached completions without storing the new one
+ * (generateStructured stores only output that passed validation).
+ *
+ * Paid calls are checked against the spend caps of a BudgetManager
+ * (options.budget configures it) before they are made; pass `domain`,
+ * `operation` and an optional per-call `maxCost` so the right caps apply.
+ * Calls sharing a `spendCap` ({ limit, spent }) are held to its limit
+ * together: each is capped at what is left and adds its cost to `spent`.
+ *
+ * Provider calls are rate limited, retried on transient errors and guarded
+ * by a circuit breaker (see ProviderResilience; options.resilience
+ * configures it). When a provider is down the call fails over to the next
+ * provider of LLM_FAILOVER ("provider[:model],..."); without it calls do
+ * not fail over, so data never reaches a provider nobody chose for it.
+ * Pass `failover: false` to prevent failover for one call.
+ *
+ * generateStructured returns JSON validated against a JSON Schema, using
+ * the provider's JSON mode (OpenAI structured outputs, Anthropic tool
+ * calls, Ollama format) where there is one and a repair prompt listing the
+ * validation errors when the output does not match.
+ *
+ * Callers rendering a registry prompt (see PromptRegistry) pass its
+ * `promptId` and `promptVersion`; both are stored with the tracked request.
  */
 export class LLMClient {
-    constructor() {
+    constructor(options = {}) {
         this.providers = {
             openai: this.initOpenAI(),
             openrouter: this.initOpenRouter(),
@@ -26,10 +77,20 @@ export class LLMClient {
             totalCost: 0,
             requestCount: 0,
             dailyCost: 0,
+            cacheHits: 0,
+            savedCost: 0,
             lastResetDate: new Date().toDateString()
         };
 
         this.requestTracker = new RequestTracker();
+        this.responseCache = options.responseCache || new LLMResponseCache(options.cache);
+        this.providerResilience = options.providerResilience || new ProviderResilience(options.resilience);
+        this.failoverChain = this.parseFailoverChain(options.failover ?? process.env.LLM_FAILOVER);
+        this.budgetManager = options.budgetManager || new BudgetManager({
+            ...options.budget,
+            requestTracker: this.requestTracker,
+            estimateCost: (provider, model, usage) => this.estimateCost(provider, model, usage)
+        });
     }
 
     initOpenAI() {
@@ -43,7 +104,8 @@ export class LLMClient {
         
         return new OpenAI({
             apiKey: apiKey,
-            baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+            baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            maxRetries: 0 // retries are handled by ProviderResilience
         });
     }
 
@@ -55,7 +117,8 @@ export class LLMClient {
         
         return new OpenAI({
             apiKey: process.env.OPENROUTER_API_KEY,
-            baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1'
+            baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+            maxRetries: 0
         });
     }
 
@@ -68,77 +131,201 @@ export class LLMClient {
         // Anthropic uses a different client, we'll use axios for now
         return {
             apiKey: process.env.ANTHROPIC_API_KEY,
-            baseURL: 'https://api.anthropic.com/v1'
+            baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1'
         };
     }
 
     initOllama() {
         return {
             baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
-            model: process.env.OLLAMA_MODEL || 'llama3.1:8b'
+            model: process.env.OLLAMA_MODEL || 'llama3.1:8b',
+            embeddingModel: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text'
         };
     }
 
+    defaultModel(provider) {
+        switch (provider) {
+            case 'openai':
+                return 'gpt-4';
+            case 'openrouter':
+                return process.env.ENTITY_EXTRACTION_MODEL_CLOUD || 'anthropic/claude-3.5-sonnet';
+            case 'anthropic':
+                return 'claude-3-5-sonnet-20241022';
+            case 'ollama':
+                return this.providers.ollama.model;
+            default:
+                throw new Error(`Unknown provider: ${provider}`);
+        }
+    }
+
     /**
-     * Generate completion using specified provider and model
+     * Failover order as [{ provider, model }] from "provider[:model],..."
+     * (an array of such entries also works); empty when not configured
      */
-    async generateCompletion(prompt, options = {}) {
+    parseFailoverChain(spec) {
+        if (!spec) return [];
+
+        const entries = Array.isArray(spec) ? spec : String(spec).split(',');
+        return entries.map(entry => {
+            if (typeof entry === 'object') return { provider: entry.provider, model: entry.model || this.defaultModel(entry.provider) };
+            const [provider, ...model] = entry.trim().split(':');
+            return { provider, model: model.join(':') || this.defaultModel(provider) };
+        }).filter(entry => entry.provider);
+    }
+
+    /**
+     * The next configured, available provider to fail over to, skipping
+     * the ones already tried
+     */
+    nextFailoverProvider(tried) {
+        return this.failoverChain.find(entry =>
+            !tried.includes(entry.provider) &&
+            this.providers[entry.provider] &&
+            this.providerResilience.isAvailable(entry.provider)
+        ) || null;
+    }
+
+    completionParams(options) {
         const {
             provider = 'openai',
             model = 'gpt-4',
             maxTokens = 2000,
             temperature = 0.1,
-            systemPrompt = null
+            systemPrompt = null,
+            responseSchema = null
         } = options;
+        return { provider, model, maxTokens, temperature, systemPrompt, responseSchema };
+    }
+
+    /**
+     * Steps before a provider call, shared by generateCompletion and
+     * streamCompletion: returns { cached } on a cache hit, { reroute } with
+     * the options to use after a budget fallback, or {} to go ahead
+     */
+    async admitCompletion(prompt, params, options, useCache) {
+        const { provider, model, systemPrompt, maxTokens } = params;
+
+        if (useCache) {
+            const cached = await this.responseCache.get({ ...params, prompt });
+            if (cached) return { cached };
+        }
+
+        await this.requestTracker.ready;
+        const budget = await this.budgetManager.authorize({
+            provider,
+            model,
+            prompt,
+            systemPrompt,
+            maxTokens,
+            domain: options.domain,
+            operation: options.operation || 'completion',
+            maxCost: this.callCostCap(options)
+        });
+        if (budget.fallback) {
+            return { reroute: { ...options, ...budget.fallback, budgetFallbackFrom: `${provider}:${model}` } };
+        }
+
+        return {};
+    }
+
+    /**
+     * The most a call may cost: options.maxCost, lowered to what is left of
+     * options.spendCap; undefined when neither is set
+     */
+    callCostCap({ maxCost, spendCap }) {
+        const caps = [maxCost, spendCap && Math.max(0, spendCap.limit - spendCap.spent)]
+            .filter(cap => cap !== undefined && cap !== null);
+        return caps.length > 0 ? Math.min(...caps) : undefined;
+    }
 
+    /**
+     * Options for retrying on the next provider after `error`, or null
+     * when the error is not an outage or there is nowhere left to go
+     */
+    failoverOptions(error, provider, options) {
+        const tried = [...(options.failoverFrom || []), provider];
+        const next = error.providerDown && options.failover !== false ? this.nextFailoverProvider(tried) : null;
+        if (!next) return null;
+
+        console.warn(chalk.yellow(`⚠️  ${provider} unavailable (${error.message}) - failing over to ${next.provider}:${next.model}`));
+        return { ...options, ...next, failoverFrom: tried };
+    }
+
+    /**
+     * Track a finished provider call, store it in the cache and build the
+     * completion result
+     */
+    async recordCompletion(prompt, params, result, options, { startTime, useCache, streamed = false, aborted = false }) {
+        const { provider, model } = params;
+        const duration = Date.now() - startTime;
+        const costEstimate = this.estimateCost(provider, model, result.usage);
+        if (options.spendCap) options.spendCap.spent += costEstimate;
+        
+        // Track usage in both systems
+        this.trackUsage(provider, model, result.usage, duration);
+        await this.requestTracker.trackRequest(provider, model, result.usage, {
+            source: options.source || 'llm-client',
+            operation: options.operation || 'completion',
+            domain: options.domain || null,
+            prompt_id: options.promptId || null,
+            prompt_version: options.promptVersion || null,
+            duration,
+            cost_estimate: costEstimate,
+            reasoning: options.reasoning || `${provider} selected for ${model}`,
+            could_use_local: options.could_use_local || false,
+            local_savings: options.could_use_local ? costEstimate : 0,
+            budget_fallback_from: options.budgetFallbackFrom || null,
+            failover_from: options.failoverFrom || null,
+            streamed,
+            aborted,
+            prompt: prompt,
+            response: result.content,
+            completion_id: result.id || result.completion_id || null
+        });
+
+        if (useCache) {
+            await this.responseCache.set({ ...params, prompt }, result);
+        }
+        
+        return {
+            content: result.content,
+            usage: result.usage,
+            duration,
+            provider,
+            model,
+            cost_estimate: costEstimate
+        };
+    }
+
+    /**
+     * Generate completion using specified provider and model
+     */
+    async generateCompletion(prompt, options = {}) {
+        const params = this.completionParams(options);
+        const { provider, model } = params;
         const startTime = Date.now();
+        const useCache = options.cache !== false && this.responseCache.enabled;
+        const storeInCache = useCache && options.cache !== 'read';
         
         try {
+            const admission = await this.admitCompletion(prompt, params, options, useCache);
+            if (admission.cached) {
+                return await this.completeFromCache(admission.cached, prompt, options, { provider, model, startTime });
+            }
+            if (admission.reroute) {
+                return await this.generateCompletion(prompt, admission.reroute);
+            }
+
             let result;
-            
-            switch (provider) {
-                case 'openai':
-                    result = await this.callOpenAI(prompt, { model, maxTokens, temperature, systemPrompt });
-                    break;
-                case 'openrouter':
-                    result = await this.callOpenRouter(prompt, { model, maxTokens, temperature, systemPrompt });
-                    break;
-                case 'anthropic':
-                    result = await this.callAnthropic(prompt, { model, maxTokens, temperature, systemPrompt });
-                    break;
-                case 'ollama':
-                    result = await this.callOllama(prompt, { model, maxTokens, temperature, systemPrompt });
-                    break;
-                default:
-                    throw new Error(`Unknown provider: ${provider}`);
+            try {
+                result = await this.providerResilience.execute(provider, () => this.callProvider(provider, prompt, params));
+            } catch (error) {
+                const failover = this.failoverOptions(error, provider, options);
+                if (!failover) throw error;
+                return await this.generateCompletion(prompt, failover);
             }
 
-            const duration = Date.now() - startTime;
-            const costEstimate = this.estimateCost(provider, model, result.usage);
-            
-            // Track usage in both systems
-            this.trackUsage(provider, model, result.usage, duration);
-            await this.requestTracker.trackRequest(provider, model, result.usage, {
-                source: options.source || 'llm-client',
-                operation: options.operation || 'completion',
-                duration,
-                cost_estimate: costEstimate,
-                reasoning: options.reasoning || `${provider} selected for ${model}`,
-                could_use_local: options.could_use_local || false,
-                local_savings: options.could_use_local ? costEstimate : 0,
-                prompt: prompt,
-                response: result.content,
-                completion_id: result.id || result.completion_id || null
-            });
-            
-            return {
-                content: result.content,
-                usage: result.usage,
-                duration,
-                provider,
-                model,
-                cost_estimate: costEstimate
-            };
+            return await this.recordCompletion(prompt, params, result, options, { startTime, useCache: storeInCache });
             
         } catch (error) {
             console.error(chalk.red(`❌ Error with ${provider}:${model} - ${error.message}`));
@@ -146,6 +333,208 @@ export class LLMClient {
         }
     }
 
+    /**
+     * Generate a JSON object matching `schema`. Output that is not valid
+     * JSON or fails validation is sent back with the errors, up to
+     * `maxRepairs` times. Returns the best completion plus
+     * { data, valid, errors, repairs }: `data` is the parsed object (null
+     * when no attempt produced JSON) and `errors` its remaining validation
+     * errors ({ path, keyword, message }).
+     *
+     * options: schema, schemaName, maxRepairs, and generateCompletion's options
+     */
+    async generateStructured(prompt, options = {}) {
+        const { schema, schemaName = 'structured_response', maxRepairs = 2, ...completionOptions } = options;
+        if (!schema) {
+            throw new Error('generateStructured requires a JSON schema');
+        }
+
+        const responseSchema = { name: schemaName, schema };
+        // Completions are cached only once they validate, so a retry never gets a rejected answer back
+        const cache = completionOptions.cache === false ? false : 'read';
+        let currentPrompt = prompt;
+        let best = null;
+
+        for (let repairs = 0; repairs <= maxRepairs; repairs++) {
+            const result = await this.generateCompletion(currentPrompt, { ...completionOptions, responseSchema, cache });
+            const parsed = parseJsonOutput(result.content);
+            const errors = parsed.error
+                ? [{ path: '', keyword: 'json', message: parsed.error }]
+                : validateSchema(parsed.value, schema);
+
+            const attempt = { ...result, data: parsed.error ? null : parsed.value, valid: errors.length === 0, errors, repairs };
+            if (attempt.valid) {
+                if (cache && !result.cached) {
+                    // Keyed by the provider that answered, which failover may have changed
+                    const params = this.completionParams({ ...completionOptions, responseSchema, provider: result.provider, model: result.model });
+                    await this.responseCache.set({ ...params, prompt: currentPrompt }, result);
+                }
+                return attempt;
+            }
+
+            // Keep the attempt with the fewest errors, preferring any parseable one
+            if (!best || (best.data === null && attempt.data !== null) ||
+                (attempt.data !== null && errors.length <= best.errors.length)) {
+                best = attempt;
+            }
+
+            if (repairs < maxRepairs) {
+                console.warn(chalk.yellow(`🔧 ${schemaName}: ${errors.length} schema error(s), requesting repair ${repairs + 1}/${maxRepairs}`));
+                currentPrompt = this.buildRepairPrompt(prompt, result.content, errors);
+            }
+        }
+
+        console.warn(chalk.yellow(`⚠️  ${schemaName}: ${best.errors.length} schema error(s) left after ${maxRepairs} repair(s)`));
+        return { ...best, repairs: maxRepairs };
+    }
+
+    buildRepairPrompt(prompt, previousContent, errors) {
+        return `${prompt}
+
+---
+Your previous response was:
+${previousContent}
+
+It does not match the required JSON schema:
+${formatSchemaErrors(errors)}
+
+Return the corrected JSON object only. Keep every valid value, fix or omit the invalid ones, and add nothing else.`;
+    }
+
+    /**
+     * Stream a completion. Yields { type: 'token', text } as text arrives,
+     * then { type: 'done', ...result } with the same fields generateCompletion
+     * returns; usage is recorded when the stream ends, or as an aborted
+     * request with what it produced when it is closed early or fails part
+     * way. Cache, budget, retries and failover apply as for
+     * generateCompletion, except that a stream failing after its first
+     * token is not retried.
+     */
+    async *streamCompletion(prompt, options = {}) {
+        const params = this.completionParams(options);
+        const { provider, model } = params;
+        const startTime = Date.now();
+        const useCache = options.cache !== false && this.responseCache.enabled;
+
+        try {
+            const admission = await this.admitCompletion(prompt, params, options, useCache);
+            if (admission.cached) {
+                yield { type: 'token', text: admission.cached.content };
+                yield { type: 'done', ...(await this.completeFromCache(admission.cached, prompt, options, { provider, model, startTime })) };
+                return;
+            }
+            if (admission.reroute) {
+                yield* this.streamCompletion(prompt, admission.reroute);
+                return;
+            }
+
+            let stream;
+            try {
+                stream = await this.providerResilience.execute(provider, () => this.openProviderStream(provider, prompt, params));
+            } catch (error) {
+                const failover = this.failoverOptions(error, provider, options);
+                if (!failover) throw error;
+                yield* this.streamCompletion(prompt, failover);
+                return;
+            }
+
+            let content = '';
+            let usage = null;
+            let recorded = false;
+            try {
+                for await (const chunk of stream) {
+                    if (chunk.text) {
+                        content += chunk.text;
+                        yield { type: 'token', text: chunk.text };
+                    }
+                    if (chunk.usage) usage = chunk.usage;
+                }
+
+                recorded = true;
+                const result = await this.recordCompletion(prompt, params, { content, usage: this.streamUsage(usage, params, prompt, content) }, options, { startTime, useCache, streamed: true });
+                yield { type: 'done', ...result };
+            } finally {
+                // A stream the consumer closed, or that failed part way, still
+                // used tokens: track and charge what it produced, uncached
+                if (!recorded) {
+                    await this.recordCompletion(prompt, params, { content, usage: this.streamUsage(usage, params, prompt, content) }, options, { startTime, useCache: false, streamed: true, aborted: true })
+                        .catch(error => console.warn(chalk.yellow(`⚠️  Could not record aborted stream: ${error.message}`)));
+                }
+            }
+
+        } catch (error) {
+            console.error(chalk.red(`❌ Stream error with ${provider}:${model} - ${error.message}`));
+            throw error;
+        }
+    }
+
+    /**
+     * Usage of a stream; providers that report none (and streams that
+     * ended early) are estimated at ~4 characters per token
+     */
+    streamUsage(usage, params, prompt, content) {
+        if (usage?.total_tokens) return usage;
+        const promptTokens = Math.ceil(((params.systemPrompt || '').length + prompt.length) / 4);
+        const completionTokens = Math.ceil(content.length / 4);
+        return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+    }
+
+    /**
+     * Return a cached completion, recording it as a zero-cost request along
+     * with what the provider call would have cost
+     */
+    async completeFromCache(cached, prompt, options, { provider, model, startTime }) {
+        const duration = Date.now() - startTime;
+        const usage = cached.usage || {};
+        const savedCost = this.estimateCost(provider, model, usage);
+
+        this.costTracking.cacheHits++;
+        this.costTracking.savedCost += savedCost;
+
+        await this.requestTracker.trackRequest(provider, model, usage, {
+            source: options.source || 'llm-client',
+            operation: options.operation || 'completion',
+            domain: options.domain || null,
+            prompt_id: options.promptId || null,
+            prompt_version: options.promptVersion || null,
+            duration,
+            cost_estimate: 0,
+            reasoning: options.reasoning || `${provider} selected for ${model}`,
+            could_use_local: false,
+            local_savings: 0,
+            cache_hit: true,
+            cache_key: cached.key,
+            saved_cost: savedCost,
+            prompt: prompt,
+            response: cached.content
+        });
+
+        return {
+            content: cached.content,
+            usage,
+            duration,
+            provider,
+            model,
+            cost_estimate: 0,
+            cached: true
+        };
+    }
+
+    callProvider(provider, prompt, options) {
+        switch (provider) {
+            case 'openai':
+                return this.callOpenAI(prompt, options);
+            case 'openrouter':
+                return this.callOpenRouter(prompt, options);
+            case 'anthropic':
+                return this.callAnthropic(prompt, options);
+            case 'ollama':
+                return this.callOllama(prompt, options);
+            default:
+                throw new Error(`Unknown provider: ${provider}`);
+        }
+    }
+
     async callOpenAI(prompt, options) {
         if (!this.providers.openai) {
             throw new Error('OpenAI client not initialized - check API key');
@@ -157,12 +546,18 @@ export class LLMClient {
         }
         messages.push({ role: 'user', content: prompt });
 
-        const response = await this.providers.openai.chat.completions.create({
+        const request = {
             model: options.model,
             messages,
             max_tokens: options.maxTokens,
             temperature: options.temperature
-        });
+        };
+        const responseFormat = openAIResponseFormat(options.model, options.responseSchema);
+        if (responseFormat) {
+            request.response_format = responseFormat;
+        }
+
+        const response = await this.providers.openai.chat.completions.create(request);
 
         return {
             content: response.choices[0].message.content,
@@ -181,12 +576,18 @@ export class LLMClient {
         }
         messages.push({ role: 'user', content: prompt });
 
-        const response = await this.providers.openrouter.chat.completions.create({
+        const request = {
             model: options.model,
             messages,
             max_tokens: options.maxTokens,
             temperature: options.temperature
-        });
+        };
+        const responseFormat = openAIResponseFormat(options.model, options.responseSchema);
+        if (responseFormat) {
+            request.response_format = responseFormat;
+        }
+
+        const response = await this.providers.openrouter.chat.completions.create(request);
 
         return {
             content: response.choices[0].message.content,
@@ -212,6 +613,16 @@ export class LLMClient {
             requestData.system = options.systemPrompt;
         }
 
+        // Structured output: have the model call a tool whose input is the schema
+        if (options.responseSchema) {
+            requestData.tools = [{
+                name: options.responseSchema.name,
+                description: 'Record the response as structured data',
+                input_schema: options.responseSchema.schema
+            }];
+            requestData.tool_choice = { type: 'tool', name: options.responseSchema.name };
+        }
+
         const response = await axios.post(
             `${this.providers.anthropic.baseURL}/messages`,
             requestData,
@@ -224,8 +635,11 @@ export class LLMClient {
             }
         );
 
+        const toolUse = response.data.content.find(block => block.type === 'tool_use');
+        const textBlock = response.data.content.find(block => block.type === 'text');
+
         return {
-            content: response.data.content[0].text,
+            content: toolUse ? JSON.stringify(toolUse.input) : textBlock?.text ?? '',
             usage: {
                 prompt_tokens: response.data.usage.input_tokens,
                 completion_tokens: response.data.usage.output_tokens,
@@ -246,6 +660,9 @@ export class LLMClient {
                 num_predict: options.maxTokens
             }
         };
+        if (options.responseSchema) {
+            requestData.format = options.responseSchema.schema;
+        }
 
         try {
             const response = await axios.post(
@@ -264,12 +681,240 @@ export class LLMClient {
             };
         } catch (error) {
             if (error.code === 'ECONNREFUSED') {
-                throw new Error('Ollama server not running. Start with: docker run -d -p 11434:11434 ollama/ollama');
+                throw new Error('Ollama server not running. Start with: docker run -d -p 11434:11434 ollama/ollama', { cause: error });
             }
             throw error;
         }
     }
 
+    /**
+     * Open a streamed completion. Resolves once the provider has accepted
+     * the request (so connection and HTTP errors surface here, where they
+     * can be retried) to an async iterable of { text } and { usage } chunks.
+     */
+    openProviderStream(provider, prompt, options) {
+        switch (provider) {
+            case 'openai':
+                return this.streamOpenAICompatible(this.providers.openai, 'OpenAI', prompt, options);
+            case 'openrouter':
+                return this.streamOpenAICompatible(this.providers.openrouter, 'OpenRouter', prompt, options);
+            case 'anthropic':
+                return this.streamAnthropic(prompt, options);
+            case 'ollama':
+                return this.streamOllama(prompt, options);
+            default:
+                throw new Error(`Unknown provider: ${provider}`);
+        }
+    }
+
+    async streamOpenAICompatible(client, name, prompt, options) {
+        if (!client) {
+            throw new Error(`${name} client not initialized - check API key`);
+        }
+
+        const messages = [];
+        if (options.systemPrompt) {
+            messages.push({ role: 'system', content: options.systemPrompt });
+        }
+        messages.push({ role: 'user', content: prompt });
+
+        // The SDK reads the server-sent events; the last chunk carries usage
+        const stream = await client.chat.completions.create({
+            model: options.model,
+            messages,
+            max_tokens: options.maxTokens,
+            temperature: options.temperature,
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        return (async function* () {
+            for await (const chunk of stream) {
+                const text = chunk.choices?.[0]?.delta?.content;
+                if (text) yield { text };
+                if (chunk.usage) yield { usage: chunk.usage };
+            }
+        })();
+    }
+
+    async streamAnthropic(prompt, options) {
+        if (!this.providers.anthropic) {
+            throw new Error('Anthropic client not initialized - check API key');
+        }
+
+        const requestData = {
+            model: options.model || 'claude-3-5-sonnet-20241022',
+            max_tokens: options.maxTokens,
+            temperature: options.temperature,
+            messages: [{ role: 'user', content: prompt }],
+            stream: true
+        };
+        if (options.systemPrompt) {
+            requestData.system = options.systemPrompt;
+        }
+
+        const response = await axios.post(
+            `${this.providers.anthropic.baseURL}/messages`,
+            requestData,
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': this.providers.anthropic.apiKey,
+                    'anthropic-version': '2023-06-01'
+                },
+                responseType: 'stream'
+            }
+        );
+
+        return (async function* () {
+            let inputTokens = 0;
+            let outputTokens = 0;
+
+            for await (const { event, data } of parseSSE(response.data)) {
+                const payload = JSON.parse(data);
+                if (event === 'error') {
+                    throw new Error(`Anthropic stream error: ${payload.error?.message || data}`);
+                }
+                if (event === 'message_start') inputTokens = payload.message?.usage?.input_tokens || 0;
+                if (event === 'content_block_delta' && payload.delta?.text) yield { text: payload.delta.text };
+                if (event === 'message_delta') outputTokens = payload.usage?.output_tokens || outputTokens;
+            }
+
+            yield {
+                usage: {
+                    prompt_tokens: inputTokens,
+                    completion_tokens: outputTokens,
+                    total_tokens: inputTokens + outputTokens
+                }
+            };
+        })();
+    }
+
+    async streamOllama(prompt, options) {
+        const ollamaConfig = this.providers.ollama;
+
+        let response;
+        try {
+            response = await axios.post(
+                `${ollamaConfig.baseURL}/api/generate`,
+                {
+                    model: options.model || ollamaConfig.model,
+                    prompt: options.systemPrompt ? `${options.systemPrompt}\n\n${prompt}` : prompt,
+                    stream: true,
+                    options: {
+                        temperature: options.temperature,
+                        num_predict: options.maxTokens
+                    }
+                },
+                { timeout: 60000, responseType: 'stream' }
+            );
+        } catch (error) {
+            if (error.code === 'ECONNREFUSED') {
+                throw new Error('Ollama server not running. Start with: docker run -d -p 11434:11434 ollama/ollama', { cause: error });
+            }
+            throw error;
+        }
+
+        // One JSON object per line; the final one (done: true) has the token counts
+        return (async function* () {
+            for await (const chunk of parseNDJSON(response.data)) {
+                if (chunk.error) throw new Error(`Ollama stream error: ${chunk.error}`);
+                if (chunk.response) yield { text: chunk.response };
+                if (chunk.done) {
+                    const promptTokens = chunk.prompt_eval_count || 0;
+                    const completionTokens = chunk.eval_count || 0;
+                    yield {
+                        usage: {
+                            prompt_tokens: promptTokens,
+                            completion_tokens: completionTokens,
+                            total_tokens: promptTokens + completionTokens
+                        }
+                    };
+                }
+            }
+        })();
+    }
+
+    /**
+     * Generate embedding vectors for a batch of texts
+     */
+    async generateEmbeddings(texts, options = {}) {
+        const { provider = 'ollama', model = null } = options;
+        const startTime = Date.now();
+
+        try {
+            let embeddings;
+
+            switch (provider) {
+                case 'ollama':
+                    embeddings = await this.callOllamaEmbeddings(texts, { model });
+                    break;
+                case 'openai':
+                    embeddings = await this.callOpenAIEmbeddings(texts, { model });
+                    break;
+                default:
+                    throw new Error(`Embeddings not supported for provider: ${provider}`);
+            }
+
+            return {
+                embeddings,
+                provider,
+                model: model || (provider === 'ollama' ? this.providers.ollama.embeddingModel : 'text-embedding-3-small'),
+                duration: Date.now() - startTime
+            };
+
+        } catch (error) {
+            console.error(chalk.red(`❌ Embedding error with ${provider} - ${error.message}`));
+            throw error;
+        }
+    }
+
+    async callOllamaEmbeddings(texts, options) {
+        const ollamaConfig = this.providers.ollama;
+        const model = options.model || ollamaConfig.embeddingModel;
+
+        try {
+            const response = await axios.post(
+                `${ollamaConfig.baseURL}/api/embed`,
+                { model, input: texts },
+                { timeout: 60000 }
+            );
+            return response.data.embeddings;
+        } catch (error) {
+            if (error.code === 'ECONNREFUSED') {
+                throw new Error('Ollama server not running. Start with: docker run -d -p 11434:11434 ollama/ollama');
+            }
+            if (error.response?.status !== 404) {
+                throw error;
+            }
+        }
+
+        // Older Ollama servers only have the single-prompt endpoint
+        const embeddings = [];
+        for (const text of texts) {
+            const response = await axios.post(
+                `${ollamaConfig.baseURL}/api/embeddings`,
+                { model, prompt: text },
+                { timeout: 60000 }
+            );
+            embeddings.push(response.data.embedding);
+        }
+        return embeddings;
+    }
+
+    async callOpenAIEmbeddings(texts, options) {
+        if (!this.providers.openai) {
+            throw new Error('OpenAI client not initialized - check API key');
+        }
+
+        const response = await this.providers.openai.embeddings.create({
+            model: options.model || 'text-embedding-3-small',
+            input: texts
+        });
+
+        return response.data.map(item => item.embedding);
+    }
+
     estimateCost(provider, model, usage) {
         let estimatedCost = 0;
         
@@ -408,10 +1053,20 @@ export class LLMClient {
             totalCost: this.costTracking.totalCost,
             dailyCost: this.costTracking.dailyCost,
             requestCount: this.costTracking.requestCount,
-            averageCostPerRequest: this.costTracking.totalCost / Math.max(this.costTracking.requestCount, 1)
+            averageCostPerRequest: this.costTracking.totalCost / Math.max(this.costTracking.requestCount, 1),
+            cacheHits: this.costTracking.cacheHits,
+            savedCost: this.costTracking.savedCost
         };
     }
 
+    getProviderHealth() {
+        return this.providerResilience.getState();
+    }
+
+    getBudgetStatus() {
+        return this.budgetManager.getStatus();
+    }
+
     // Request tracking methods
     getRequestSummary(timeframe = '24h') {
         return this.requestTracker.getRequestSummary(timeframe);
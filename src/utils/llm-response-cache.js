@@ -0,0 +1,226 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { createHash } from 'crypto';
+import { writeJsonAtomic } from '../storage/file-transaction.js';
+
+/**
+ * LLM Response Cache
+ *
+ * Content-addressed, on-disk cache of completions. The key is a sha256 of
+ * everything that shapes the answer: provider, model, system prompt, prompt,
+ * temperature and max tokens. Entries live in <cacheDir>/<aa>/<key>.json.
+ *
+ * Modes (LLM_CACHE_MODE):
+ *   readwrite  serve hits, store misses (default)
+ *   replay     serve hits regardless of age, never write; a miss throws, so
+ *              tests run against recorded responses without touching a provider
+ *   off        bypass the cache
+ *
+ * Entries expire after `ttl` ms (0 = never). Once the cache holds more than
+ * maxEntries files or maxBytes, the least recently used entries (by mtime,
+ * which a hit refreshes) are evicted.
+ */
+
+const MODES = ['readwrite', 'replay', 'off'];
+const CACHE_VERSION = 1;
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * JSON with object keys sorted, so equal parameters hash equally
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+export class LLMResponseCache {
+    constructor(options = {}) {
+        this.mode = options.mode || process.env.LLM_CACHE_MODE || 'readwrite';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`LLM cache mode must be one of: ${MODES.join(', ')}`);
+        }
+
+        this.cacheDir = options.cacheDir || process.env.LLM_CACHE_DIR || path.join(process.cwd(), 'cache', 'llm-responses');
+        this.ttl = options.ttl ?? envNumber('LLM_CACHE_TTL_HOURS', 720) * 60 * 60 * 1000;
+        this.maxEntries = options.maxEntries ?? envNumber('LLM_CACHE_MAX_ENTRIES', 5000);
+        this.maxBytes = options.maxBytes ?? envNumber('LLM_CACHE_MAX_MB', 100) * 1024 * 1024;
+
+        this.index = null;   // key -> { file, size, mtime }, loaded on first write
+        this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    }
+
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Cache key for a request: { provider, model, systemPrompt, prompt, temperature, maxTokens }
+     */
+    keyFor(request) {
+        const { provider, model, systemPrompt = null, prompt, temperature, maxTokens, responseSchema = null } = request;
+        const keyed = { provider, model, systemPrompt, prompt, temperature, maxTokens };
+        // Only structured requests key on the schema, so existing entries stay valid
+        if (responseSchema) keyed.responseSchema = responseSchema;
+        return createHash('sha256')
+            .update(canonicalJson(keyed))
+            .digest('hex');
+    }
+
+    entryPath(key) {
+        return path.join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+    }
+
+    /**
+     * The cached response ({ content, usage }) for a request, or null.
+     * In replay mode a miss throws instead.
+     */
+    async get(request) {
+        if (!this.enabled) return null;
+
+        const key = this.keyFor(request);
+        const file = this.entryPath(key);
+        let entry = null;
+
+        try {
+            entry = await fs.readJson(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(chalk.yellow(`⚠️  Ignoring unreadable LLM cache entry ${key}: ${error.message}`));
+            }
+        }
+
+        const expired = entry && this.mode !== 'replay' && this.ttl > 0
+            && Date.now() - new Date(entry.createdAt).getTime() > this.ttl;
+
+        if (!entry || expired) {
+            this.stats.misses++;
+            if (this.mode === 'replay') {
+                throw new Error(`LLM cache miss in replay mode for ${request.provider}:${request.model} (key ${key})`);
+            }
+            return null;
+        }
+
+        this.stats.hits++;
+        if (this.mode !== 'replay') {
+            // Refresh mtime so eviction keeps recently used entries
+            const now = new Date();
+            await fs.utimes(file, now, now).catch(() => {});
+            if (this.index?.has(key)) this.index.get(key).mtime = now.getTime();
+        }
+
+        return { ...entry.response, key, createdAt: entry.createdAt };
+    }
+
+    /**
+     * Store a provider response ({ content, usage }) for a request
+     */
+    async set(request, response) {
+        if (this.mode !== 'readwrite') return null;
+
+        const key = this.keyFor(request);
+        const file = this.entryPath(key);
+        const entry = {
+            version: CACHE_VERSION,
+            key,
+            createdAt: new Date().toISOString(),
+            request: {
+                provider: request.provider,
+                model: request.model,
+                temperature: request.temperature,
+                maxTokens: request.maxTokens,
+                systemPrompt: request.systemPrompt || null,
+                prompt: request.prompt
+            },
+            response: {
+                content: response.content,
+                usage: response.usage || {}
+            }
+        };
+
+        try {
+            await writeJsonAtomic(file, entry);
+            const { size, mtimeMs } = await fs.stat(file);
+            await this.loadIndex();
+            this.index.set(key, { file, size, mtime: mtimeMs });
+            this.stats.writes++;
+            await this.prune();
+        } catch (error) {
+            // A cache that cannot be written must not fail the completion
+            console.warn(chalk.yellow(`⚠️  Could not write LLM cache entry: ${error.message}`));
+        }
+
+        return key;
+    }
+
+    async loadIndex() {
+        if (this.index) return this.index;
+
+        this.index = new Map();
+        if (!(await fs.pathExists(this.cacheDir))) return this.index;
+
+        for (const shard of await fs.readdir(this.cacheDir)) {
+            const shardDir = path.join(this.cacheDir, shard);
+            if (!(await fs.stat(shardDir)).isDirectory()) continue;
+
+            for (const name of await fs.readdir(shardDir)) {
+                if (!name.endsWith('.json')) continue;
+                const file = path.join(shardDir, name);
+                const { size, mtimeMs } = await fs.stat(file);
+                this.index.set(path.basename(name, '.json'), { file, size, mtime: mtimeMs });
+            }
+        }
+
+        return this.index;
+    }
+
+    /**
+     * Remove expired entries, then the least recently used until the cache
+     * is within maxEntries and maxBytes. Returns the number removed.
+     */
+    async prune() {
+        await this.loadIndex();
+
+        const now = Date.now();
+        const entries = Array.from(this.index, ([key, info]) => ({ key, ...info }))
+            .sort((a, b) => a.mtime - b.mtime);
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        let count = entries.length;
+        let removed = 0;
+
+        for (const entry of entries) {
+            const stale = this.ttl > 0 && now - entry.mtime > this.ttl;
+            const overLimit = count > this.maxEntries || totalBytes > this.maxBytes;
+            if (!stale && !overLimit) continue;
+
+            await fs.remove(entry.file);
+            this.index.delete(entry.key);
+            totalBytes -= entry.size;
+            count--;
+            removed++;
+        }
+
+        this.stats.evictions += removed;
+        return removed;
+    }
+
+    async clear() {
+        await fs.remove(this.cacheDir);
+        this.index = new Map();
+    }
+
+    async getStats() {
+        await this.loadIndex();
+        const bytes = Array.from(this.index.values()).reduce((sum, entry) => sum + entry.size, 0);
+        return { mode: this.mode, cacheDir: this.cacheDir, entries: this.index.size, bytes, ...this.stats };
+    }
+}
+
+export default LLMResponseCache;
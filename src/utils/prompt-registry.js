@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+/**
+ * Prompt Registry - named, versioned prompt templates
+ *
+ * Each file in prompts/registry (PROMPT_REGISTRY_DIR) holds one prompt:
+ *
+ *   id: entity-extraction
+ *   versions:
+ *     1:
+ *       system: You are ...
+ *       template: |
+ *         {{instructions}}
+ *         {{#context}}CONTEXT: {{context}}{{/context}}
+ *       variables: { instructions: ... }    # defaults
+ *   domains:
+ *     cybersec:
+ *       versions:
+ *         1:
+ *           extends: 1                      # base version (default: latest)
+ *           variables: { instructions: ... }
+ *
+ * A domain override inherits system, template and variables from the base
+ * version it extends and replaces what it sets. Templates interpolate
+ * {{name}} (dotted paths allowed), render {{#name}}...{{/name}} only when
+ * the value is non-empty and {{^name}}...{{/name}} only when it is empty;
+ * a missing variable is an error.
+ *
+ * The latest version is used unless a version is requested or pinned with
+ * PROMPT_VERSIONS ("entity-extraction=1,query-parsing=1"; a domain
+ * override is pinned as "entity-extraction:cybersec=1"). Rendered prompts
+ * carry a ref ({ promptId, promptVersion }) for LLMClient, which stores it
+ * with every tracked request; override versions read "2+cybersec.1".
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_REGISTRY_DIR = path.join(__dirname, '../../prompts/registry');
+const PROMPT_FILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+function lookup(variables, name) {
+    return name.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), variables);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === false || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Render a template: sections first (outermost inwards), then variables.
+ * {{#name}}...{{/name}} renders when the value is non-empty and
+ * {{^name}}...{{/name}} when it is empty. A section tag alone on its line
+ * takes the line break with it, so optional blocks leave no blank lines.
+ */
+export function renderTemplate(template, variables, label = 'prompt') {
+    let text = template.replace(/^[ \t]*(\{\{[#^/]\s*[\w.]+\s*\}\})[ \t]*\n/gm, '$1');
+    const section = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/;
+    let match;
+    while ((match = text.match(section))) {
+        const empty = isEmpty(lookup(variables, match[2]));
+        const body = (match[1] === '#') !== empty ? match[3] : '';
+        text = text.slice(0, match.index) + body + text.slice(match.index + match[0].length);
+    }
+
+    return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => {
+        const value = lookup(variables, name);
+        if (value === undefined || value === null) {
+            throw new Error(`${label} is missing variable "${name}"`);
+        }
+        return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+    });
+}
+
+function parsePins(spec) {
+    const pins = {};
+    for (const entry of (spec || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const [name, version] = entry.split('=').map(part => part.trim());
+        if (name && version) pins[name] = version;
+    }
+    return pins;
+}
+
+function sortedVersions(versions) {
+    return Object.keys(versions || {}).map(Number).sort((a, b) => a - b);
+}
+
+export class PromptRegistry {
+    constructor(options = {}) {
+        this.registryDir = options.registryDir || process.env.PROMPT_REGISTRY_DIR || DEFAULT_REGISTRY_DIR;
+        this.pins = options.pins || parsePins(process.env.PROMPT_VERSIONS);
+        this.prompts = new Map();
+
+        if (options.prompts) {
+            options.prompts.forEach(definition => this.register(definition));
+        } else {
+            this.loadDirectory(this.registryDir);
+        }
+    }
+
+    loadDirectory(dir) {
+        if (!fs.existsSync(dir)) return;
+
+        for (const file of fs.readdirSync(dir).sort()) {
+            if (!PROMPT_FILE_EXTENSIONS.includes(path.extname(file))) continue;
+
+            const filePath = path.join(dir, file);
+            const content = fs.readFileSync(filePath, 'utf8');
+            const definition = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+            this.register(definition, filePath);
+        }
+    }
+
+    /**
+     * Add a prompt definition, checking that every version (and every
+     * domain override, once inherited) has a template
+     */
+    register(definition, source = 'inline prompt') {
+        const id = definition?.id;
+        if (!id) {
+            throw new Error(`${source}: prompt definition needs an id`);
+        }
+        if (this.prompts.has(id)) {
+            throw new Error(`${source}: duplicate prompt id "${id}"`);
+        }
+        if (sortedVersions(definition.versions).length === 0) {
+            throw new Error(`${source}: prompt "${id}" has no versions`);
+        }
+
+        for (const version of sortedVersions(definition.versions)) {
+            if (!Number.isInteger(version) || version < 1) {
+                throw new Error(`${source}: prompt "${id}" versions must be positive integers`);
+            }
+            if (!definition.versions[version]?.template) {
+                throw new Error(`${source}: ${id}@${version} has no template`);
+            }
+        }
+
+        this.prompts.set(id, definition);
+
+        // Resolving every override checks its base version exists
+        for (const [domain, override] of Object.entries(definition.domains || {})) {
+            for (const version of sortedVersions(override.versions)) {
+                this.get(id, { domain, version });
+            }
+        }
+    }
+
+    has(id) {
+        return this.prompts.has(id);
+    }
+
+    /**
+     * Resolve a prompt version: { id, domain, version, baseVersion, system,
+     * template, variables, ref }. Without a domain override for `domain`
+     * the base prompt is returned.
+     */
+    get(id, { domain = null, version = null } = {}) {
+        const definition = this.prompts.get(id);
+        if (!definition) {
+            throw new Error(`Unknown prompt: ${id} (available: ${[...this.prompts.keys()].join(', ')})`);
+        }
+
+        const override = domain ? definition.domains?.[domain] : null;
+        if (override) {
+            const overrideVersion = this.pickVersion(override.versions, version ?? this.pins[`${id}:${domain}`], `${id}:${domain}`);
+            const entry = override.versions[overrideVersion];
+            const base = this.resolveBase(definition, entry.extends ?? null, id);
+
+            return this.buildPrompt({
+                id,
+                domain,
+                version: `${base.version}+${domain}.${overrideVersion}`,
+                baseVersion: base.version,
+                system: entry.system ?? base.system,
+                template: entry.template ?? base.template,
+                variables: { ...base.variables, ...(entry.variables || {}) }
+            });
+        }
+
+        const base = this.resolveBase(definition, version ?? this.pins[id] ?? null, id);
+        return this.buildPrompt({ id, domain: null, ...base, baseVersion: null });
+    }
+
+    resolveBase(definition, requested, id) {
+        const version = this.pickVersion(definition.versions, requested, id);
+        const entry = definition.versions[version];
+        return {
+            version: String(version),
+            system: entry.system ?? null,
+            template: entry.template,
+            variables: { ...(entry.variables || {}) }
+        };
+    }
+
+    pickVersion(versions, requested, label) {
+        const available = sortedVersions(versions);
+        if (requested === null || requested === undefined) {
+            return available[available.length - 1];
+        }
+
+        const version = Number(requested);
+        if (!available.includes(version)) {
+            throw new Error(`Unknown version ${requested} of prompt ${label} (available: ${available.join(', ')})`);
+        }
+        return version;
+    }
+
+    buildPrompt(prompt) {
+        return {
+            ...prompt,
+            ref: { promptId: prompt.id, promptVersion: prompt.version }
+        };
+    }
+
+    /**
+     * Render a prompt with `variables` over its defaults: { system, prompt, ref }
+     */
+    render(id, variables = {}, options = {}) {
+        const prompt = this.get(id, options);
+        const values = { ...prompt.variables, ...variables };
+        const label = `Prompt ${id}@${prompt.version}`;
+
+        return {
+            system: prompt.system ? renderTemplate(prompt.system, values, label).trim() : null,
+            prompt: renderTemplate(prompt.template, values, label).trim(),
+            ref: prompt.ref
+        };
+    }
+
+    /**
+     * Every prompt with its versions and domain overrides
+     */
+    list() {
+        return [...this.prompts.values()].map(definition => ({
+            id: definition.id,
+            description: definition.description || '',
+            versions: sortedVersions(definition.versions),
+            domains: Object.fromEntries(Object.entries(definition.domains || {})
+                .map(([domain, override]) => [domain, sortedVersions(override.versions)]))
+        }));
+    }
+}
+
+let defaultRegistry = null;
+
+/**
+ * The registry loaded from PROMPT_REGISTRY_DIR, shared by the extractors
+ */
+export function getPromptRegistry() {
+    if (!defaultRegistry) {
+        defaultRegistry = new PromptRegistry();
+    }
+    return defaultRegistry;
+}
+
+export default PromptRegistry;
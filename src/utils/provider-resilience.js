@@ -0,0 +1,275 @@
+import chalk from 'chalk';
+
+/**
+ * Provider Resilience - retries, rate limits and circuit breakers for LLM calls
+ *
+ * Every provider call made by LLMClient runs through execute():
+ *
+ *   rate limit       a token bucket per provider (requests per minute,
+ *                    LLM_RATE_LIMIT_<PROVIDER> or MAX_REQUESTS_PER_MINUTE;
+ *                    local Ollama is unlimited unless configured)
+ *   retries          429, 408, 5xx and network errors are retried with
+ *                    exponential backoff and full jitter, waiting at least
+ *                    as long as a Retry-After header asks (LLM_MAX_RETRIES)
+ *   circuit breaker  after LLM_BREAKER_THRESHOLD consecutive failed calls a
+ *                    provider is skipped for LLM_BREAKER_COOLDOWN_MS, then
+ *                    one trial call decides whether it is back
+ *
+ * Errors that are not the provider's fault (400, 401, ...) are thrown at
+ * once and do not count against the breaker.
+ */
+
+const NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retry-After as milliseconds: delta-seconds or an HTTP date
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+function headerValue(headers, name) {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+    return headers[name] ?? headers[name.toLowerCase()];
+}
+
+/**
+ * HTTP status, retryability and Retry-After delay of a provider error.
+ * Understands OpenAI SDK errors (status, headers), axios errors
+ * (response.status, response.headers) and network errors (code), also
+ * when wrapped as an error's `cause`.
+ */
+export function classifyError(error) {
+    const source = error?.cause && !error.status && !error.response ? error.cause : error;
+    const status = source?.status ?? source?.response?.status ?? null;
+    const headers = source?.headers ?? source?.response?.headers;
+    const code = source?.code ?? error?.code ?? null;
+
+    const network = NETWORK_ERRORS.includes(code);
+    const retryable = network || status === 429 || status === 408 || (status >= 500 && status < 600);
+
+    return {
+        status,
+        code,
+        retryable,
+        retryAfterMs: parseRetryAfter(headerValue(headers, 'retry-after'))
+    };
+}
+
+/**
+ * Token bucket holding up to `burst` requests, refilled at `ratePerMinute`
+ */
+export class TokenBucket {
+    constructor({ ratePerMinute, burst = null, now = Date.now }) {
+        this.ratePerMs = ratePerMinute / 60000;
+        this.capacity = burst ?? Math.max(1, Math.ceil(ratePerMinute / 6)); // ten seconds' worth
+        this.tokens = this.capacity;
+        this.now = now;
+        this.updatedAt = now();
+    }
+
+    refill() {
+        const now = this.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until a token is available (0 when one was taken)
+     */
+    tryTake() {
+        this.refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - this.tokens) / this.ratePerMs);
+    }
+
+    async take(wait = sleep) {
+        for (let delay = this.tryTake(); delay > 0; delay = this.tryTake()) {
+            await wait(delay);
+        }
+    }
+}
+
+/**
+ * closed -> (threshold failures) -> open -> (cooldown) -> half-open -> closed | open
+ */
+export class CircuitBreaker {
+    constructor({ threshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    canRequest() {
+        if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half-open';
+            this.trialInFlight = false;
+        }
+        if (this.state === 'closed') return true;
+        if (this.state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.threshold) {
+            this.state = 'open';
+            this.openedAt = this.now();
+            this.trialInFlight = false;
+        }
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+        };
+    }
+}
+
+export class ProviderResilience {
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries ?? envNumber('LLM_MAX_RETRIES', 3);
+        this.baseDelayMs = options.baseDelayMs ?? envNumber('LLM_RETRY_BASE_MS', 500);
+        this.maxDelayMs = options.maxDelayMs ?? envNumber('LLM_RETRY_MAX_MS', 30000);
+        this.breakerOptions = {
+            threshold: options.breakerThreshold ?? envNumber('LLM_BREAKER_THRESHOLD', 5),
+            cooldownMs: options.breakerCooldownMs ?? envNumber('LLM_BREAKER_COOLDOWN_MS', 30000),
+            now: options.now || Date.now
+        };
+        this.rateLimits = options.rateLimits || {};   // provider -> requests per minute (0 = unlimited)
+        this.sleep = options.sleep || sleep;
+        this.random = options.random || Math.random;
+        this.now = options.now || Date.now;
+
+        this.buckets = new Map();
+        this.breakers = new Map();
+    }
+
+    rateLimitFor(provider) {
+        if (this.rateLimits[provider] !== undefined) return this.rateLimits[provider];
+        const specific = envNumber(`LLM_RATE_LIMIT_${provider.toUpperCase()}`, null);
+        if (specific !== null) return specific;
+        return provider === 'ollama' ? 0 : envNumber('MAX_REQUESTS_PER_MINUTE', 60);
+    }
+
+    getBucket(provider) {
+        if (!this.buckets.has(provider)) {
+            const rate = this.rateLimitFor(provider);
+            this.buckets.set(provider, rate > 0 ? new TokenBucket({ ratePerMinute: rate, now: this.now }) : null);
+        }
+        return this.buckets.get(provider);
+    }
+
+    getBreaker(provider) {
+        if (!this.breakers.has(provider)) {
+            this.breakers.set(provider, new CircuitBreaker(this.breakerOptions));
+        }
+        return this.breakers.get(provider);
+    }
+
+    /**
+     * Whether calls to a provider are currently let through
+     */
+    isAvailable(provider) {
+        const breaker = this.getBreaker(provider);
+        if (breaker.state === 'open') {
+            return this.now() - breaker.openedAt >= breaker.cooldownMs;
+        }
+        return !(breaker.state === 'half-open' && breaker.trialInFlight);
+    }
+
+    backoffDelay(attempt, retryAfterMs) {
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        const jittered = Math.round(this.random() * exponential);
+        return retryAfterMs !== null ? Math.max(retryAfterMs, jittered) : jittered;
+    }
+
+    /**
+     * Run one provider call with rate limiting, retries and the breaker.
+     * Throws an error with code PROVIDER_UNAVAILABLE when the breaker is
+     * open, and the provider's last error (marked providerDown when it
+     * was transient) once retries are exhausted.
+     */
+    async execute(provider, call) {
+        const breaker = this.getBreaker(provider);
+        if (!breaker.canRequest()) {
+            const error = new Error(`${provider} circuit open after repeated failures - retry after ${breaker.getState().retryAt}`);
+            error.code = 'PROVIDER_UNAVAILABLE';
+            error.providerDown = true;
+            throw error;
+        }
+
+        const bucket = this.getBucket(provider);
+
+        for (let attempt = 0; ; attempt++) {
+            if (bucket) await bucket.take(this.sleep);
+
+            try {
+                const result = await call();
+                breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                const { status, code, retryable, retryAfterMs } = classifyError(error);
+
+                if (!retryable) {
+                    // The request itself is at fault; the provider is up
+                    if (breaker.state === 'half-open') breaker.recordSuccess();
+                    throw error;
+                }
+
+                if (attempt >= this.maxRetries) {
+                    breaker.recordFailure();
+                    error.providerDown = true;
+                    throw error;
+                }
+
+                const delay = this.backoffDelay(attempt, retryAfterMs);
+                console.warn(chalk.yellow(`🔁 ${provider} ${status || code} - retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`));
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    getState() {
+        const state = {};
+        for (const [provider, breaker] of this.breakers) {
+            state[provider] = { ...breaker.getState(), rateLimit: this.rateLimitFor(provider) };
+        }
+        return state;
+    }
+}
+
+export default ProviderResilience;
@@ -7,12 +7,30 @@ import chalk from 'chalk';
  * 
  * Tracks where Claude calls are being made from and maintains
  * accurate request counts for billing reconciliation.
+ *
+ * Trackers writing the same log file share one in-memory request list, so
+ * the LLMClients of one process neither overwrite each other's entries nor
+ * miss each other's spend.
  */
+const sharedLogs = new Map();   // log file -> { requests, ready }
+
 export class RequestTracker {
     constructor() {
         this.logFile = path.join(process.cwd(), 'logs', 'api-requests.json');
-        this.requests = [];
-        this.loadExistingRequests();
+
+        const loaded = sharedLogs.has(this.logFile);
+        if (!loaded) sharedLogs.set(this.logFile, { requests: [] });
+        this.shared = sharedLogs.get(this.logFile);
+        if (!loaded) this.shared.ready = this.loadExistingRequests();
+        this.ready = this.shared.ready;
+    }
+
+    get requests() {
+        return this.shared.requests;
+    }
+
+    set requests(requests) {
+        this.shared.requests = requests;
     }
 
     async loadExistingRequests() {
@@ -48,6 +66,8 @@ export class RequestTracker {
             metadata: {
                 source: metadata.source || 'unknown',
                 operation: metadata.operation || 'completion',
+                prompt_id: metadata.prompt_id || null,
+                prompt_version: metadata.prompt_version || null,
                 duration: metadata.duration || 0,
                 cost_estimate: metadata.cost_estimate || 0,
                 caller_file: callerInfo.file,
@@ -64,7 +84,11 @@ export class RequestTracker {
         await this.saveRequests();
         
         // Log to console for immediate visibility
-        console.log(chalk.blue(`📊 API Call: ${provider}/${model} - ${usage.total_tokens} tokens - $${(metadata.cost_estimate || 0).toFixed(4)}`));
+        if (metadata.cache_hit) {
+            console.log(chalk.green(`♻️  Cache hit: ${provider}/${model} - ${usage.total_tokens || 0} tokens - saved $${(metadata.saved_cost || 0).toFixed(4)}`));
+        } else {
+            console.log(chalk.blue(`📊 API Call: ${provider}/${model} - ${usage.total_tokens} tokens - $${(metadata.cost_estimate || 0).toFixed(4)}`));
+        }
         
         return request;
     }
@@ -134,7 +158,9 @@ export class RequestTracker {
             by_provider: {},
             by_model: {},
             total_tokens: 0,
-            total_cost: 0
+            total_cost: 0,
+            cache_hits: 0,
+            saved_cost: 0
         };
 
         recentRequests.forEach(req => {
@@ -165,6 +191,12 @@ export class RequestTracker {
             // Totals
             summary.total_tokens += req.usage.total_tokens;
             summary.total_cost += req.metadata.cost_estimate || 0;
+
+            // Cache hits cost nothing; saved_cost is what the provider would have charged
+            if (req.metadata.cache_hit) {
+                summary.cache_hits++;
+                summary.saved_cost += req.metadata.saved_cost || 0;
+            }
         });
 
         return summary;
@@ -179,6 +211,9 @@ export class RequestTracker {
         console.log(chalk.cyan(`Total Requests: ${summary.total_requests}`));
         console.log(chalk.cyan(`Total Tokens: ${summary.total_tokens.toLocaleString()}`));
         console.log(chalk.cyan(`Total Cost: $${summary.total_cost.toFixed(4)}`));
+        if (summary.cache_hits > 0) {
+            console.log(chalk.green(`Cache Hits: ${summary.cache_hits} (saved $${summary.saved_cost.toFixed(4)})`));
+        }
         
         console.log(chalk.blue('\n📡 By Provider:'));
         Object.entries(summary.by_provider).forEach(([provider, stats]) => {
@@ -344,6 +379,31 @@ export class RequestTracker {
         });
     }
 
+    findRequestsByPrompt(promptId, promptVersion = null) {
+        // Requests made with a registry prompt, optionally one version ("2" or "1+cybersec.1")
+        return this.requests.filter(req =>
+            req.metadata?.prompt_id === promptId &&
+            (!promptVersion || req.metadata.prompt_version === promptVersion)
+        );
+    }
+
+    getPromptVersionSummary(promptId) {
+        const versions = {};
+
+        this.findRequestsByPrompt(promptId).forEach(req => {
+            const version = req.metadata.prompt_version || 'unknown';
+            if (!versions[version]) {
+                versions[version] = { requests: 0, tokens: 0, cost: 0, first: req.timestamp, last: req.timestamp };
+            }
+            versions[version].requests++;
+            versions[version].tokens += req.usage?.total_tokens || 0;
+            versions[version].cost += req.metadata.cost_estimate || 0;
+            versions[version].last = req.timestamp;
+        });
+
+        return versions;
+    }
+
     printRequestDetails(request) {
         if (!request) {
             console.log(chalk.red('❌ Request not found'));
@@ -362,6 +422,9 @@ export class RequestTracker {
         console.log(chalk.white(`Duration: ${request.metadata.duration}ms`));
         console.log(chalk.white(`Location: ${request.metadata.caller_file}:${request.metadata.caller_function}:${request.metadata.caller_line}`));
         console.log(chalk.white(`Reasoning: ${request.metadata.reasoning}`));
+        if (request.metadata.prompt_id) {
+            console.log(chalk.white(`Prompt: ${request.metadata.prompt_id}@${request.metadata.prompt_version}`));
+        }
         
         if (request.prompt) {
             console.log(chalk.yellow('\n📝 Prompt:'));
@@ -402,7 +465,7 @@ export class RequestTracker {
         const headers = [
             'timestamp', 'provider', 'model', 'prompt_tokens', 
             'completion_tokens', 'total_tokens', 'cost_estimate', 
-            'source', 'operation', 'duration'
+            'source', 'operation', 'prompt_id', 'prompt_version', 'duration'
         ];
         
         const rows = this.requests.map(req => [
@@ -415,6 +478,8 @@ export class RequestTracker {
             req.metadata.cost_estimate || 0,
             req.metadata.source || 'unknown',
             req.metadata.operation || 'completion',
+            req.metadata.prompt_id || '',
+            req.metadata.prompt_version || '',
             req.metadata.duration || 0
         ]);
 
@@ -0,0 +1,73 @@
+/**
+ * Stream Parsers
+ *
+ * Line-oriented readers for streamed HTTP responses (Node readables or any
+ * async iterable of Buffer/string chunks):
+ *
+ *   parseSSE     server-sent events, yielding { event, data } per event
+ *                (Anthropic; the OpenAI SDK parses its own)
+ *   parseNDJSON  newline-delimited JSON, yielding one object per line (Ollama)
+ */
+
+/**
+ * Lines of a chunked text stream, without their line endings
+ */
+export async function* readLines(stream) {
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    for await (const chunk of stream) {
+        buffered += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+            yield buffered.slice(0, newline).replace(/\r$/, '');
+            buffered = buffered.slice(newline + 1);
+        }
+    }
+
+    buffered += decoder.decode();
+    if (buffered) yield buffered.replace(/\r$/, '');
+}
+
+/**
+ * Server-sent events: { event, data } with multi-line data joined by "\n".
+ * Comment lines and events without data are skipped.
+ */
+export async function* parseSSE(stream) {
+    let event = 'message';
+    let data = [];
+
+    for await (const line of readLines(stream)) {
+        if (line === '') {
+            if (data.length > 0) yield { event, data: data.join('\n') };
+            event = 'message';
+            data = [];
+            continue;
+        }
+        if (line.startsWith(':')) continue;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+        if (field === 'event') event = value;
+        else if (field === 'data') data.push(value);
+    }
+
+    if (data.length > 0) yield { event, data: data.join('\n') };
+}
+
+/**
+ * Newline-delimited JSON objects
+ */
+export async function* parseNDJSON(stream) {
+    for await (const line of readLines(stream)) {
+        if (!line.trim()) continue;
+        try {
+            yield JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid NDJSON line: ${line.slice(0, 120)}`);
+        }
+    }
+}
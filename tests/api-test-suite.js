@@ -8,6 +8,14 @@
 import { strict as assert } from 'assert';
 import fetch from 'node-fetch';
 import chalk from 'chalk';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createStorageAdapter } from '../src/storage/adapter-registry.js';
+import { generateEntityId } from '../src/search/search-index-registry.js';
+import { JobQueue } from '../src/pipeline/job-queue.js';
+import { VersionLog } from '../src/storage/version-log.js';
+import { ContextAPIServer } from '../src/api/context-api-server.js';
 
 class APITestSuite {
     constructor(baseUrl = 'http://localhost:3000') {
@@ -31,6 +39,12 @@ class APITestSuite {
         await this.testDomainEndpoints();
         await this.testMergingEndpoints();
         await this.testMergeHistoryEndpoints();
+        await this.testMergeRelationshipRewrite();
+        await this.testGraphAndTimelineEndpoints();
+        await this.testVersionLogRecovery();
+        await this.testJobEndpoints();
+        await this.testIngestEndpoints();
+        await this.testQueryStreaming();
         await this.testExportEndpoints();
 
         this.printSummary();
@@ -267,6 +281,269 @@ class APITestSuite {
         });
     }
 
+    /**
+     * Seed a throwaway domain in ./data (the server must run from this
+     * checkout) with records [{ id, entities, relationships }], each in a
+     * conversation `conv_<id>`, and make it current while fn(storage) runs
+     */
+    async withTestDomain(prefix, records, fn) {
+        const domain = `api-test-${prefix}-${Date.now()}`;
+        const domainPath = path.join(process.cwd(), 'data', domain);
+        await fs.outputJson(path.join(domainPath, 'metadata', 'domain-info.json'), { domain, storageAdapter: 'file' });
+
+        const storage = createStorageAdapter('file', { domainPath });
+        await storage.initialize();
+        const timestamp = new Date().toISOString();
+        for (const { id, entities, relationships = [] } of records) {
+            await storage.store({ id, conversationId: `conv_${id}`, domain, timestamp, entities, relationships, metadata: {} });
+        }
+
+        const { data: current } = await this.request('GET', '/api/domains/current');
+        await this.request('POST', '/api/domains/switch', { domain });
+        try {
+            await fn(storage);
+        } finally {
+            await this.request('POST', '/api/domains/switch', { domain: current.domain });
+            await fs.remove(domainPath);
+            await fs.remove(path.join(process.cwd(), 'data', `merged-pairs-${domain}.json`));
+        }
+    }
+
+    // Merge Relationship Rewrite Tests
+    // A project assigned to "Mike J."; "Mike J." is then merged into "Mike
+    // Johnson" from another record.
+    async testMergeRelationshipRewrite() {
+        console.log(chalk.yellow('\n🔗 Merge Relationship Rewrite Tests'));
+
+        await this.test('Merge Rewrites Stored Relationship', async () => {
+            const records = [
+                { id: 'person-a', entities: { people: [{ name: 'Mike Johnson' }] } },
+                { id: 'person-b', entities: { people: [{ name: 'Mike J.' }] } },
+                { id: 'project', entities: { projects: [{ name: 'Harbor Project' }] }, relationships: [{
+                    type: 'assigned_to',
+                    target: 'person-b',
+                    confidence: 0.9,
+                    source: 'api-test',
+                    metadata: { sourceMentions: ['Harbor Project'], targetMentions: ['Mike J.'] }
+                }] }
+            ];
+
+            await this.withTestDomain('merge', records, async storage => {
+                const { data, status } = await this.request('POST', '/api/merging/manual-merge', {
+                    primaryId: generateEntityId('Mike Johnson', 'people', 'conv_person-a'),
+                    secondaryId: generateEntityId('Mike J.', 'people', 'conv_person-b'),
+                    action: 'merge',
+                    confirmed: true
+                });
+                assert.equal(status, 200);
+                assert.equal(data.relationshipsRewritten, 1);
+
+                const project = await storage.get('project');
+                const edge = project.relationships.find(relationship => relationship.type === 'assigned_to');
+                assert.equal(edge.target, 'person-a');
+                assert.deepEqual(edge.metadata.targetMentions, ['Mike Johnson']);
+
+                const merged = await storage.get('person-b');
+                assert(!merged.relationships.some(relationship => relationship.target === 'project'));
+            });
+        });
+    }
+
+    // Graph Query, Analytics and Timeline Tests
+    // A project assigned to Mike Johnson and managed by Dana Lee
+    async testGraphAndTimelineEndpoints() {
+        console.log(chalk.yellow('\n🧭 Graph & Timeline Tests'));
+
+        const records = [
+            { id: 'mike', entities: { people: [{ name: 'Mike Johnson', role: 'foreman' }] } },
+            { id: 'dana', entities: { people: [{ name: 'Dana Lee' }] } },
+            { id: 'harbor', entities: { projects: [{ name: 'Harbor Project' }] }, relationships: [{
+                type: 'assigned_to',
+                target: 'mike',
+                confidence: 0.9,
+                source: 'api-test',
+                metadata: { sourceMentions: ['Harbor Project'], targetMentions: ['Mike Johnson'] }
+            }, {
+                type: 'Managed By',
+                target: 'dana',
+                confidence: 0.8,
+                source: 'api-test',
+                metadata: { sourceMentions: ['Harbor Project'], targetMentions: ['Dana Lee'] }
+            }] }
+        ];
+        const mikeId = generateEntityId('Mike Johnson', 'people', 'conv_mike');
+
+        await this.withTestDomain('graph', records, async () => {
+            await this.test('Graph Query', async () => {
+                const { data, status } = await this.request('POST', '/api/graph/query', {
+                    query: 'project -assigned_to|managed_by-> person where name ~ /^mike/i'
+                });
+                assert.equal(status, 200);
+                assert.equal(data.count, 1);
+                assert.equal(data.rows[0].nodes.project.name, 'Harbor Project');
+                assert.equal(data.rows[0].nodes.person.name, 'Mike Johnson');
+            });
+
+            await this.test('Graph Query Matches Relationship Types Case-Insensitively', async () => {
+                const { data, status } = await this.request('POST', '/api/graph/query', { query: 'project -MANAGED_BY-> person' });
+                assert.equal(status, 200);
+                assert.deepEqual(data.rows.map(row => row.nodes.person.name), ['Dana Lee']);
+            });
+
+            await this.test('Graph Query Rejects Invalid Syntax', async () => {
+                const { data, status } = await this.request('POST', '/api/graph/query', { query: 'project -assigned_to-> person where' });
+                assert.equal(status, 400);
+                assert(data.error);
+            });
+
+            await this.test('Graph Query Rejects Nested Quantifiers', async () => {
+                const { data, status } = await this.request('POST', '/api/graph/query', { query: 'person where name ~ /(a+)+$/' });
+                assert.equal(status, 400);
+                assert(data.error.includes('repeats'));
+            });
+
+            await this.test('Graph Analytics', async () => {
+                const { data, status } = await this.request('GET', '/api/graph/analytics?edges=relationships&refresh=true');
+                assert.equal(status, 200);
+                assert.equal(data.summary.nodes, 3);
+                assert.equal(data.summary.edges, 2);
+                const harbor = data.nodes.find(node => node.name === 'Harbor Project');
+                assert.equal(harbor.degree, 2);
+                assert.equal(data.top.degree[0].name, 'Harbor Project');
+            });
+
+            await this.test('Graph Analytics Rejects Unknown Scope', async () => {
+                const { status } = await this.request('GET', '/api/graph/analytics?scope=galaxy');
+                assert.equal(status, 400);
+            });
+
+            await this.test('Entity Timeline', async () => {
+                const { data, status } = await this.request('GET', `/api/entities/${mikeId}/timeline?interval=month`);
+                assert.equal(status, 200);
+                assert.equal(data.timeline.entity.name, 'Mike Johnson');
+                assert.equal(data.timeline.mentionCount, 1);
+                assert.equal(data.timeline.firstMention.recordId, 'mike');
+                assert.equal(data.timeline.attributes.role, 'foreman');
+                assert.deepEqual(data.timeline.frequency.map(period => period.count), [1]);
+            });
+
+            await this.test('Entity Timeline Errors', async () => {
+                const unknown = await this.request('GET', '/api/entities/entity_unknown/timeline');
+                assert.equal(unknown.status, 404);
+                const badInterval = await this.request('GET', `/api/entities/${mikeId}/timeline?interval=year`);
+                assert.equal(badInterval.status, 400);
+            });
+        });
+    }
+
+    // Version Log Recovery Tests
+    // Appends to an entity log in a temp directory whose last line was torn
+    // by an interrupted write
+    async testVersionLogRecovery() {
+        console.log(chalk.yellow('\n🕘 Version Log Recovery Tests'));
+
+        await this.test('Append After Torn Line', async () => {
+            const domainPath = await fs.mkdtemp(path.join(os.tmpdir(), 'version-log-'));
+            try {
+                const versionLog = new VersionLog({ domainPath });
+                await versionLog.append('entities/person', { name: 'Mike Johnson' });
+                await fs.appendFile(versionLog.getLogPath('entities/person'), '{"version":2,"timestamp":"20');
+
+                const version = await versionLog.append('entities/person', { name: 'Mike Johnson', role: 'foreman' });
+                assert.equal(version.version, 2);
+
+                const versions = await versionLog.read('entities/person');
+                assert.deepEqual(versions.map(entry => entry.version), [1, 2]);
+                assert.equal(versions[1].data.role, 'foreman');
+            } finally {
+                await fs.remove(domainPath);
+            }
+        });
+    }
+
+    // Job Queue Tests
+    // Queues a job in a throwaway queue under ./data/jobs
+    async testJobEndpoints() {
+        console.log(chalk.yellow('\n📋 Job Queue Tests'));
+
+        await this.test('Get Jobs', async () => {
+            const queue = new JobQueue(`api-test-${Date.now()}`);
+            const { job } = await queue.submit('api-test', { file: 'example.txt' });
+            try {
+                const { data, status } = await this.request('GET', `/api/jobs?queue=${queue.name}`);
+                assert.equal(status, 200);
+                assert.equal(data.queues.length, 1);
+                assert.equal(data.queues[0].name, queue.name);
+                assert.equal(data.queues[0].counts.queued, 1);
+                assert.equal(data.queues[0].jobs[0].id, job.id);
+                assert.deepEqual(data.queues[0].jobs[0].payload, { file: 'example.txt' });
+            } finally {
+                await fs.remove(queue.dir);
+            }
+        });
+
+        await this.test('Get Jobs Rejects Invalid Queue', async () => {
+            const { data, status } = await this.request('GET', `/api/jobs?queue=${encodeURIComponent('../domains')}`);
+            assert.equal(status, 400);
+            assert(data.error);
+        });
+    }
+
+    // Ingest Tests
+    async testIngestEndpoints() {
+        console.log(chalk.yellow('\n📥 Ingest Tests'));
+
+        await this.test('Get Ingest Status', async () => {
+            const { data, status } = await this.request('GET', '/api/ingest/status');
+            assert.equal(status, 200);
+            assert.equal(typeof data.enabled, 'boolean');
+            if (data.enabled) {
+                assert.equal(typeof data.running, 'boolean');
+                assert(Array.isArray(data.queue));
+                assert(Array.isArray(data.active));
+                assert(data.stats);
+            }
+        });
+    }
+
+    // Streaming Query Tests
+    // Runs a Context API server in this process on a free port, over an
+    // empty data directory; without LLM keys the answer is the draft
+    async testQueryStreaming() {
+        console.log(chalk.yellow('\n📡 Streaming Query Tests'));
+
+        await this.test('Query as Server-Sent Events', async () => {
+            const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'api-test-query-'));
+            const api = new ContextAPIServer({ dataPath });
+            const server = api.app.listen(0, 'localhost');
+            await new Promise(resolve => server.once('listening', resolve));
+            try {
+                const response = await fetch(`http://localhost:${server.address().port}/api/query?stream=true`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ query: 'Who manages the Harbor project?' })
+                });
+                assert.equal(response.status, 200);
+                assert(response.headers.get('content-type').includes('text/event-stream'));
+
+                const events = (await response.text()).split('\n\n').filter(Boolean).map(block => ({
+                    event: block.match(/^event: (.*)$/m)[1],
+                    data: JSON.parse(block.match(/^data: (.*)$/m)[1])
+                }));
+                assert.equal(events[0].event, 'status');
+                assert.equal(events[0].data.status, 'processing');
+                const result = events[events.length - 1];
+                assert.equal(result.event, 'result');
+                assert.equal(result.data.success, true);
+                assert.equal(result.data.query, 'Who manages the Harbor project?');
+                assert.equal(typeof result.data.response.primary, 'string');
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+                await fs.remove(dataPath);
+            }
+        });
+    }
+
     // Export Tests
     async testExportEndpoints() {
         console.log(chalk.yellow('\n📤 Export Tests'));
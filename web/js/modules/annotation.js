@@ -0,0 +1,548 @@
+/**
+ * Annotation Module - Ground-truth labeling of documents
+ *
+ * Shows a document's text with its extracted entities and relationships
+ * pre-filled as suggestions. A reviewer accepts, corrects or deletes each
+ * one, adds what the extractor missed (select text, pick a type) and saves
+ * the result as a labeled case in data/ground-truth.
+ */
+class Annotation {
+    static DEFAULT_TYPES = ['people', 'projects', 'decisions', 'timeline', 'locations', 'materials', 'costs', 'issues', 'tasks', 'documents'];
+    static REVIEWER_KEY = 'annotationReviewer';
+
+    static state = null;
+
+    static normalize(value) {
+        return String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    static async open(documentId) {
+        try {
+            const [documentResponse, annotationResponse] = await Promise.all([
+                fetch(`${window.app.apiBaseUrl}/api/documents/${encodeURIComponent(documentId)}`),
+                fetch(`${window.app.apiBaseUrl}/api/annotations/${encodeURIComponent(documentId)}`)
+            ]);
+            if (!documentResponse.ok) {
+                throw new Error(`HTTP error! status: ${documentResponse.status}`);
+            }
+
+            const documentData = await documentResponse.json();
+            const doc = documentData.document || documentData;
+            const annotation = annotationResponse.ok ? await annotationResponse.json() : { reviews: [], agreement: null };
+
+            const reviewer = localStorage.getItem(Annotation.REVIEWER_KEY) || '';
+            const ownReview = annotation.reviews.find(review => review.reviewer === reviewer);
+
+            Annotation.state = {
+                documentId,
+                doc,
+                reviewer,
+                reviews: annotation.reviews,
+                agreement: annotation.agreement,
+                communicationType: ownReview?.communicationType || doc.documentType || 'document',
+                text: ownReview?.text || doc.text || '',
+                entities: [],
+                relationships: [],
+                nextId: 1,
+                selectedEntityId: null
+            };
+
+            if (ownReview) {
+                Annotation.loadReview(ownReview);
+            } else {
+                Annotation.loadSuggestions(doc.extraction || { entities: {}, relationships: [] });
+            }
+
+            Annotation.renderModal();
+        } catch (error) {
+            console.error('Error opening annotation mode:', error);
+            UIUtils.showToast('Failed to load document for annotation', 'error');
+        }
+    }
+
+    static newId(prefix) {
+        return `${prefix}${Annotation.state.nextId++}`;
+    }
+
+    /**
+     * Continue from the reviewer's saved review
+     */
+    static loadReview(review) {
+        const state = Annotation.state;
+        state.entities = review.entities.map(entity => ({ ...entity }));
+        state.relationships = (review.relationships || []).map(relationship => ({ ...relationship }));
+        const numbers = [...state.entities, ...state.relationships].map(item => parseInt(String(item.id).slice(1), 10) || 0);
+        state.nextId = Math.max(0, ...numbers) + 1;
+    }
+
+    /**
+     * Pre-fill the extraction as pending suggestions, locating each entity's
+     * label in the text for its span
+     */
+    static loadSuggestions(extraction) {
+        const state = Annotation.state;
+        const usedStarts = new Set();
+
+        for (const [type, items] of Object.entries(extraction.entities || {})) {
+            for (const item of items) {
+                const { id, label, ...attributes } = item;
+                const span = Annotation.locate(state.text, label, usedStarts);
+                state.entities.push({
+                    id: Annotation.newId('e'),
+                    suggestionId: id,
+                    type,
+                    label,
+                    start: span ? span.start : null,
+                    end: span ? span.end : null,
+                    status: 'pending',
+                    attributes: Annotation.plainAttributes(attributes)
+                });
+            }
+        }
+
+        let unresolved = 0;
+        for (const relationship of extraction.relationships || []) {
+            const source = Annotation.findEntityByLabel(relationship.source);
+            const target = Annotation.findEntityByLabel(relationship.target);
+            if (!source || !target) {
+                unresolved++;
+                continue;
+            }
+            state.relationships.push({
+                id: Annotation.newId('r'),
+                suggestionId: relationship.id,
+                type: relationship.type,
+                source: source.id,
+                target: target.id,
+                status: 'pending'
+            });
+        }
+
+        if (unresolved > 0) {
+            UIUtils.showToast(`${unresolved} extracted relationships point at unknown entities and were skipped`, 'info');
+        }
+    }
+
+    static plainAttributes(attributes) {
+        const plain = {};
+        for (const [key, value] of Object.entries(attributes)) {
+            if (['confidence', 'category', 'recordId', 'conversationId', 'timestamp'].includes(key)) continue;
+            if (value === null || value === undefined || typeof value === 'object') continue;
+            plain[key] = value;
+        }
+        return plain;
+    }
+
+    static locate(text, label, usedStarts) {
+        if (!text || !label) return null;
+        const haystack = text.toLowerCase();
+        const needle = label.toLowerCase();
+
+        const first = haystack.indexOf(needle);
+        let index = first;
+        while (index !== -1 && usedStarts.has(index)) {
+            index = haystack.indexOf(needle, index + 1);
+        }
+        if (index === -1) index = first;
+        if (index === -1) return null;
+
+        usedStarts.add(index);
+        return { start: index, end: index + label.length };
+    }
+
+    static findEntityByLabel(label) {
+        const wanted = Annotation.normalize(label);
+        if (!wanted) return null;
+        const entities = Annotation.state.entities;
+        return entities.find(entity => Annotation.normalize(entity.label) === wanted) ||
+            entities.find(entity => Annotation.normalize(entity.label).includes(wanted) || wanted.includes(Annotation.normalize(entity.label)));
+    }
+
+    static entityTypes() {
+        const types = new Set(Annotation.DEFAULT_TYPES);
+        Annotation.state.entities.forEach(entity => types.add(entity.type));
+        return [...types];
+    }
+
+    static renderModal() {
+        const state = Annotation.state;
+        document.querySelector('.annotation-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'annotation-modal';
+        modal.innerHTML = `
+            <div class="modal-content large annotation-content">
+                <div class="modal-header">
+                    <h3>✏️ Annotate: ${UIUtils.escapeHtml(UIUtils.getDocumentName(state.doc.source || state.documentId))}</h3>
+                    <button onclick="this.closest('.annotation-modal').remove()" class="close-btn">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="annotation-toolbar">
+                        <label>Reviewer <input type="text" class="annotation-reviewer" value="${UIUtils.escapeHtml(state.reviewer)}" placeholder="Your name"></label>
+                        <label>Type <input type="text" class="annotation-communication-type" value="${UIUtils.escapeHtml(state.communicationType)}"></label>
+                        <label>New span
+                            <select class="annotation-new-type">
+                                ${Annotation.entityTypes().map(type => `<option value="${type}">${UIUtils.capitalizeWords(type)}</option>`).join('')}
+                            </select>
+                        </label>
+                        <button class="btn btn-sm btn-primary annotation-add-span">➕ Add Selected Text</button>
+                    </div>
+                    <div class="annotation-layout">
+                        <div class="annotation-document"></div>
+                        <div class="annotation-panels">
+                            <div class="annotation-entities"></div>
+                            <div class="annotation-relationships"></div>
+                        </div>
+                    </div>
+                    <div class="annotation-agreement"></div>
+                </div>
+                <div class="modal-footer">
+                    <span class="annotation-summary"></span>
+                    <button class="btn btn-secondary annotation-accept-all">✓ Accept Remaining</button>
+                    <button class="btn btn-primary annotation-save">💾 Save Annotation</button>
+                    <button onclick="this.closest('.annotation-modal').remove()" class="btn btn-secondary">Close</button>
+                </div>
+            </div>
+        `;
+
+        // Add modal styles
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(0,0,0,0.5); display: flex; align-items: center;
+            justify-content: center; z-index: 1000;
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelector('.annotation-reviewer').addEventListener('change', (e) => {
+            state.reviewer = e.target.value.trim();
+            localStorage.setItem(Annotation.REVIEWER_KEY, state.reviewer);
+        });
+        modal.querySelector('.annotation-communication-type').addEventListener('change', (e) => {
+            state.communicationType = e.target.value.trim() || 'document';
+        });
+        modal.querySelector('.annotation-add-span').addEventListener('click', () => {
+            Annotation.addSelectedSpan(modal.querySelector('.annotation-new-type').value);
+        });
+        modal.querySelector('.annotation-accept-all').addEventListener('click', () => Annotation.acceptRemaining());
+        modal.querySelector('.annotation-save').addEventListener('click', () => Annotation.save());
+
+        Annotation.render();
+    }
+
+    static render() {
+        const modal = document.querySelector('.annotation-modal');
+        if (!modal) return;
+
+        Annotation.renderDocument(modal.querySelector('.annotation-document'));
+        Annotation.renderEntities(modal.querySelector('.annotation-entities'));
+        Annotation.renderRelationships(modal.querySelector('.annotation-relationships'));
+        Annotation.renderAgreement(modal.querySelector('.annotation-agreement'));
+
+        const counts = { pending: 0, accepted: 0, corrected: 0, added: 0, deleted: 0 };
+        [...Annotation.state.entities, ...Annotation.state.relationships].forEach(item => counts[item.status]++);
+        modal.querySelector('.annotation-summary').textContent =
+            Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(' · ');
+    }
+
+    /**
+     * The text with kept entity spans highlighted; overlapping spans after
+     * the first are listed but not highlighted
+     */
+    static renderDocument(container) {
+        const state = Annotation.state;
+
+        if (!state.text) {
+            container.innerHTML = `
+                <p class="placeholder">The text of this document is not stored. Paste it to annotate.</p>
+                <textarea class="annotation-paste" rows="12"></textarea>
+                <button class="btn btn-sm btn-primary annotation-use-text">Use Text</button>
+            `;
+            container.querySelector('.annotation-use-text').addEventListener('click', () => {
+                state.text = container.querySelector('.annotation-paste').value;
+                const usedStarts = new Set();
+                state.entities.forEach(entity => {
+                    const span = Annotation.locate(state.text, entity.label, usedStarts);
+                    entity.start = span ? span.start : null;
+                    entity.end = span ? span.end : null;
+                });
+                Annotation.render();
+            });
+            return;
+        }
+
+        const spans = state.entities
+            .filter(entity => entity.status !== 'deleted' && Number.isInteger(entity.start))
+            .map(entity => ({
+                start: entity.start,
+                end: entity.end,
+                id: entity.id,
+                title: entity.type,
+                className: `annotation-span type-${entity.type} status-${entity.status}${entity.id === state.selectedEntityId ? ' selected' : ''}`
+            }));
+        const html = UIUtils.highlightSpans(state.text, spans);
+
+        container.innerHTML = `<div class="annotation-text">${html}</div>`;
+        container.querySelectorAll('.annotation-span').forEach(mark => {
+            mark.addEventListener('click', () => {
+                state.selectedEntityId = mark.dataset.entityId;
+                Annotation.render();
+                document.querySelector(`.annotation-entity[data-entity-id="${mark.dataset.entityId}"]`)?.scrollIntoView({ block: 'nearest' });
+            });
+        });
+    }
+
+    static renderEntities(container) {
+        const state = Annotation.state;
+        const types = Annotation.entityTypes();
+
+        container.innerHTML = `
+            <h4>Entities (${state.entities.filter(entity => entity.status !== 'deleted').length})</h4>
+            ${state.entities.length === 0 ? '<p class="placeholder">No entities yet. Select text and add a span.</p>' : ''}
+            ${state.entities.map(entity => `
+                <div class="annotation-entity status-${entity.status}${entity.id === state.selectedEntityId ? ' selected' : ''}" data-entity-id="${entity.id}">
+                    <span class="annotation-status">${entity.status}</span>
+                    <select class="annotation-entity-type" ${entity.status === 'deleted' ? 'disabled' : ''}>
+                        ${types.map(type => `<option value="${type}" ${type === entity.type ? 'selected' : ''}>${UIUtils.capitalizeWords(type)}</option>`).join('')}
+                    </select>
+                    <input type="text" class="annotation-entity-label" value="${UIUtils.escapeHtml(entity.label)}" ${entity.status === 'deleted' ? 'disabled' : ''}>
+                    <small class="annotation-span-info">${Number.isInteger(entity.start) ? `${entity.start}–${entity.end}` : 'no span'}</small>
+                    <button class="btn btn-sm btn-secondary" data-action="span" title="Set span from the selected text">📍</button>
+                    ${entity.status === 'pending' ? '<button class="btn btn-sm btn-primary" data-action="accept" title="Accept">✓</button>' : ''}
+                    <button class="btn btn-sm btn-secondary" data-action="${entity.status === 'deleted' ? 'restore' : 'delete'}" title="${entity.status === 'deleted' ? 'Restore' : 'Delete'}">${entity.status === 'deleted' ? '↩️' : '🗑️'}</button>
+                </div>
+            `).join('')}
+        `;
+
+        container.querySelectorAll('.annotation-entity').forEach(row => {
+            const entity = state.entities.find(item => item.id === row.dataset.entityId);
+
+            row.querySelector('.annotation-entity-type').addEventListener('change', (e) => {
+                entity.type = e.target.value;
+                Annotation.markCorrected(entity);
+                Annotation.render();
+            });
+            row.querySelector('.annotation-entity-label').addEventListener('change', (e) => {
+                entity.label = e.target.value.trim();
+                Annotation.markCorrected(entity);
+                Annotation.render();
+            });
+            row.querySelectorAll('button[data-action]').forEach(button => {
+                button.addEventListener('click', () => Annotation.entityAction(entity, button.dataset.action));
+            });
+        });
+    }
+
+    static renderRelationships(container) {
+        const state = Annotation.state;
+        const kept = state.entities.filter(entity => entity.status !== 'deleted');
+        const entityOptions = selectedId => kept.map(entity =>
+            `<option value="${entity.id}" ${entity.id === selectedId ? 'selected' : ''}>${UIUtils.escapeHtml(entity.label)} (${entity.type})</option>`
+        ).join('');
+
+        container.innerHTML = `
+            <h4>Relationships (${state.relationships.filter(relationship => relationship.status !== 'deleted').length})</h4>
+            ${state.relationships.map(relationship => `
+                <div class="annotation-relationship status-${relationship.status}" data-relationship-id="${relationship.id}">
+                    <span class="annotation-status">${relationship.status}</span>
+                    <select class="annotation-relationship-source" ${relationship.status === 'deleted' ? 'disabled' : ''}>${entityOptions(relationship.source)}</select>
+                    <input type="text" class="annotation-relationship-type" value="${UIUtils.escapeHtml(relationship.type)}" placeholder="type" ${relationship.status === 'deleted' ? 'disabled' : ''}>
+                    <select class="annotation-relationship-target" ${relationship.status === 'deleted' ? 'disabled' : ''}>${entityOptions(relationship.target)}</select>
+                    ${relationship.status === 'pending' ? '<button class="btn btn-sm btn-primary" data-action="accept" title="Accept">✓</button>' : ''}
+                    <button class="btn btn-sm btn-secondary" data-action="${relationship.status === 'deleted' ? 'restore' : 'delete'}">${relationship.status === 'deleted' ? '↩️' : '🗑️'}</button>
+                </div>
+            `).join('')}
+            <button class="btn btn-sm btn-outline-primary annotation-add-relationship" ${kept.length < 2 ? 'disabled' : ''}>➕ Add Relationship</button>
+        `;
+
+        container.querySelectorAll('.annotation-relationship').forEach(row => {
+            const relationship = state.relationships.find(item => item.id === row.dataset.relationshipId);
+
+            const update = (field, value) => {
+                relationship[field] = value;
+                Annotation.markCorrected(relationship);
+                Annotation.render();
+            };
+            row.querySelector('.annotation-relationship-source').addEventListener('change', (e) => update('source', e.target.value));
+            row.querySelector('.annotation-relationship-target').addEventListener('change', (e) => update('target', e.target.value));
+            row.querySelector('.annotation-relationship-type').addEventListener('change', (e) => update('type', e.target.value.trim()));
+            row.querySelectorAll('button[data-action]').forEach(button => {
+                button.addEventListener('click', () => {
+                    Annotation.setStatus(relationship, button.dataset.action);
+                    Annotation.render();
+                });
+            });
+        });
+
+        container.querySelector('.annotation-add-relationship').addEventListener('click', () => {
+            state.relationships.push({
+                id: Annotation.newId('r'),
+                type: '',
+                source: kept[0].id,
+                target: kept[1].id,
+                status: 'added'
+            });
+            Annotation.render();
+        });
+    }
+
+    static renderAgreement(container) {
+        const { reviews, agreement } = Annotation.state;
+        if (reviews.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const percent = value => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+        const pair = agreement?.pairs[0];
+
+        container.innerHTML = `
+            <h4>Reviews</h4>
+            <p>${reviews.map(review => `<strong>${UIUtils.escapeHtml(review.reviewer)}</strong> (${UIUtils.formatDate(review.savedAt)})`).join(', ')}</p>
+            ${agreement ? `
+                <div class="annotation-agreement-stats">
+                    <span class="stat-item"><strong>Entity F1:</strong> ${percent(agreement.entityF1)}</span>
+                    <span class="stat-item"><strong>Relationship F1:</strong> ${percent(agreement.relationshipF1)}</span>
+                    <span class="stat-item"><strong>Suggestion κ:</strong> ${agreement.suggestionKappa === null ? 'n/a' : agreement.suggestionKappa.toFixed(2)}</span>
+                </div>
+                ${pair && (pair.entities.onlyLeft.length || pair.entities.onlyRight.length) ? `
+                    <p><strong>Only ${UIUtils.escapeHtml(pair.reviewers[0])}:</strong> ${pair.entities.onlyLeft.map(UIUtils.escapeHtml).join('; ') || 'none'}</p>
+                    <p><strong>Only ${UIUtils.escapeHtml(pair.reviewers[1])}:</strong> ${pair.entities.onlyRight.map(UIUtils.escapeHtml).join('; ') || 'none'}</p>
+                ` : ''}
+            ` : '<p class="placeholder">Agreement is computed once a second reviewer labels this document.</p>'}
+        `;
+    }
+
+    static markCorrected(item) {
+        if (item.status === 'pending' || item.status === 'accepted') {
+            item.status = 'corrected';
+        }
+    }
+
+    static setStatus(item, action) {
+        if (action === 'accept') item.status = 'accepted';
+        if (action === 'delete') item.status = 'deleted';
+        if (action === 'restore') item.status = item.suggestionId ? 'pending' : 'added';
+    }
+
+    static entityAction(entity, action) {
+        const state = Annotation.state;
+        if (action === 'span') {
+            const span = Annotation.selectedSpan();
+            if (!span) {
+                UIUtils.showToast('Select the entity in the document text first', 'info');
+                return;
+            }
+            entity.start = span.start;
+            entity.end = span.end;
+            Annotation.markCorrected(entity);
+        } else {
+            Annotation.setStatus(entity, action);
+            if (action === 'delete') {
+                // Edges need both ends
+                state.relationships
+                    .filter(relationship => relationship.source === entity.id || relationship.target === entity.id)
+                    .forEach(relationship => { relationship.status = 'deleted'; });
+            }
+        }
+        state.selectedEntityId = entity.id;
+        Annotation.render();
+    }
+
+    /**
+     * Offsets of the selected text within the document, or null
+     */
+    static selectedSpan() {
+        const container = document.querySelector('.annotation-modal .annotation-text');
+        const selection = window.getSelection();
+        if (!container || !selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+
+        const range = selection.getRangeAt(0);
+        if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) return null;
+
+        const before = document.createRange();
+        before.setStart(container, 0);
+        before.setEnd(range.startContainer, range.startOffset);
+
+        let start = before.toString().length;
+        let end = start + range.toString().length;
+        const text = Annotation.state.text;
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+
+        return start < end ? { start, end } : null;
+    }
+
+    static addSelectedSpan(type) {
+        const span = Annotation.selectedSpan();
+        if (!span) {
+            UIUtils.showToast('Select text in the document to add an entity', 'info');
+            return;
+        }
+
+        const entity = {
+            id: Annotation.newId('e'),
+            type,
+            label: Annotation.state.text.slice(span.start, span.end),
+            start: span.start,
+            end: span.end,
+            status: 'added',
+            attributes: {}
+        };
+        Annotation.state.entities.push(entity);
+        Annotation.state.selectedEntityId = entity.id;
+        window.getSelection().removeAllRanges();
+        Annotation.render();
+    }
+
+    static acceptRemaining() {
+        [...Annotation.state.entities, ...Annotation.state.relationships]
+            .filter(item => item.status === 'pending')
+            .forEach(item => { item.status = 'accepted'; });
+        Annotation.render();
+    }
+
+    static async save() {
+        const state = Annotation.state;
+        if (!state.reviewer) {
+            UIUtils.showToast('Enter your reviewer name before saving', 'warning');
+            return;
+        }
+
+        const pending = [...state.entities, ...state.relationships].filter(item => item.status === 'pending').length;
+        if (pending > 0) {
+            UIUtils.showToast(`${pending} suggestions still need a decision (or use Accept Remaining)`, 'warning');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${window.app.apiBaseUrl}/api/annotations/${encodeURIComponent(state.documentId)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    reviewer: state.reviewer,
+                    communicationType: state.communicationType,
+                    text: state.text,
+                    entities: state.entities,
+                    relationships: state.relationships
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                const details = result.details ? `: ${result.details.slice(0, 3).join('; ')}` : '';
+                UIUtils.showToast(`${result.error || 'Failed to save annotation'}${details}`, 'error', 8000);
+                return;
+            }
+
+            const annotation = await (await fetch(`${window.app.apiBaseUrl}/api/annotations/${encodeURIComponent(state.documentId)}`)).json();
+            state.reviews = annotation.reviews;
+            state.agreement = annotation.agreement;
+            Annotation.render();
+            UIUtils.showToast(`Saved as a labeled case in ${result.datasetFile}`, 'success');
+        } catch (error) {
+            console.error('Error saving annotation:', error);
+            UIUtils.showToast('Failed to save annotation', 'error');
+        }
+    }
+}
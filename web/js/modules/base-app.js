@@ -64,6 +64,17 @@ class UniversalKnowledgeApp {
             }
         });
 
+        this.socket.on('ingest-progress', (event) => {
+            const file = event.file ? event.file.split(/[\\/]/).pop() : '';
+            if (event.type === 'completed') {
+                this.showToast(`Ingested ${file} into ${event.domain}: ${event.entities} entities`, 'success');
+            } else if (event.type === 'failed') {
+                this.showToast(`Ingest failed for ${file}: ${event.error}`, 'error');
+            } else if (event.type === 'deferred') {
+                this.showToast(`Ingest of ${file} deferred: ${event.reason}`, 'warning');
+            }
+        });
+
         this.socket.on('error', (error) => {
             console.error('Socket error:', error);
             this.showToast('Connection error occurred', 'error');
@@ -60,6 +60,9 @@ class Documents {
                     <button onclick="Documents.downloadDocument('${doc.id}')" class="btn btn-sm btn-outline-primary">
                         📥 Download
                     </button>
+                    <button onclick="Annotation.open('${doc.id}')" class="btn btn-sm btn-outline-primary">
+                        ✏️ Annotate
+                    </button>
                 </div>
             </div>
         `).join('');
@@ -164,15 +167,23 @@ class Documents {
                         <button onclick="this.closest('.document-entities-modal').remove()" class="close-btn">&times;</button>
                     </div>
                     <div class="modal-body">
+                        ${data.text ? `
+                            <div class="document-text">${Documents.highlightEntities(data.text, entities)}</div>
+                        ` : ''}
                         <div class="entities-list">
                             ${entities.map(entity => `
-                                <div class="entity-item">
+                                <div class="entity-item" data-entity-id="${entity.id}">
                                     <div class="entity-info">
                                         <h4>${entity.name}</h4>
                                         <p class="entity-category">${UIUtils.capitalizeWords(entity.category)}</p>
                                         <p class="entity-confidence">Confidence: ${UIUtils.formatConfidence(entity.confidence)}</p>
                                         ${entity.role ? `<p class="entity-role">Role: ${entity.role}</p>` : ''}
                                         ${entity.type ? `<p class="entity-type">Type: ${entity.type}</p>` : ''}
+                                        ${entity.provenance?.evidence ? `
+                                            <blockquote class="entity-evidence" title="Characters ${entity.provenance.start}–${entity.provenance.end} (${entity.provenance.match})">
+                                                ${UIUtils.escapeHtml(entity.provenance.evidence)}
+                                            </blockquote>
+                                        ` : ''}
                                     </div>
                                     <div class="entity-actions">
                                         <button onclick="Entities.viewEntityDetails('${entity.id}')" class="btn btn-sm btn-primary">View Details</button>
@@ -196,12 +207,35 @@ class Documents {
 
             document.body.appendChild(modal);
 
+            // Clicking a highlighted mention brings its entity into view
+            modal.querySelectorAll('.document-text mark').forEach(mark => {
+                mark.addEventListener('click', () => {
+                    modal.querySelector(`.entity-item[data-entity-id="${mark.dataset.entityId}"]`)?.scrollIntoView({ block: 'nearest' });
+                });
+            });
+
         } catch (error) {
             console.error('Error viewing document entities:', error);
             UIUtils.showToast('Failed to load document entities', 'error');
         }
     }
 
+    /**
+     * The document text with every located mention of its entities highlighted
+     */
+    static highlightEntities(text, entities) {
+        const spans = entities.flatMap(entity => (entity.provenance?.mentions || [])
+            .filter(mention => Number.isInteger(mention.start) && mention.end <= text.length)
+            .map(mention => ({
+                start: mention.start,
+                end: mention.end,
+                id: entity.id,
+                title: `${entity.name} (${entity.category})`,
+                className: `entity-mention category-${entity.category}${entity.provenance.match === 'fuzzy' ? ' fuzzy' : ''}`
+            })));
+        return UIUtils.highlightSpans(text, spans);
+    }
+
     static async downloadDocument(documentId) {
         try {
             // Find the document
@@ -88,6 +88,9 @@ class Entities {
                     <button onclick="Entities.findSimilarEntities('${entity.id}')" class="btn btn-sm btn-secondary">
                         🔍 Find Similar
                     </button>
+                    <button onclick="Entities.showTimeline('${entity.id}')" class="btn btn-sm btn-secondary">
+                        📈 Timeline
+                    </button>
                 </div>
             </div>
         `).join('');
@@ -291,6 +294,8 @@ class Entities {
                     <div class="modal-footer">
                         <button onclick="this.closest('.entity-details-modal').remove()" class="btn btn-secondary">Close</button>
                         <button onclick="Entities.findSimilarEntities('${entityId}')" class="btn btn-primary">Find Similar</button>
+                        <button onclick="Entities.showTimeline('${entityId}')" class="btn btn-primary">📈 Timeline</button>
+                        <button onclick="Entities.showMentions('${entityId}')" class="btn btn-primary">🧾 Mentions</button>
                     </div>
                 </div>
             `;
@@ -310,6 +315,242 @@ class Entities {
         }
     }
 
+    /**
+     * Every mention supporting an entity, with its evidence and the
+     * extraction (extractor, model, prompt version) that found it
+     */
+    static async showMentions(entityId) {
+        try {
+            const response = await fetch(`${window.app.apiBaseUrl}/api/entities/${encodeURIComponent(entityId)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const { entity, mentions = [] } = await response.json();
+
+            document.querySelector('.entity-mentions-modal')?.remove();
+            const modal = document.createElement('div');
+            modal.className = 'entity-mentions-modal';
+            modal.innerHTML = `
+                <div class="modal-content large">
+                    <div class="modal-header">
+                        <h3>🧾 Mentions: ${UIUtils.escapeHtml(entity.name)} (${mentions.length})</h3>
+                        <button onclick="this.closest('.entity-mentions-modal').remove()" class="close-btn">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        ${mentions.length === 0 ? '<p class="placeholder">No supporting mentions recorded</p>' : `
+                            <ul class="entity-mentions">
+                                ${mentions.map(mention => `
+                                    <li>
+                                        <strong>${UIUtils.escapeHtml(mention.documentId)}</strong>
+                                        ${mention.location ? `<small>${UIUtils.escapeHtml(mention.location)}</small>` : ''}
+                                        ${Number.isInteger(mention.start) ? `<small>chars ${mention.start}–${mention.end}</small>` : '<small>not located</small>'}
+                                        <small>· ${mention.match}${mention.inferred ? ' (inferred)' : ''} · ${UIUtils.formatDate(mention.timestamp)}</small>
+                                        ${mention.evidence ? `<blockquote class="entity-evidence">${UIUtils.escapeHtml(mention.evidence)}</blockquote>` : ''}
+                                        <small>${[mention.extractor, mention.provider, mention.model].filter(Boolean).map(UIUtils.escapeHtml).join(' · ')}
+                                            ${mention.promptId ? ` · ${UIUtils.escapeHtml(mention.promptId)}@${UIUtils.escapeHtml(mention.promptVersion)}` : ''}</small>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        `}
+                    </div>
+                    <div class="modal-footer">
+                        <button onclick="this.closest('.entity-mentions-modal').remove()" class="btn btn-secondary">Close</button>
+                    </div>
+                </div>
+            `;
+
+            // Add modal styles
+            modal.style.cssText = `
+                position: fixed; top: 0; left: 0; width: 100%; height: 100%; 
+                background: rgba(0,0,0,0.5); display: flex; align-items: center; 
+                justify-content: center; z-index: 1000;
+            `;
+
+            document.body.appendChild(modal);
+
+        } catch (error) {
+            console.error('Error loading entity mentions:', error);
+            UIUtils.showToast('Failed to load entity mentions', 'error');
+        }
+    }
+
+    static async showTimeline(entityId, interval = 'day') {
+        try {
+            const response = await fetch(`${window.app.apiBaseUrl}/api/entities/${encodeURIComponent(entityId)}/timeline?interval=${interval}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const { timeline } = await response.json();
+
+            document.querySelector('.entity-timeline-modal')?.remove();
+            const modal = document.createElement('div');
+            modal.className = 'entity-timeline-modal';
+            modal.innerHTML = `
+                <div class="modal-content large">
+                    <div class="modal-header">
+                        <h3>📈 Timeline: ${timeline.entity.name}</h3>
+                        <button onclick="this.closest('.entity-timeline-modal').remove()" class="close-btn">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="timeline-summary">
+                            <p><strong>Category:</strong> ${UIUtils.capitalizeWords(timeline.entity.category)}</p>
+                            <p><strong>First mention:</strong> ${timeline.firstMention ? `${UIUtils.formatDate(timeline.firstMention.timestamp)} in ${UIUtils.getDocumentName(timeline.firstMention.source)}` : 'Unknown'}</p>
+                            <p><strong>Mentions:</strong> ${timeline.mentionCount}</p>
+                            <label>Group by
+                                <select class="timeline-interval">
+                                    ${['day', 'week', 'month'].map(option => `<option value="${option}" ${option === timeline.interval ? 'selected' : ''}>${UIUtils.capitalizeWords(option)}</option>`).join('')}
+                                </select>
+                            </label>
+                        </div>
+                        <div class="timeline-chart"></div>
+                        <div class="timeline-changes">
+                            <h4>Attribute Changes (${timeline.attributeChanges.length})</h4>
+                            ${timeline.attributeChanges.length === 0 ? '<p class="placeholder">No attribute changes recorded</p>' : `
+                                <ul>
+                                    ${timeline.attributeChanges.map(change => `
+                                        <li>${UIUtils.formatDate(change.timestamp)}: <strong>${change.attribute}</strong>
+                                            ${Entities.formatTimelineValue(change.from)} → ${Entities.formatTimelineValue(change.to)}
+                                            <small>(${UIUtils.getDocumentName(change.source)})</small></li>
+                                    `).join('')}
+                                </ul>
+                            `}
+                            <h4>Relationship Changes (${timeline.relationshipChanges.length})</h4>
+                            ${timeline.relationshipChanges.length === 0 ? '<p class="placeholder">No relationship changes recorded</p>' : `
+                                <ul>
+                                    ${timeline.relationshipChanges.slice(0, 100).map(change => `
+                                        <li>${UIUtils.formatDate(change.timestamp)}: ${change.change === 'added' ? '➕' : '➖'}
+                                            ${change.type} → <strong>${change.target}</strong>${change.targetCategory ? ` (${change.targetCategory})` : ''}</li>
+                                    `).join('')}
+                                </ul>
+                                ${timeline.relationshipChanges.length > 100 ? `<p class="placeholder">Showing 100 of ${timeline.relationshipChanges.length}</p>` : ''}
+                            `}
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button onclick="this.closest('.entity-timeline-modal').remove()" class="btn btn-secondary">Close</button>
+                    </div>
+                </div>
+            `;
+
+            // Add modal styles
+            modal.style.cssText = `
+                position: fixed; top: 0; left: 0; width: 100%; height: 100%; 
+                background: rgba(0,0,0,0.5); display: flex; align-items: center; 
+                justify-content: center; z-index: 1000;
+            `;
+
+            document.body.appendChild(modal);
+
+            modal.querySelector('.timeline-interval').addEventListener('change', (e) => {
+                Entities.showTimeline(entityId, e.target.value);
+            });
+            Entities.renderTimelineChart(modal.querySelector('.timeline-chart'), timeline);
+
+        } catch (error) {
+            console.error('Error loading entity timeline:', error);
+            UIUtils.showToast('Failed to load entity timeline', 'error');
+        }
+    }
+
+    static formatTimelineValue(value) {
+        if (value === null || value === undefined) return '<em>none</em>';
+        return UIUtils.truncateText(typeof value === 'string' ? value : JSON.stringify(value), 60);
+    }
+
+    /**
+     * Mention frequency bars with attribute (●) and relationship (▲ added, ▼ removed)
+     * change markers on the same time axis
+     */
+    static renderTimelineChart(container, timeline) {
+        if (!container || timeline.frequency.length === 0) return;
+
+        const margin = { top: 10, right: 20, bottom: 60, left: 40 };
+        const width = Math.max(container.clientWidth || 640, 320) - margin.left - margin.right;
+        const height = 200 - margin.top - margin.bottom;
+
+        const floor = { day: d3.utcDay, week: d3.utcMonday, month: d3.utcMonth }[timeline.interval];
+        const format = d3.utcFormat(timeline.interval === 'month' ? '%Y-%m' : '%Y-%m-%d');
+        const periodOf = timestamp => format(floor.floor(new Date(timestamp)));
+
+        const x = d3.scaleBand()
+            .domain(timeline.frequency.map(d => d.period))
+            .range([0, width])
+            .padding(0.2);
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(timeline.frequency, d => d.count) || 1])
+            .nice()
+            .range([height, 0]);
+
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        svg.selectAll('.timeline-bar')
+            .data(timeline.frequency)
+            .enter()
+            .append('rect')
+            .attr('class', 'timeline-bar')
+            .attr('x', d => x(d.period))
+            .attr('y', d => y(d.count))
+            .attr('width', x.bandwidth())
+            .attr('height', d => height - y(d.count))
+            .attr('fill', '#3498db')
+            .append('title')
+            .text(d => `${d.period}: ${d.count} mention(s)`);
+
+        // Thin out tick labels when there are many periods
+        const every = Math.ceil(timeline.frequency.length / 12);
+        svg.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x).tickValues(x.domain().filter((_, i) => i % every === 0)))
+            .selectAll('text')
+            .attr('transform', 'rotate(-40)')
+            .style('text-anchor', 'end');
+        svg.append('g')
+            .call(d3.axisLeft(y).ticks(Math.min(5, y.domain()[1])).tickFormat(d3.format('d')));
+
+        const markers = [
+            ...timeline.attributeChanges.map(change => ({
+                ...change,
+                symbol: d3.symbolCircle,
+                color: '#f39c12',
+                label: `${change.attribute}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`
+            })),
+            ...timeline.relationshipChanges.map(change => ({
+                ...change,
+                symbol: d3.symbolTriangle,
+                color: change.change === 'added' ? '#2ecc71' : '#e74c3c',
+                rotate: change.change === 'added' ? 0 : 180,
+                label: `${change.change} ${change.type} → ${change.target}`
+            }))
+        ].filter(marker => x(periodOf(marker.timestamp)) !== undefined);
+
+        // Stack markers that fall in the same period
+        const stacked = new Map();
+        svg.selectAll('.timeline-marker')
+            .data(markers)
+            .enter()
+            .append('path')
+            .attr('class', 'timeline-marker')
+            .attr('d', d3.symbol().type(d => d.symbol).size(40))
+            .attr('fill', d => d.color)
+            .attr('transform', d => {
+                const period = periodOf(d.timestamp);
+                const level = stacked.get(period) || 0;
+                stacked.set(period, level + 1);
+                const cx = x(period) + x.bandwidth() / 2;
+                const cy = height - 6 - (level * 9) % height;
+                return `translate(${cx},${cy}) rotate(${d.rotate || 0})`;
+            })
+            .append('title')
+            .text(d => `${UIUtils.formatDate(d.timestamp)}: ${d.label}`);
+    }
+
     static exportEntities(app) {
         try {
             // Get filtered entities
@@ -38,6 +38,7 @@ class NetworkVisualization {
             
             app.data.relationships = validLinks;
             app.data.networkNodes = data.nodes;
+            app.data.graphAnalytics = null;
             
             console.log('Sample node:', data.nodes[0]);
             console.log('Sample relationship:', validLinks[0]);
@@ -228,6 +229,9 @@ class NetworkVisualization {
         // Initialize network controls
         NetworkVisualization.initializeControls(app);
 
+        // Re-apply metric sizing/coloring chosen before this render
+        NetworkVisualization.applyNodeMetrics(app);
+
         UIUtils.showToast(`Network loaded: ${nodeArray.length} entities, ${validLinks.length} relationships`, 'success');
     }
 
@@ -283,10 +287,137 @@ class NetworkVisualization {
             });
         }
 
+        // Initialize metric controls (assigned, not added, so re-renders don't stack handlers)
+        const sizeBy = document.getElementById('network-size-by');
+        const colorBy = document.getElementById('network-color-by');
+        if (sizeBy) sizeBy.onchange = () => NetworkVisualization.applyNodeMetrics(app);
+        if (colorBy) colorBy.onchange = () => NetworkVisualization.applyNodeMetrics(app);
+
         // Initialize network sliders
         NetworkVisualization.initializeSliders(app);
     }
 
+    /**
+     * Fetch centrality, community and bridge metrics for the current domain
+     * (once per network load; the server caches them between loads)
+     */
+    static async loadGraphAnalytics(app) {
+        if (app.data.graphAnalytics) return app.data.graphAnalytics;
+
+        const response = await fetch(`${app.apiBaseUrl}/api/graph/analytics`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Graph analytics unavailable');
+        }
+
+        app.data.graphAnalytics = {
+            metrics: new Map(data.nodes.map(node => [node.id, node])),
+            communities: data.communities,
+            summary: data.summary
+        };
+        return app.data.graphAnalytics;
+    }
+
+    /**
+     * Size nodes by connections or a centrality metric and color them by
+     * category, community or bridge role, following the metric selectors
+     */
+    static async applyNodeMetrics(app) {
+        if (!app.networkSvg) return;
+
+        const sizeBy = document.getElementById('network-size-by')?.value || 'connections';
+        const colorBy = document.getElementById('network-color-by')?.value || 'category';
+        const nodes = app.networkSvg.selectAll('.node');
+        const links = app.data.relationships || [];
+
+        let analytics = null;
+        if (sizeBy !== 'connections' || colorBy !== 'category') {
+            try {
+                analytics = await NetworkVisualization.loadGraphAnalytics(app);
+            } catch (error) {
+                console.error('Error loading graph analytics:', error);
+                UIUtils.showToast('Failed to load graph analytics', 'error');
+                return;
+            }
+        }
+
+        // Node size
+        if (sizeBy === 'connections') {
+            nodes.transition().duration(400).attr('r', d => {
+                const connections = links.filter(l => l.source.id === d.id || l.target.id === d.id).length;
+                return 8 + Math.sqrt(connections) * 2 + (d.confidence || 0.5) * 5;
+            });
+        } else {
+            const key = sizeBy === 'degree' ? 'centrality' : sizeBy;
+            const values = Array.from(analytics.metrics.values(), m => m[key] || 0);
+            const radius = d3.scaleSqrt().domain([0, d3.max(values) || 1]).range([5, 30]);
+            nodes.transition().duration(400).attr('r', d => radius(analytics.metrics.get(d.id)?.[key] || 0));
+        }
+
+        // Node color
+        const communityColor = d3.scaleOrdinal(d3.schemeTableau10);
+        nodes.attr('fill', d => {
+            const metric = analytics?.metrics.get(d.id);
+            if (colorBy === 'community') {
+                return metric ? communityColor(metric.community) : NetworkVisualization.getCategoryColor('default');
+            }
+            if (colorBy === 'bridge') {
+                return metric?.bridge ? '#e74c3c' : '#bdc3c7';
+            }
+            return NetworkVisualization.getCategoryColor(d.category);
+        });
+
+        // Tooltips
+        nodes.select('title').text(d => {
+            const lines = [d.name, `Category: ${d.category}`, `Confidence: ${((d.confidence || 0) * 100).toFixed(0)}%`];
+            const metric = analytics?.metrics.get(d.id);
+            if (metric) {
+                lines.push(
+                    `Degree: ${metric.degree}`,
+                    `Betweenness: ${metric.betweenness.toFixed(3)}`,
+                    `PageRank: ${metric.pagerank.toFixed(4)}`,
+                    `Community: ${metric.community}${metric.bridge ? ' (bridge)' : ''}`
+                );
+            }
+            return lines.join('\n');
+        });
+
+        if (colorBy === 'category') {
+            NetworkVisualization.updateLegend(app);
+        } else {
+            NetworkVisualization.updateMetricLegend(app, colorBy, communityColor);
+        }
+    }
+
+    static updateMetricLegend(app, colorBy, communityColor) {
+        const legendContainer = document.getElementById('legend-items');
+        if (!legendContainer || !app.data.graphAnalytics) return;
+
+        const { communities, summary } = app.data.graphAnalytics;
+        const items = colorBy === 'community'
+            ? communities.slice(0, 10).map(community => ({
+                color: communityColor(community.id),
+                label: `${community.label} cluster`,
+                count: community.size
+            }))
+            : [
+                { color: '#e74c3c', label: 'Bridge entities', count: summary.bridges },
+                { color: '#bdc3c7', label: 'Other entities', count: summary.nodes - summary.bridges }
+            ];
+
+        // Cluster labels are entity names, so set them as text rather than HTML
+        legendContainer.innerHTML = '';
+        items.forEach(item => {
+            const legendItem = document.createElement('div');
+            legendItem.className = 'legend-item';
+            legendItem.innerHTML = '<div class="legend-color"></div><span class="legend-label"></span><span class="legend-count"></span>';
+            legendItem.querySelector('.legend-color').style.backgroundColor = item.color;
+            legendItem.querySelector('.legend-label').textContent = item.label;
+            legendItem.querySelector('.legend-count').textContent = `(${item.count})`;
+            legendContainer.appendChild(legendItem);
+        });
+    }
+
     static filterByCategory(app, selectedCategory) {
         if (!app.networkSvg) return;
 
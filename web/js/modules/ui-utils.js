@@ -55,6 +55,32 @@ class UIUtils {
         return `${(confidence * 100).toFixed(1)}%`;
     }
 
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Text with spans ([{ start, end, className, title, id }]) wrapped in
+     * <mark>; spans overlapping an earlier one are left out
+     */
+    static highlightSpans(text, spans) {
+        const sorted = [...spans].sort((a, b) => a.start - b.start || b.end - a.end);
+        let html = '';
+        let position = 0;
+        for (const span of sorted) {
+            if (span.start < position) continue;
+            html += UIUtils.escapeHtml(text.slice(position, span.start));
+            html += `<mark class="${span.className || ''}" data-entity-id="${UIUtils.escapeHtml(span.id)}" title="${UIUtils.escapeHtml(span.title)}">${UIUtils.escapeHtml(text.slice(span.start, span.end))}</mark>`;
+            position = span.end;
+        }
+        return html + UIUtils.escapeHtml(text.slice(position));
+    }
+
     static truncateText(text, maxLength = 100) {
         if (!text) return '';
         return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;